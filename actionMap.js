@@ -0,0 +1,381 @@
+/**
+ * Action Map for AI Alchemist's Lair
+ * Names every world control (move, jump, interact, zoom, toggle map, ...) and the keys bound to it,
+ * so main.js, Game, the scene shortcuts and the InteractionManager all read one set of bindings
+ *
+ * A binding is a key name as KeyboardEvent.key reports it, with letters stored lower case and an
+ * optional 'Shift+' prefix for letters ('w', 'ArrowUp', ' ', '=', 'Shift+e'). A letter binding only
+ * matches with Shift in the same state, so 'd' and 'Shift+d' are different keys; other keys match
+ * whether or not Shift is held, since some ('+', '_') need it to be typed. Rebound actions are saved
+ * in localStorage:
+ * {
+ *   "version": 1,
+ *   "bindings": { "moveUp": ["z", "ArrowUp"], "zoomIn": ["w", "=", "+"] }
+ * }
+ * Actions left at their defaults are not stored, so new defaults reach players who never rebound them.
+ * Every change dispatches a 'keyBindingsChanged' event on document.
+ */
+
+import { input } from './input.js';
+import { debug, info, warn } from './utils.js';
+
+const KEY_BINDINGS_STORAGE_KEY = 'aiAlchemistsLair.keyBindings';
+const KEY_BINDINGS_VERSION = 1;
+
+// Every action in the order the controls panel lists them, with its default keys
+const ACTIONS = [
+    { id: 'moveUp', label: 'Move up', group: 'Movement', keys: ['w', 'ArrowUp'] },
+    { id: 'moveDown', label: 'Move down', group: 'Movement', keys: ['s', 'ArrowDown'] },
+    { id: 'moveLeft', label: 'Move left', group: 'Movement', keys: ['a', 'ArrowLeft'] },
+    { id: 'moveRight', label: 'Move right', group: 'Movement', keys: ['d', 'ArrowRight'] },
+    { id: 'jump', label: 'Jump', group: 'Movement', keys: [' '] },
+    { id: 'interact', label: 'Interact', group: 'Movement', keys: ['Enter'] },
+    { id: 'zoomIn', label: 'Zoom in', group: 'Camera', keys: ['z', '=', '+'] },
+    { id: 'zoomOut', label: 'Zoom out', group: 'Camera', keys: ['x', '-', '_'] },
+    { id: 'centerCamera', label: 'Center camera on player', group: 'Camera', keys: ['c'] },
+    { id: 'resetCamera', label: 'Reset zoom', group: 'Camera', keys: ['r'] },
+    { id: 'resetPan', label: 'Reset panning', group: 'Camera', keys: ['p'] },
+    { id: 'toggleMap', label: 'Toggle mini-map', group: 'Interface', keys: ['m'] },
+    { id: 'openControls', label: 'Controls settings', group: 'Interface', keys: ['k'] },
+    { id: 'roomNorth', label: 'Room to the north', group: 'Rooms', keys: ['Shift+e'] },
+    { id: 'roomSouth', label: 'Room to the south', group: 'Rooms', keys: ['Shift+d'] },
+    { id: 'roomWest', label: 'Room to the west', group: 'Rooms', keys: ['Shift+s'] },
+    { id: 'roomEast', label: 'Room to the east', group: 'Rooms', keys: ['Shift+f'] }
+];
+
+// Bindings changed by each preset; anything not listed goes back to its default
+const PRESETS = {
+    qwerty: {},
+    // ZQSD sits where WASD does; zoom in moves to W, where Z is on QWERTY
+    azerty: {
+        moveUp: ['z', 'ArrowUp'],
+        moveLeft: ['q', 'ArrowLeft'],
+        zoomIn: ['w', '=', '+']
+    }
+};
+
+// Keys that can't be bound: Escape closes menus and Tab moves focus
+const RESERVED_KEYS = ['Escape', 'Tab'];
+
+// Modifier keys are only used as part of a binding
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
+
+// Names shown for keys whose KeyboardEvent.key is not readable on its own
+const KEY_LABELS = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+/**
+ * Normalize a KeyboardEvent.key value the way bindings store it
+ * @param {string} key - Key name
+ * @returns {string} - Letters lower case, 'Spacebar' (old browsers) as ' '
+ */
+function normalizeKey(key) {
+    if (key === 'Spacebar') {
+        return ' ';
+    }
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Split a binding into its key and Shift requirement
+ * @param {string} binding - Binding ('w', 'Shift+e', ...)
+ * @returns {Object} - {key, shift}
+ */
+function parseBinding(binding) {
+    if (binding.startsWith('Shift+') && binding.length > 'Shift+'.length) {
+        return { key: binding.slice('Shift+'.length), shift: true };
+    }
+    return { key: binding, shift: false };
+}
+
+/**
+ * Check whether a key press with or without Shift fits a binding's Shift requirement
+ * @param {Object} parsed - Binding from parseBinding()
+ * @param {boolean} shiftHeld - Whether Shift is down
+ * @returns {boolean} - True if the Shift state matches
+ */
+function shiftMatches(parsed, shiftHeld) {
+    if (/^[a-z]$/.test(parsed.key)) {
+        return parsed.shift === shiftHeld;
+    }
+    return !parsed.shift || shiftHeld;
+}
+
+/**
+ * Get localStorage if the browser allows it (it throws in some privacy modes)
+ * @returns {Storage|null} - Storage object or null
+ */
+function getDefaultStorage() {
+    try {
+        return window.localStorage || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+class ActionMap {
+    /**
+     * Create an action map
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage; null keeps bindings in memory only)
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+
+        // Current keys per action id
+        this.bindings = new Map(ACTIONS.map(action => [action.id, [...action.keys]]));
+        this.load();
+    }
+
+    /**
+     * Apply the saved bindings, keeping defaults if they are missing, corrupt or from another version
+     */
+    load() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            const raw = this.storage.getItem(KEY_BINDINGS_STORAGE_KEY);
+            if (!raw) {
+                return;
+            }
+
+            const parsed = JSON.parse(raw);
+            if (!parsed || parsed.version !== KEY_BINDINGS_VERSION || typeof parsed.bindings !== 'object' || parsed.bindings === null) {
+                warn(`ActionMap: Ignoring saved bindings with unsupported format (version ${parsed && parsed.version})`);
+                return;
+            }
+
+            Object.entries(parsed.bindings).forEach(([id, keys]) => {
+                if (this.bindings.has(id) && Array.isArray(keys)) {
+                    this.bindings.set(id, keys.filter(key => typeof key === 'string' && key.length > 0));
+                }
+            });
+            info('ActionMap: Loaded saved key bindings');
+        } catch (err) {
+            warn('ActionMap: Could not read saved bindings, using defaults', err);
+        }
+    }
+
+    /**
+     * Write the actions that differ from their defaults to storage
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        const changed = {};
+        ACTIONS.forEach(action => {
+            const keys = this.bindings.get(action.id);
+            if (keys.join('\n') !== action.keys.join('\n')) {
+                changed[action.id] = keys;
+            }
+        });
+
+        try {
+            this.storage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify({ version: KEY_BINDINGS_VERSION, bindings: changed }));
+        } catch (err) {
+            warn('ActionMap: Could not save key bindings', err);
+        }
+    }
+
+    /**
+     * List every action in panel order
+     * @returns {Array} - Actions {id, label, group, keys (defaults)}
+     */
+    getActions() {
+        return ACTIONS;
+    }
+
+    /**
+     * Get the keys bound to an action
+     * @param {string} actionId - Action identifier
+     * @returns {string[]} - Bindings (empty for unknown actions)
+     */
+    getBindings(actionId) {
+        return this.bindings.get(actionId) || [];
+    }
+
+    /**
+     * Replace the keys bound to an action
+     * @param {string} actionId - Action identifier
+     * @param {string[]} keys - New bindings
+     */
+    setBindings(actionId, keys) {
+        if (!this.bindings.has(actionId)) {
+            warn(`ActionMap: Unknown action "${actionId}"`);
+            return;
+        }
+
+        const unique = [...new Set(keys.filter(key => key && !RESERVED_KEYS.includes(parseBinding(key).key)))];
+        this.bindings.set(actionId, unique);
+        this.save();
+
+        debug(`ActionMap: ${actionId} bound to ${unique.map(key => this.formatBinding(key)).join(', ') || 'nothing'}`);
+        document.dispatchEvent(new CustomEvent('keyBindingsChanged', { detail: { actionId } }));
+    }
+
+    /**
+     * Change one of an action's keys
+     * @param {string} actionId - Action identifier
+     * @param {number} index - Binding to replace (past the end adds a binding)
+     * @param {string|null} binding - New binding, or null to remove the old one
+     */
+    setBinding(actionId, index, binding) {
+        const keys = [...this.getBindings(actionId)];
+        if (binding === null) {
+            keys.splice(index, 1);
+        } else {
+            keys[Math.min(index, keys.length)] = binding;
+        }
+        this.setBindings(actionId, keys);
+    }
+
+    /**
+     * Go back to the default bindings, then apply a keyboard layout preset
+     * @param {string} name - Preset name ('qwerty' or 'azerty')
+     */
+    applyPreset(name) {
+        const preset = PRESETS[name];
+        if (!preset) {
+            warn(`ActionMap: Unknown preset "${name}"`);
+            return;
+        }
+
+        ACTIONS.forEach(action => {
+            this.bindings.set(action.id, [...(preset[action.id] || action.keys)]);
+        });
+        this.save();
+
+        info(`ActionMap: Applied ${name} preset`);
+        document.dispatchEvent(new CustomEvent('keyBindingsChanged', { detail: { preset: name } }));
+    }
+
+    /**
+     * Go back to the default bindings
+     */
+    resetToDefaults() {
+        this.applyPreset('qwerty');
+    }
+
+    /**
+     * Find keys bound to more than one action
+     * @returns {Map<string, string[]>} - Binding to the ids of the actions sharing it
+     */
+    getConflicts() {
+        const owners = new Map();
+        this.bindings.forEach((keys, actionId) => {
+            keys.forEach(key => {
+                owners.set(key, [...(owners.get(key) || []), actionId]);
+            });
+        });
+
+        const conflicts = new Map();
+        owners.forEach((actionIds, key) => {
+            if (actionIds.length > 1) {
+                conflicts.set(key, actionIds);
+            }
+        });
+        return conflicts;
+    }
+
+    /**
+     * Get the actions that share a binding with another action
+     * @param {string} actionId - Action identifier
+     * @param {string} binding - One of the action's bindings
+     * @returns {string[]} - Ids of the other actions using the key
+     */
+    getConflictsFor(actionId, binding) {
+        return (this.getConflicts().get(binding) || []).filter(id => id !== actionId);
+    }
+
+    /**
+     * Turn a key press into a binding, as the controls panel records it
+     * @param {KeyboardEvent} event - Key event
+     * @returns {string|null} - Binding, or null for modifier-only and reserved keys
+     */
+    bindingFromEvent(event) {
+        if (!event.key || MODIFIER_KEYS.includes(event.key) || RESERVED_KEYS.includes(event.key)) {
+            return null;
+        }
+
+        const key = normalizeKey(event.key);
+        return event.shiftKey && /^[a-z]$/.test(key) ? `Shift+${key}` : key;
+    }
+
+    /**
+     * Check whether a key event is one of an action's bindings
+     * @param {KeyboardEvent} event - Key event
+     * @param {string} actionId - Action identifier
+     * @returns {boolean} - True if the event triggers the action
+     */
+    matches(event, actionId) {
+        if (!event.key) {
+            return false;
+        }
+
+        const key = normalizeKey(event.key);
+        return this.getBindings(actionId).some(binding => {
+            const parsed = parseBinding(binding);
+            return parsed.key === key && shiftMatches(parsed, Boolean(event.shiftKey));
+        });
+    }
+
+    /**
+     * Check whether a key is bound to one of the movement actions
+     * @param {string} key - KeyboardEvent.key value
+     * @returns {boolean} - True for movement keys
+     */
+    isMovementKey(key) {
+        const normalized = normalizeKey(key);
+        return ['moveUp', 'moveDown', 'moveLeft', 'moveRight'].some(actionId =>
+            this.getBindings(actionId).some(binding => parseBinding(binding).key === normalized));
+    }
+
+    /**
+     * Check whether an action's key is held down (reads input.keys)
+     * @param {string} actionId - Action identifier
+     * @returns {boolean} - True while any of its bindings is held
+     */
+    isPressed(actionId) {
+        const keys = input.keys;
+        return this.getBindings(actionId).some(binding => {
+            const parsed = parseBinding(binding);
+            const { key } = parsed;
+            const held = keys[key] || (key.length === 1 && keys[key.toUpperCase()]) || (key === ' ' && keys.Spacebar);
+            return Boolean(held) && shiftMatches(parsed, Boolean(keys.Shift));
+        });
+    }
+
+    /**
+     * Get the name shown for a binding
+     * @param {string} binding - Binding
+     * @returns {string} - Readable name ('W', '↑', 'Space', 'Shift+E')
+     */
+    formatBinding(binding) {
+        const { key, shift } = parseBinding(binding);
+        const name = KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+        return shift ? `Shift+${name}` : name;
+    }
+
+    /**
+     * Get the name of an action's first key, for prompts
+     * @param {string} actionId - Action identifier
+     * @returns {string} - Key name, or 'unbound'
+     */
+    getKeyLabel(actionId) {
+        const [first] = this.getBindings(actionId);
+        return first ? this.formatBinding(first) : 'unbound';
+    }
+}
+
+// Shared action map, read by main.js, Game, sceneIntegration and the InteractionManager
+const actionMap = new ActionMap();
+
+export { ActionMap, actionMap, ACTIONS, PRESETS };
@@ -6,6 +6,13 @@
 import { Entity } from './entity.js';
 import { debug } from './utils.js';
 import { getAssetPath } from './pathResolver.js';
+import { getGamesForCabinet } from './gameCatalog.js';
+import { gamePlayer } from './gamePlayerOverlay.js';
+import { GameBrowser, SHELVES } from './gameBrowser.js';
+import { playHistory } from './playHistory.js';
+import { interactionManager } from './interactionManager.js';
+import { audioManager } from './audioManager.js';
+import { overlayManager } from './overlayManager.js';
 
 class ArcadeEntity extends Entity {
     /**
@@ -44,6 +51,11 @@ class ArcadeEntity extends Entity {
         this.scaleY = .77;
         this.groundingFactor = 0.35; // Percentage of height that sits "in" the ground
         
+        // Cabinet base as drawn, a little wider and deeper than the 1x1 footprint
+        this.colliders = [
+            { type: 'box', x: 0, y: 0.1, width: 1.1, height: 1.2 }
+        ];
+
         // Apply positional offset like other decorative entities
         // This corrects grid alignment based on patterns from other entities
         this.x += -1.0;
@@ -51,9 +63,17 @@ class ArcadeEntity extends Entity {
         
         // Interaction properties
         this.isNearPlayer = false;
+        this.actionLabel = 'PLAY';       // Touch action button label
         this.isInteracting = false;
-        this.interactionPromptAlpha = 0;
-        this.wasEnterPressed = false;  // Track previous Enter key state for edge detection
+        
+        // Enter opens the game menu through the shared interaction pipeline; the menu handles its own keys
+        interactionManager.register(this, {
+            radius: this.interactionRadius,
+            label: this.actionLabel,
+            prompt: 'Play Games',
+            onInteract: () => this.startInteraction(),
+            isEnabled: () => !this.gameSelectVisible
+        });
         
         // Animation properties
         this.animationFrame = 0;
@@ -63,51 +83,15 @@ class ArcadeEntity extends Entity {
         
         // Game selection properties
         this.gameSelectVisible = false;
-        this.games = [
-            { 
-                title: 'Neon Requiem', 
-                description: 'Top-Down Corridor Shooter', 
-                url: 'https://aialchemistart.github.io/NeonRequiem/',
-                imagePath: 'assets/Games/Game_1.png', // Updated casing from games to Games
-                image: null,
-                alternativeImagePaths: ['assets/Games/Game_1.png', 'assets/games/Game_1.png', 'assets/decor/Game_1.png']
-            },
-            { 
-                title: 'Synth-Pocalypse Now!', 
-                description: 'Typing/Bullet Hell', 
-                url: 'https://aialchemistart.github.io/Synthpocalypse-Now-/',
-                imagePath: 'assets/Games/Game_2.png', // Updated casing from games to Games
-                image: null,
-                alternativeImagePaths: ['assets/Games/Game_2.png', 'assets/games/Game_2.png', 'assets/decor/Game_2.png']
-            },
-            { 
-                title: 'Pixel Survivor', 
-                description: 'Top-Down Survival Shooter', 
-                url: 'https://pixel-survival.replit.app/',
-                imagePath: 'assets/Games/Game_3.png', // Updated casing from games to Games
-                image: null,
-                alternativeImagePaths: ['assets/Games/Game_3.png', 'assets/games/Game_3.png', 'assets/decor/Game_3.png']
-            },
-            { 
-                title: 'Neon Swarm', 
-                description: 'Top-Down Wave Shooter', 
-                url: 'https://aialchemistart.github.io/SpaceInvaders/',
-                imagePath: 'assets/Games/Game_4.png', // Updated casing from games to Games
-                image: null,
-                alternativeImagePaths: ['assets/Games/Game_4.png', 'assets/games/Game_4.png', 'assets/decor/Game_4.png']
-            },
-            { 
-                title: 'Pixel Farmer\'s Quest', 
-                description: 'Farming Action/Survival', 
-                url: 'https://pixel-harvest.replit.app/',
-                imagePath: 'assets/Games/Game_5.png', // Updated casing from games to Games
-                image: null,
-                alternativeImagePaths: ['assets/Games/Game_5.png', 'assets/games/Game_5.png', 'assets/decor/Game_5.png']
-            }
-        ];
+        // Games come from the shared catalog (assets/data/games.json) unless passed in directly
+        this.cabinetId = options.cabinet || 'arcade1';
+        this.games = [];
         this.selectedGameIndex = 0;
         this.gameImagesLoaded = false;
         
+        // Shelf and favorites state for the select menu (this cabinet has no search or tag bar)
+        this.browser = new GameBrowser({ pageSize: 3, filters: false });
+        
         // Key state tracking
         this.wasUpPressed = false;
         this.wasDownPressed = false;
@@ -116,8 +100,7 @@ class ArcadeEntity extends Entity {
         // Test loading immediately
         this.testImageLoad();
         
-        // Flag for direct key listeners
-        this.hasKeyListeners = false;
+        // Direct key listeners for the open game menu
         this.menuKeyListeners = null;
         
         // Sound effects
@@ -128,7 +111,43 @@ class ArcadeEntity extends Entity {
         // Load sound effects
         this.loadSoundEffects();
         
-        // Load game preview images
+        // Load the game list, then its preview images
+        if (options.games) {
+            this.setGames(options.games);
+        } else {
+            this.loadCatalogGames();
+        }
+    }
+    
+    /**
+     * Load this cabinet's games from the game catalog
+     */
+    loadCatalogGames() {
+        getGamesForCabinet(this.cabinetId)
+            .then(games => {
+                debug(`ArcadeEntity: Loaded ${games.length} catalog games for cabinet ${this.cabinetId}`);
+                this.setGames(games);
+            })
+            .catch(err => {
+                console.error(`ArcadeEntity: Failed to load game catalog for cabinet ${this.cabinetId}:`, err);
+            });
+    }
+    
+    /**
+     * Replace the cabinet's game list and start loading preview images
+     * @param {Array} games - Game objects ({title, description, url, imagePath, ...})
+     */
+    setGames(games) {
+        this.games = games.map(game => ({
+            ...game,
+            image: game.image || null,
+            alternativeImagePaths: game.alternativeImagePaths ||
+                (game.imagePath ? [game.imagePath, game.imagePath.replace('Games', 'games')] : [])
+        }));
+        this.browser.setGames(this.games);
+        this.selectedGameIndex = this.browser.getSelectedIndex();
+        this.gameImagesLoaded = false;
+        
         this.loadGameImages();
     }
     
@@ -662,8 +681,8 @@ class ArcadeEntity extends Entity {
         const dy = player.y - this.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
-        // Check if player is within interaction radius
-        const isNear = distance <= this.interactionRadius;
+        // Check if player is within interaction radius (looked up in the spatial grid)
+        const isNear = interactionManager.isInRange(this, player);
         
         // Log details about the proximity check
         if (isNear) {
@@ -704,20 +723,6 @@ class ArcadeEntity extends Entity {
             this.isNearPlayer = isNearPlayer;
         }
         
-        // Handle input when player is nearby and not already interacting
-        if (this.isNearPlayer && !this.gameSelectVisible) {
-            // Check for Enter key press - we check directly from the input system
-            const isEnterPressed = window.input && window.input.keys && window.input.keys['Enter'];
-            
-            if (isEnterPressed && !this.wasEnterPressed) {
-                debug(`ArcadeEntity: Enter key pressed, starting interaction`);
-                this.startInteraction();
-            }
-            
-            // Update previous key state
-            this.wasEnterPressed = isEnterPressed;
-        }
-        
         // Update glow effects
         if (this.isNearPlayer) {
             // Enhanced pulsing glow when player is nearby
@@ -730,9 +735,6 @@ class ArcadeEntity extends Entity {
                 this.glowIntensity = this.maxGlowIntensity / 2;
                 this.glowDirection = 1;
             }
-            
-            // Fade in interaction prompt - faster fade in for better visibility
-            this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + deltaTime * 4);
         } else {
             // Always maintain a base pulsing glow when player is away
             // Pulse between 20-40% of max glow intensity when not in proximity
@@ -746,9 +748,6 @@ class ArcadeEntity extends Entity {
                 this.glowDirection = 1;
             }
             
-            // Fade out interaction prompt
-            this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - deltaTime * 4);
-            
             // If we're showing the game selection and player walks away, close it
             if (this.gameSelectVisible) {
                 debug(`ArcadeEntity: Player walked away, closing game selection`);
@@ -772,53 +771,6 @@ class ArcadeEntity extends Entity {
             this.screenGlowDirection = 1;
         }
         
-        // Occasionally log input state for debugging
-        if (Math.random() < 0.02 && this.isNearPlayer) {
-            console.log("======= ARCADE INPUT DEBUG =======");
-            console.log(`Player nearby: ${this.isNearPlayer}`);
-            console.log(`Game select visible: ${this.gameSelectVisible}`);
-            console.log(`Input object exists: ${!!window.input}`);
-            
-            if (window.input) {
-                console.log(`Input keys object exists: ${!!window.input.keys}`);
-                if (window.input.keys) {
-                    console.log(`Enter key state: ${window.input.keys['Enter'] ? 'PRESSED' : 'not pressed'}`);
-                    console.log(`Space key state: ${window.input.keys[' '] ? 'PRESSED' : 'not pressed'}`);
-                    
-                    // List all pressed keys for debugging
-                    const pressedKeys = [];
-                    for (const key in window.input.keys) {
-                        if (window.input.keys[key]) {
-                            pressedKeys.push(key);
-                        }
-                    }
-                    console.log(`All pressed keys: ${pressedKeys.join(', ') || 'none'}`);
-                }
-            }
-            console.log("==================================");
-        }
-        
-        // Check for Enter key to start interaction
-        let isEnterPressed = false;
-        
-        // First try window.input.keys approach
-        if (window.input && window.input.keys) {
-            isEnterPressed = window.input.keys['Enter'] || window.input.keys[' '];
-            
-            // Only detect a new press (not holding) to start interaction
-            if (isEnterPressed && !this.wasEnterPressed) {
-                console.log("🎮 ENTER KEY NEWLY PRESSED!");
-                
-                if (this.isNearPlayer && !this.gameSelectVisible) {
-                    console.log("🎮 STARTING INTERACTION!");
-                    this.startInteraction();
-                }
-            }
-            
-            // Update Enter key state for next frame
-            this.wasEnterPressed = isEnterPressed;
-        }
-        
         // Setup and handle menu-specific direct keyboard controls when game selection is visible
         if (this.gameSelectVisible && !this.menuKeyListeners) {
             // Set up direct key listeners specifically for the menu
@@ -834,30 +786,26 @@ class ArcadeEntity extends Entity {
                     e.preventDefault();
                     e.stopPropagation();
                     
-                    if (e.key === 'ArrowUp' || e.key === 'w' || e.key === 'W') {
-                        console.log("🎮 UP key detected for menu");
-                        this.selectedGameIndex = (this.selectedGameIndex - 1 + this.games.length) % this.games.length;
-                        this.playSelectSound();
-                        
-                        // Force redraw
-                        this.drawGameSelectionInterface(null);
-                    }
-                    else if (e.key === 'ArrowDown' || e.key === 's' || e.key === 'S') {
-                        console.log("🎮 DOWN key detected for menu");
-                        this.selectedGameIndex = (this.selectedGameIndex + 1) % this.games.length;
-                        this.playSelectSound();
-                        
-                        // Force redraw
-                        this.drawGameSelectionInterface(null);
-                    }
-                    else if (e.key === 'Enter' || e.key === ' ') {
+                    // Shelves, favorites and selection are handled by the browser
+                    const action = this.browser.handleKey(e.key);
+                    this.selectedGameIndex = this.browser.getSelectedIndex();
+                    
+                    if (action === 'launch') {
                         console.log("🎮 ENTER key detected for menu selection");
                         this.launchGame();
                     }
-                    else if (e.key === 'Escape') {
+                    else if (action === 'close') {
                         console.log("🎮 ESCAPE key detected for menu");
                         this.hideGameSelection();
                     }
+                    else if (action) {
+                        if (action === 'move' || action === 'favorite') {
+                            this.playSelectSound();
+                        }
+                        
+                        // Force redraw
+                        this.drawGameSelectionInterface(null);
+                    }
                     
                     // Also nullify the input system's knowledge of this key
                     if (window.input && window.input.keys) {
@@ -891,30 +839,6 @@ class ArcadeEntity extends Entity {
             this.menuKeyListeners = null;
         }
         
-        // Setup interaction key listener when near player but not in menu
-        if (!this.hasKeyListeners && !this.gameSelectVisible && this.isNearPlayer) {
-            // Set up one-time key listeners when player is near
-            console.log("🎮 Setting up direct key listeners for arcade interaction");
-            this.hasKeyListeners = true;
-            
-            // Add a direct document-level event listener as a fallback
-            document.addEventListener('keydown', this.handleKeyDown = (e) => {
-                console.log(`🎮 Direct keydown detected: ${e.key}`);
-                if ((e.key === 'Enter' || e.key === ' ') && this.isNearPlayer && !this.gameSelectVisible) {
-                    console.log("🎮 DIRECT ENTER KEY DETECTED - Starting interaction");
-                    this.startInteraction();
-                    
-                    // Prevent default action
-                    e.preventDefault();
-                }
-            });
-        } else if (this.hasKeyListeners && (!this.isNearPlayer || this.gameSelectVisible)) {
-            // Remove listeners when no longer needed
-            console.log("🎮 Removing direct key listeners for arcade");
-            document.removeEventListener('keydown', this.handleKeyDown);
-            this.hasKeyListeners = false;
-        }
-        
         // Draw the game selection UI if it's visible
         // This needs to happen every frame to keep the UI updated
         if (this.gameSelectVisible) {
@@ -945,16 +869,16 @@ class ArcadeEntity extends Entity {
      */
     startInteraction() {
         debug(`ArcadeEntity: Starting interaction`);
-        this.gameSelectVisible = true;
         
-        // Tell the game system we're in an interaction
-        // This prevents player movement during menu navigation
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(true);
-            debug(`ArcadeEntity: Set game interaction state to active`);
-        } else {
-            console.warn(`ArcadeEntity: Game interaction system not available!`);
+        // The menu goes on the shared overlay stack, which pauses the world while it is open
+        if (!this.openMenuOverlay()) {
+            return;
         }
+        this.gameSelectVisible = true;
+        
+        // Pick up games played since the menu was last open
+        this.browser.refresh();
+        this.selectedGameIndex = this.browser.getSelectedIndex();
         
         // Play sound
         this.playActivateSound();
@@ -971,13 +895,6 @@ class ArcadeEntity extends Entity {
         
         this.gameSelectVisible = false;
         
-        // Tell the game system interaction is over
-        // This allows player movement again
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(false);
-            debug(`ArcadeEntity: Set game interaction state to inactive`);
-        }
-        
         // Remove menu key listeners if they exist
         if (this.menuKeyListeners) {
             console.log("🎮 Removing menu key listeners on hide");
@@ -986,11 +903,8 @@ class ArcadeEntity extends Entity {
             this.menuKeyListeners = null;
         }
         
-        // Remove the overlay canvas if it exists
-        const overlayCanvas = document.getElementById('arcadeMenuOverlay');
-        if (overlayCanvas) {
-            overlayCanvas.parentElement.removeChild(overlayCanvas);
-        }
+        // Remove the menu and let the world have the keyboard back
+        this.closeMenuOverlay();
         
         // Clear any lingering key states in the input system
         if (window.input && window.input.keys) {
@@ -1004,27 +918,90 @@ class ArcadeEntity extends Entity {
         }
     }
     
+    /**
+     * Put the game selection menu's overlay over the game canvas and open it on the overlay stack
+     * @returns {boolean} - False if there is no game canvas or another overlay is open
+     */
+    openMenuOverlay() {
+        const mainCanvas = document.getElementById('gameCanvas');
+        if (!mainCanvas) {
+            return false;
+        }
+        
+        const mainRect = mainCanvas.getBoundingClientRect();
+        const overlay = document.createElement('div');
+        overlay.id = 'arcadeMenu';
+        overlay.style.position = 'absolute';
+        overlay.style.top = mainRect.top + 'px';
+        overlay.style.left = mainRect.left + 'px';
+        overlay.style.width = mainRect.width + 'px';
+        overlay.style.height = mainRect.height + 'px';
+        overlay.style.pointerEvents = 'none'; // Keyboard-only menu; clicks pass through
+        overlay.style.outline = 'none';
+        
+        // The menu is drawn into this canvas every frame (drawGameSelectionInterface)
+        const menuCanvas = document.createElement('canvas');
+        menuCanvas.id = 'arcadeMenuOverlay';
+        menuCanvas.width = mainCanvas.width;
+        menuCanvas.height = mainCanvas.height;
+        menuCanvas.style.width = '100%';
+        menuCanvas.style.height = '100%';
+        menuCanvas.style.display = 'block';
+        overlay.appendChild(menuCanvas);
+
+        document.body.appendChild(overlay);
+        if (!overlayManager.open('arcadeMenu', { element: overlay, onRequestClose: () => this.hideGameSelection() })) {
+            overlay.remove();
+            return false;
+        }
+        
+        this.menuOverlay = overlay;
+        return true;
+    }
+    
+    /**
+     * Remove the game selection menu's overlay and take it off the overlay stack
+     */
+    closeMenuOverlay() {
+        if (!this.menuOverlay) {
+            return;
+        }
+        
+        this.menuOverlay.remove();
+        this.menuOverlay = null;
+        overlayManager.close('arcadeMenu');
+    }
+    
     /**
      * Launch the selected game
      */
     launchGame() {
-        debug(`ArcadeEntity: Launching game: ${this.games[this.selectedGameIndex].title}`);
-        
         if (this.games.length === 0) {
             debug(`ArcadeEntity: No games available to launch`);
             return;
         }
         
-        // Get the selected game
+        // Get the selected game (nothing is selected when the shelf is empty)
         const selectedGame = this.games[this.selectedGameIndex];
+        if (!selectedGame) {
+            debug(`ArcadeEntity: No game selected to launch`);
+            return;
+        }
         debug(`ArcadeEntity: Launching game: ${selectedGame.title} (${selectedGame.url})`);
         
+        // Remember the launch for the Recently Played shelf
+        playHistory.recordLaunch(selectedGame);
+        
         // Play launch sound
         this.playLaunchSound();
         
-        // Restore game interaction state before launching
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(false);
+        // Hide the game selection interface
+        this.hideGameSelection();
+        
+        // Play inside the cabinet unless the game refuses to be framed
+        if (selectedGame.launchMode !== 'tab') {
+            gamePlayer.open(selectedGame, { cabinetName: 'ARCADE 1', accentColor: '#00FFFF' });
+            return;
         }
         
         // Open the game URL
@@ -1034,9 +1011,6 @@ class ArcadeEntity extends Entity {
         } catch (err) {
             debug(`ArcadeEntity: Failed to open URL: ${err}`);
         }
-        
-        // Hide the game selection interface
-        this.hideGameSelection();
     }
     
     /**
@@ -1045,7 +1019,10 @@ class ArcadeEntity extends Entity {
     playActivateSound() {
         try {
             // Create custom arcade power-on sound using Web Audio API
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // Create oscillator for the electronic hum
             const oscillator = context.createOscillator();
@@ -1097,7 +1074,7 @@ class ArcadeEntity extends Entity {
             gainNode.connect(distortion);
             gainNode2.connect(distortion);
             distortion.connect(masterGain);
-            masterGain.connect(context.destination);
+            masterGain.connect(audioManager.getBus('ui'));
             
             // Start oscillators
             oscillator.start();
@@ -1107,7 +1084,6 @@ class ArcadeEntity extends Entity {
             setTimeout(() => {
                 oscillator.stop();
                 oscillator2.stop();
-                context.close();
             }, 800);
             
             debug(`ArcadeEntity: Played custom activation sound`);
@@ -1121,7 +1097,10 @@ class ArcadeEntity extends Entity {
      */
     playSelectSound() {
         try {
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // Create oscillator for the selection blip
             const oscillator = context.createOscillator();
@@ -1136,13 +1115,12 @@ class ArcadeEntity extends Entity {
             
             // Connect nodes
             oscillator.connect(gainNode);
-            gainNode.connect(context.destination);
+            gainNode.connect(audioManager.getBus('ui'));
             
             // Start and stop the sound
             oscillator.start();
             setTimeout(() => {
                 oscillator.stop();
-                context.close();
             }, 100);
             
             debug(`ArcadeEntity: Played custom selection sound`);
@@ -1156,7 +1134,10 @@ class ArcadeEntity extends Entity {
      */
     playLaunchSound() {
         try {
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // Create an array of notes for a classic arcade startup jingle
             const notes = [523.25, 659.25, 783.99, 1046.50]; // C5, E5, G5, C6
@@ -1165,7 +1146,7 @@ class ArcadeEntity extends Entity {
             // Create gain node for the entire sequence
             const masterGain = context.createGain();
             masterGain.gain.setValueAtTime(0.1, context.currentTime);
-            masterGain.connect(context.destination);
+            masterGain.connect(audioManager.getBus('ui'));
             
             // Play each note with a slight delay
             let startTime = context.currentTime;
@@ -1193,11 +1174,6 @@ class ArcadeEntity extends Entity {
                 startTime += durations[i];
             });
             
-            // Close audio context after all notes have played
-            setTimeout(() => {
-                context.close();
-            }, (startTime - context.currentTime + 0.5) * 1000);
-            
             debug(`ArcadeEntity: Played custom launch sound`);
         } catch (err) {
             debug(`ArcadeEntity: Error playing launch sound: ${err}`);
@@ -1218,7 +1194,10 @@ class ArcadeEntity extends Entity {
      */
     playMenuCloseSound() {
         try {
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // Create oscillator for a downward sweep
             const oscillator = context.createOscillator();
@@ -1233,13 +1212,12 @@ class ArcadeEntity extends Entity {
             
             // Connect nodes
             oscillator.connect(gainNode);
-            gainNode.connect(context.destination);
+            gainNode.connect(audioManager.getBus('ui'));
             
             // Start and stop the sound
             oscillator.start();
             setTimeout(() => {
                 oscillator.stop();
-                context.close();
             }, 300);
             
             debug(`ArcadeEntity: Played menu close sound`);
@@ -1253,7 +1231,10 @@ class ArcadeEntity extends Entity {
      */
     playProximitySound() {
         try {
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // Create a chiptune-style arpeggio sequence
             const notes = [523.25, 659.25, 783.99, 659.25]; // C5, E5, G5, E5 - simple C major arpeggio
@@ -1276,7 +1257,7 @@ class ArcadeEntity extends Entity {
             // Connect the nodes
             oscMaster.connect(filter);
             filter.connect(gainNode);
-            gainNode.connect(context.destination);
+            gainNode.connect(audioManager.getBus('sfx'));
             
             // Play each note of the sequence
             let time = context.currentTime;
@@ -1300,7 +1281,6 @@ class ArcadeEntity extends Entity {
             oscMaster.start();
             setTimeout(() => {
                 oscMaster.stop();
-                context.close();
             }, (time - context.currentTime + 0.2) * 1000);
             
             debug(`ArcadeEntity: Played chiptune proximity sound`);
@@ -1387,12 +1367,6 @@ class ArcadeEntity extends Entity {
             ctx.stroke();
         }
         
-        // Draw interaction prompt if player is nearby and prompt is visible
-        if (this.isNearPlayer && this.interactionPromptAlpha > 0 && !this.gameSelectVisible) {
-            debug(`ArcadeEntity: Drawing interaction prompt, alpha=${this.interactionPromptAlpha}`);
-            this.drawInteractionPrompt(ctx, screenX, adjustedY - 50);
-        }
-        
         ctx.restore();
     }
     
@@ -1528,66 +1502,6 @@ class ArcadeEntity extends Entity {
         ctx.restore();
     }
     
-    /**
-     * Draw the interaction prompt
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {number} x - X position to draw at
-     * @param {number} y - Y position to draw at
-     */
-    drawInteractionPrompt(ctx, x, y) {
-        ctx.save();
-        
-        // Set up text style with larger font
-        ctx.font = 'bold 20px monospace';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        // Draw text with background for better visibility
-        const text = 'Press ENTER to Play Games';
-        const textWidth = ctx.measureText(text).width;
-        
-        // Create dimensions for prompt window
-        const padding = 48;
-        const promptWidth = textWidth + (padding * .4);
-        const promptHeight = 60;
-        const promptX = x - promptWidth/2;
-        const promptY = y - 30;
-        
-        // Create gradient background instead of solid color
-        const gradient = ctx.createLinearGradient(
-            promptX, 
-            promptY, 
-            promptX, 
-            promptY + promptHeight
-        );
-        gradient.addColorStop(0, `rgba(0, 30, 40, ${this.interactionPromptAlpha * 0.9})`);
-        gradient.addColorStop(0.5, `rgba(0, 60, 80, ${this.interactionPromptAlpha * 0.9})`);
-        gradient.addColorStop(1, `rgba(0, 30, 40, ${this.interactionPromptAlpha * 0.9})`);
-        
-        // Draw background with gradient
-        ctx.fillStyle = gradient;
-        ctx.fillRect(promptX, promptY, promptWidth, promptHeight);
-        
-        // Draw border with glow effect
-        ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 15 * (this.glowIntensity > 0 ? this.glowIntensity : 1);
-        ctx.strokeStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(promptX, promptY, promptWidth, promptHeight);
-        ctx.shadowBlur = 0;
-        
-        // Draw main text with stronger visibility
-        ctx.fillStyle = `rgba(255, 255, 255, ${Math.min(1, this.interactionPromptAlpha + 0.2)})`;
-        ctx.fillText(text, x, y - 10);
-        
-        // Draw key indicator like in JukeboxEntity
-        ctx.font = 'bold 16px monospace';
-        ctx.fillStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.fillText('[ ENTER ]', x, y + 15);
-        
-        ctx.restore();
-    }
-    
     /**
      * Draw game selection interface
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -1630,46 +1544,17 @@ class ArcadeEntity extends Entity {
         
         console.log(`🎮 Main canvas dimensions: ${width}x${height}`);
         
-        // Determine container for overlay
-        const container = mainCanvas.parentElement || document.body;
-        
-        // Use a separate canvas overlay for the game selection menu
-        // This ensures it's drawn on top of everything
-        let overlayCanvas = document.getElementById('arcadeMenuOverlay');
-        let overlayCtx;
-        
+        // The overlay canvas is created when the menu opens (openMenuOverlay)
+        const overlayCanvas = this.menuOverlay && this.menuOverlay.querySelector('canvas');
         if (!overlayCanvas) {
-            // Create overlay canvas if it doesn't exist
-            console.log("🎮 Creating overlay canvas for arcade menu");
-            const newOverlay = document.createElement('canvas');
-            newOverlay.id = 'arcadeMenuOverlay';
-            newOverlay.width = width;
-            newOverlay.height = height;
-            
-            // Position the overlay exactly over the game canvas
-            newOverlay.style.position = 'absolute';
-            
-            // Get the precise position of the main canvas
-            const mainRect = mainCanvas.getBoundingClientRect();
-            newOverlay.style.top = mainRect.top + 'px';
-            newOverlay.style.left = mainRect.left + 'px';
-            newOverlay.style.width = mainRect.width + 'px';
-            newOverlay.style.height = mainRect.height + 'px';
-            
-            newOverlay.style.zIndex = '9999'; // Very high z-index to ensure it's on top
-            newOverlay.style.pointerEvents = 'none'; // Allow clicks to pass through
-            
-            // Add to the document body
-            document.body.appendChild(newOverlay);
-            
-            overlayCtx = newOverlay.getContext('2d');
-            console.log(`🎮 Created overlay canvas: ${newOverlay.width}x${newOverlay.height}`);
-        } else {
-            // Use existing overlay
-            overlayCtx = overlayCanvas.getContext('2d');
-            // Clear previous frame
-            overlayCtx.clearRect(0, 0, width, height);
+            return;
         }
+        if (overlayCanvas.width !== width || overlayCanvas.height !== height) {
+            overlayCanvas.width = width;
+            overlayCanvas.height = height;
+        }
+        const overlayCtx = overlayCanvas.getContext('2d');
+        overlayCtx.clearRect(0, 0, width, height);
         
         // Use the overlay context for drawing
         overlayCtx.save();
@@ -1692,7 +1577,7 @@ class ArcadeEntity extends Entity {
         overlayCtx.shadowColor = '#00FFFF';
         overlayCtx.shadowBlur = 20;
         overlayCtx.fillStyle = headerGradient;
-        overlayCtx.fillText('ARCADE GAMES', width/2, height * 0.12);
+        overlayCtx.fillText('ARCADE GAMES', width/2, height * 0.09); // Raised to leave room for the shelf tabs
         
         // Reset shadow for other elements
         overlayCtx.shadowBlur = 0;
@@ -1728,17 +1613,43 @@ class ArcadeEntity extends Entity {
         overlayCtx.strokeRect(menuX + 5, menuY + 5, menuWidth - 10, menuHeight - 10);
         
         // Make sure we have games to display
+        const browser = this.browser;
+        const shelfGames = browser.results; // Indices into this.games for the current shelf
+        const cursor = browser.cursor;
         if (this.games && this.games.length > 0) {
+            // Shelf tabs above the menu: All Games, Recently Played, Favorites
+            const tabHeight = 26;
+            const tabY = menuY - tabHeight - 8;
+            const tabWidth = menuWidth / SHELVES.length;
+            SHELVES.forEach((shelf, index) => {
+                const tabX = menuX + index * tabWidth;
+                const isActive = index === browser.shelfIndex;
+                
+                overlayCtx.fillStyle = isActive ? 'rgba(0, 255, 255, 0.2)' : 'rgba(0, 20, 40, 0.8)';
+                overlayCtx.fillRect(tabX + 2, tabY, tabWidth - 4, tabHeight);
+                overlayCtx.strokeStyle = isActive ? '#00FFFF' : '#0088FF';
+                overlayCtx.lineWidth = isActive ? 2 : 1;
+                overlayCtx.strokeRect(tabX + 2, tabY, tabWidth - 4, tabHeight);
+                
+                overlayCtx.font = isActive ? 'bold 14px "Courier New", monospace' : '14px "Courier New", monospace';
+                overlayCtx.textAlign = 'center';
+                overlayCtx.textBaseline = 'middle';
+                overlayCtx.fillStyle = isActive ? '#FFFFFF' : '#888888';
+                overlayCtx.fillText(`${index + 1} ${shelf.label}`, tabX + tabWidth/2, tabY + tabHeight/2);
+            });
+        }
+        
+        if (this.games && this.games.length > 0 && shelfGames.length > 0) {
             const maxVisibleGames = 3; // Show up to 3 games at once for larger images
             const gameImageWidth = Math.min(menuWidth - 40, 400); // Cap the image width
             const gameImageHeight = Math.min(menuHeight / maxVisibleGames - 10, 100); // Cap the image height
             
             const imageSpacing = 20; // Space between images
-            const startIdx = Math.max(0, Math.min(this.selectedGameIndex - Math.floor(maxVisibleGames/2), this.games.length - maxVisibleGames));
-            const endIdx = Math.min(startIdx + maxVisibleGames, this.games.length);
+            const startIdx = Math.max(0, Math.min(cursor - Math.floor(maxVisibleGames/2), shelfGames.length - maxVisibleGames));
+            const endIdx = Math.min(startIdx + maxVisibleGames, shelfGames.length);
             
             // Draw selected game highlight with pulse effect
-            const selectedOffset = (this.selectedGameIndex - startIdx);
+            const selectedOffset = (cursor - startIdx);
             const highlightY = menuY + imageSpacing + selectedOffset * (gameImageHeight + imageSpacing);
             
             // Create time-based pulse effect
@@ -1747,8 +1658,8 @@ class ArcadeEntity extends Entity {
             
             // Draw game entries (images with descriptions)
             for (let i = startIdx; i < endIdx; i++) {
-                const game = this.games[i];
-                const isSelected = i === this.selectedGameIndex;
+                const game = this.games[shelfGames[i]];
+                const isSelected = i === cursor;
                 const relativeIndex = i - startIdx;
                 
                 // Calculate image position
@@ -1870,6 +1781,20 @@ class ArcadeEntity extends Entity {
                     overlayCtx.fillStyle = isSelected ? '#CCFFFF' : '#888888';
                     overlayCtx.fillText(game.description, imageX + gameImageWidth/2, imageY + titleBgHeight + 20);
                 }
+                
+                // Star favorites in the top-left corner of their entry
+                if (browser.history.isFavorite(game)) {
+                    overlayCtx.font = 'bold 22px Arial, sans-serif';
+                    overlayCtx.textAlign = 'left';
+                    overlayCtx.textBaseline = 'top';
+                    overlayCtx.shadowColor = '#000000';
+                    overlayCtx.shadowBlur = 6;
+                    overlayCtx.fillStyle = '#FFD700';
+                    overlayCtx.fillText('★', imageX + 6, imageY + 4);
+                    overlayCtx.shadowBlur = 0;
+                    overlayCtx.textAlign = 'center';
+                    overlayCtx.textBaseline = 'middle';
+                }
             }
             
             // Draw scroll indicators if there are more games than visible
@@ -1883,7 +1808,7 @@ class ArcadeEntity extends Entity {
                 overlayCtx.fill();
             }
             
-            if (endIdx < this.games.length) {
+            if (endIdx < shelfGames.length) {
                 // Draw down arrow
                 overlayCtx.fillStyle = '#00FFFF';
                 overlayCtx.beginPath();
@@ -1894,7 +1819,7 @@ class ArcadeEntity extends Entity {
             }
             
             // Draw URL at the bottom
-            const selectedGame = this.games[this.selectedGameIndex];
+            const selectedGame = this.games[shelfGames[cursor]];
             const detailsY = menuY + menuHeight - 15;
             
             // URL display
@@ -1909,6 +1834,17 @@ class ArcadeEntity extends Entity {
             }
             
             overlayCtx.fillText(displayUrl, menuX + menuWidth/2, detailsY);
+        } else if (this.games && this.games.length > 0) {
+            // Empty Recently Played or Favorites shelf
+            const favorites = browser.getShelf().id === 'favorites';
+            overlayCtx.font = 'bold 20px "Courier New", monospace';
+            overlayCtx.fillStyle = '#00FFFF';
+            overlayCtx.textAlign = 'center';
+            overlayCtx.fillText(favorites ? 'No favorites yet' : 'No games played yet', width/2, menuY + menuHeight/2);
+            overlayCtx.font = '14px Arial, sans-serif';
+            overlayCtx.fillStyle = '#888888';
+            overlayCtx.fillText(favorites ? 'Press F on a game to star it' : 'Games you launch from this cabinet show up here',
+                width/2, menuY + menuHeight/2 + 26);
         } else {
             // No games found message
             overlayCtx.fillStyle = '#FF0000';
@@ -1935,7 +1871,7 @@ class ArcadeEntity extends Entity {
         
         // Draw controls text
         overlayCtx.fillStyle = '#FFFFFF';
-        overlayCtx.fillText('↑/↓: Navigate | ENTER: Launch Game | ESC: Close', width/2, footerY + footerHeight/2);
+        overlayCtx.fillText('↑/↓: Navigate | ENTER: Launch Game | 1-3: Shelf | F: Star | ESC: Close', width/2, footerY + footerHeight/2);
         
         overlayCtx.restore();
         
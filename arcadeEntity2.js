@@ -6,6 +6,13 @@
 import { Entity } from './entity.js';
 import { debug } from './utils.js';
 import { getAssetPath } from './pathResolver.js';
+import { getGamesForCabinet } from './gameCatalog.js';
+import { gamePlayer } from './gamePlayerOverlay.js';
+import { playHistory } from './playHistory.js';
+import { interactionManager } from './interactionManager.js';
+import { GameBrowser, SHELVES } from './gameBrowser.js';
+import { audioManager } from './audioManager.js';
+import { overlayManager } from './overlayManager.js';
 
 class ArcadeEntity2 extends Entity {
     /**
@@ -44,6 +51,12 @@ class ArcadeEntity2 extends Entity {
         this.scaleY = .40;
         this.groundingFactor = 0.25; // Percentage of height that sits "in" the ground
         
+        // L-shaped base: the cabinet with its low bench in front, which is narrower than the cabinet
+        this.colliders = [
+            { type: 'box', x: -0.7, y: -0.75, width: 2.0, height: 1.7 },               // Cabinet
+            { type: 'box', x: -0.5, y: 0.95, width: 1.5, height: 0.65, zHeight: 0.6 }  // Bench
+        ];
+
         // Apply positional offset like other decorative entities
         // This corrects grid alignment based on patterns from other entities
         this.x += 0;
@@ -51,9 +64,17 @@ class ArcadeEntity2 extends Entity {
         
         // Interaction properties
         this.isNearPlayer = false;
+        this.actionLabel = 'PLAY';       // Touch action button label
         this.isInteracting = false;
-        this.interactionPromptAlpha = 0;
-        this.wasEnterPressed = false;  // Track previous Enter key state for edge detection
+        
+        // Enter opens the game menu through the shared interaction pipeline; the menu handles its own keys
+        interactionManager.register(this, {
+            radius: this.interactionRadius,
+            label: this.actionLabel,
+            prompt: 'Play Games',
+            onInteract: () => this.startInteraction(),
+            isEnabled: () => !this.gameSelectVisible
+        });
         
         // Animation properties
         this.animationFrame = 0;
@@ -64,33 +85,14 @@ class ArcadeEntity2 extends Entity {
         // Game selection properties
         this.gameSelectVisible = false;
         
-        // Use games from options if provided, otherwise use a fallback
-        this.games = options.games || [
-            { 
-                title: 'Gnome Mercy', 
-                description: 'A bullet heaven roguelight',
-                url: 'https://gnome-mercy.vercel.app/',
-                imagePath: 'assets/Games/Game_6.png',
-                image: null,
-                alternativeImagePaths: ['assets/Games/Game_6.png', 'assets/games/Game_6.png']
-            }
-        ];
-        
-        // For each game that has an imagePath but no alternativeImagePaths, add them
-        this.games.forEach(game => {
-            if (game.imagePath && !game.alternativeImagePaths) {
-                game.alternativeImagePaths = [game.imagePath, game.imagePath.replace('Games', 'games')];
-            }
-            // Initialize image property if not set
-            if (game.image === undefined) {
-                game.image = null;
-            }
-        });
-        
+        // Games come from the shared catalog (assets/data/games.json) unless passed in directly
+        this.cabinetId = options.cabinet || 'arcade2';
+        this.games = [];
         this.selectedGameIndex = 0;
         this.gameImagesLoaded = false;
         
-        console.log(`ArcadeEntity2: Initialized with ${this.games.length} games:`, this.games);
+        // Search, tag filter, sort and paging state for the select menu
+        this.browser = new GameBrowser({ pageSize: 5 });
         
         // Key state tracking
         this.wasUpPressed = false;
@@ -100,8 +102,7 @@ class ArcadeEntity2 extends Entity {
         // Test loading immediately
         this.testImageLoad();
         
-        // Flag for direct key listeners
-        this.hasKeyListeners = false;
+        // Direct key listeners for the open game menu
         this.menuKeyListeners = null;
         
         // Sound effects
@@ -112,7 +113,43 @@ class ArcadeEntity2 extends Entity {
         // Load sound effects
         this.loadSoundEffects();
         
-        // Load game preview images
+        // Load the game list, then its preview images
+        if (options.games) {
+            this.setGames(options.games);
+        } else {
+            this.loadCatalogGames();
+        }
+    }
+    
+    /**
+     * Load this cabinet's games from the game catalog
+     */
+    loadCatalogGames() {
+        getGamesForCabinet(this.cabinetId)
+            .then(games => {
+                debug(`ArcadeEntity2: Loaded ${games.length} catalog games for cabinet ${this.cabinetId}`);
+                this.setGames(games);
+            })
+            .catch(err => {
+                console.error(`ArcadeEntity2: Failed to load game catalog for cabinet ${this.cabinetId}:`, err);
+            });
+    }
+    
+    /**
+     * Replace the cabinet's game list and start loading preview images
+     * @param {Array} games - Game objects ({title, description, url, imagePath, ...})
+     */
+    setGames(games) {
+        this.games = games.map(game => ({
+            ...game,
+            image: game.image || null,
+            alternativeImagePaths: game.alternativeImagePaths ||
+                (game.imagePath ? [game.imagePath, game.imagePath.replace('Games', 'games')] : [])
+        }));
+        this.browser.setGames(this.games);
+        this.selectedGameIndex = this.browser.getSelectedIndex();
+        this.gameImagesLoaded = false;
+        
         this.loadGameImages();
     }
     
@@ -646,8 +683,8 @@ class ArcadeEntity2 extends Entity {
         const dy = player.y - this.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
-        // Check if player is within interaction radius
-        const isNear = distance <= this.interactionRadius;
+        // Check if player is within interaction radius (looked up in the spatial grid)
+        const isNear = interactionManager.isInRange(this, player);
         
         // Log details about the proximity check
         if (isNear) {
@@ -688,20 +725,6 @@ class ArcadeEntity2 extends Entity {
             this.isNearPlayer = isNearPlayer;
         }
         
-        // Handle input when player is nearby and not already interacting
-        if (this.isNearPlayer && !this.gameSelectVisible) {
-            // Check for Enter key press - we check directly from the input system
-            const isEnterPressed = window.input && window.input.keys && window.input.keys['Enter'];
-            
-            if (isEnterPressed && !this.wasEnterPressed) {
-                debug(`ArcadeEntity2: Enter key pressed, starting interaction`);
-                this.startInteraction();
-            }
-            
-            // Update previous key state
-            this.wasEnterPressed = isEnterPressed;
-        }
-        
         // Update glow effects
         if (this.isNearPlayer) {
             // Enhanced pulsing glow when player is nearby
@@ -714,9 +737,6 @@ class ArcadeEntity2 extends Entity {
                 this.glowIntensity = this.maxGlowIntensity / 2;
                 this.glowDirection = 1;
             }
-            
-            // Fade in interaction prompt - faster fade in for better visibility
-            this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + deltaTime * 4);
         } else {
             // Always maintain a base pulsing glow when player is away
             // Pulse between 20-40% of max glow intensity when not in proximity
@@ -730,9 +750,6 @@ class ArcadeEntity2 extends Entity {
                 this.glowDirection = 1;
             }
             
-            // Fade out interaction prompt
-            this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - deltaTime * 4);
-            
             // If we're showing the game selection and player walks away, close it
             if (this.gameSelectVisible) {
                 debug(`ArcadeEntity2: Player walked away, closing game selection`);
@@ -756,53 +773,6 @@ class ArcadeEntity2 extends Entity {
             this.screenGlowDirection = 1;
         }
         
-        // Occasionally log input state for debugging
-        if (Math.random() < 0.02 && this.isNearPlayer) {
-            console.log("======= ARCADE INPUT DEBUG =======");
-            console.log(`Player nearby: ${this.isNearPlayer}`);
-            console.log(`Game select visible: ${this.gameSelectVisible}`);
-            console.log(`Input object exists: ${!!window.input}`);
-            
-            if (window.input) {
-                console.log(`Input keys object exists: ${!!window.input.keys}`);
-                if (window.input.keys) {
-                    console.log(`Enter key state: ${window.input.keys['Enter'] ? 'PRESSED' : 'not pressed'}`);
-                    console.log(`Space key state: ${window.input.keys[' '] ? 'PRESSED' : 'not pressed'}`);
-                    
-                    // List all pressed keys for debugging
-                    const pressedKeys = [];
-                    for (const key in window.input.keys) {
-                        if (window.input.keys[key]) {
-                            pressedKeys.push(key);
-                        }
-                    }
-                    console.log(`All pressed keys: ${pressedKeys.join(', ') || 'none'}`);
-                }
-            }
-            console.log("==================================");
-        }
-        
-        // Check for Enter key to start interaction
-        let isEnterPressed = false;
-        
-        // First try window.input.keys approach
-        if (window.input && window.input.keys) {
-            isEnterPressed = window.input.keys['Enter'] || window.input.keys[' '];
-            
-            // Only detect a new press (not holding) to start interaction
-            if (isEnterPressed && !this.wasEnterPressed) {
-                console.log("🎮 ENTER KEY NEWLY PRESSED!");
-                
-                if (this.isNearPlayer && !this.gameSelectVisible) {
-                    console.log("🎮 STARTING INTERACTION!");
-                    this.startInteraction();
-                }
-            }
-            
-            // Update Enter key state for next frame
-            this.wasEnterPressed = isEnterPressed;
-        }
-        
         // Setup and handle menu-specific direct keyboard controls when game selection is visible
         if (this.gameSelectVisible && !this.menuKeyListeners) {
             // Set up direct key listeners specifically for the menu
@@ -818,30 +788,26 @@ class ArcadeEntity2 extends Entity {
                     e.preventDefault();
                     e.stopPropagation();
                     
-                    if (e.key === 'ArrowUp' || e.key === 'w' || e.key === 'W') {
-                        console.log("🎮 UP key detected for menu");
-                        this.selectedGameIndex = (this.selectedGameIndex - 1 + this.games.length) % this.games.length;
-                        this.playSelectSound();
-                        
-                        // Force redraw
-                        this.drawGameSelectionInterface(null);
-                    }
-                    else if (e.key === 'ArrowDown' || e.key === 's' || e.key === 'S') {
-                        console.log("🎮 DOWN key detected for menu");
-                        this.selectedGameIndex = (this.selectedGameIndex + 1) % this.games.length;
-                        this.playSelectSound();
-                        
-                        // Force redraw
-                        this.drawGameSelectionInterface(null);
-                    }
-                    else if (e.key === 'Enter' || e.key === ' ') {
+                    // Searching, filtering, sorting and paging are handled by the browser
+                    const action = this.browser.handleKey(e.key);
+                    this.selectedGameIndex = this.browser.getSelectedIndex();
+                    
+                    if (action === 'launch') {
                         console.log("🎮 ENTER key detected for menu selection");
                         this.launchGame();
                     }
-                    else if (e.key === 'Escape') {
+                    else if (action === 'close') {
                         console.log("🎮 ESCAPE key detected for menu");
                         this.hideGameSelection();
                     }
+                    else if (action) {
+                        if (action === 'move' || action === 'favorite') {
+                            this.playSelectSound();
+                        }
+                        
+                        // Force redraw
+                        this.drawGameSelectionInterface(null);
+                    }
                     
                     // Also nullify the input system's knowledge of this key
                     if (window.input && window.input.keys) {
@@ -875,30 +841,6 @@ class ArcadeEntity2 extends Entity {
             this.menuKeyListeners = null;
         }
         
-        // Setup interaction key listener when near player but not in menu
-        if (!this.hasKeyListeners && !this.gameSelectVisible && this.isNearPlayer) {
-            // Set up one-time key listeners when player is near
-            console.log("🎮 Setting up direct key listeners for arcade interaction");
-            this.hasKeyListeners = true;
-            
-            // Add a direct document-level event listener as a fallback
-            document.addEventListener('keydown', this.handleKeyDown = (e) => {
-                console.log(`🎮 Direct keydown detected: ${e.key}`);
-                if ((e.key === 'Enter' || e.key === ' ') && this.isNearPlayer && !this.gameSelectVisible) {
-                    console.log("🎮 DIRECT ENTER KEY DETECTED - Starting interaction");
-                    this.startInteraction();
-                    
-                    // Prevent default action
-                    e.preventDefault();
-                }
-            });
-        } else if (this.hasKeyListeners && (!this.isNearPlayer || this.gameSelectVisible)) {
-            // Remove listeners when no longer needed
-            console.log("🎮 Removing direct key listeners for arcade");
-            document.removeEventListener('keydown', this.handleKeyDown);
-            this.hasKeyListeners = false;
-        }
-        
         // Draw the game selection UI if it's visible
         // This needs to happen every frame to keep the UI updated
         if (this.gameSelectVisible) {
@@ -929,16 +871,16 @@ class ArcadeEntity2 extends Entity {
      */
     startInteraction() {
         debug(`ArcadeEntity2: Starting interaction`);
-        this.gameSelectVisible = true;
         
-        // Tell the game system we're in an interaction
-        // This prevents player movement during menu navigation
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(true);
-            debug(`ArcadeEntity2: Set game interaction state to active`);
-        } else {
-            console.warn(`ArcadeEntity2: Game interaction system not available!`);
+        // The menu goes on the shared overlay stack, which pauses the world while it is open
+        if (!this.openMenuOverlay()) {
+            return;
         }
+        this.gameSelectVisible = true;
+        
+        // Pick up games played since the menu was last open
+        this.browser.refresh();
+        this.selectedGameIndex = this.browser.getSelectedIndex();
         
         // Play sound
         this.playActivateSound();
@@ -955,12 +897,8 @@ class ArcadeEntity2 extends Entity {
         
         this.gameSelectVisible = false;
         
-        // Tell the game system interaction is over
-        // This allows player movement again
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(false);
-            debug(`ArcadeEntity2: Set game interaction state to inactive`);
-        }
+        // Reopening the menu should not drop straight back into search typing
+        this.browser.searchActive = false;
         
         // Remove menu key listeners if they exist
         if (this.menuKeyListeners) {
@@ -970,11 +908,8 @@ class ArcadeEntity2 extends Entity {
             this.menuKeyListeners = null;
         }
         
-        // Remove the overlay canvas if it exists
-        const overlayCanvas = document.getElementById('arcadeMenuOverlay');
-        if (overlayCanvas) {
-            overlayCanvas.parentElement.removeChild(overlayCanvas);
-        }
+        // Remove the menu and let the world have the keyboard back
+        this.closeMenuOverlay();
         
         // Clear any lingering key states in the input system
         if (window.input && window.input.keys) {
@@ -988,27 +923,107 @@ class ArcadeEntity2 extends Entity {
         }
     }
     
+    /**
+     * Put the game selection menu's overlay over the game canvas and open it on the overlay stack
+     * @returns {boolean} - False if there is no game canvas or another overlay is open
+     */
+    openMenuOverlay() {
+        const mainCanvas = document.getElementById('gameCanvas');
+        if (!mainCanvas) {
+            return false;
+        }
+        
+        const mainRect = mainCanvas.getBoundingClientRect();
+        const overlay = document.createElement('div');
+        overlay.id = 'arcadeMenu';
+        overlay.style.position = 'absolute';
+        overlay.style.top = mainRect.top + 'px';
+        overlay.style.left = mainRect.left + 'px';
+        overlay.style.width = mainRect.width + 'px';
+        overlay.style.height = mainRect.height + 'px';
+        overlay.style.pointerEvents = 'none'; // Only the menu canvas and its links take clicks
+        overlay.style.outline = 'none';
+        
+        // The menu is drawn into this canvas every frame (drawGameSelectionInterface)
+        const menuCanvas = document.createElement('canvas');
+        menuCanvas.id = 'arcadeMenuOverlay';
+        menuCanvas.width = mainCanvas.width;
+        menuCanvas.height = mainCanvas.height;
+        menuCanvas.style.width = '100%';
+        menuCanvas.style.height = '100%';
+        menuCanvas.style.display = 'block';
+        menuCanvas.style.pointerEvents = 'auto';
+        menuCanvas.addEventListener('click', event => this.handleMenuClick(event.clientX, event.clientY));
+        overlay.appendChild(menuCanvas);
+
+        // Creator link over the attribution panel drawn at the bottom of the menu
+        const twitterLink = document.createElement('a');
+        twitterLink.href = 'https://x.com/DannyLimanseta';
+        twitterLink.target = '_blank';
+        twitterLink.rel = 'noopener';
+        twitterLink.setAttribute('aria-label', 'Created by @DannyLimanseta');
+        twitterLink.style.position = 'absolute';
+        twitterLink.style.left = 'calc(50% - 45px)';
+        twitterLink.style.top = 'calc(91% + 10px)';
+        twitterLink.style.width = '160px';
+        twitterLink.style.height = '30px';
+        twitterLink.style.cursor = 'pointer';
+        twitterLink.style.pointerEvents = 'auto';
+        overlay.appendChild(twitterLink);
+
+        document.body.appendChild(overlay);
+        if (!overlayManager.open('arcadeMenu', { element: overlay, onRequestClose: () => this.hideGameSelection() })) {
+            overlay.remove();
+            return false;
+        }
+        
+        this.menuOverlay = overlay;
+        return true;
+    }
+    
+    /**
+     * Remove the game selection menu's overlay and take it off the overlay stack
+     */
+    closeMenuOverlay() {
+        if (!this.menuOverlay) {
+            return;
+        }
+        
+        this.menuOverlay.remove();
+        this.menuOverlay = null;
+        overlayManager.close('arcadeMenu');
+    }
+    
     /**
      * Launch the selected game
      */
     launchGame() {
-        debug(`ArcadeEntity2: Launching game: ${this.games[this.selectedGameIndex].title}`);
-        
         if (this.games.length === 0) {
             debug(`ArcadeEntity2: No games available to launch`);
             return;
         }
         
-        // Get the selected game
+        // Get the selected game (nothing is selected when the filters match no games)
         const selectedGame = this.games[this.selectedGameIndex];
+        if (!selectedGame) {
+            debug(`ArcadeEntity2: No game selected to launch`);
+            return;
+        }
         debug(`ArcadeEntity2: Launching game: ${selectedGame.title}`);
         
+        // Remember the launch for the Recently Played shelf
+        playHistory.recordLaunch(selectedGame);
+        
         // Play launch sound
         this.playLaunchSound();
         
-        // Restore game interaction state before launching
-        if (window.game && typeof window.game.setInteractionActive === 'function') {
-            window.game.setInteractionActive(false);
+        // Hide the game selection interface
+        this.hideGameSelection();
+        
+        // Play inside the cabinet unless the game refuses to be framed
+        if (selectedGame.launchMode !== 'tab') {
+            gamePlayer.open(selectedGame, { cabinetName: 'ARCADE 2', accentColor: '#FF00FF' });
+            return;
         }
         
         // Open the game URL
@@ -1018,9 +1033,6 @@ class ArcadeEntity2 extends Entity {
         } catch (err) {
             debug(`ArcadeEntity2: Failed to open URL: ${err}`);
         }
-        
-        // Hide the game selection interface
-        this.hideGameSelection();
     }
     
     /**
@@ -1028,24 +1040,17 @@ class ArcadeEntity2 extends Entity {
      */
     playActivateSound() {
         try {
-            // Create audio context for shotgun blast sound
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            // Shared audio context (null until a user gesture unlocks audio)
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // Create nodes for shotgun blast components
             
             // 1. Initial explosion burst (white noise + filter)
-            const bufferSize = 2 * context.sampleRate;
-            const noiseBuffer = context.createBuffer(1, bufferSize, context.sampleRate);
-            const output = noiseBuffer.getChannelData(0);
-            
-            // Fill buffer with noise - heavier at start for explosive sound
-            for (let i = 0; i < bufferSize; i++) {
-                output[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufferSize, 1.5);
-            }
-            
-            // Create noise source from buffer
             const noise = context.createBufferSource();
-            noise.buffer = noiseBuffer;
+            noise.buffer = audioManager.getBuffer('arcade2.blast', ctx => this.createBlastBuffer(ctx, 1.5));
             
             // Create filter for noise shaping
             const blastFilter = context.createBiquadFilter();
@@ -1079,17 +1084,7 @@ class ArcadeEntity2 extends Entity {
             
             // 3. Echo/reverb for spaciousness
             const convolver = context.createConvolver();
-            const reverbBuffer = context.createBuffer(2, context.sampleRate * 1.5, context.sampleRate);
-            
-            // Create reverb impulse with dark characteristics
-            for (let channel = 0; channel < 2; channel++) {
-                const channelData = reverbBuffer.getChannelData(channel);
-                for (let i = 0; i < channelData.length; i++) {
-                    channelData[i] = (Math.random() * 2 - 1) * Math.exp(-i / (context.sampleRate * 0.3));
-                }
-            }
-            
-            convolver.buffer = reverbBuffer;
+            convolver.buffer = audioManager.getBuffer('arcade2.reverbLong', ctx => this.createReverbBuffer(ctx, 1.5));
             
             // Final output gain
             const masterGain = context.createGain();
@@ -1106,7 +1101,7 @@ class ArcadeEntity2 extends Entity {
             rumbleGain.connect(masterGain);
             
             convolver.connect(masterGain);
-            masterGain.connect(context.destination);
+            masterGain.connect(audioManager.getBus('ui'));
             
             // Start sources
             noise.start();
@@ -1116,7 +1111,6 @@ class ArcadeEntity2 extends Entity {
             setTimeout(() => {
                 noise.stop();
                 rumbleOsc.stop();
-                context.close();
             }, 700);
             
             debug(`ArcadeEntity2: Played shotgun blast activation sound`);
@@ -1130,7 +1124,10 @@ class ArcadeEntity2 extends Entity {
      */
     playSelectSound() {
         try {
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // Create metallic click for shell loading
             const clickOsc = context.createOscillator();
@@ -1171,11 +1168,11 @@ class ArcadeEntity2 extends Entity {
             // Connect all nodes
             clickOsc.connect(clickFilter);
             clickFilter.connect(clickGain);
-            clickGain.connect(context.destination);
+            clickGain.connect(audioManager.getBus('ui'));
             
             slideOsc.connect(slideFilter);
             slideFilter.connect(slideGain);
-            slideGain.connect(context.destination);
+            slideGain.connect(audioManager.getBus('ui'));
             
             // Start oscillators
             clickOsc.start();
@@ -1185,7 +1182,6 @@ class ArcadeEntity2 extends Entity {
             setTimeout(() => {
                 clickOsc.stop();
                 slideOsc.stop();
-                context.close();
             }, 150);
             
             debug(`ArcadeEntity2: Played shotgun shell loading sound`);
@@ -1199,34 +1195,18 @@ class ArcadeEntity2 extends Entity {
      */
     playLaunchSound() {
         try {
-            const context = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create components for double-barreled shotgun blast (two shots in very quick succession)
-            
-            // 1. Create main noise buffers for both shots
-            const bufferSize = 2 * context.sampleRate; // 2 seconds of audio
-            const shotBuffer1 = context.createBuffer(1, bufferSize, context.sampleRate);
-            const shotBuffer2 = context.createBuffer(1, bufferSize, context.sampleRate);
-            
-            // Fill first shot buffer with explosive noise
-            const data1 = shotBuffer1.getChannelData(0);
-            for (let i = 0; i < bufferSize; i++) {
-                // More intense noise at the start for the explosion effect
-                data1[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufferSize, 2);
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
             }
             
-            // Fill second shot buffer with similar but slightly different noise
-            const data2 = shotBuffer2.getChannelData(0);
-            for (let i = 0; i < bufferSize; i++) {
-                // Slightly different noise pattern for the second shot
-                data2[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufferSize, 1.8);
-            }
+            // Create components for double-barreled shotgun blast (two shots in very quick succession)
             
-            // Create noise sources
+            // 1. Create noise sources for both shots (the second decays a little slower)
             const shot1 = context.createBufferSource();
             const shot2 = context.createBufferSource();
-            shot1.buffer = shotBuffer1;
-            shot2.buffer = shotBuffer2;
+            shot1.buffer = audioManager.getBuffer('arcade2.shot1', ctx => this.createBlastBuffer(ctx, 2));
+            shot2.buffer = audioManager.getBuffer('arcade2.shot2', ctx => this.createBlastBuffer(ctx, 1.8));
             
             // 2. Filter chain for both shots to shape the sound
             
@@ -1286,17 +1266,7 @@ class ArcadeEntity2 extends Entity {
             
             // 5. Add reverb for both shots
             const convolver = context.createConvolver();
-            const reverbBuffer = context.createBuffer(2, context.sampleRate, context.sampleRate);
-            
-            // Create reverb impulse
-            for (let channel = 0; channel < 2; channel++) {
-                const channelData = reverbBuffer.getChannelData(channel);
-                for (let i = 0; i < channelData.length; i++) {
-                    channelData[i] = (Math.random() * 2 - 1) * Math.exp(-i / (context.sampleRate * 0.3));
-                }
-            }
-            
-            convolver.buffer = reverbBuffer;
+            convolver.buffer = audioManager.getBuffer('arcade2.reverbShort', ctx => this.createReverbBuffer(ctx, 1));
             
             // Master gain for overall volume control
             const masterGain = context.createGain();
@@ -1327,7 +1297,7 @@ class ArcadeEntity2 extends Entity {
             
             // Connect reverb to output
             convolver.connect(masterGain);
-            masterGain.connect(context.destination);
+            masterGain.connect(audioManager.getBus('ui'));
             
             // Start all sound sources
             shot1.start();
@@ -1341,7 +1311,6 @@ class ArcadeEntity2 extends Entity {
                 shot2.stop();
                 rumble1.stop();
                 rumble2.stop();
-                context.close();
             }, 1000);
             
             debug(`ArcadeEntity2: Played double-barreled shotgun blast launch sound`);
@@ -1350,6 +1319,62 @@ class ArcadeEntity2 extends Entity {
         }
     }
     
+    /**
+     * Synthesize a shotgun blast: two seconds of noise, heaviest at the start
+     * @param {AudioContext} context - Context the buffer belongs to
+     * @param {number} exponent - How fast the noise dies away (higher is faster)
+     * @returns {AudioBuffer} - Mono noise
+     */
+    createBlastBuffer(context, exponent) {
+        const bufferSize = 2 * context.sampleRate;
+        const noiseBuffer = context.createBuffer(1, bufferSize, context.sampleRate);
+        const output = noiseBuffer.getChannelData(0);
+        
+        for (let i = 0; i < bufferSize; i++) {
+            output[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufferSize, exponent);
+        }
+        
+        return noiseBuffer;
+    }
+    
+    /**
+     * Synthesize a dark reverb impulse (stereo noise with a fast exponential decay)
+     * @param {AudioContext} context - Context the buffer belongs to
+     * @param {number} seconds - Impulse length
+     * @returns {AudioBuffer} - Impulse response
+     */
+    createReverbBuffer(context, seconds) {
+        const reverbBuffer = context.createBuffer(2, context.sampleRate * seconds, context.sampleRate);
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const channelData = reverbBuffer.getChannelData(channel);
+            for (let i = 0; i < channelData.length; i++) {
+                channelData[i] = (Math.random() * 2 - 1) * Math.exp(-i / (context.sampleRate * 0.3));
+            }
+        }
+        
+        return reverbBuffer;
+    }
+    
+    /**
+     * Synthesize the metal slide of a shotgun pump
+     * @param {AudioContext} context - Context the buffer belongs to
+     * @returns {AudioBuffer} - Mono slide noise
+     */
+    createSlideBuffer(context) {
+        const slideBuffer = context.createBuffer(1, context.sampleRate * 0.4, context.sampleRate);
+        const slideData = slideBuffer.getChannelData(0);
+        
+        // Noise shaped for a slide/pump action - higher frequency at start, lower at end
+        for (let i = 0; i < slideData.length; i++) {
+            const progress = i / slideData.length;
+            // Less randomness for more metallic sound
+            slideData[i] = (Math.random() * 0.1 - 0.05) * Math.cos(progress * 120) * (1 - progress * 0.7);
+        }
+        
+        return slideBuffer;
+    }
+    
     /**
      * Load sound effects
      */
@@ -1535,22 +1560,14 @@ class ArcadeEntity2 extends Entity {
      */
     playMenuCloseSound() {
         try {
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // 1. Create metal slide component
             const slideNoise = context.createBufferSource();
-            const slideBuffer = context.createBuffer(1, context.sampleRate * 0.4, context.sampleRate);
-            const slideData = slideBuffer.getChannelData(0);
-            
-            // Populate buffer with noise shaped for a shotgun slide/pump action
-            for (let i = 0; i < slideData.length; i++) {
-                // Create a smooth metal sliding sound - higher frequency at start, lower at end
-                const progress = i / slideData.length;
-                // Less randomness for more metallic sound
-                slideData[i] = (Math.random() * 0.1 - 0.05) * Math.cos(progress * 120) * (1 - progress * 0.7);
-            }
-            
-            slideNoise.buffer = slideBuffer;
+            slideNoise.buffer = audioManager.getBuffer('arcade2.slide', ctx => this.createSlideBuffer(ctx));
             
             // Create filter for slide sound
             const slideFilter = context.createBiquadFilter();
@@ -1596,7 +1613,7 @@ class ArcadeEntity2 extends Entity {
             resonanceOsc.connect(resonanceGain);
             resonanceGain.connect(masterGain);
             
-            masterGain.connect(context.destination);
+            masterGain.connect(audioManager.getBus('ui'));
             
             // Start sound components
             slideNoise.start();
@@ -1608,7 +1625,6 @@ class ArcadeEntity2 extends Entity {
                 slideNoise.stop();
                 clickOsc.stop();
                 resonanceOsc.stop();
-                context.close();
             }, 400);
             
             debug(`ArcadeEntity2: Played shotgun pump action close sound`);
@@ -1622,7 +1638,10 @@ class ArcadeEntity2 extends Entity {
      */
     playProximitySound() {
         try {
-            const context = new (window.AudioContext || window.webkitAudioContext)();
+            const context = audioManager.getContext();
+            if (!context) {
+                return;
+            }
             
             // Create components for shotgun racking/cocking sound
             
@@ -1675,15 +1694,15 @@ class ArcadeEntity2 extends Entity {
             // Connect all components
             clickOsc.connect(clickFilter);
             clickFilter.connect(clickGain);
-            clickGain.connect(context.destination);
+            clickGain.connect(audioManager.getBus('sfx'));
             
             slideOsc.connect(slideFilter);
             slideFilter.connect(slideGain);
-            slideGain.connect(context.destination);
+            slideGain.connect(audioManager.getBus('sfx'));
             
             endClickOsc.connect(endClickFilter);
             endClickFilter.connect(endClickGain);
-            endClickGain.connect(context.destination);
+            endClickGain.connect(audioManager.getBus('sfx'));
             
             // Start oscillators
             clickOsc.start();
@@ -1695,7 +1714,6 @@ class ArcadeEntity2 extends Entity {
                 clickOsc.stop();
                 slideOsc.stop();
                 endClickOsc.stop();
-                context.close();
             }, 300);
             
             debug(`ArcadeEntity2: Played shotgun racking sound on approach`);
@@ -1782,12 +1800,6 @@ class ArcadeEntity2 extends Entity {
             ctx.stroke();
         }
         
-        // Draw interaction prompt if player is nearby and prompt is visible
-        if (this.isNearPlayer && this.interactionPromptAlpha > 0 && !this.gameSelectVisible) {
-            debug(`ArcadeEntity2: Drawing interaction prompt, alpha=${this.interactionPromptAlpha}`);
-            this.drawInteractionPrompt(ctx, screenX, adjustedY - 50);
-        }
-        
         ctx.restore();
     }
     
@@ -1923,66 +1935,6 @@ class ArcadeEntity2 extends Entity {
         ctx.restore();
     }
     
-    /**
-     * Draw the interaction prompt
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {number} x - X position to draw at
-     * @param {number} y - Y position to draw at
-     */
-    drawInteractionPrompt(ctx, x, y) {
-        ctx.save();
-        
-        // Set up text style with larger font
-        ctx.font = 'bold 20px monospace';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        // Draw text with background for better visibility
-        const text = 'Press ENTER to Play Games';
-        const textWidth = ctx.measureText(text).width;
-        
-        // Create dimensions for prompt window
-        const padding = 48;
-        const promptWidth = textWidth + (padding * .4);
-        const promptHeight = 60;
-        const promptX = x - promptWidth/2;
-        const promptY = y - 30;
-        
-        // Create gradient background instead of solid color
-        const gradient = ctx.createLinearGradient(
-            promptX, 
-            promptY, 
-            promptX, 
-            promptY + promptHeight
-        );
-        gradient.addColorStop(0, `rgba(0, 30, 40, ${this.interactionPromptAlpha * 0.9})`);
-        gradient.addColorStop(0.5, `rgba(0, 60, 80, ${this.interactionPromptAlpha * 0.9})`);
-        gradient.addColorStop(1, `rgba(0, 30, 40, ${this.interactionPromptAlpha * 0.9})`);
-        
-        // Draw background with gradient
-        ctx.fillStyle = gradient;
-        ctx.fillRect(promptX, promptY, promptWidth, promptHeight);
-        
-        // Draw border with glow effect
-        ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 15 * (this.glowIntensity > 0 ? this.glowIntensity : 1);
-        ctx.strokeStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(promptX, promptY, promptWidth, promptHeight);
-        ctx.shadowBlur = 0;
-        
-        // Draw main text with stronger visibility
-        ctx.fillStyle = `rgba(255, 255, 255, ${Math.min(1, this.interactionPromptAlpha + 0.2)})`;
-        ctx.fillText(text, x, y - 10);
-        
-        // Draw key indicator like in JukeboxEntity
-        ctx.font = 'bold 16px monospace';
-        ctx.fillStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.fillText('[ ENTER ]', x, y + 15);
-        
-        ctx.restore();
-    }
-    
     /**
      * Draw game selection interface
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -2025,66 +1977,17 @@ class ArcadeEntity2 extends Entity {
         
         console.log(`🎮 Main canvas dimensions: ${width}x${height}`);
         
-        // Determine container for overlay
-        const container = mainCanvas.parentElement || document.body;
-        
-        // Use a separate canvas overlay for the game selection menu
-        // This ensures it's drawn on top of everything
-        let overlayCanvas = document.getElementById('arcadeMenuOverlay');
-        let overlayCtx;
-        
+        // The overlay canvas is created when the menu opens (openMenuOverlay)
+        const overlayCanvas = this.menuOverlay && this.menuOverlay.querySelector('canvas');
         if (!overlayCanvas) {
-            // Create overlay canvas if it doesn't exist
-            console.log("🎮 Creating overlay canvas for arcade menu");
-            const newOverlay = document.createElement('canvas');
-            newOverlay.id = 'arcadeMenuOverlay';
-            newOverlay.width = width;
-            newOverlay.height = height;
-            
-            // Position the overlay exactly over the game canvas
-            newOverlay.style.position = 'absolute';
-            
-            // Get the precise position of the main canvas
-            const mainRect = mainCanvas.getBoundingClientRect();
-            newOverlay.style.top = mainRect.top + 'px';
-            newOverlay.style.left = mainRect.left + 'px';
-            newOverlay.style.width = mainRect.width + 'px';
-            newOverlay.style.height = mainRect.height + 'px';
-            
-            newOverlay.style.zIndex = '9999'; // Very high z-index to ensure it's on top
-            newOverlay.style.pointerEvents = 'auto'; // Enable pointer events for clickable areas
-            
-            // Add to the document body
-            document.body.appendChild(newOverlay);
-            
-            // Store a reference to the current ArcadeEntity2 instance
-            const self = this;
-            
-            // Add click event listener to the canvas overlay
-            newOverlay.addEventListener('click', function(event) {
-                console.log(`🎮 Overlay canvas clicked at ${event.clientX}, ${event.clientY}`);
-                // Use the instance method to handle the click
-                self.handleMenuClick(event.clientX, event.clientY);
-            });
-            
-            overlayCtx = newOverlay.getContext('2d');
-            console.log(`🎮 Created overlay canvas: ${newOverlay.width}x${newOverlay.height}`);
-        } else {
-            // Use existing overlay
-            overlayCtx = overlayCanvas.getContext('2d');
-            // Clear previous frame
-            overlayCtx.clearRect(0, 0, width, height);
-            
-            // Make sure we have a click listener
-            if (!overlayCanvas._hasClickListener) {
-                const self = this;
-                overlayCanvas.addEventListener('click', function(event) {
-                    console.log(`🎮 Existing overlay canvas clicked at ${event.clientX}, ${event.clientY}`);
-                    self.handleMenuClick(event.clientX, event.clientY);
-                });
-                overlayCanvas._hasClickListener = true;
-            }
+            return;
         }
+        if (overlayCanvas.width !== width || overlayCanvas.height !== height) {
+            overlayCanvas.width = width;
+            overlayCanvas.height = height;
+        }
+        const overlayCtx = overlayCanvas.getContext('2d');
+        overlayCtx.clearRect(0, 0, width, height);
         
         // Use the overlay context for drawing
         overlayCtx.save();
@@ -2143,187 +2046,205 @@ class ArcadeEntity2 extends Entity {
         overlayCtx.strokeRect(menuX + 5, menuY + 5, menuWidth - 10, menuHeight - 10);
         
         // Make sure we have games to display
+        const selectedGame = this.games[this.selectedGameIndex];
         if (this.games && this.games.length > 0) {
-            // Since we're only showing Gnome Mercy, we can use a larger image with 4:3 aspect ratio
-            const padding = 40; // Padding around the image
-            
-            // Calculate dimensions for a 4:3 aspect ratio image that fills the menu area
-            let gameImageWidth, gameImageHeight;
-            
-            // Calculate max available space within the menu
-            const maxWidth = menuWidth - (padding * 2);
-            const maxHeight = menuHeight * 0.7; // Use 70% of menu height to leave room for description
-            
-            // Determine image size based on 4:3 aspect ratio
-            if (maxWidth / 4 * 3 <= maxHeight) {
-                // Width is the limiting factor
-                gameImageWidth = maxWidth;
-                gameImageHeight = maxWidth * (3/4); // 4:3 ratio
-            } else {
-                // Height is the limiting factor
-                gameImageHeight = maxHeight;
-                gameImageWidth = maxHeight * (4/3); // 4:3 ratio
-            }
-            
-            // Center the image in the menu
-            const imageSpacing = (menuHeight - gameImageHeight) / 3; // Space above and below image
-            const startIdx = 0; // Only showing the first game
-            const endIdx = 1; // Only showing one game
-            
-            // Draw selected game highlight with pulse effect
-            const selectedOffset = (this.selectedGameIndex - startIdx);
-            const highlightY = menuY + imageSpacing + selectedOffset * (gameImageHeight + imageSpacing);
+            const browser = this.browser;
+            const padding = 20;
+            
+            // Shelf tabs: All Games, Recently Played, Favorites
+            const tabHeight = 26;
+            const tabY = menuY + 12;
+            const tabWidth = (menuWidth - padding * 2) / SHELVES.length;
+            SHELVES.forEach((shelf, index) => {
+                const tabX = menuX + padding + index * tabWidth;
+                const isActive = index === browser.shelfIndex;
+                
+                overlayCtx.fillStyle = isActive ? 'rgba(255, 0, 255, 0.25)' : 'rgba(0, 20, 40, 0.8)';
+                overlayCtx.fillRect(tabX + 2, tabY, tabWidth - 4, tabHeight);
+                overlayCtx.strokeStyle = isActive ? '#FF00FF' : '#0088FF';
+                overlayCtx.lineWidth = isActive ? 2 : 1;
+                overlayCtx.strokeRect(tabX + 2, tabY, tabWidth - 4, tabHeight);
+                
+                overlayCtx.font = isActive ? 'bold 14px "Courier New", monospace' : '14px "Courier New", monospace';
+                overlayCtx.textAlign = 'center';
+                overlayCtx.textBaseline = 'middle';
+                overlayCtx.fillStyle = isActive ? '#FFFFFF' : '#888888';
+                overlayCtx.fillText(`${index + 1} ${shelf.label}`, tabX + tabWidth/2, tabY + tabHeight/2);
+            });
             
-            // Create time-based pulse effect
-            const time = new Date().getTime() / 1000;
-            const pulseSize = 3 + Math.sin(time * 5) * 2;
+            // Filter bar: search query, tag filter and sort order
+            const barHeight = 30;
+            const barY = tabY + tabHeight + 8;
+            overlayCtx.fillStyle = 'rgba(0, 20, 40, 0.8)';
+            overlayCtx.fillRect(menuX + padding, barY, menuWidth - padding * 2, barHeight);
+            overlayCtx.strokeStyle = browser.searchActive ? '#FF00FF' : '#0088FF';
+            overlayCtx.lineWidth = 1;
+            overlayCtx.strokeRect(menuX + padding, barY, menuWidth - padding * 2, barHeight);
+            
+            overlayCtx.font = '14px "Courier New", monospace';
+            overlayCtx.textBaseline = 'middle';
+            
+            // Blink a cursor while typing
+            const caret = browser.searchActive && Math.floor(Date.now() / 500) % 2 === 0 ? '_' : '';
+            const searchText = browser.query || browser.searchActive
+                ? `SEARCH: ${browser.query}${caret}`
+                : 'SEARCH: press /';
+            overlayCtx.textAlign = 'left';
+            overlayCtx.fillStyle = browser.query || browser.searchActive ? '#FFFFFF' : '#888888';
+            overlayCtx.fillText(searchText, menuX + padding + 10, barY + barHeight/2);
             
-            // Draw game entries (images with descriptions)
-            for (let i = startIdx; i < endIdx; i++) {
-                const game = this.games[i];
-                const isSelected = i === this.selectedGameIndex;
-                const relativeIndex = i - startIdx;
-                
-                // Calculate image position
-                const imageX = menuX + (menuWidth - gameImageWidth) / 2;
-                const imageY = menuY + imageSpacing + relativeIndex * (gameImageHeight + imageSpacing);
+            overlayCtx.textAlign = 'center';
+            overlayCtx.fillStyle = '#00FFFF';
+            overlayCtx.fillText(`< TAG: ${browser.getActiveTag().toUpperCase()} >`, menuX + menuWidth/2 + 40, barY + barHeight/2);
+            
+            overlayCtx.textAlign = 'right';
+            overlayCtx.fillStyle = '#FF00FF';
+            overlayCtx.fillText(`SORT: ${browser.getSortMode().label}`, menuX + menuWidth - padding - 10, barY + barHeight/2);
+            
+            // Content area below the filter bar, leaving room for the URL and page number
+            const contentY = barY + barHeight + 15;
+            const contentHeight = menuY + menuHeight - contentY - 35;
+            const { items, page, pageCount } = browser.getPage();
+            
+            if (items.length > 0) {
+                // Paged title list on the left
+                const listX = menuX + padding;
+                const listWidth = menuWidth * 0.38;
+                const rowHeight = Math.min(48, contentHeight / browser.pageSize);
                 
-                // Draw selection highlight for the selected game
-                if (isSelected) {
-                    // Draw blinking highlight border
-                    overlayCtx.strokeStyle = '#00FFFF';
-                    overlayCtx.lineWidth = pulseSize;
-                    overlayCtx.shadowColor = '#00FFFF';
-                    overlayCtx.shadowBlur = 15;
-                    overlayCtx.strokeRect(imageX - 10, imageY - 10, gameImageWidth + 20, gameImageHeight + 20);
-                    overlayCtx.shadowBlur = 0;
+                items.forEach(({ game, selected }, row) => {
+                    const rowY = contentY + row * rowHeight;
                     
-                    // Draw selection indicator (triangle/arrow)
-                    overlayCtx.fillStyle = '#00FFFF';
-                    overlayCtx.shadowColor = '#00FFFF';
-                    overlayCtx.shadowBlur = 10;
-                    overlayCtx.beginPath();
-                    overlayCtx.moveTo(imageX - 25, imageY + gameImageHeight/2);
-                    overlayCtx.lineTo(imageX - 15, imageY + gameImageHeight/2 - 10);
-                    overlayCtx.lineTo(imageX - 15, imageY + gameImageHeight/2 + 10);
-                    overlayCtx.fill();
-                    overlayCtx.shadowBlur = 0;
-                }
-                
-                // Draw game image if available
-                if (game.image) {
-                    // Draw image with slight tinting for non-selected games
-                    if (!isSelected) {
-                        overlayCtx.globalAlpha = 0.7;
+                    if (selected) {
+                        overlayCtx.fillStyle = 'rgba(0, 255, 255, 0.15)';
+                        overlayCtx.fillRect(listX, rowY, listWidth, rowHeight - 4);
+                        overlayCtx.strokeStyle = '#00FFFF';
+                        overlayCtx.lineWidth = 2;
+                        overlayCtx.shadowColor = '#00FFFF';
+                        overlayCtx.shadowBlur = 10;
+                        overlayCtx.strokeRect(listX, rowY, listWidth, rowHeight - 4);
+                        overlayCtx.shadowBlur = 0;
                     }
                     
-                    // Draw the game image at the calculated position
-                    overlayCtx.drawImage(game.image, imageX, imageY, gameImageWidth, gameImageHeight);
-                    
-                    // Reset opacity
-                    overlayCtx.globalAlpha = 1.0;
-                    
-                    // Skip drawing the title as it's already visible in the game image
-                    
-                    // Calculate position to center the prompt between the image bottom and menu bottom
-                    const spaceBelow = (menuY + menuHeight) - (imageY + gameImageHeight);
-                    const promptY = imageY + gameImageHeight + (spaceBelow / 2) - 10; // Centered with slight adjustment
-                    
-                    // Set center position for prompt horizontally
-                    const promptX = imageX + gameImageWidth/2;
-                    
-                    // Skip drawing the description text to avoid cluttering the interface
-                    
-                    // Initialize clickable areas array if it doesn't exist
-                    if (!this.clickableAreas) this.clickableAreas = [];
-                    
-                    
-                    // Draw a "Play Game" prompt with button-like appearance
-                    overlayCtx.font = 'bold 20px "Arial", sans-serif';
-                    overlayCtx.textAlign = 'center';
-                    overlayCtx.shadowColor = '#00FFFF';
-                    overlayCtx.shadowBlur = 12;
-                    overlayCtx.fillStyle = '#00FFFF';
-                    
-                    // Create time-based pulse effect for the button
-                    const time = new Date().getTime() / 1000;
-                    const pulseIntensity = 0.7 + Math.sin(time * 3) * 0.3;
-                    overlayCtx.globalAlpha = pulseIntensity;
-                    
-                    // Draw the play button text
-                    overlayCtx.fillText('PRESS ENTER TO PLAY', promptX, promptY);
-                    overlayCtx.globalAlpha = 1.0;
-                    
-                    // Reset shadow effect
-                    overlayCtx.shadowBlur = 0;
+                    // Truncate long titles to fit the list column; starred games get a star
+                    let title = game.title;
+                    if (title.length > 22) {
+                        title = title.substring(0, 19) + '...';
+                    }
+                    if (browser.history.isFavorite(game)) {
+                        title = `★ ${title}`;
+                    }
                     
-                    // Reset shadows
-                    overlayCtx.shadowColor = 'transparent';
-                    overlayCtx.shadowBlur = 0;
-                    overlayCtx.shadowOffsetX = 0;
-                    overlayCtx.shadowOffsetY = 0;
+                    overlayCtx.textAlign = 'left';
+                    overlayCtx.font = 'bold 16px "Courier New", monospace';
+                    overlayCtx.fillStyle = selected ? '#FFFFFF' : '#AAAAAA';
+                    overlayCtx.fillText(title, listX + 10, rowY + (rowHeight - 4) * 0.4);
                     
-                    // Reset text alignment for other elements
-                    overlayCtx.textAlign = 'center';
+                    overlayCtx.font = '11px Arial, sans-serif';
+                    overlayCtx.fillStyle = selected ? '#CCFFFF' : '#777777';
+                    overlayCtx.fillText((game.tags || []).join(', '), listX + 10, rowY + (rowHeight - 4) * 0.78);
+                });
+                
+                // Preview of the selected game on the right, kept at 4:3
+                const previewX = listX + listWidth + padding;
+                const maxWidth = menuX + menuWidth - padding - previewX;
+                const maxHeight = contentHeight - 60; // Room for the prompt and play stats
+                let previewWidth = maxWidth;
+                let previewHeight = maxWidth * (3/4);
+                if (previewHeight > maxHeight) {
+                    previewHeight = maxHeight;
+                    previewWidth = maxHeight * (4/3);
+                }
+                const imageX = previewX + (maxWidth - previewWidth) / 2;
+                const imageY = contentY;
+                
+                // Create time-based pulse effect
+                const time = new Date().getTime() / 1000;
+                const pulseSize = 3 + Math.sin(time * 5) * 2;
+                
+                overlayCtx.strokeStyle = '#00FFFF';
+                overlayCtx.lineWidth = pulseSize;
+                overlayCtx.shadowColor = '#00FFFF';
+                overlayCtx.shadowBlur = 15;
+                overlayCtx.strokeRect(imageX - 6, imageY - 6, previewWidth + 12, previewHeight + 12);
+                overlayCtx.shadowBlur = 0;
+                
+                if (selectedGame.image) {
+                    overlayCtx.drawImage(selectedGame.image, imageX, imageY, previewWidth, previewHeight);
                 } else {
-                    // Fallback if image not loaded - draw title
-                    const titleBgHeight = 40;
-                    
-                    // Draw title background
+                    // Fallback if image not loaded - draw title and description
                     overlayCtx.fillStyle = 'rgba(0, 20, 40, 0.8)';
-                    overlayCtx.fillRect(imageX, imageY, gameImageWidth, titleBgHeight);
-                    
-                    // Draw title text
-                    overlayCtx.font = 'bold 20px "Courier New", monospace';
-                    overlayCtx.fillStyle = isSelected ? '#FFFFFF' : '#AAAAAA';
+                    overlayCtx.fillRect(imageX, imageY, previewWidth, previewHeight);
                     overlayCtx.textAlign = 'center';
-                    overlayCtx.textBaseline = 'middle';
-                    overlayCtx.fillText(game.title, imageX + gameImageWidth/2, imageY + titleBgHeight/2);
-                    
-                    // Draw description below
-                    overlayCtx.font = '16px Arial, sans-serif';
-                    overlayCtx.fillStyle = isSelected ? '#CCFFFF' : '#888888';
-                    overlayCtx.fillText(game.description, imageX + gameImageWidth/2, imageY + titleBgHeight + 20);
+                    overlayCtx.font = 'bold 20px "Courier New", monospace';
+                    overlayCtx.fillStyle = '#FFFFFF';
+                    overlayCtx.fillText(selectedGame.title, imageX + previewWidth/2, imageY + previewHeight/2 - 12);
+                    overlayCtx.font = '14px Arial, sans-serif';
+                    overlayCtx.fillStyle = '#CCFFFF';
+                    overlayCtx.fillText(selectedGame.description, imageX + previewWidth/2, imageY + previewHeight/2 + 14);
                 }
-            }
-            
-            // Draw scroll indicators if there are more games than visible
-            if (startIdx > 0) {
-                // Draw up arrow
+                
+                // Draw a "Play Game" prompt below the preview
+                overlayCtx.font = 'bold 20px "Arial", sans-serif';
+                overlayCtx.textAlign = 'center';
+                overlayCtx.shadowColor = '#00FFFF';
+                overlayCtx.shadowBlur = 12;
                 overlayCtx.fillStyle = '#00FFFF';
-                overlayCtx.beginPath();
-                overlayCtx.moveTo(menuX + menuWidth/2 - 10, menuY + 10);
-                overlayCtx.lineTo(menuX + menuWidth/2 + 10, menuY + 10);
-                overlayCtx.lineTo(menuX + menuWidth/2, menuY);
-                overlayCtx.fill();
-            }
-            
-            if (endIdx < this.games.length) {
-                // Draw down arrow
+                overlayCtx.globalAlpha = 0.7 + Math.sin(time * 3) * 0.3;
+                overlayCtx.fillText('PRESS ENTER TO PLAY', imageX + previewWidth/2, imageY + previewHeight + 28);
+                overlayCtx.globalAlpha = 1.0;
+                overlayCtx.shadowColor = 'transparent';
+                overlayCtx.shadowBlur = 0;
+                
+                // Play count and favorite state of the selected game
+                const plays = browser.history.getPlayCount(selectedGame);
+                const starred = browser.history.isFavorite(selectedGame);
+                overlayCtx.font = '12px Arial, sans-serif';
+                overlayCtx.fillStyle = starred ? '#FFD700' : '#AAAAAA';
+                overlayCtx.fillText(
+                    `${starred ? '★ FAVORITE' : 'F: ADD TO FAVORITES'}  |  ${plays > 0 ? `PLAYED ${plays}×` : 'NOT PLAYED YET'}`,
+                    imageX + previewWidth/2, imageY + previewHeight + 50);
+                
+                // Draw URL of the selected game at the bottom
+                const detailsY = menuY + menuHeight - 18;
+                overlayCtx.font = '14px Arial, sans-serif';
+                overlayCtx.fillStyle = '#888888';
+                
+                // Truncate URL if too long
+                let displayUrl = selectedGame.url;
+                if (displayUrl.length > 40) {
+                    displayUrl = displayUrl.substring(0, 37) + '...';
+                }
+                overlayCtx.fillText(displayUrl, imageX + previewWidth/2, detailsY);
+                
+                // Page indicator under the list
+                overlayCtx.textAlign = 'left';
                 overlayCtx.fillStyle = '#00FFFF';
-                overlayCtx.beginPath();
-                overlayCtx.moveTo(menuX + menuWidth/2 - 10, menuY + menuHeight - 10);
-                overlayCtx.lineTo(menuX + menuWidth/2 + 10, menuY + menuHeight - 10);
-                overlayCtx.lineTo(menuX + menuWidth/2, menuY + menuHeight);
-                overlayCtx.fill();
+                overlayCtx.fillText(`PAGE ${page + 1}/${pageCount}  (${browser.results.length} GAMES)`, listX + 10, detailsY);
+            } else {
+                // The shelf is empty or the filters exclude every game
+                const shelfId = browser.getShelf().id;
+                const filtered = browser.query || browser.getActiveTag() !== 'all';
+                let emptyTitle = 'No games match these filters';
+                let emptyHint = 'Clear the search or pick another tag';
+                if (!filtered && shelfId === 'recent') {
+                    emptyTitle = 'No games played yet';
+                    emptyHint = 'Games you launch from this cabinet show up here';
+                } else if (!filtered && shelfId === 'favorites') {
+                    emptyTitle = 'No favorites yet';
+                    emptyHint = 'Press F on a game to star it';
+                }
+                
+                overlayCtx.font = 'bold 20px "Courier New", monospace';
+                overlayCtx.fillStyle = '#FF00FF';
+                overlayCtx.textAlign = 'center';
+                overlayCtx.fillText(emptyTitle, width/2, contentY + contentHeight/2);
+                overlayCtx.font = '14px Arial, sans-serif';
+                overlayCtx.fillStyle = '#888888';
+                overlayCtx.fillText(emptyHint, width/2, contentY + contentHeight/2 + 26);
             }
             
-            // Draw URL and creator attribution at the bottom
-            const selectedGame = this.games[this.selectedGameIndex];
-            const detailsY = menuY + menuHeight - 15;
-            
-            // URL display
-            overlayCtx.font = '14px Arial, sans-serif';
-            overlayCtx.fillStyle = '#888888';
             overlayCtx.textAlign = 'center';
-            
-            // Truncate URL if too long
-            let displayUrl = selectedGame.url;
-            if (displayUrl.length > 40) {
-                displayUrl = displayUrl.substring(0, 37) + '...';
-            }
-            
-            overlayCtx.fillText(displayUrl, menuX + menuWidth/2, detailsY);
         } else {
             // No games found message
             overlayCtx.fillStyle = '#FF0000';
@@ -2348,9 +2269,11 @@ class ArcadeEntity2 extends Entity {
         overlayCtx.lineWidth = 1;
         overlayCtx.strokeRect(width/2 - 300, footerY, 600, footerHeight);
         
-        // Draw simplified controls text (no navigation needed for single game)
+        // Draw controls text
+        overlayCtx.font = '12px Arial, sans-serif';
         overlayCtx.fillStyle = '#FFFFFF';
-        overlayCtx.fillText('ENTER: Launch Game | ESC: Close', width/2, footerY + footerHeight/2);
+        overlayCtx.fillText('ENTER: Play | ↑↓: Select | Q/E: Page | 1-3: Shelf | F: Star | ←→: Tag | TAB: Sort | /: Search | ESC: Close', width/2, footerY + footerHeight/2);
+        overlayCtx.font = '18px Arial, sans-serif';
         
         // Draw creator attribution panel
         const creatorFooterY = height * 0.91; // Position below controls
@@ -2363,27 +2286,6 @@ class ArcadeEntity2 extends Entity {
         overlayCtx.lineWidth = 1;
         overlayCtx.strokeRect(width/2 - 300, creatorFooterY, 600, footerHeight);
         
-        // Setup clickable area for the Twitter link
-        let twitterLinkOverlay = document.getElementById('twitterLinkOverlay');
-        if (!twitterLinkOverlay && this.gameSelectVisible) {
-            twitterLinkOverlay = document.createElement('div');
-            twitterLinkOverlay.id = 'twitterLinkOverlay';
-            twitterLinkOverlay.style.position = 'absolute';
-            twitterLinkOverlay.style.left = (width/2 - 45) + 'px';
-            twitterLinkOverlay.style.top = (creatorFooterY + 10) + 'px';
-            twitterLinkOverlay.style.width = '160px';
-            twitterLinkOverlay.style.height = '30px';
-            twitterLinkOverlay.style.cursor = 'pointer';
-            twitterLinkOverlay.style.zIndex = '10000';
-            
-            // Open Twitter profile when clicked
-            twitterLinkOverlay.onclick = () => {
-                window.open('https://x.com/DannyLimanseta', '_blank');
-            };
-            
-            document.body.appendChild(twitterLinkOverlay);
-        }
-        
         // Draw creator text with special styling
         overlayCtx.fillStyle = '#FFFFFF';
         overlayCtx.textAlign = 'right';
@@ -2401,13 +2303,6 @@ class ArcadeEntity2 extends Entity {
         overlayCtx.restore();
         
         console.log("🎮 Finished drawing arcade game menu");
-        
-        // Cleanup: Remove the Twitter link overlay when the menu is closed
-        if (!this.gameSelectVisible) {
-            if (twitterLinkOverlay) {
-                twitterLinkOverlay.remove();
-            }
-        }
     }
     
     /**
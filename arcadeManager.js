@@ -45,27 +45,14 @@ class ArcadeManager {
         // Check if sounds directory exists first
         try {
             // Define fallback sound generation for when files don't exist
+            // (no AudioContext needed: cabinet sounds go through the AudioManager)
             const generateSilentAudio = () => {
-                try {
-                    // Create a silent audio context as fallback
-                    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    const oscillator = audioContext.createOscillator();
-                    const gainNode = audioContext.createGain();
-                    
-                    gainNode.gain.value = 0; // Silent
-                    oscillator.connect(gainNode);
-                    gainNode.connect(audioContext.destination);
-                    
-                    return { 
-                        play: () => {
-                            debug('ArcadeManager: Playing silent fallback audio');
-                            // Do nothing, this is a silent fallback
-                        }
-                    };
-                } catch (err) {
-                    debug(`ArcadeManager: Error creating silent audio: ${err}`);
-                    return { play: () => {} }; // Empty play function
-                }
+                return { 
+                    play: () => {
+                        debug('ArcadeManager: Playing silent fallback audio');
+                        // Do nothing, this is a silent fallback
+                    }
+                };
             };
             
             // Sound effects removed to prevent loading errors
@@ -133,17 +120,9 @@ class ArcadeManager {
         const arcadeX = 136; // Position in the room
         const arcadeY = 18.5; // Position in the room
         
-        // Define some custom retro games for this arcade
-        const arcadeGames = [
-            { title: "Space Invaders", url: "https://arcade.makecode.com/31112-92267-20011-29444" },
-            { title: "Tetris Classic", url: "https://arcade.makecode.com/88683-71175-86373-29869" },
-            { title: "Galaga", url: "https://arcade.makecode.com/58051-11096-41353-68008" },
-            { title: "Pacman", url: "https://arcade.makecode.com/52023-94786-63902-69042" }
-        ];
-        
         const arcade = this.addArcade(arcadeX, arcadeY, 'Arcade_1', {
             arcadeId: 'main-arcade',
-            games: arcadeGames
+            cabinet: 'arcade1' // Games for this cabinet come from assets/data/games.json
         });
         
         debug(`ArcadeManager: Added arcade cabinet to scene at (${arcadeX}, ${arcadeY})`);
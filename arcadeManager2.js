@@ -45,27 +45,14 @@ class ArcadeManager2 {
         // Check if sounds directory exists first
         try {
             // Define fallback sound generation for when files don't exist
+            // (no AudioContext needed: cabinet sounds go through the AudioManager)
             const generateSilentAudio = () => {
-                try {
-                    // Create a silent audio context as fallback
-                    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    const oscillator = audioContext.createOscillator();
-                    const gainNode = audioContext.createGain();
-                    
-                    gainNode.gain.value = 0; // Silent
-                    oscillator.connect(gainNode);
-                    gainNode.connect(audioContext.destination);
-                    
-                    return { 
-                        play: () => {
-                            debug('ArcadeManager2: Playing silent fallback audio');
-                            // Do nothing, this is a silent fallback
-                        }
-                    };
-                } catch (err) {
-                    debug(`ArcadeManager2: Error creating silent audio: ${err}`);
-                    return { play: () => {} }; // Empty play function
-                }
+                return { 
+                    play: () => {
+                        debug('ArcadeManager2: Playing silent fallback audio');
+                        // Do nothing, this is a silent fallback
+                    }
+                };
             };
             
             // Sound effects removed to prevent loading errors
@@ -133,19 +120,9 @@ class ArcadeManager2 {
         const arcadeX = 127; // Position in the room
         const arcadeY = 19; // Position in the room
         
-        // Define only the Gnome Mercy game for this cabinet
-        const arcadeGames = [
-            { 
-                title: "Gnome Mercy", 
-                url: "https://gnome-mercy.vercel.app/",
-                description: "A bullet heaven roguelight adventure",
-                imagePath: "assets/Games/Game_6.png" // This will be loaded in the entity
-            }
-        ];
-        
         const arcade = this.addArcade(arcadeX, arcadeY, 'Arcade_2', {
             arcadeId: 'main-arcade',
-            games: arcadeGames
+            cabinet: 'arcade2' // Games for this cabinet come from assets/data/games.json
         });
         
         debug(`ArcadeManager2: Added arcade cabinet to scene at (${arcadeX}, ${arcadeY})`);
@@ -0,0 +1,316 @@
+/**
+ * Audio Manager for AI Alchemist's Lair
+ * One AudioContext for every sound the lair synthesizes, mixed through master, effects, music and UI buses
+ *
+ * Sounds connect to a bus (getBus('sfx'), 'ui' or 'music') instead of context.destination; each bus
+ * feeds the master bus, which feeds the speakers. Buffers that are slow to synthesize (noise, reverb
+ * impulses, the trophy fanfare) are built once per key with getBuffer(). Browsers only start audio
+ * after a user gesture, so getContext() returns null until the first key press, click or touch has
+ * unlocked it; sounds asked for before that are skipped instead of all playing at once on unlock.
+ *
+ * Volumes and mute are saved in localStorage:
+ * {
+ *   "version": 1,
+ *   "volumes": { "master": 1, "sfx": 0.6, "music": 1, "ui": 1 },
+ *   "muted": false
+ * }
+ * Every change dispatches an 'audioSettingsChanged' event on document. The jukebox and TV players are
+ * iframes outside Web Audio; they start at getEffectiveVolume('music').
+ */
+
+import { debug, info, warn } from './utils.js';
+
+const AUDIO_STORAGE_KEY = 'aiAlchemistsLair.audio';
+const AUDIO_VERSION = 1;
+
+// Bus volumes until the player changes them (0-1)
+const DEFAULT_VOLUMES = {
+    master: 1,
+    sfx: 1,
+    music: 1,
+    ui: 1
+};
+
+// User gestures that let the browser start audio
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchstart'];
+
+/**
+ * Get localStorage if the browser allows it (it throws in some privacy modes)
+ * @returns {Storage|null} - Storage object or null
+ */
+function getDefaultStorage() {
+    try {
+        return window.localStorage || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+class AudioManager {
+    /**
+     * Create the audio manager
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage; null keeps settings in memory only)
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+
+        // Created on the first user gesture, with a GainNode per bus
+        this.context = null;
+        this.buses = {};
+
+        // Synthesized buffers by key
+        this.buffers = new Map();
+
+        this.volumes = { ...DEFAULT_VOLUMES };
+        this.muted = false;
+        this.initialized = false;
+
+        this.handleGesture = this.handleGesture.bind(this);
+        this.load();
+    }
+
+    /**
+     * Apply the saved volumes and mute, keeping defaults if they are missing, corrupt or from another version
+     */
+    load() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            const raw = this.storage.getItem(AUDIO_STORAGE_KEY);
+            if (!raw) {
+                return;
+            }
+
+            const parsed = JSON.parse(raw);
+            if (!parsed || parsed.version !== AUDIO_VERSION || typeof parsed.volumes !== 'object' || parsed.volumes === null) {
+                warn(`AudioManager: Ignoring saved audio settings with unsupported format (version ${parsed && parsed.version})`);
+                return;
+            }
+
+            Object.keys(DEFAULT_VOLUMES).forEach(bus => {
+                if (Number.isFinite(parsed.volumes[bus])) {
+                    this.volumes[bus] = Math.max(0, Math.min(1, parsed.volumes[bus]));
+                }
+            });
+            this.muted = parsed.muted === true;
+        } catch (err) {
+            warn('AudioManager: Could not read saved audio settings, using defaults', err);
+        }
+    }
+
+    /**
+     * Write the volumes and mute to storage
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(AUDIO_STORAGE_KEY, JSON.stringify({ version: AUDIO_VERSION, volumes: this.volumes, muted: this.muted }));
+        } catch (err) {
+            warn('AudioManager: Could not save audio settings', err);
+        }
+    }
+
+    /**
+     * Wait for the first user gesture to start audio
+     */
+    init() {
+        if (this.initialized) {
+            return;
+        }
+        this.initialized = true;
+
+        UNLOCK_EVENTS.forEach(type => window.addEventListener(type, this.handleGesture, true));
+        info('AudioManager: Initialized, waiting for a user gesture to start audio');
+    }
+
+    /**
+     * Create the context and buses on a user gesture and resume it
+     */
+    handleGesture() {
+        const context = this.createContext();
+        if (!context) {
+            this.removeGestureListeners();
+            return;
+        }
+
+        if (context.state === 'running') {
+            this.removeGestureListeners();
+            return;
+        }
+
+        context.resume()
+            .then(() => {
+                if (context.state === 'running') {
+                    this.removeGestureListeners();
+                    info('AudioManager: Audio unlocked');
+                }
+            })
+            .catch(err => warn('AudioManager: Could not start audio', err));
+    }
+
+    /**
+     * Stop listening for unlock gestures
+     */
+    removeGestureListeners() {
+        UNLOCK_EVENTS.forEach(type => window.removeEventListener(type, this.handleGesture, true));
+    }
+
+    /**
+     * Create the shared context and its buses once
+     * @returns {AudioContext|null} - Context, or null without Web Audio support
+     */
+    createContext() {
+        if (this.context) {
+            return this.context;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            warn('AudioManager: Web Audio is not supported, sounds are off');
+            return null;
+        }
+
+        try {
+            this.context = new AudioContextClass();
+        } catch (err) {
+            warn('AudioManager: Could not create an AudioContext', err);
+            return null;
+        }
+
+        this.buses.master = this.context.createGain();
+        this.buses.master.connect(this.context.destination);
+        ['sfx', 'music', 'ui'].forEach(bus => {
+            this.buses[bus] = this.context.createGain();
+            this.buses[bus].connect(this.buses.master);
+        });
+        this.applyVolumes();
+
+        debug(`AudioManager: Created AudioContext (${this.context.sampleRate} Hz)`);
+        return this.context;
+    }
+
+    /**
+     * Get the context to play a sound in
+     * @returns {AudioContext|null} - Running context, or null until a gesture has unlocked audio
+     */
+    getContext() {
+        return this.context && this.context.state === 'running' ? this.context : null;
+    }
+
+    /**
+     * Get the node sounds of one kind connect to
+     * @param {string} bus - 'sfx', 'music', 'ui' or 'master'
+     * @returns {GainNode|null} - Bus node (the master bus for unknown names), or null before the context exists
+     */
+    getBus(bus) {
+        return this.buses[bus] || this.buses.master || null;
+    }
+
+    /**
+     * Get a synthesized buffer, building it on first use
+     * @param {string} key - Cache key ('trophy.fanfare', 'portal.reverb', ...)
+     * @param {Function} build - Called with the context; returns the AudioBuffer
+     * @returns {AudioBuffer|null} - Buffer, or null before the context exists
+     */
+    getBuffer(key, build) {
+        if (!this.context) {
+            return null;
+        }
+        if (!this.buffers.has(key)) {
+            this.buffers.set(key, build(this.context));
+            debug(`AudioManager: Synthesized buffer "${key}"`);
+        }
+        return this.buffers.get(key);
+    }
+
+    /**
+     * Get a bus volume as set by the player
+     * @param {string} bus - Bus name
+     * @returns {number} - Volume (0-1)
+     */
+    getVolume(bus) {
+        return this.volumes[bus] ?? 1;
+    }
+
+    /**
+     * Change a bus volume and save it
+     * @param {string} bus - Bus name
+     * @param {number} volume - New volume (0-1)
+     */
+    setVolume(bus, volume) {
+        if (!(bus in DEFAULT_VOLUMES) || !Number.isFinite(volume)) {
+            warn(`AudioManager: Ignoring ${bus} volume ${volume}`);
+            return;
+        }
+
+        this.volumes[bus] = Math.max(0, Math.min(1, volume));
+        this.applyVolumes();
+        this.save();
+        document.dispatchEvent(new CustomEvent('audioSettingsChanged', { detail: { bus, volume: this.volumes[bus] } }));
+    }
+
+    /**
+     * Get how loud a bus actually plays, after the master volume and mute
+     * @param {string} bus - Bus name
+     * @returns {number} - Volume (0-1)
+     */
+    getEffectiveVolume(bus) {
+        if (this.muted) {
+            return 0;
+        }
+        return this.volumes.master * (bus === 'master' ? 1 : this.getVolume(bus));
+    }
+
+    /**
+     * Check whether all sound is muted
+     * @returns {boolean} - True if muted
+     */
+    isMuted() {
+        return this.muted;
+    }
+
+    /**
+     * Mute or unmute all sound and save it
+     * @param {boolean} muted - Whether sound is muted
+     */
+    setMuted(muted) {
+        this.muted = Boolean(muted);
+        this.applyVolumes();
+        this.save();
+
+        info(`AudioManager: Sound ${this.muted ? 'muted' : 'unmuted'}`);
+        document.dispatchEvent(new CustomEvent('audioSettingsChanged', { detail: { muted: this.muted } }));
+    }
+
+    /**
+     * Mute or unmute all sound
+     */
+    toggleMute() {
+        this.setMuted(!this.muted);
+    }
+
+    /**
+     * Set the bus gains from the volumes and mute
+     */
+    applyVolumes() {
+        if (!this.context) {
+            return;
+        }
+
+        const now = this.context.currentTime;
+        this.buses.master.gain.setValueAtTime(this.muted ? 0 : this.volumes.master, now);
+        ['sfx', 'music', 'ui'].forEach(bus => {
+            this.buses[bus].gain.setValueAtTime(this.volumes[bus], now);
+        });
+    }
+}
+
+// Shared audio manager, started by main.js
+const audioManager = new AudioManager();
+
+export { AudioManager, audioManager, DEFAULT_VOLUMES };
@@ -49,12 +49,11 @@ class Camera {
     
     /**
      * Set map boundaries to constrain camera movement
-     * @param {number} gridWidth - Map width in grid units
-     * @param {number} gridHeight - Map height in grid units
-     * @param {number} cellWidth - Width of a grid cell in pixels
-     * @param {number} cellHeight - Height of a grid cell in pixels
+     * @param {RoomGeometry} geometry - Room geometry (grid size and cell size) from roomGeometry.js
      */
-    setMapBoundaries(gridWidth, gridHeight, cellWidth = 64, cellHeight = 32) {
+    setMapBoundaries(geometry) {
+        const { gridWidth, gridHeight, cellWidth, cellHeight } = geometry;
+        
         // Calculate map dimensions in world units (pixels)
         // For isometric grid, the total width is cellWidth * gridWidth
         // and the total height is cellHeight * gridHeight
@@ -164,6 +163,45 @@ class Camera {
         conditionalDebug(`Camera zoom set: ${this.targetZoom.toFixed(2)}`);
     }
     
+    /**
+     * Convert a canvas position to world (isometric) coordinates
+     * Inverse of the scene transform: translate to the canvas center, scale by zoom, offset by the camera
+     * @param {number} screenX - X position on the canvas
+     * @param {number} screenY - Y position on the canvas
+     * @returns {Object} - World position {x, y}
+     */
+    screenToWorld(screenX, screenY) {
+        return {
+            x: (screenX - this.width / 2) / this.zoom + this.x,
+            y: (screenY - this.height / 2) / this.zoom + this.y
+        };
+    }
+    
+    /**
+     * Convert world (isometric) coordinates to a canvas position
+     * Inverse of screenToWorld
+     * @param {number} worldX - World X position
+     * @param {number} worldY - World Y position
+     * @returns {Object} - Canvas position {x, y}
+     */
+    worldToScreen(worldX, worldY) {
+        return {
+            x: (worldX - this.x) * this.zoom + this.width / 2,
+            y: (worldY - this.y) * this.zoom + this.height / 2
+        };
+    }
+    
+    /**
+     * Update the viewport size after the canvas is resized
+     * @param {number} width - New viewport width in pixels
+     * @param {number} height - New viewport height in pixels
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        conditionalDebug(`Camera resized: ${width}x${height}`);
+    }
+    
     /**
      * Reset camera to center position and default zoom
      */
@@ -0,0 +1,296 @@
+/**
+ * Click-to-Move for AI Alchemist's Lair
+ * Walks the player to a clicked (or tapped) floor cell along an A* path, and walks up to
+ * clicked interactive entities and uses them
+ *
+ * Keyboard, gamepad or joystick movement cancels the walk. The world step (worldStep.js) calls
+ * steer() every simulation step while a path is active, which drives Player.move one waypoint at a time.
+ */
+
+import { WalkabilityMap, findPath } from './pathfinding.js';
+import { interactionManager } from './interactionManager.js';
+import { inputRecorder } from './inputRecorder.js';
+import { debug, info } from './utils.js';
+
+// How close (grid units) the player must get to a waypoint before heading for the next one
+const WAYPOINT_TOLERANCE = 0.15;
+
+// Stop walking if the player has not moved for this long (blocked by something the map missed)
+const STUCK_TIMEOUT = 0.5;
+
+// Fraction of an entity's interaction range to walk into, so the player ends up safely inside it
+const REACH_FRACTION = 0.8;
+
+/**
+ * Get how close the player must be to use an entity
+ * @param {Entity} entity - Interactive entity
+ * @returns {number} - Range in grid units
+ */
+function getInteractionRange(entity) {
+    if (entity.portalType) {
+        return entity.entryDetectionRange || 1.5; // Portals trigger when walked into
+    }
+    return interactionManager.getRange(entity);
+}
+
+class ClickToMove {
+    /**
+     * Create click-to-move handling
+     * @param {Object} options - Dependencies
+     * @param {Camera} options.camera - Camera used to render the room
+     * @param {TestScene} options.scene - Room grid (gridWidth, gridHeight, cellWidth, cellHeight, geometry)
+     * @param {Game} options.game - Game whose entities are obstacles and targets
+     * @param {Player} options.player - Player to move
+     */
+    constructor({ camera, scene, game, player }) {
+        this.camera = camera;
+        this.scene = scene;
+        this.game = game;
+        this.player = player;
+
+        this.path = [];
+        this.targetEntity = null;
+        this.destination = null;
+        this.stuckTime = 0;
+        this.lastPosition = null;
+    }
+
+    /**
+     * Check whether the player is walking a path
+     * @returns {boolean} - True while a path is active
+     */
+    isActive() {
+        return this.path.length > 0;
+    }
+
+    /**
+     * Stop walking
+     */
+    cancel() {
+        if (this.isActive()) {
+            debug('ClickToMove: Path cancelled');
+        }
+        this.path = [];
+        this.targetEntity = null;
+        this.destination = null;
+    }
+
+    /**
+     * Convert a canvas position to a grid position through the camera transform
+     * @param {number} screenX - X position on the canvas
+     * @param {number} screenY - Y position on the canvas
+     * @returns {Object} - Grid position {x, y} (fractional)
+     */
+    screenToGrid(screenX, screenY) {
+        const world = this.camera.screenToWorld(screenX, screenY);
+        const halfWidth = this.scene.cellWidth / 2;
+        const halfHeight = this.scene.cellHeight / 2;
+        return {
+            x: (world.x / halfWidth + world.y / halfHeight) / 2,
+            y: (world.y / halfHeight - world.x / halfWidth) / 2
+        };
+    }
+
+    /**
+     * Find the interactive entity drawn under a canvas position
+     * Hit-tests a box standing on the entity's footprint, as tall as the entity is drawn
+     * @param {number} screenX - X position on the canvas
+     * @param {number} screenY - Y position on the canvas
+     * @returns {Entity|null} - Clicked entity, or null
+     */
+    getEntityAt(screenX, screenY) {
+        const world = this.camera.screenToWorld(screenX, screenY);
+        const { cellWidth, cellHeight } = this.scene;
+        let best = null;
+        let bestDepth = -Infinity;
+
+        this.game.entities.forEach(entity => {
+            if (!entity || entity.isPlayer || !(interactionManager.isInteractive(entity) || entity.portalType)) {
+                return;
+            }
+
+            const baseX = (entity.x - entity.y) * (cellWidth / 2);
+            const baseY = (entity.x + entity.y) * (cellHeight / 2);
+            const halfWidth = Math.max(1, entity.width || 1) * cellWidth / 2;
+            const top = baseY - Math.max(2, (entity.zHeight || 1) * 2) * cellHeight;
+            const bottom = baseY + cellHeight;
+
+            const hit = world.x >= baseX - halfWidth && world.x <= baseX + halfWidth &&
+                        world.y >= top && world.y <= bottom;
+
+            // Prefer the entity drawn in front when boxes overlap
+            const depth = entity.x + entity.y;
+            if (hit && depth > bestDepth) {
+                best = entity;
+                bestDepth = depth;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Handle a click or tap on the room
+     * @param {number} screenX - X position on the canvas
+     * @param {number} screenY - Y position on the canvas
+     * @returns {boolean} - True if a walk was started
+     */
+    handleClick(screenX, screenY) {
+        // A replay walks where the recording did
+        if (this.game.isPaused() || this.game.isInteractionActive() || inputRecorder.isReplaying()) {
+            return false;
+        }
+
+        const entity = this.getEntityAt(screenX, screenY);
+        if (entity) {
+            return this.walkTo({ x: entity.x, y: entity.y }, getInteractionRange(entity) * REACH_FRACTION, entity);
+        }
+
+        const cell = this.screenToGrid(screenX, screenY);
+        return this.walkTo(cell, 0, null);
+    }
+
+    /**
+     * Plan a path and start walking it
+     * @param {Object} target - Target point {x, y} in grid units
+     * @param {number} reach - Stop within this distance of the target (0 = the target cell itself)
+     * @param {Entity|null} entity - Entity to use on arrival
+     * @returns {boolean} - True if a path was found
+     */
+    walkTo(target, reach, entity) {
+        const { gridWidth, gridHeight, geometry } = this.scene;
+        const map = WalkabilityMap.build({ gridWidth, gridHeight, geometry, entities: this.game.entities, player: this.player });
+        const start = {
+            x: Math.max(0, Math.min(gridWidth - 1, Math.floor(this.player.x))),
+            y: Math.max(0, Math.min(gridHeight - 1, Math.floor(this.player.y)))
+        };
+
+        if (!entity && !map.isWalkable(Math.floor(target.x), Math.floor(target.y))) {
+            debug(`ClickToMove: Cell (${Math.floor(target.x)}, ${Math.floor(target.y)}) is not walkable`);
+            return false;
+        }
+
+        const path = findPath(map, start, target, reach);
+        if (path === null) {
+            debug('ClickToMove: No path to target');
+            return false;
+        }
+
+        inputRecorder.recordEvent('walkTo', { x: target.x, y: target.y, reach, toEntity: Boolean(entity) });
+
+        this.path = path.map(cell => ({ x: cell.x + 0.5, y: cell.y + 0.5 }));
+        this.targetEntity = entity;
+        this.destination = path.length > 0 ? path[path.length - 1] : start;
+        this.stuckTime = 0;
+        this.lastPosition = { x: this.player.x, y: this.player.y };
+
+        if (this.path.length === 0 && entity) {
+            this.arrive();
+        }
+
+        info(`ClickToMove: Walking ${path.length} cells${entity ? ` to ${interactionManager.getLabel(entity) || 'portal'}` : ''}`);
+        return true;
+    }
+
+    /**
+     * Move the player toward the next waypoint; call once per frame while active
+     * @param {number} deltaTime - Time step in seconds
+     */
+    steer(deltaTime) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        const waypoint = this.path[0];
+        const dx = waypoint.x - this.player.x;
+        const dy = waypoint.y - this.player.y;
+        const step = this.player.speed * (deltaTime > 0 ? deltaTime : 1/60);
+
+        // Close enough: snap onto the waypoint and head for the next one
+        if (Math.hypot(dx, dy) <= Math.max(WAYPOINT_TOLERANCE, step)) {
+            this.player.x = waypoint.x;
+            this.player.y = waypoint.y;
+            this.path.shift();
+            if (this.path.length === 0) {
+                this.player.move('none');
+                this.arrive();
+            }
+            return;
+        }
+
+        // 8-way direction in the form worldStep.js passes to Player.move
+        const horizontal = Math.abs(dx) > WAYPOINT_TOLERANCE / 2 ? (dx < 0 ? 'left' : 'right') : '';
+        const vertical = Math.abs(dy) > WAYPOINT_TOLERANCE / 2 ? (dy < 0 ? 'north' : 'south') : '';
+        let direction;
+        if (vertical && horizontal) {
+            direction = vertical + horizontal;
+        } else if (vertical) {
+            direction = vertical === 'north' ? 'up' : 'down';
+        } else {
+            direction = horizontal;
+        }
+        this.player.move(direction);
+
+        // Give up if a collision keeps the player in place
+        const moved = Math.hypot(this.player.x - this.lastPosition.x, this.player.y - this.lastPosition.y);
+        this.stuckTime = moved < 0.001 ? this.stuckTime + deltaTime : 0;
+        this.lastPosition = { x: this.player.x, y: this.player.y };
+        if (this.stuckTime > STUCK_TIMEOUT) {
+            debug('ClickToMove: Player is stuck, stopping');
+            this.cancel();
+        }
+    }
+
+    /**
+     * Face and use the target entity once the path is walked
+     */
+    arrive() {
+        const entity = this.targetEntity;
+        this.cancel();
+        if (!entity) {
+            return;
+        }
+
+        // Turn toward the entity (8-way, like Player.moveVector)
+        const angle = Math.atan2(entity.y - this.player.y, entity.x - this.player.x);
+        const directions = ['east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'north', 'northeast'];
+        this.player.lastDirection = directions[(Math.round(angle / (Math.PI / 4)) + 8) % 8];
+
+        // Portals trigger on their own; everything else is used through the InteractionManager
+        if (interactionManager.isInteractive(entity)) {
+            debug(`ClickToMove: Using ${interactionManager.getLabel(entity)} entity`);
+            interactionManager.interact(entity);
+        }
+    }
+
+    /**
+     * Draw a marker on the destination cell (call with the scene's camera transform applied)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    renderDestination(ctx) {
+        if (!this.isActive() || !this.destination) {
+            return;
+        }
+
+        const { cellWidth, cellHeight } = this.scene;
+        const x = this.destination.x + 0.5;
+        const y = this.destination.y + 0.5;
+        const screenX = (x - y) * (cellWidth / 2);
+        const screenY = (x + y) * (cellHeight / 2);
+        const pulse = 0.6 + 0.4 * Math.sin(Date.now() / 150);
+
+        ctx.save();
+        ctx.strokeStyle = `rgba(0, 255, 204, ${pulse})`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(screenX, screenY - cellHeight / 2);
+        ctx.lineTo(screenX + cellWidth / 2, screenY);
+        ctx.lineTo(screenX, screenY + cellHeight / 2);
+        ctx.lineTo(screenX - cellWidth / 2, screenY);
+        ctx.closePath();
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+export { ClickToMove };
@@ -1,22 +1,97 @@
 /**
  * Collision detection module for AI Alchemist's Lair
  * Handles entity collision detection with height awareness for isometric gameplay
- * 
+ *
  * This module implements a 3D collision system that considers:
  * 1. X/Y position in the isometric world (horizontal plane)
  * 2. Z-axis height and elevation for vertical collision checking
  * 3. Variable object heights allowing objects to pass over/under each other
+ *
+ * Entities collide as their collision shapes: one box, exactly their width and height, unless they
+ * declare compound colliders (boxes, circles and convex polygons, see collisionShapes.js). Moving
+ * entities are swept along each axis in turn (moveAndSlide) and stop at the first face in their
+ * way, so they slide along walls and cannot pass through anything however far they move in one step.
  */
 
+import {
+    getCollisionShapes,
+    getCollisionBounds,
+    overlapsVertically,
+    getShapeOverlap,
+    sweepShapes
+} from './collisionShapes.js';
+
+// Gap (grid units) a sweep leaves between a mover and the face it stops at. Far too small to see;
+// it keeps the mover from starting the next step touching, or a rounding error inside, the face.
+const CONTACT_SKIN = 0.001;
+
+/**
+ * Find the deepest overlap between two entities' shapes that also overlap in height
+ * @param {Object} entity1 - First entity
+ * @param {Object} entity2 - Second entity
+ * @returns {Object|null} - {depth, normalX, normalY} pushing entity1 out of entity2, or null
+ */
+function findDeepestOverlap(entity1, entity2) {
+    let deepest = null;
+    getCollisionShapes(entity1).forEach(a => {
+        getCollisionShapes(entity2).forEach(b => {
+            if (!overlapsVertically(a, b)) return;
+            const overlap = getShapeOverlap(a, b);
+            if (overlap && (!deepest || overlap.depth > deepest.depth)) {
+                deepest = overlap;
+            }
+        });
+    });
+    return deepest;
+}
+
+/**
+ * Find where a mover that has swept up to an obstacle touches it
+ * @param {Object} moverShape - The mover's shape before the sweep
+ * @param {number} dx - X distance the mover moved
+ * @param {number} dy - Y distance the mover moved
+ * @param {Object} shape - The obstacle's shape
+ * @param {Object} normal - {normalX, normalY} of the obstacle's face
+ * @returns {Object} - {x, y}: the middle of the stretch where the two touch, on the obstacle's face
+ */
+function getContactPoint(moverShape, dx, dy, shape, { normalX, normalY }) {
+    const TOLERANCE = 1e-6;
+    const tangentX = -normalY;
+    const tangentY = normalX;
+
+    // The obstacle's face: its points farthest along the normal
+    const face = Math.max(...shape.points.map(p => p.x * normalX + p.y * normalY));
+    const facePoints = shape.points.filter(p => face - (p.x * normalX + p.y * normalY) < TOLERANCE);
+
+    // The mover's leading edge: its points farthest against the normal
+    const moved = moverShape.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+    const lead = Math.min(...moved.map(p => p.x * normalX + p.y * normalY));
+    const leadPoints = moved.filter(p => (p.x * normalX + p.y * normalY) - lead < TOLERANCE);
+
+    // Where the two overlap along the face
+    const alongFace = facePoints.map(p => p.x * tangentX + p.y * tangentY);
+    const alongLead = leadPoints.map(p => p.x * tangentX + p.y * tangentY);
+    const from = Math.max(Math.min(...alongFace), Math.min(...alongLead));
+    const to = Math.min(Math.max(...alongFace), Math.max(...alongLead));
+    const middle = (from + to) / 2;
+
+    return {
+        x: normalX * face + tangentX * middle,
+        y: normalY * face + tangentY * middle
+    };
+}
+
 class Collision {
     /**
-     * Checks for collision between two entities using axis-aligned bounding boxes (AABB)
+     * Checks for collision between two entities using their collision shapes
      * with height (z-axis) consideration
-     * 
-     * The collision system uses a two-phase approach:
-     * 1. First checks horizontal (X/Y) collision with expanded hitboxes (buffer)
+     *
+     * The collision system uses a two-phase approach for each pair of collision shapes:
+     * 1. First checks horizontal (X/Y) overlap of the shapes' footprints
      * 2. Then validates vertical (Z) collision for proper 3D interaction
-     * 
+     *
+     * Shapes that only touch do not collide.
+     *
      * @param {Object} entity1 - First entity to check
      * @param {Object} entity2 - Second entity to check
      * @returns {boolean} - True if collision detected, false otherwise
@@ -24,87 +99,34 @@ class Collision {
     static checkCollision(entity1, entity2) {
         // Safety checks for undefined entities
         if (!entity1 || !entity2) return false;
-        
+
         // Skip self-collision
         if (entity1 === entity2) return false;
-        
+
         // Check if either entity has collidable set to false
         if (entity1.collidable === false || entity2.collidable === false) {
             return false; // Non-collidable entities never collide
         }
-        
-        // Define collision buffer (20% larger hitbox)
-        // This creates a stronger collision boundary and prevents entities from
-        // getting too close to each other before collision is detected
-        const buffer = 1.2;
-        
-        // Default sizes if width/height not specified
-        // Uses standard grid cell size (0.6) as fallback
-        const width1 = entity1.width || 0.6;
-        const height1 = entity1.height || 0.6;
-        const width2 = entity2.width || 0.6;
-        const height2 = entity2.height || 0.6;
-        
+
         // PHASE 1: HORIZONTAL COLLISION DETECTION
-        // Standard AABB (Axis-Aligned Bounding Box) collision check
-        // Uses expanded hitbox dimensions (with buffer) for more generous detection
-        const horizontalCollision = (
-            entity1.x < entity2.x + width2 * buffer &&
-            entity1.x + width1 * buffer > entity2.x &&
-            entity1.y < entity2.y + height2 * buffer &&
-            entity1.y + height1 * buffer > entity2.y
-        );
-        
-        // Only proceed with height check if horizontal collision detected
-        // This optimization prevents unnecessary Z-axis calculations
-        if (horizontalCollision) {
-            // PHASE 2: VERTICAL (HEIGHT) COLLISION DETECTION
-            
-            // Calculate the total height of each entity by combining:
-            // - z: Current elevation/position on z-axis (dynamic, changes during jumps)
-            // - zHeight: The static height of the entity (doesn't change)
-            const entity1Height = (entity1.z || 0) + (entity1.zHeight || 0);
-            const entity2Height = (entity2.z || 0) + (entity2.zHeight || 0);
-            
-            // Log collision debugging information
-            console.log("[COLLISION] Horizontal collision detected!", 
-                {e1: {pos: [entity1.x, entity1.y], height: entity1Height},
-                 e2: {pos: [entity2.x, entity2.y], height: entity2Height}});
-                
-            // Height-based collision check (z-axis)
-            // For a true 3D collision, entities must overlap in the vertical axis
-            // This allows entities to jump over obstacles or pass under tall objects
-            const verticalCollision = (
-                entity1.z < entity2.z + entity2.zHeight &&
-                entity1.z + entity1.zHeight > entity2.z
-            );
-            
-            // If no vertical overlap, entities can pass through each other
-            // Example: Player jumping over a short wall, or ducking under an obstacle
-            if (!verticalCollision) {
-                console.log("[COLLISION] No height overlap - entities can pass each other");
-                return false;
-            }
-            
-            // Both horizontal AND vertical collision conditions are met
-            console.log("[COLLISION] FULL COLLISION DETECTED - Heights overlap");
-            
-            // Full 3D collision detected
-            return true;
-        }
-        
-        return false;
+        // Any of entity1's shapes overlapping any of entity2's (touching does not count)
+        // PHASE 2: VERTICAL (HEIGHT) COLLISION DETECTION
+        // Only shapes whose height ranges overlap count, so entities can jump over obstacles or
+        // pass under tall objects
+        return getCollisionShapes(entity1).some(a => getCollisionShapes(entity2).some(b =>
+            overlapsVertically(a, b) && getShapeOverlap(a, b) !== null
+        ));
     }
 
     /**
      * Provides detailed collision information including collision direction
      * and depth for proper collision response
-     * 
+     *
      * This method calculates:
      * 1. The precise overlap amount between entities
      * 2. The direction of collision (which entity is where relative to the other)
-     * 3. The minimal movement needed to resolve the collision
-     * 
+     * 3. The minimal movement needed to resolve the collision, and its direction as a unit normal
+     *
      * @param {Object} entity1 - First entity to check
      * @param {Object} entity2 - Second entity to check
      * @returns {Object|null} - Collision information or null if no collision
@@ -114,86 +136,164 @@ class Collision {
         if (!this.checkCollision(entity1, entity2)) {
             return null;
         }
-        
-        // Use expanded hitboxes for collision resolution
-        // The 15% expansion ensures entities don't get too close and provides
-        // a better safety margin for calculating resolution vectors
-        const width1 = (entity1.width || 0.6) * 1.15;
-        const height1 = (entity1.height || 0.6) * 1.15;
-        const width2 = (entity2.width || 0.6) * 1.15;
-        const height2 = (entity2.height || 0.6) * 1.15;
-        
-        // Calculate center points of each entity
-        // These are used to determine direction and distance between entities
-        const entity1CenterX = entity1.x + ((entity1.width || 0.6) / 2);
-        const entity1CenterY = entity1.y + ((entity1.height || 0.6) / 2);
-        const entity2CenterX = entity2.x + ((entity2.width || 0.6) / 2);
-        const entity2CenterY = entity2.y + ((entity2.height || 0.6) / 2);
-        
-        // Calculate vector from entity2 to entity1
-        // This vector points in the direction entity1 needs to move to avoid entity2
-        const dx = entity1CenterX - entity2CenterX;
-        const dy = entity1CenterY - entity2CenterY;
-        
-        // Calculate half-widths and half-heights for overlap calculation
-        // Using the combined dimensions of both entities divided by 2
-        const halfWidths = (width1 + width2) / 2;
-        const halfHeights = (height1 + height2) / 2;
-        
-        // Calculate overlap on each axis
-        // This is the actual penetration depth between the two entities
-        const overlapX = halfWidths - Math.abs(dx);
-        const overlapY = halfHeights - Math.abs(dy);
-        
-        // Determine collision resolution vector by finding smallest overlap
-        // We always want to resolve along the axis with minimal penetration
-        // This creates more natural-looking collision responses
-        let resolveX = 0;
-        let resolveY = 0;
-        
-        // Choose resolution axis based on minimal penetration
-        // This prevents entities from "popping" through walls
-        if (overlapX < overlapY) {
-            // Resolve on X axis (horizontal collision)
-            // Direction based on relative positions (dx positive = move right)
-            resolveX = (dx > 0 ? 1 : -1) * overlapX;
-        } else {
-            // Resolve on Y axis (vertical collision)
-            // Direction based on relative positions (dy positive = move down)
-            resolveY = (dy > 0 ? 1 : -1) * overlapY;
+
+        // Resolve along the direction of least penetration of the deepest overlapping pair of shapes
+        const overlap = findDeepestOverlap(entity1, entity2);
+        if (!overlap) {
+            return null;
         }
-        
-        // Log detailed collision information for debugging
-        console.log("[COLLISION INFO] Detailed collision data:", {
-            centers: {dx, dy},
-            overlaps: {x: overlapX, y: overlapY},
-            resolution: {x: resolveX, y: resolveY}
-        });
-        
+
+        // Calculate vector from entity2's center to entity1's
+        const a = getCollisionBounds(entity1);
+        const b = getCollisionBounds(entity2);
+        const dx = (a.minX + a.maxX) / 2 - (b.minX + b.maxX) / 2;
+        const dy = (a.minY + a.maxY) / 2 - (b.minY + b.maxY) / 2;
+
         // Return comprehensive collision data
-        // This information is used by the collision resolver to properly
-        // move entities apart and apply appropriate physics responses
         return {
-            entity1,          // Reference to first entity
-            entity2,          // Reference to second entity
-            overlapX,         // X-axis penetration depth
-            overlapY,         // Y-axis penetration depth
-            resolveX,         // X-component of resolution vector
-            resolveY,         // Y-component of resolution vector
-            dx,               // X-distance between centers
-            dy                // Y-distance between centers
+            entity1,                                    // Reference to first entity
+            entity2,                                    // Reference to second entity
+            overlapX: Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX), // X-axis overlap of the bounds
+            overlapY: Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY), // Y-axis overlap of the bounds
+            depth: overlap.depth,                       // Penetration depth along the normal
+            resolveX: overlap.normalX * overlap.depth,  // X-component of resolution vector
+            resolveY: overlap.normalY * overlap.depth,  // Y-component of resolution vector
+            normalX: overlap.normalX,                   // Direction entity1 is pushed out (unit vector)
+            normalY: overlap.normalY,
+            dx,                                         // X-distance between centers
+            dy                                          // Y-distance between centers
+        };
+    }
+
+    /**
+     * Sweeps an entity's shapes by a displacement and finds the first obstacle in its way
+     *
+     * An obstacle blocks the move when one of its shapes overlaps one of the mover's in height and
+     * lies anywhere between the mover's start and end position. Obstacles the mover already
+     * overlaps are ignored, so something placed inside furniture can walk out of it.
+     *
+     * @param {Object} mover - Entity to move
+     * @param {number} dx - X displacement (grid units)
+     * @param {number} dy - Y displacement (grid units)
+     * @param {Array} obstacles - Entities that can block the move
+     * @returns {Object} - {dx, dy, hit, normalX, normalY, contactX, contactY}: how far the mover can
+     *                     go, the obstacle it stops at (null if none), the normal of the face it stops
+     *                     at and where it touches it
+     */
+    static sweep(mover, dx, dy, obstacles) {
+        const result = { dx, dy, hit: null, normalX: 0, normalY: 0, contactX: 0, contactY: 0 };
+        if (dx === 0 && dy === 0) {
+            return result;
+        }
+
+        // Fraction of the move the mover can make
+        let time = 1;
+        let contactShapes = null;
+        const moverShapes = getCollisionShapes(mover);
+
+        obstacles.forEach(obstacle => {
+            if (!obstacle || obstacle === mover || obstacle.collidable === false) {
+                return;
+            }
+
+            getCollisionShapes(obstacle).forEach(shape => {
+                moverShapes.forEach(moverShape => {
+                    // Low enough to pass over (or high enough to pass under)
+                    if (!overlapsVertically(moverShape, shape)) return;
+
+                    const contact = sweepShapes(moverShape, dx, dy, shape);
+                    if (!contact) return;
+
+                    // Already inside it, rather than touching it
+                    if (contact.time < 0 && -contact.time * contact.speed > CONTACT_SKIN) return;
+
+                    const allowed = Math.max(0, contact.time - CONTACT_SKIN / contact.speed);
+                    if (allowed >= time) return;
+
+                    time = allowed;
+                    result.hit = obstacle;
+                    result.normalX = contact.normalX;
+                    result.normalY = contact.normalY;
+                    contactShapes = { moverShape, shape };
+                });
+            });
+        });
+
+        result.dx = dx * time;
+        result.dy = dy * time;
+        if (contactShapes) {
+            const point = getContactPoint(contactShapes.moverShape, result.dx, result.dy, contactShapes.shape, result);
+            result.contactX = point.x;
+            result.contactY = point.y;
+        }
+        return result;
+    }
+
+    /**
+     * Moves an entity by a displacement, stopping at obstacles and sliding along them
+     *
+     * The X move is swept first and then the Y move from where it ended, so an entity walking
+     * diagonally into a wall keeps the part of its move that runs along the wall. A slanted face
+     * (a polygon's, or a circle's) turns the rest of a blocked move along the face. Velocity into a
+     * face it stops at is zeroed.
+     *
+     * @param {Object} mover - Entity to move
+     * @param {number} dx - X displacement (grid units)
+     * @param {number} dy - Y displacement (grid units)
+     * @param {Array} obstacles - Entities that can block the move
+     * @returns {Array<Object>} - One contact per face the mover stopped at:
+     *                            {entity, x, y, normalX, normalY} with the contact point in grid units
+     */
+    static moveAndSlide(mover, dx, dy, obstacles) {
+        const contacts = [];
+
+        const moveBy = (stepX, stepY) => {
+            const sweep = this.sweep(mover, stepX, stepY, obstacles);
+            mover.x += sweep.dx;
+            mover.y += sweep.dy;
+
+            if (sweep.hit) {
+                contacts.push({
+                    entity: sweep.hit,
+                    x: sweep.contactX,
+                    y: sweep.contactY,
+                    normalX: sweep.normalX,
+                    normalY: sweep.normalY
+                });
+            }
+            return sweep;
         };
+
+        [[dx, 0], [0, dy]].forEach(([stepX, stepY]) => {
+            const sweep = moveBy(stepX, stepY);
+            if (!sweep.hit) {
+                return;
+            }
+
+            if (stepX !== 0) {
+                mover.velocityX = 0;
+            } else {
+                mover.velocityY = 0;
+            }
+
+            // Slide the rest of the move along a slanted face
+            if (sweep.normalX !== 0 && sweep.normalY !== 0) {
+                const along = (stepX - sweep.dx) * -sweep.normalY + (stepY - sweep.dy) * sweep.normalX;
+                moveBy(-sweep.normalY * along, sweep.normalX * along);
+            }
+        });
+
+        return contacts;
     }
 
     /**
-     * Resolves collision between two entities with improved stability
-     * 
-     * This method handles the actual collision response by:
-     * 1. Calculating how to separate the entities
-     * 2. Applying velocity changes (stopping or bouncing)
-     * 3. Using a separation buffer to prevent sticking/tunneling
-     * 4. Handling different behaviors for static vs. dynamic entities
-     * 
+     * Resolves an overlap between two entities
+     *
+     * This method handles the collision response by:
+     * 1. Moving the entities apart along the axis of least penetration
+     * 2. Stopping entity1's velocity on that axis (and bouncing a moving entity2)
+     * 3. Handling different behaviors for static vs. dynamic entities
+     *
      * @param {Object} entity1 - First entity in collision (typically the player)
      * @param {Object} entity2 - Second entity in collision (typically an obstacle)
      * @returns {boolean} - True if collision was resolved, false otherwise
@@ -201,75 +301,32 @@ class Collision {
     static resolveCollision(entity1, entity2) {
         // Get detailed collision information
         const collisionInfo = this.getCollisionInfo(entity1, entity2);
-        
+
         // If no collision or no valid entities, return false
         if (!collisionInfo || !entity1 || !entity2) {
             return false;
         }
-        
-        // Log collision resolution data
-        console.log(`[COLLISION RESOLVE] Starting collision resolution between entities`);
-        
-        // Check if entity2 is static (doesn't move)
+
         // Static entities like walls should not be moved during collision
-        const isStatic = entity2.isStatic === true;
-        
-        // Use a strong separation force with buffer
-        // The 25% extra separation (1.25) prevents entities from sticking together
-        // and helps avoid the "tunneling" problem in fast-moving collisions
-        const separationBuffer = 1.25; // 25% extra separation to prevent sticking
-        
+        // Dynamic entities share the separation (70/30 split, entity1 takes most of it)
+        const entity1Ratio = entity2.isStatic === true ? 1 : 0.7;
+
         // HORIZONTAL COLLISION RESOLUTION
-        if (Math.abs(collisionInfo.resolveX) > 0) {
-            // X-axis collision resolution
-            if (isStatic) {
-                // For static objects (walls, obstacles):
-                // 1. Stop entity1's horizontal velocity completely
-                // 2. Push entity1 out with buffer for solid feel
-                entity1.velocityX = 0;
-                entity1.x += collisionInfo.resolveX * separationBuffer;
-                console.log(`[COLLISION] X-axis push: ${(collisionInfo.resolveX * separationBuffer).toFixed(4)}`);
-            } else {
-                // For dynamic objects (other moving entities):
-                // 1. Distribute the movement between both entities (70/30 split)
-                // 2. Apply physics response (bounce) to both
-                const entity1Ratio = 0.7; // Entity1 takes most of the adjustment
-                entity1.x += collisionInfo.resolveX * entity1Ratio * separationBuffer;
-                entity2.x -= collisionInfo.resolveX * (1 - entity1Ratio) * separationBuffer;
-                
-                // Apply physics responses to velocities
-                entity1.velocityX = 0;
-                if (entity2.velocityX) entity2.velocityX *= -0.5; // Bounce back with reduced velocity
-            }
+        if (collisionInfo.resolveX !== 0) {
+            entity1.x += collisionInfo.resolveX * entity1Ratio;
+            entity2.x -= collisionInfo.resolveX * (1 - entity1Ratio);
+            entity1.velocityX = 0;
+            if (entity1Ratio < 1 && entity2.velocityX) entity2.velocityX *= -0.5; // Bounce back with reduced velocity
         }
-        
+
         // VERTICAL COLLISION RESOLUTION
-        if (Math.abs(collisionInfo.resolveY) > 0) {
-            // Y-axis collision resolution
-            if (isStatic) {
-                // For static objects (walls, obstacles):
-                // 1. Stop entity1's vertical velocity completely
-                // 2. Push entity1 out with buffer for solid feel
-                entity1.velocityY = 0;
-                entity1.y += collisionInfo.resolveY * separationBuffer;
-                console.log(`[COLLISION] Y-axis push: ${(collisionInfo.resolveY * separationBuffer).toFixed(4)}`);
-            } else {
-                // For dynamic objects (other moving entities):
-                // 1. Distribute the movement between both entities (70/30 split)
-                // 2. Apply physics response (bounce) to both
-                const entity1Ratio = 0.7; // Entity1 takes most of the adjustment
-                entity1.y += collisionInfo.resolveY * entity1Ratio * separationBuffer;
-                entity2.y -= collisionInfo.resolveY * (1 - entity1Ratio) * separationBuffer;
-                
-                // Apply physics responses to velocities
-                entity1.velocityY = 0;
-                if (entity2.velocityY) entity2.velocityY *= -0.5; // Bounce back with reduced velocity
-            }
+        if (collisionInfo.resolveY !== 0) {
+            entity1.y += collisionInfo.resolveY * entity1Ratio;
+            entity2.y -= collisionInfo.resolveY * (1 - entity1Ratio);
+            entity1.velocityY = 0;
+            if (entity1Ratio < 1 && entity2.velocityY) entity2.velocityY *= -0.5; // Bounce back with reduced velocity
         }
-        
-        // Log successful collision resolution
-        console.log("[COLLISION RESOLVE] Collision resolved successfully");
-        
+
         return true;
     }
 }
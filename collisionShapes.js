@@ -0,0 +1,329 @@
+/**
+ * Collision Shapes for AI Alchemist's Lair
+ * Turns an entity's colliders into convex polygons in grid space and tests them against each other
+ *
+ * By default an entity collides as one box, its width by its height from its x/y. An entity (or a
+ * decor preset) can declare compound colliders instead, in grid units relative to its x/y:
+ *
+ *   colliders: [
+ *     { type: 'box', x: 0, y: 2.4, width: 3.2, height: 0.8 },              // just the base
+ *     { type: 'circle', x: 1.5, y: 1.5, radius: 1.2 },                     // x/y is the center
+ *     { type: 'polygon', points: [[0, 1], [2, 0], [3.4, 1.4], [1.4, 2.4]] } // convex, either winding
+ *   ]
+ *
+ * Each collider can also set z (above the entity's z) and zHeight (defaults to the entity's), so
+ * a tall cabinet can have a low counter in front of it. Leaving a part out, such as an overhanging
+ * sign, makes it walk-through. Circles collide as CIRCLE_SEGMENTS-sided polygons drawn around them.
+ *
+ * Overlap and sweep tests use the separating axis theorem, which is exact for convex polygons.
+ */
+
+import { warn } from './utils.js';
+
+// Default footprint (grid units) for entities without a width or height
+const DEFAULT_SIZE = 0.6;
+
+// Sides of the polygon a circle collider collides as
+const CIRCLE_SEGMENTS = 16;
+
+// Below this, a projected speed counts as no movement along an axis
+const EPSILON = 1e-9;
+
+/**
+ * Build a shape from polygon points in grid space
+ * @param {Array<Object>} points - Convex polygon {x, y} points
+ * @param {number} minZ - Bottom of the shape
+ * @param {number} maxZ - Top of the shape
+ * @returns {Object} - {points, axes, minX, minY, maxX, maxY, minZ, maxZ}
+ */
+function createShape(points, minZ, maxZ) {
+    const axes = points.map((point, i) => {
+        const next = points[(i + 1) % points.length];
+        const edgeX = next.x - point.x;
+        const edgeY = next.y - point.y;
+        const length = Math.hypot(edgeX, edgeY) || 1;
+        return { x: -edgeY / length, y: edgeX / length };
+    });
+
+    return {
+        points,
+        axes,
+        minX: Math.min(...points.map(point => point.x)),
+        minY: Math.min(...points.map(point => point.y)),
+        maxX: Math.max(...points.map(point => point.x)),
+        maxY: Math.max(...points.map(point => point.y)),
+        minZ,
+        maxZ
+    };
+}
+
+/**
+ * Get the corners of an axis-aligned box
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Array<Object>} - Four {x, y} corners
+ */
+function boxPoints(x, y, width, height) {
+    return [
+        { x, y },
+        { x: x + width, y },
+        { x: x + width, y: y + height },
+        { x, y: y + height }
+    ];
+}
+
+/**
+ * Check whether polygon points are convex (all turns the same way)
+ * @param {Array<Object>} points - {x, y} points
+ * @returns {boolean} - True if convex with at least three points
+ */
+function isConvex(points) {
+    if (points.length < 3) {
+        return false;
+    }
+
+    let sign = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const c = points[(i + 2) % points.length];
+        const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+        if (Math.abs(cross) < EPSILON) continue;
+        if (sign === 0) {
+            sign = Math.sign(cross);
+        } else if (Math.sign(cross) !== sign) {
+            return false;
+        }
+    }
+    return sign !== 0;
+}
+
+/**
+ * Turn one collider declaration into a shape in grid space
+ * @param {Object} entity - Entity the collider belongs to
+ * @param {Object} collider - Collider declaration (see the module comment)
+ * @returns {Object|null} - Shape, or null if the declaration is invalid
+ */
+function colliderToShape(entity, collider) {
+    const baseZ = (entity.z || 0) + (collider.z || 0);
+    const zHeight = collider.zHeight !== undefined ? collider.zHeight : (entity.zHeight || 0);
+    const offsetX = collider.x || 0;
+    const offsetY = collider.y || 0;
+
+    let points = null;
+    switch (collider.type) {
+        case 'box':
+            if (collider.width > 0 && collider.height > 0) {
+                points = boxPoints(entity.x + offsetX, entity.y + offsetY, collider.width, collider.height);
+            }
+            break;
+        case 'circle':
+            if (collider.radius > 0) {
+                // Corners on a slightly larger circle, so the polygon's edges touch the circle
+                const radius = collider.radius / Math.cos(Math.PI / CIRCLE_SEGMENTS);
+                points = [];
+                for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+                    const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
+                    points.push({
+                        x: entity.x + offsetX + Math.cos(angle) * radius,
+                        y: entity.y + offsetY + Math.sin(angle) * radius
+                    });
+                }
+            }
+            break;
+        case 'polygon':
+            if (Array.isArray(collider.points)) {
+                points = collider.points.map(([x, y]) => ({ x: entity.x + offsetX + x, y: entity.y + offsetY + y }));
+                if (!isConvex(points)) {
+                    points = null;
+                }
+            }
+            break;
+        default:
+            break;
+    }
+
+    if (!points) {
+        return null;
+    }
+    return createShape(points, baseZ, baseZ + zHeight);
+}
+
+/**
+ * Get an entity's collision shapes in grid space
+ * Shapes are cached until the entity moves or its colliders are replaced.
+ * @param {Object} entity - Entity
+ * @returns {Array<Object>} - Shapes from createShape()
+ */
+function getCollisionShapes(entity) {
+    const cache = entity._collisionShapes;
+    if (cache && cache.x === entity.x && cache.y === entity.y && cache.z === entity.z &&
+        cache.colliders === entity.colliders && cache.width === entity.width &&
+        cache.height === entity.height && cache.zHeight === entity.zHeight) {
+        return cache.shapes;
+    }
+
+    let shapes;
+    if (Array.isArray(entity.colliders) && entity.colliders.length > 0) {
+        shapes = [];
+        entity.colliders.forEach(collider => {
+            const shape = colliderToShape(entity, collider);
+            if (shape) {
+                shapes.push(shape);
+            } else {
+                warn(`CollisionShapes: Ignoring invalid ${collider && collider.type} collider on ${entity.name || entity.constructor.name}`);
+            }
+        });
+    } else {
+        const z = entity.z || 0;
+        shapes = [createShape(
+            boxPoints(entity.x, entity.y, entity.width || DEFAULT_SIZE, entity.height || DEFAULT_SIZE),
+            z,
+            z + (entity.zHeight || 0)
+        )];
+    }
+
+    entity._collisionShapes = {
+        x: entity.x,
+        y: entity.y,
+        z: entity.z,
+        width: entity.width,
+        height: entity.height,
+        zHeight: entity.zHeight,
+        colliders: entity.colliders,
+        shapes
+    };
+    return shapes;
+}
+
+/**
+ * Get the box around all of an entity's collision shapes
+ * @param {Object} entity - Entity
+ * @returns {Object} - {minX, minY, maxX, maxY}
+ */
+function getCollisionBounds(entity) {
+    const shapes = getCollisionShapes(entity);
+    if (shapes.length === 0) {
+        return { minX: entity.x, minY: entity.y, maxX: entity.x, maxY: entity.y };
+    }
+    return {
+        minX: Math.min(...shapes.map(shape => shape.minX)),
+        minY: Math.min(...shapes.map(shape => shape.minY)),
+        maxX: Math.max(...shapes.map(shape => shape.maxX)),
+        maxY: Math.max(...shapes.map(shape => shape.maxY))
+    };
+}
+
+/**
+ * Check whether two shapes' height ranges overlap
+ * @param {Object} a - Shape
+ * @param {Object} b - Shape
+ * @returns {boolean} - True if neither is entirely above the other
+ */
+function overlapsVertically(a, b) {
+    return a.minZ < b.maxZ && a.maxZ > b.minZ;
+}
+
+/**
+ * Project a shape onto an axis
+ * @param {Object} shape - Shape
+ * @param {Object} axis - Unit {x, y} axis
+ * @returns {Object} - {min, max}
+ */
+function project(shape, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    shape.points.forEach(point => {
+        const value = point.x * axis.x + point.y * axis.y;
+        if (value < min) min = value;
+        if (value > max) max = value;
+    });
+    return { min, max };
+}
+
+/**
+ * Find how far two shapes overlap on the ground (heights are not checked)
+ * Shapes that only touch do not overlap.
+ * @param {Object} a - Shape
+ * @param {Object} b - Shape
+ * @returns {Object|null} - {depth, normalX, normalY} with the normal pushing a out of b, or null
+ */
+function getShapeOverlap(a, b) {
+    // Quick reject on the bounding boxes
+    if (a.minX >= b.maxX || a.maxX <= b.minX || a.minY >= b.maxY || a.maxY <= b.minY) {
+        return null;
+    }
+
+    let best = null;
+    for (const axis of [...a.axes, ...b.axes]) {
+        const pa = project(a, axis);
+        const pb = project(b, axis);
+        const depth = Math.min(pa.max - pb.min, pb.max - pa.min);
+        if (depth <= 0) {
+            return null;
+        }
+        if (!best || depth < best.depth) {
+            // Point the normal from b toward a
+            const sign = (pa.min + pa.max) >= (pb.min + pb.max) ? 1 : -1;
+            best = { depth, normalX: axis.x * sign || 0, normalY: axis.y * sign || 0 }; // || 0 turns -0 into 0
+        }
+    }
+    return best;
+}
+
+/**
+ * Find when a shape moving by a displacement first touches another shape (heights are not checked)
+ * @param {Object} a - Moving shape
+ * @param {number} dx - X displacement
+ * @param {number} dy - Y displacement
+ * @param {Object} b - Shape standing still
+ * @returns {Object|null} - {time, speed, normalX, normalY}: the fraction of the move done at first
+ *                          contact (negative if they already overlap), the displacement along the
+ *                          normal, and the normal of b's face pointing back at a; null if they
+ *                          never touch during the move
+ */
+function sweepShapes(a, dx, dy, b) {
+    let enter = -Infinity;
+    let exit = Infinity;
+    let hit = null;
+
+    for (const axis of [...a.axes, ...b.axes]) {
+        const pa = project(a, axis);
+        const pb = project(b, axis);
+        const speed = dx * axis.x + dy * axis.y;
+
+        if (Math.abs(speed) < EPSILON) {
+            // Not moving along this axis: they must already overlap on it
+            if (pa.max <= pb.min || pb.max <= pa.min) {
+                return null;
+            }
+            continue;
+        }
+
+        const axisEnter = speed > 0 ? (pb.min - pa.max) / speed : (pb.max - pa.min) / speed;
+        const axisExit = speed > 0 ? (pb.max - pa.min) / speed : (pb.min - pa.max) / speed;
+        if (axisEnter > enter) {
+            enter = axisEnter;
+            const sign = speed > 0 ? -1 : 1;
+            hit = { speed: Math.abs(speed), normalX: axis.x * sign || 0, normalY: axis.y * sign || 0 };
+        }
+        exit = Math.min(exit, axisExit);
+    }
+
+    if (!hit || enter >= exit || exit <= 0 || enter > 1) {
+        return null;
+    }
+    return { time: enter, ...hit };
+}
+
+export {
+    DEFAULT_SIZE,
+    CIRCLE_SEGMENTS,
+    getCollisionShapes,
+    getCollisionBounds,
+    overlapsVertically,
+    getShapeOverlap,
+    sweepShapes
+};
@@ -0,0 +1,359 @@
+/**
+ * Controls Panel for AI Alchemist's Lair
+ * In-game settings panel for rebinding the ActionMap's keys, opened with K (the openControls action)
+ *
+ * Each action lists its keys as buttons: click one (or focus it and press Enter) and press the new
+ * key, or use + to add a key. While a key is being recorded, Backspace or Delete removes it and
+ * Escape cancels. Keys bound to more than one action are outlined in red, with the other actions
+ * named in the tooltip and a count at the top. The QWERTY and AZERTY buttons reset every binding
+ * to that layout's defaults. Bindings are saved by the ActionMap as soon as they change.
+ */
+
+import { actionMap } from './actionMap.js';
+import { overlayManager } from './overlayManager.js';
+import { debug } from './utils.js';
+
+// Panel colors (the interaction prompt's cyan, and red for conflicting keys)
+const ACCENT_COLOR = '#00ffcc';
+const CONFLICT_COLOR = '#ff3366';
+
+class ControlsPanel {
+    /**
+     * Create the controls panel
+     * @param {ActionMap} map - Action map whose bindings are edited
+     */
+    constructor(map = actionMap) {
+        this.actionMap = map;
+        this.container = null;
+        this.list = null;
+        this.status = null;
+
+        // Binding waiting for a key press: {actionId, index}
+        this.capture = null;
+
+        // Key just recorded, whose release must not press the focused button again (Space, Enter)
+        this.recordedKey = null;
+
+        this.handleCaptureKey = this.handleCaptureKey.bind(this);
+        this.handleCaptureKeyUp = this.handleCaptureKeyUp.bind(this);
+        this.handleBindingsChanged = () => this.render();
+    }
+
+    /**
+     * Check whether the panel is showing
+     * @returns {boolean} - True if open
+     */
+    isOpen() {
+        return this.container !== null;
+    }
+
+    /**
+     * Open the panel, or close it if it is open
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the panel over the world
+     */
+    open() {
+        if (this.isOpen()) {
+            return;
+        }
+        if (overlayManager.isOpen()) {
+            debug('ControlsPanel: Another overlay is open');
+            return;
+        }
+
+        const container = document.createElement('div');
+        container.id = 'controlsPanel';
+        container.setAttribute('aria-label', 'Controls');
+        container.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 90%;
+            max-width: 560px;
+            max-height: 85vh;
+            display: flex;
+            flex-direction: column;
+            background-color: rgba(0, 0, 0, 0.92);
+            border: 3px solid ${ACCENT_COLOR};
+            box-shadow: 0 0 20px ${ACCENT_COLOR};
+            padding: 16px 20px;
+            color: white;
+            font-family: monospace;
+            font-size: 14px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding-bottom: 8px;
+            border-bottom: 2px solid ${ACCENT_COLOR};
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'Controls';
+        title.style.cssText = `margin: 0; color: ${ACCENT_COLOR}; text-shadow: 0 0 5px ${ACCENT_COLOR};`;
+        header.appendChild(title);
+
+        const closeButton = this.createButton('X', () => this.close());
+        closeButton.setAttribute('aria-label', 'Close controls');
+        header.appendChild(closeButton);
+        container.appendChild(header);
+
+        // Layout presets
+        const presets = document.createElement('div');
+        presets.style.cssText = 'display: flex; gap: 8px; align-items: center; margin: 10px 0 4px;';
+        const presetLabel = document.createElement('span');
+        presetLabel.textContent = 'Reset to:';
+        presets.appendChild(presetLabel);
+        presets.appendChild(this.createButton('QWERTY (WASD)', () => this.actionMap.applyPreset('qwerty')));
+        presets.appendChild(this.createButton('AZERTY (ZQSD)', () => this.actionMap.applyPreset('azerty')));
+        container.appendChild(presets);
+
+        const status = document.createElement('div');
+        status.setAttribute('role', 'status');
+        status.style.cssText = 'min-height: 18px; margin: 6px 0;';
+        container.appendChild(status);
+
+        const list = document.createElement('div');
+        list.style.cssText = 'overflow-y: auto; flex: 1;';
+        container.appendChild(list);
+
+        const hint = document.createElement('div');
+        hint.textContent = 'Click a key to change it, + to add one. Backspace removes the key being changed, Escape cancels.';
+        hint.style.cssText = 'margin-top: 10px; font-size: 12px; color: #aaaaaa;';
+        container.appendChild(hint);
+
+        document.body.appendChild(container);
+        this.container = container;
+        this.list = list;
+        this.status = status;
+
+        // Window capture runs before the OverlayManager's Escape and the world's key handlers
+        window.addEventListener('keydown', this.handleCaptureKey, true);
+        window.addEventListener('keyup', this.handleCaptureKeyUp, true);
+        document.addEventListener('keyBindingsChanged', this.handleBindingsChanged);
+
+        this.render();
+        overlayManager.open('controls', { element: container, onRequestClose: () => this.close() });
+        debug('ControlsPanel: Opened');
+    }
+
+    /**
+     * Close the panel and give the keyboard back to the world
+     */
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        this.capture = null;
+        this.recordedKey = null;
+        window.removeEventListener('keydown', this.handleCaptureKey, true);
+        window.removeEventListener('keyup', this.handleCaptureKeyUp, true);
+        document.removeEventListener('keyBindingsChanged', this.handleBindingsChanged);
+
+        this.container.remove();
+        this.container = null;
+        this.list = null;
+        this.status = null;
+
+        overlayManager.close('controls');
+        debug('ControlsPanel: Closed');
+    }
+
+    /**
+     * Create a panel button
+     * @param {string} text - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} - Button
+     */
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.style.cssText = `
+            background-color: transparent;
+            border: 2px solid ${ACCENT_COLOR};
+            color: ${ACCENT_COLOR};
+            font-family: monospace;
+            font-size: 13px;
+            min-width: 32px;
+            padding: 3px 8px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Rebuild the action list and the conflict count from the current bindings
+     */
+    render() {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        const conflicts = this.actionMap.getConflicts();
+        const labels = new Map(this.actionMap.getActions().map(action => [action.id, action.label]));
+
+        this.status.textContent = conflicts.size === 0
+            ? 'No conflicting keys.'
+            : `${conflicts.size} key${conflicts.size === 1 ? ' is' : 's are'} bound to more than one action.`;
+        this.status.style.color = conflicts.size === 0 ? '#aaaaaa' : CONFLICT_COLOR;
+
+        const focused = document.activeElement && this.list.contains(document.activeElement)
+            ? document.activeElement.dataset.focusKey
+            : null;
+        this.list.textContent = '';
+
+        let group = null;
+        this.actionMap.getActions().forEach(action => {
+            if (action.group !== group) {
+                group = action.group;
+                const heading = document.createElement('h3');
+                heading.textContent = group;
+                heading.style.cssText = `margin: 12px 0 4px; font-size: 14px; color: ${ACCENT_COLOR};`;
+                this.list.appendChild(heading);
+            }
+
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; padding: 3px 0;';
+
+            const label = document.createElement('span');
+            label.textContent = action.label;
+            label.style.cssText = 'flex: 1;';
+            row.appendChild(label);
+
+            const keys = this.actionMap.getBindings(action.id);
+            keys.forEach((binding, index) => {
+                const recording = this.isCapturing(action.id, index);
+                const button = this.createButton(recording ? 'Press a key…' : this.actionMap.formatBinding(binding),
+                    () => this.startCapture(action.id, index));
+                button.dataset.focusKey = `${action.id}:${index}`;
+                button.setAttribute('aria-label', `${action.label}: ${this.actionMap.formatBinding(binding)}. Change key`);
+
+                const others = this.actionMap.getConflictsFor(action.id, binding);
+                if (others.length > 0) {
+                    button.style.borderColor = CONFLICT_COLOR;
+                    button.style.color = CONFLICT_COLOR;
+                    button.title = `Also bound to: ${others.map(id => labels.get(id)).join(', ')}`;
+                }
+                row.appendChild(button);
+            });
+
+            const addButton = this.createButton(this.isCapturing(action.id, keys.length) ? 'Press a key…' : '+',
+                () => this.startCapture(action.id, keys.length));
+            addButton.dataset.focusKey = `${action.id}:add`;
+            addButton.setAttribute('aria-label', `Add a key for ${action.label}`);
+            row.appendChild(addButton);
+
+            this.list.appendChild(row);
+        });
+
+        // Keep keyboard focus on the same button after rebuilding the list
+        if (focused) {
+            const button = this.list.querySelector(`[data-focus-key="${focused}"]`);
+            if (button) {
+                button.focus();
+            }
+        }
+    }
+
+    /**
+     * Check whether a binding is waiting for a key press
+     * @param {string} actionId - Action identifier
+     * @param {number} index - Binding index
+     * @returns {boolean} - True while recording that binding
+     */
+    isCapturing(actionId, index) {
+        return this.capture !== null && this.capture.actionId === actionId && this.capture.index === index;
+    }
+
+    /**
+     * Wait for the next key press and bind it
+     * @param {string} actionId - Action identifier
+     * @param {number} index - Binding to replace (the binding count adds one)
+     */
+    startCapture(actionId, index) {
+        this.capture = { actionId, index };
+        this.render();
+    }
+
+    /**
+     * Record the key pressed while a binding is waiting for one
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleCaptureKey(event) {
+        if (!this.capture) {
+            return;
+        }
+
+        // Tab still moves focus, and drops the recording
+        if (event.key === 'Tab') {
+            this.capture = null;
+            this.render();
+            return;
+        }
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        if (event.repeat) {
+            return;
+        }
+
+        const { actionId, index } = this.capture;
+        if (event.key === 'Escape') {
+            this.capture = null;
+            this.render();
+            return;
+        }
+        if (event.key === 'Backspace' || event.key === 'Delete') {
+            this.capture = null;
+            if (index < this.actionMap.getBindings(actionId).length) {
+                this.actionMap.setBinding(actionId, index, null);
+            } else {
+                this.render();
+            }
+            return;
+        }
+
+        // Wait for the key that goes with Shift
+        const binding = this.actionMap.bindingFromEvent(event);
+        if (!binding) {
+            return;
+        }
+
+        this.capture = null;
+        this.recordedKey = event.key;
+        this.actionMap.setBinding(actionId, index, binding);
+    }
+
+    /**
+     * Swallow the release of the key just recorded
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleCaptureKeyUp(event) {
+        if (this.recordedKey !== null && event.key === this.recordedKey) {
+            this.recordedKey = null;
+            event.preventDefault();
+            event.stopImmediatePropagation();
+        }
+    }
+}
+
+// Shared controls panel, opened by main.js
+const controlsPanel = new ControlsPanel();
+
+export { ControlsPanel, controlsPanel };
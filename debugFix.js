@@ -127,7 +127,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     console.log(`Testing movement in direction: ${direction}`);
                     
                     // Apply a test movement in each direction
-                    player.move(direction, 0.016);
+                    player.move(direction);
                     
                     // Debug info
                     console.log(`Direction ${direction} - Position: (${player.x.toFixed(2)}, ${player.y.toFixed(2)})`);
@@ -4,6 +4,7 @@
  */
 
 import { debug } from './utils.js';
+import { getCollisionShapes } from './collisionShapes.js';
 
 class DebugRenderer {
     constructor() {
@@ -11,12 +12,13 @@ class DebugRenderer {
         this.showCollisionBoxes = false;
         this.showSpatialGrid = false;
         this.showEntityInfo = false;
+        this.showContactNormals = false;
         this.showFPS = true;
     }
 
     /**
      * Toggles debug rendering features
-     * @param {string} feature - Feature to toggle ('collision', 'grid', 'info', 'fps')
+     * @param {string} feature - Feature to toggle ('collision', 'grid', 'info', 'contacts', 'fps')
      */
     toggleFeature(feature) {
         switch (feature.toLowerCase()) {
@@ -32,6 +34,10 @@ class DebugRenderer {
                 this.showEntityInfo = !this.showEntityInfo;
                 debug(`Entity info ${this.showEntityInfo ? 'enabled' : 'disabled'}`);
                 break;
+            case 'contacts':
+                this.showContactNormals = !this.showContactNormals;
+                debug(`Contact normals ${this.showContactNormals ? 'enabled' : 'disabled'}`);
+                break;
             case 'fps':
                 this.showFPS = !this.showFPS;
                 debug(`FPS counter ${this.showFPS ? 'enabled' : 'disabled'}`);
@@ -67,96 +73,118 @@ class DebugRenderer {
     }
     
     /**
-     * Draw collision box for a single entity
+     * Draw the collision shapes of a single entity
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {Object} entity - Entity to draw collision box for
+     * @param {Object} entity - Entity to draw collision shapes for
      * @param {TestScene} scene - Scene instance
      */
     drawEntityCollisionBox(ctx, entity, scene) {
         if (!entity) return;
         
         try {
-            // Get entity position and dimensions
-            const x = entity.x || 0;
-            const y = entity.y || 0;
-            
-            // Apply 10% size increase to match collision system
-            const width = (entity.width || 0.5) * scene.cellWidth * 1.1;
-            const height = (entity.height || 0.5) * scene.cellHeight * 1.1;
-            const z = entity.z || 0;
-            const zHeight = entity.zHeight || 0.5;
-            
-            // Convert to isometric coordinates
-            const isoX = (x - y) * (scene.cellWidth / 2);
-            const isoY = (x + y) * (scene.cellHeight / 2);
-            
-            // Calculate Z offset for height
-            const zOffset = z * scene.cellHeight;
-            const zHeightPx = zHeight * scene.cellHeight;
-            
             // Save context state
             ctx.save();
             
-            // 1. Draw ground-level shadow/footprint for improved collision visualization
-            ctx.strokeStyle = 'rgba(0, 200, 0, 0.6)'; // Green for ground level
-            ctx.lineWidth = 2;
-            ctx.setLineDash([5, 3]); // Dashed line for the ground footprint
-            
-            // Draw ground-level box
-            ctx.beginPath();
-            ctx.moveTo(isoX - width/2, isoY);
-            ctx.lineTo(isoX, isoY + height/2);
-            ctx.lineTo(isoX + width/2, isoY);
-            ctx.lineTo(isoX, isoY - height/2);
-            ctx.closePath();
-            ctx.stroke();
-            
-            // Add ground shadow fill with very slight opacity
-            ctx.fillStyle = 'rgba(0, 200, 0, 0.1)';
-            ctx.fill();
-            
-            // 2. Draw the actual 3D collision box
-            ctx.strokeStyle = entity.isPlayer ? 'rgba(0, 255, 255, 0.8)' : 'rgba(255, 165, 0, 0.8)';
-            ctx.lineWidth = 2;
-            ctx.setLineDash([]); // Solid line for the actual collision volume
+            // Non-collidable entities are outlined faintly so they can still be found
+            const alpha = entity.collidable === false ? 0.25 : 0.8;
             
-            // Draw bottom of collision box
-            ctx.beginPath();
-            ctx.moveTo(isoX - width/2, isoY);
-            ctx.lineTo(isoX, isoY + height/2);
-            ctx.lineTo(isoX + width/2, isoY);
-            ctx.lineTo(isoX, isoY - height/2);
-            ctx.closePath();
-            ctx.stroke();
-            
-            // Draw top of collision box
-            ctx.beginPath();
-            ctx.moveTo(isoX - width/2, isoY - zHeightPx);
-            ctx.lineTo(isoX, isoY + height/2 - zHeightPx);
-            ctx.lineTo(isoX + width/2, isoY - zHeightPx);
-            ctx.lineTo(isoX, isoY - height/2 - zHeightPx);
-            ctx.closePath();
-            ctx.stroke();
-            
-            // Draw vertical edges connecting top and bottom
-            ctx.beginPath();
-            ctx.moveTo(isoX - width/2, isoY);
-            ctx.lineTo(isoX - width/2, isoY - zHeightPx);
-            ctx.moveTo(isoX, isoY + height/2);
-            ctx.lineTo(isoX, isoY + height/2 - zHeightPx);
-            ctx.moveTo(isoX + width/2, isoY);
-            ctx.lineTo(isoX + width/2, isoY - zHeightPx);
-            ctx.moveTo(isoX, isoY - height/2);
-            ctx.lineTo(isoX, isoY - height/2 - zHeightPx);
-            ctx.stroke();
+            getCollisionShapes(entity).forEach(shape => {
+                // Shape corners on screen, at a height above the floor
+                const outline = (z) => shape.points.map(point => {
+                    const iso = this.worldToIso(point.x, point.y, scene);
+                    return { x: iso.x, y: iso.y - z * scene.cellHeight };
+                });
+                const tracePolygon = (points) => {
+                    ctx.beginPath();
+                    points.forEach((point, i) => {
+                        if (i === 0) ctx.moveTo(point.x, point.y);
+                        else ctx.lineTo(point.x, point.y);
+                    });
+                    ctx.closePath();
+                };
+                
+                const ground = outline(0);
+                const bottom = outline(shape.minZ);
+                const top = outline(shape.maxZ);
+                
+                // 1. Draw ground-level shadow/footprint for improved collision visualization
+                ctx.strokeStyle = `rgba(0, 200, 0, ${alpha * 0.75})`; // Green for ground level
+                ctx.fillStyle = `rgba(0, 200, 0, ${alpha * 0.125})`;
+                ctx.lineWidth = 2;
+                ctx.setLineDash([5, 3]); // Dashed line for the ground footprint
+                tracePolygon(ground);
+                ctx.stroke();
+                ctx.fill();
+                
+                // 2. Draw the actual 3D collision volume: bottom, top and the edges between them
+                ctx.strokeStyle = entity.isPlayer ? `rgba(0, 255, 255, ${alpha})` : `rgba(255, 165, 0, ${alpha})`;
+                ctx.setLineDash([]); // Solid line for the actual collision volume
+                tracePolygon(bottom);
+                ctx.stroke();
+                tracePolygon(top);
+                ctx.stroke();
+                
+                ctx.beginPath();
+                bottom.forEach((point, i) => {
+                    ctx.moveTo(point.x, point.y);
+                    ctx.lineTo(top[i].x, top[i].y);
+                });
+                ctx.stroke();
+            });
             
             // Restore context state
             ctx.restore();
         } catch (error) {
+            ctx.restore();
             console.error("Error drawing collision box:", error);
         }
     }
     
+    /**
+     * Draws the faces the player stopped at in the last update, each as a dot with an arrow along
+     * the face's normal (the direction the face pushes back)
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Array<Object>} contacts - Contacts from Collision.moveAndSlide ({x, y, normalX, normalY})
+     * @param {Object} scene - Scene for coordinate transformation
+     */
+    drawContactNormals(ctx, contacts, scene) {
+        if (!this.showContactNormals || !contacts || !scene) return;
+        
+        // Arrow length in grid units
+        const NORMAL_LENGTH = 0.6;
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 0, 255, 0.9)';
+        ctx.fillStyle = 'rgba(255, 0, 255, 0.9)';
+        ctx.lineWidth = 2;
+        
+        contacts.forEach(contact => {
+            const from = this.worldToIso(contact.x, contact.y, scene);
+            const to = this.worldToIso(
+                contact.x + contact.normalX * NORMAL_LENGTH,
+                contact.y + contact.normalY * NORMAL_LENGTH,
+                scene
+            );
+            
+            // Contact point
+            ctx.beginPath();
+            ctx.arc(from.x, from.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            
+            // Normal with an arrowhead
+            const angle = Math.atan2(to.y - from.y, to.x - from.x);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.lineTo(to.x - 6 * Math.cos(angle - Math.PI / 6), to.y - 6 * Math.sin(angle - Math.PI / 6));
+            ctx.moveTo(to.x, to.y);
+            ctx.lineTo(to.x - 6 * Math.cos(angle + Math.PI / 6), to.y - 6 * Math.sin(angle + Math.PI / 6));
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+    
     /**
      * Renders spatial grid cells for visualization
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -349,6 +377,9 @@ class DebugRenderer {
             // Draw spatial grid visualization
             this.drawSpatialGrid(ctx, game.spatialGrid, camera, scene);
             
+            // Draw the player's contact normals
+            this.drawContactNormals(ctx, game.contacts, scene);
+            
             // Draw entity info if enabled
             if (this.showEntityInfo) {
                 // Draw player info if available
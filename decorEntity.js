@@ -0,0 +1,261 @@
+/**
+ * DecorEntity.js - Configurable decoration entity for AI Alchemist's Lair
+ * Renders signs, rugs, couches and other static decor from a preset in decorPresets.js
+ */
+
+import { Entity } from './entity.js';
+import assetLoader from './assetLoader.js';
+import { debug } from './utils.js';
+import { getAssetPath } from './pathResolver.js';
+
+// Pending image loads keyed by decor key, so several entities share one request
+const pendingLoads = {};
+
+/**
+ * Load a decor image into the asset loader, trying alternative paths before giving up
+ * @param {string} decorKey - Key to store the image under
+ * @param {string} assetPath - Primary image path
+ * @returns {Promise<HTMLImageElement>} - Resolves with the image, rejects if every path fails
+ */
+function loadDecorImage(decorKey, assetPath) {
+    const existing = assetLoader.getAsset(decorKey);
+    if (existing) {
+        return Promise.resolve(existing);
+    }
+
+    if (pendingLoads[decorKey]) {
+        return pendingLoads[decorKey];
+    }
+
+    const fileName = assetPath.split('/').pop();
+    const candidatePaths = [
+        assetPath,
+        `assets/${fileName}`,
+        `./${assetPath}`
+    ];
+
+    pendingLoads[decorKey] = new Promise((resolve, reject) => {
+        const tryPath = (index) => {
+            if (index >= candidatePaths.length) {
+                delete pendingLoads[decorKey];
+                reject(new Error(`DecorEntity: Failed to load ${decorKey} from ${assetPath}`));
+                return;
+            }
+
+            const img = new Image();
+            img.onload = () => {
+                debug(`DecorEntity: Loaded ${decorKey} (${img.width}x${img.height}) from ${candidatePaths[index]}`);
+                assetLoader.assets[decorKey] = img;
+                delete pendingLoads[decorKey];
+                resolve(img);
+            };
+            img.onerror = () => {
+                debug(`DecorEntity: Could not load ${decorKey} from ${candidatePaths[index]}`);
+                tryPath(index + 1);
+            };
+            img.src = getAssetPath(candidatePaths[index]);
+        };
+
+        tryPath(0);
+    });
+
+    return pendingLoads[decorKey];
+}
+
+class DecorEntity extends Entity {
+    /**
+     * Create a new decor entity
+     * @param {number} x - Grid X position
+     * @param {number} y - Grid Y position
+     * @param {Object} config - Resolved decor configuration from getDecorPreset()
+     */
+    constructor(x, y, config) {
+        super(x, y, config.width, config.height, {
+            z: config.z || 0,
+            zHeight: config.zHeight,
+            isStatic: true
+        });
+
+        this.decorKey = config.decorKey;
+        this.category = config.category || 'decor';
+        this.config = config;
+
+        // Decor never moves and only blocks the player when configured to, with the colliders
+        // configured (e.g. just a sign's post) or its whole footprint
+        this.velocityX = 0;
+        this.velocityY = 0;
+        this.collidable = config.collidable;
+        this.colliders = config.colliders;
+
+        // Only set a priority when configured; any priority sorts ahead of depth-sorted entities
+        if (config.renderPriority !== undefined) {
+            this.renderPriority = config.renderPriority;
+        }
+
+        this.image = assetLoader.getAsset(this.decorKey) || null;
+        this.loadFailed = false;
+
+        if (!this.image) {
+            this.loadImage();
+        }
+
+        debug(`DecorEntity: Created ${this.decorKey} at (${x}, ${y}, ${this.z})`);
+    }
+
+    /**
+     * Start loading the decor image; the fallback is drawn until it arrives
+     */
+    loadImage() {
+        loadDecorImage(this.decorKey, this.config.assetPath)
+            .then(img => {
+                this.image = img;
+            })
+            .catch(err => {
+                console.error(err.message);
+                this.loadFailed = true;
+            });
+    }
+
+    /**
+     * Static decor has no per-frame behaviour
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        // Nothing to update for static decor
+    }
+
+    /**
+     * Work out where the decor image goes on screen for its mount type
+     * @param {number} screenX - Screen X position
+     * @param {number} screenY - Screen Y position
+     * @param {number} width - Footprint width on screen
+     * @param {number} height - Footprint height on screen
+     * @param {number} zOffset - Z offset for rendering height
+     * @returns {Object} - Draw rectangle {x, y, width, height}
+     */
+    getDrawRect(screenX, screenY, width, height, zOffset) {
+        const { mount, scaleX, scaleY, groundingFactor, zLift } = this.config;
+        const drawWidth = width * scaleX;
+        const drawHeight = height * scaleY;
+
+        if (mount === 'ceiling') {
+            // Hang from the ceiling; zHeight is the hanging height in pixels
+            return {
+                x: screenX - drawWidth / 2,
+                y: screenY - drawHeight - zOffset - this.zHeight,
+                width: drawWidth,
+                height: drawHeight
+            };
+        }
+
+        if (mount === 'wall') {
+            // Stand the image up against the wall with its base on the footprint
+            return {
+                x: screenX - drawWidth / 2,
+                y: screenY - drawHeight + height / 2 - zOffset,
+                width: drawWidth,
+                height: drawHeight
+            };
+        }
+
+        // Floor decor sinks toward the tile by the grounding factor and is centered on it
+        const centerY = screenY - height * (1 - groundingFactor) - this.z * zLift;
+        return {
+            x: screenX - drawWidth / 2,
+            y: centerY - drawHeight / 2,
+            width: drawWidth,
+            height: drawHeight
+        };
+    }
+
+    /**
+     * Draw the placeholder used while the image is loading or after it failed
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} rect - Draw rectangle {x, y, width, height}
+     */
+    drawFallback(ctx, rect) {
+        const fallback = this.config.fallback;
+        ctx.save();
+
+        if (fallback.style === 'panel') {
+            // Neon panel with the sign text
+            const fill = Array.isArray(fallback.fill) ? fallback.fill : [fallback.fill, fallback.fill];
+            const gradient = ctx.createLinearGradient(rect.x, rect.y, rect.x + rect.width, rect.y + rect.height);
+            gradient.addColorStop(0, fill[0]);
+            gradient.addColorStop(1, fill[1]);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+            ctx.strokeStyle = fallback.border;
+            ctx.lineWidth = 2;
+            ctx.shadowColor = fallback.border;
+            ctx.shadowBlur = 8;
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+            const lines = fallback.lines || [];
+            ctx.shadowColor = fallback.accent || fallback.border;
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = 'bold 14px "Courier New", monospace';
+            ctx.textAlign = 'center';
+            lines.forEach((line, index) => {
+                ctx.fillText(line, rect.x + rect.width / 2, rect.y + rect.height * (index + 1) / (lines.length + 1));
+            });
+        } else {
+            // Flat colored footprint for floor decor
+            const inset = rect.width * 0.1;
+            ctx.fillStyle = fallback.fill;
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+            ctx.strokeStyle = fallback.border;
+            ctx.lineWidth = 3;
+            ctx.strokeRect(rect.x + inset, rect.y + inset, rect.width - inset * 2, rect.height - inset * 2);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the decor entity
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} screenX - Screen X position
+     * @param {number} screenY - Screen Y position
+     * @param {number} width - Render width
+     * @param {number} height - Render height
+     * @param {number} zOffset - Z offset for rendering height
+     */
+    draw(ctx, screenX, screenY, width, height, zOffset) {
+        const rect = this.getDrawRect(screenX, screenY, width, height, zOffset);
+
+        // Another entity with the same key may have finished loading the image
+        if (!this.image) {
+            this.image = assetLoader.getAsset(this.decorKey) || null;
+        }
+
+        if (this.image) {
+            ctx.save();
+            if (this.config.glow) {
+                ctx.shadowColor = this.config.glow.color;
+                ctx.shadowBlur = this.config.glow.blur || 10;
+            }
+            ctx.drawImage(this.image, rect.x, rect.y, rect.width, rect.height);
+            ctx.restore();
+        } else {
+            this.drawFallback(ctx, rect);
+        }
+
+        // Draw footprint and label in debug mode
+        if (window.DEBUG_MODE) {
+            ctx.save();
+            ctx.strokeStyle = this.collidable ? 'rgba(255, 0, 0, 0.5)' : 'rgba(0, 255, 0, 0.4)';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(screenX - width / 2, screenY - height / 2 - zOffset, width, height);
+
+            ctx.fillStyle = 'white';
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${this.decorKey}(${this.x.toFixed(1)},${this.y.toFixed(1)})`, screenX, rect.y - 10);
+            ctx.restore();
+        }
+    }
+}
+
+export { DecorEntity, loadDecorImage };
@@ -0,0 +1,80 @@
+/**
+ * DecorManager.js - Places configurable decor entities for AI Alchemist's Lair
+ * Replaces the per-asset sign, rug and couch managers with a single preset-driven manager
+ */
+
+import { DecorEntity, loadDecorImage } from './decorEntity.js';
+import { DECOR_PRESETS, getDecorPreset } from './decorPresets.js';
+import { debug, warn } from './utils.js';
+
+export class DecorManager {
+    /**
+     * Create a new decor manager
+     * @param {Game} game - Game instance to add decor to
+     */
+    constructor(game) {
+        this.game = game;
+        this.decor = [];
+
+        debug('DecorManager: Initialized');
+    }
+
+    /**
+     * Preload decor images so entities can draw them on their first frame
+     * @param {string[]} decorKeys - Preset keys to load (defaults to every preset)
+     * @returns {Promise} - Resolves when every load has settled
+     */
+    preloadAssets(decorKeys = Object.keys(DECOR_PRESETS)) {
+        const loads = decorKeys.map(decorKey => {
+            const preset = getDecorPreset(decorKey);
+            if (!preset) {
+                warn(`DecorManager: Cannot preload unknown decor "${decorKey}"`);
+                return Promise.resolve(null);
+            }
+
+            return loadDecorImage(decorKey, preset.assetPath).catch(err => {
+                console.error(err.message);
+                return null;
+            });
+        });
+
+        return Promise.all(loads);
+    }
+
+    /**
+     * Add a decor entity to the scene
+     * @param {string} decorKey - Preset key (e.g. 'sign2', 'rug1', 'couch1')
+     * @param {Object} position - Position {x, y, z}
+     * @param {Object} overrides - Optional per-instance preset overrides
+     * @returns {DecorEntity|null} - The created entity, or null if the preset is unknown
+     */
+    addDecor(decorKey, position, overrides = {}) {
+        const config = getDecorPreset(decorKey, { ...overrides, z: position.z || 0 });
+        if (!config) {
+            warn(`DecorManager: Unknown decor "${decorKey}", nothing added`);
+            return null;
+        }
+
+        const entity = new DecorEntity(position.x, position.y, config);
+
+        if (this.game) {
+            this.game.addEntity(entity);
+            this.decor.push(entity);
+            debug(`DecorManager: Added ${decorKey} at (${position.x}, ${position.y}, ${entity.z})`);
+        } else {
+            console.error('DecorManager: Game instance not available, cannot add decor entity');
+        }
+
+        return entity;
+    }
+
+    /**
+     * Remove all decor added by this manager from the game
+     */
+    removeDecor() {
+        if (this.game) {
+            this.decor.forEach(entity => this.game.removeEntity(entity));
+        }
+        this.decor = [];
+    }
+}
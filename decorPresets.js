@@ -0,0 +1,286 @@
+/**
+ * Decor Presets for AI Alchemist's Lair
+ * Configuration table for every static decoration rendered by DecorEntity
+ *
+ * Adding a new poster, sign, rug or couch only needs a new entry here plus a
+ * manifest object that references it by key. Preset fields:
+ * - assetPath:       image path relative to the site root
+ * - mount:           'floor' (rugs, furniture), 'wall' (wall-mounted signs) or 'ceiling' (hanging signs)
+ * - width/height:    footprint in grid units
+ * - zHeight:         collision/render height (ceiling signs use it as the hanging height in pixels)
+ * - scaleX/scaleY:   image scale relative to the footprint size on screen
+ * - groundingFactor: how far floor decor sinks toward the tile (1 = flush with the floor)
+ * - zLift:           screen pixels per unit of z for floor decor
+ * - collidable:      whether the player bumps into it
+ * - colliders:       optional; the parts it collides with, in grid units from its position, instead
+ *                    of the whole footprint (see collisionShapes.js). A sign on a post can collide
+ *                    only with the post: [{ type: 'box', x: 1.4, y: 1.4, width: 0.4, height: 0.4 }]
+ * - renderPriority:  optional; entities with a priority draw before depth-sorted ones (rugs)
+ * - glow:            optional { color, blur } halo drawn around the image
+ * - fallback:        drawing used until the image loads, or if it never does
+ */
+
+// Hanging neon signs all share the same fallback panel
+const CEILING_SIGN_FALLBACK = {
+    style: 'panel',
+    fill: ['#440044', '#000044'],
+    border: '#FF00FF',
+    accent: '#00FFFF',
+    lines: ['CEILING', 'SIGN']
+};
+
+const DECOR_PRESETS = {
+    // Wall-mounted welcome sign on the north wall
+    sign1: {
+        category: 'sign',
+        assetPath: 'assets/decor/Sign_1.png',
+        mount: 'wall',
+        width: 3.2,
+        height: 3.2,
+        zHeight: 0.5,
+        scaleX: 1.2,
+        scaleY: 2.0,
+        collidable: true,
+        fallback: {
+            style: 'panel',
+            fill: ['#8B4513', '#3D2314'],
+            border: '#00FFFF',
+            accent: '#FFA500',
+            lines: ['SIGN']
+        }
+    },
+
+    // "ARCADE GAMES" ceiling sign
+    sign2: {
+        category: 'sign',
+        assetPath: 'assets/decor/Sign_2.png',
+        mount: 'ceiling',
+        width: 4.0,
+        height: 4.0,
+        zHeight: 60,
+        scaleX: 1.2,
+        scaleY: 1.6,
+        collidable: false,
+        fallback: {
+            style: 'panel',
+            fill: ['#444444', '#222222'],
+            border: '#FF00FF',
+            accent: '#00FFFF',
+            lines: ['ARCADE', 'GAMES']
+        }
+    },
+
+    // "ACTION GAMES" ceiling sign
+    sign3: {
+        category: 'sign',
+        assetPath: 'assets/decor/Sign_3.png',
+        mount: 'ceiling',
+        width: 4.0,
+        height: 4.0,
+        zHeight: 60,
+        scaleX: 1.2,
+        scaleY: 1.6,
+        collidable: false,
+        fallback: CEILING_SIGN_FALLBACK
+    },
+
+    sign4: {
+        category: 'sign',
+        assetPath: 'assets/decor/Sign_4.png',
+        mount: 'ceiling',
+        width: 4.0,
+        height: 4.0,
+        zHeight: 60,
+        scaleX: 0.9,
+        scaleY: 1.6,
+        collidable: false,
+        fallback: CEILING_SIGN_FALLBACK
+    },
+
+    sign5: {
+        category: 'sign',
+        assetPath: 'assets/decor/Sign_5.png',
+        mount: 'ceiling',
+        width: 4.0,
+        height: 4.0,
+        zHeight: 60,
+        scaleX: 0.9,
+        scaleY: 1.6,
+        collidable: false,
+        fallback: CEILING_SIGN_FALLBACK
+    },
+
+    // Large banner sign over the lounge
+    sign6: {
+        category: 'sign',
+        assetPath: 'assets/decor/Sign_6.png',
+        mount: 'ceiling',
+        width: 4.0,
+        height: 4.0,
+        zHeight: 60,
+        scaleX: 1.755,
+        scaleY: 3.12,
+        collidable: false,
+        fallback: CEILING_SIGN_FALLBACK
+    },
+
+    // Floor rugs - walkable and always drawn underneath other entities
+    rug1: {
+        category: 'rug',
+        assetPath: 'assets/decor/Rug_1.png',
+        mount: 'floor',
+        width: 20.0,
+        height: 20.0,
+        zHeight: 0.05,
+        scaleX: 1.8,
+        scaleY: 1.8,
+        groundingFactor: 0.98,
+        zLift: 0.2,
+        collidable: false,
+        renderPriority: -1,
+        fallback: { style: 'floor', fill: '#8B4513', border: '#CD853F' }
+    },
+
+    rug2: {
+        category: 'rug',
+        assetPath: 'assets/decor/Rug_2.png',
+        mount: 'floor',
+        width: 19.0,
+        height: 19.0,
+        zHeight: 0.05,
+        scaleX: 1.8,
+        scaleY: 1.8,
+        groundingFactor: 0.98,
+        zLift: 0.2,
+        collidable: false,
+        renderPriority: -1,
+        fallback: { style: 'floor', fill: '#8B4513', border: '#CD853F' }
+    },
+
+    rug3: {
+        category: 'rug',
+        assetPath: 'assets/decor/Rug_3.png',
+        mount: 'floor',
+        width: 18.0,
+        height: 18.0,
+        zHeight: 0.05,
+        scaleX: 1.8,
+        scaleY: 1.8,
+        groundingFactor: 0.98,
+        zLift: 0.2,
+        collidable: false,
+        renderPriority: -1,
+        fallback: { style: 'floor', fill: '#8B4513', border: '#CD853F' }
+    },
+
+    rug4: {
+        category: 'rug',
+        assetPath: 'assets/decor/Rug_4.png',
+        mount: 'floor',
+        width: 18.0,
+        height: 18.0,
+        zHeight: 0.05,
+        scaleX: 1.8,
+        scaleY: 1.8,
+        groundingFactor: 0.98,
+        zLift: 0.2,
+        collidable: false,
+        renderPriority: -1,
+        fallback: { style: 'floor', fill: '#8B4513', border: '#CD853F' }
+    },
+
+    // Lounge couches - solid furniture the player walks around. The art is centered on the couch's
+    // position and seen at an angle, so its colliders trace the base in the image rather than
+    // the width x height footprint
+    couch1: {
+        category: 'couch',
+        assetPath: 'assets/decor/Couch_1.png',
+        mount: 'floor',
+        width: 3.38,
+        height: 5.62,
+        zHeight: 1.0,
+        scaleX: 1.2,
+        scaleY: 1.2,
+        groundingFactor: 0.7,
+        zLift: 0.5,
+        collidable: true,
+        colliders: [
+            { type: 'box', x: -2.65, y: -0.05, width: 3.3, height: 1.2 }, // Three-seat sofa
+            { type: 'box', x: 0.2, y: -2.3, width: 1.25, height: 2.25 }    // Armchair behind its right end
+        ],
+        fallback: { style: 'floor', fill: '#8B4513', border: '#A0522D' }
+    },
+
+    couch2: {
+        category: 'couch',
+        assetPath: 'assets/decor/Couch_2.png',
+        mount: 'floor',
+        width: 3.38,
+        height: 5.62,
+        zHeight: 1.0,
+        scaleX: 1.2,
+        scaleY: 1.2,
+        groundingFactor: 0.8,
+        zLift: 0.5,
+        collidable: true,
+        // Corner sectional: the space inside the L, behind the seats, stays walkable
+        colliders: [
+            { type: 'box', x: -2.45, y: 0.15, width: 4.2, height: 1.2 }, // Long side
+            { type: 'box', x: 0.55, y: -1.9, width: 1.2, height: 2.05 }  // Short side
+        ],
+        fallback: { style: 'floor', fill: '#553377', border: '#8855AA' }
+    }
+};
+
+// Values used for any field a preset leaves out
+const DECOR_DEFAULTS = {
+    mount: 'floor',
+    width: 1.0,
+    height: 1.0,
+    zHeight: 0.5,
+    scaleX: 1.0,
+    scaleY: 1.0,
+    groundingFactor: 1.0,
+    zLift: 0.5,
+    collidable: true,
+    colliders: null,
+    glow: null,
+    fallback: { style: 'floor', fill: '#444444', border: '#00FFFF' }
+};
+
+/**
+ * Register (or replace) a decor preset at runtime
+ * @param {string} decorKey - Key used by room manifests and the asset loader
+ * @param {Object} preset - Preset configuration (see the field list above)
+ */
+function registerDecorPreset(decorKey, preset) {
+    if (!preset || typeof preset.assetPath !== 'string') {
+        throw new Error(`DecorPresets: Preset "${decorKey}" needs an assetPath`);
+    }
+    DECOR_PRESETS[decorKey] = preset;
+}
+
+/**
+ * Resolve a decor preset merged over the defaults
+ * @param {string} decorKey - Preset key
+ * @param {Object} overrides - Per-instance overrides (e.g. from a room manifest)
+ * @returns {Object|null} - Full decor configuration, or null if the key is unknown
+ */
+function getDecorPreset(decorKey, overrides = {}) {
+    const preset = DECOR_PRESETS[decorKey];
+    if (!preset) {
+        return null;
+    }
+    return { ...DECOR_DEFAULTS, ...preset, ...overrides, decorKey };
+}
+
+/**
+ * Check whether a decor preset exists
+ * @param {string} decorKey - Preset key
+ * @returns {boolean} - True if the preset is registered
+ */
+function hasDecorPreset(decorKey) {
+    return Object.prototype.hasOwnProperty.call(DECOR_PRESETS, decorKey);
+}
+
+export { DECOR_PRESETS, registerDecorPreset, getDecorPreset, hasDecorPreset };
@@ -0,0 +1,147 @@
+/**
+ * Depth Sorting module for AI Alchemist's Lair
+ * Orders entities back to front for the isometric painter's algorithm
+ *
+ * Each entity covers a footprint centered on its position (drawEntity draws sprites centered
+ * on (x, y)), so a large prop like a 3.38x5.62 couch spans many cells. Sorting by a single
+ * point puts the player in front of a couch they stand behind; instead, an entity is drawn
+ * before another when its whole footprint lies behind the other's on the x or y axis
+ * (smaller x + y is further from the viewer). Overlapping footprints fall back to center
+ * depth, then base height, then a per-entity id so the order never changes between frames.
+ *
+ * Entities with a renderPriority (rugs) still draw first, lowest priority first.
+ */
+
+// Stable ids handed out in the order entities are first seen
+let nextSortId = 1;
+
+/**
+ * Get the entity's stable sort id, assigning one on first use
+ * @param {Object} entity - Entity
+ * @returns {number} - Sort id
+ */
+function getSortId(entity) {
+    if (entity._depthSortId === undefined) {
+        entity._depthSortId = nextSortId++;
+    }
+    return entity._depthSortId;
+}
+
+/**
+ * Get the floor area an entity covers, in grid units
+ * @param {Object} entity - Entity
+ * @returns {Object} - Footprint {minX, maxX, minY, maxY, z}
+ */
+function getFootprint(entity) {
+    const width = entity.width || 0.6;
+    const height = entity.height || 0.6;
+    const x = entity.x || 0;
+    const y = entity.y || 0;
+    return {
+        minX: x - width / 2,
+        maxX: x + width / 2,
+        minY: y - height / 2,
+        maxY: y + height / 2,
+        z: entity.z || 0
+    };
+}
+
+/**
+ * Check whether footprint a lies entirely behind footprint b
+ * Footprints separated on both axes in opposite directions sit side by side on screen
+ * and never overlap, so neither is behind the other.
+ * @param {Object} a - Footprint
+ * @param {Object} b - Footprint
+ * @returns {boolean} - True if a must be drawn before b
+ */
+function isBehind(a, b) {
+    const behindOnX = a.maxX <= b.minX;
+    const behindOnY = a.maxY <= b.minY;
+    const inFrontOnX = b.maxX <= a.minX;
+    const inFrontOnY = b.maxY <= a.minY;
+    return (behindOnX && !inFrontOnY) || (behindOnY && !inFrontOnX);
+}
+
+/**
+ * Compare two entities whose footprints give no clear order
+ * @param {Object} a - Sort node
+ * @param {Object} b - Sort node
+ * @returns {number} - Negative if a draws first
+ */
+function compareFallback(a, b) {
+    const depthA = (a.footprint.minX + a.footprint.maxX + a.footprint.minY + a.footprint.maxY) / 2;
+    const depthB = (b.footprint.minX + b.footprint.maxX + b.footprint.minY + b.footprint.maxY) / 2;
+    if (depthA !== depthB) return depthA - depthB;
+    if (a.footprint.z !== b.footprint.z) return a.footprint.z - b.footprint.z;
+    return a.id - b.id;
+}
+
+/**
+ * Sort entities back to front by footprint (topological order over the "is behind" relation)
+ * @param {Array} entities - Entities without a renderPriority
+ * @returns {Array} - New array in draw order
+ */
+function sortByFootprint(entities) {
+    const nodes = entities.map(entity => ({
+        entity,
+        footprint: getFootprint(entity),
+        id: getSortId(entity),
+        inDegree: 0,
+        infront: []
+    }));
+
+    for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+            if (isBehind(nodes[i].footprint, nodes[j].footprint)) {
+                nodes[i].infront.push(nodes[j]);
+                nodes[j].inDegree++;
+            } else if (isBehind(nodes[j].footprint, nodes[i].footprint)) {
+                nodes[j].infront.push(nodes[i]);
+                nodes[i].inDegree++;
+            }
+        }
+    }
+
+    // Repeatedly draw the furthest-back entity with nothing left behind it
+    const sorted = [];
+    const remaining = new Set(nodes);
+    while (remaining.size > 0) {
+        let next = null;
+        for (const node of remaining) {
+            if (node.inDegree === 0 && (!next || compareFallback(node, next) < 0)) {
+                next = node;
+            }
+        }
+
+        // A cycle (possible with overlapping footprints): break it at the furthest-back node
+        if (!next) {
+            for (const node of remaining) {
+                if (!next || compareFallback(node, next) < 0) {
+                    next = node;
+                }
+            }
+        }
+
+        remaining.delete(next);
+        next.infront.forEach(node => node.inDegree--);
+        sorted.push(next.entity);
+    }
+
+    return sorted;
+}
+
+/**
+ * Order entities for drawing: renderPriority entities first, then everything else by depth
+ * @param {Array} entities - Entities to draw (including the player)
+ * @returns {Array} - New array in draw order
+ */
+function sortEntitiesForRendering(entities) {
+    const prioritized = entities.filter(entity => entity.renderPriority !== undefined);
+    const depthSorted = entities.filter(entity => entity.renderPriority === undefined);
+
+    prioritized.sort((a, b) => (a.renderPriority - b.renderPriority) || (getSortId(a) - getSortId(b)));
+
+    return prioritized.concat(sortByFootprint(depthSorted));
+}
+
+export { sortEntitiesForRendering, getFootprint, isBehind };
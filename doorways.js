@@ -4,8 +4,11 @@
  */
 
 import { scenes } from './sceneData.js';
+import { getRoomGeometry } from './roomGeometry.js';
 import { getSceneManager } from './sceneIntegration.js';
+import { roomManager } from './roomManager.js';
 import { isometricRenderer } from './isometricRenderer.js';
+import { audioManager } from './audioManager.js';
 
 class Doorway {
     /**
@@ -251,69 +254,36 @@ class DoorwayManager {
         
         // Loop through all scenes
         Object.keys(scenes).forEach(sceneName => {
-            const scene = scenes[sceneName];
-            
             // Create doorways array for this scene
             this.doorwaysByScene[sceneName] = [];
             
-            // Process specific scene exits from scene data
-            if (scene.exits && Array.isArray(scene.exits)) {
-                scene.exits.forEach(exit => {
-                    const direction = exit.direction;
-                    const targetScene = exit.to;
-                    const position = exit.position || {};
-                    const gridX = exit.gridX !== undefined ? exit.gridX : (position.x / scene.width * 16);
-                    const gridY = exit.gridY !== undefined ? exit.gridY : (position.y / scene.height * 16);
-                    
-                    // Create a doorway for this exit
-                    const doorway = new Doorway(
-                        direction, 
-                        targetScene, 
-                        position.x || 0, 
-                        position.y || 0
-                    );
-                    
-                    // Set grid coordinates for this doorway
-                    doorway.gridX = gridX;
-                    doorway.gridY = gridY;
-                    
-                    // Configure as a wall doorway if it's on the edge of the grid
-                    if (direction === 'north' || direction === 'south' || direction === 'east' || direction === 'west') {
-                        doorway.isWallDoorway = true;
-                        
-                        // Set wall side based on direction
-                        if (direction === 'north' || direction === 'south') {
-                            doorway.wallSide = 'north';
-                        } else if (direction === 'east' || direction === 'west') {
-                            doorway.wallSide = 'west';
-                        }
-                    }
-                    
-                    // Special case for startRoom east door to match (0.0, 5.3)
-                    if (sceneName === 'startRoom' && direction === 'east') {
-                        doorway.wallSide = 'west';
-                        doorway.gridX = 0;
-                        doorway.gridY = 5.3; // Position at (0.0, 5.3) as desired
-                        console.log(`Special positioning for startRoom east door: (${doorway.gridX}, ${doorway.gridY})`);
-                    }
-                    
-                    // Special case for neonPhylactery west door - ensure it's properly positioned at (14.0, 6.3)
-                    if (sceneName === 'neonPhylactery' && direction === 'west') {
-                        doorway.wallSide = 'west';
-                        doorway.gridX = 14.0;
-                        doorway.gridY = 6.3;
-                        console.log(`Special positioning for neonPhylactery west door: (${doorway.gridX}, ${doorway.gridY})`);
-                    }
-                    
-                    // Add this doorway to the scene
-                    this.doorwaysByScene[sceneName].push(doorway);
-                    
-                    // Register this doorway in the spatial grid
-                    if (spatialGrid) {
-                        doorway.registerInSpatialGrid(spatialGrid);
-                    }
-                });
-            }
+            // Door openings come from the scene's room geometry (its exits placed on its walls)
+            getRoomGeometry(sceneName).doors.forEach(door => {
+                const exit = door.exit;
+                const position = exit.position || {};
+                
+                // Create a doorway for this exit
+                const doorway = new Doorway(
+                    exit.direction, 
+                    exit.to, 
+                    position.x || 0, 
+                    position.y || 0
+                );
+                
+                // Set grid coordinates and wall for this doorway
+                doorway.gridX = door.x;
+                doorway.gridY = door.y;
+                doorway.isWallDoorway = true;
+                doorway.wallSide = door.side;
+                
+                // Add this doorway to the scene
+                this.doorwaysByScene[sceneName].push(doorway);
+                
+                // Register this doorway in the spatial grid
+                if (spatialGrid) {
+                    doorway.registerInSpatialGrid(spatialGrid);
+                }
+            });
             
             if (this.debug) {
                 console.log('Doorways initialized:', this.doorwaysByScene);
@@ -400,8 +370,9 @@ class DoorwayManager {
             
             // Check if player is near a doorway
             if (isPlayerNear) {
-                // If we're in the start room, mark ALL doorways for "Coming Soon" messages
-                if (currentScene.id === 'startRoom') {
+                // Doors in the start room that lead nowhere yet show "Coming Soon"
+                // (doors into real rooms are taken by the PortalSystem, which reaches the player first)
+                if (currentScene.id === 'startRoom' && !roomManager.isRoom(doorway.targetScene)) {
                         // Mark doorway by creating a unique identifier based on position rather than object reference
                     const doorId = doorway.wallSide ? `${doorway.wallSide}_${doorway.gridX}_${doorway.gridY}` : `regular_${doorway.gridX}_${doorway.gridY}`;
                     doorway.needsComingSoon = true;
@@ -423,18 +394,6 @@ class DoorwayManager {
                         this.transitionCooldown = 3.0; // Seconds before playing sound again
                     }
                 }
-                // If it's not the start room and this is not a wall doorway, allow transitions
-                else if (this.transitionCooldown <= 0 && !doorway.isWallDoorway && currentScene.id !== 'startRoom') {
-                    if (this.debug) {
-                        console.log(`Player collided with doorway to ${doorway.targetScene}`);
-                    }
-                    
-                    // Load target scene (only if we're not in the startRoom)
-                    sceneManager.loadScene(doorway.targetScene);
-                    
-                    // Set cooldown to prevent rapid transitions
-                    this.transitionCooldown = 0.5; // Seconds
-                }
             }
         });
     }
@@ -528,15 +487,14 @@ class DoorwayManager {
         console.log('Coming Soon sound effect disabled');
         return;
         try {
-            // Initialize audio context if not already done
-            if (!window.audioContext) {
-                window.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const audioContext = audioManager.getContext();
+            if (!audioContext) {
+                return;
             }
             
-            const audioContext = window.audioContext;
             const masterGain = audioContext.createGain();
             masterGain.gain.value = 0.4; // Master volume control
-            masterGain.connect(audioContext.destination);
+            masterGain.connect(audioManager.getBus('sfx'));
             
             // Create a notification sound - electronic, futuristic "access denied" type sound
             // Main tone - slightly dissonant
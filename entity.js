@@ -27,6 +27,10 @@ class Entity {
         this.isPlayer = options.isPlayer || false;  // Added isPlayer property
         this.keepOffGrid = options.keepOffGrid || false;  // Added keepOffGrid property
         this.gravity = options.gravity || 0.1;  // Added gravity property
+        
+        // Compound collision shapes in grid units relative to x/y (see collisionShapes.js);
+        // null collides as one width x height box
+        this.colliders = options.colliders || null;
     }
     
     /**
@@ -0,0 +1,127 @@
+/**
+ * Entity Registry for AI Alchemist's Lair
+ * Maps room manifest object types to the code that places them in the game world
+ *
+ * Each registered type describes:
+ * - manager: the manager class that owns placement for the type, or a function
+ *            returning one for a given manifest object (e.g. per asset key)
+ * - preload: optional hook run once per manager instance before its first placement
+ * - place:   function (manager, object) that adds the entity to the game and returns it
+ */
+
+import { debug, warn } from './utils.js';
+
+// Registered entity types, keyed by manifest type name
+const entityTypes = new Map();
+
+/**
+ * Register a manifest entity type
+ * @param {string} type - Type name used in the room manifest
+ * @param {Object} definition - Type definition ({ manager, preload, place })
+ */
+function registerEntityType(type, definition) {
+    if (!definition || typeof definition.place !== 'function' || !definition.manager) {
+        throw new Error(`EntityRegistry: Invalid definition for type "${type}"`);
+    }
+
+    if (entityTypes.has(type)) {
+        warn(`EntityRegistry: Overriding existing definition for type "${type}"`);
+    }
+
+    entityTypes.set(type, definition);
+    debug(`EntityRegistry: Registered type "${type}"`);
+}
+
+/**
+ * Get the definition for a registered type
+ * @param {string} type - Type name used in the room manifest
+ * @returns {Object|null} - Type definition or null if unknown
+ */
+function getEntityType(type) {
+    return entityTypes.get(type) || null;
+}
+
+/**
+ * Check whether a type is registered
+ * @param {string} type - Type name used in the room manifest
+ * @returns {boolean} - True if the type is registered
+ */
+function hasEntityType(type) {
+    return entityTypes.has(type);
+}
+
+/**
+ * Get the names of all registered types
+ * @returns {string[]} - Registered type names
+ */
+function getRegisteredTypes() {
+    return Array.from(entityTypes.keys());
+}
+
+/**
+ * Create a placement context for one room load
+ * Managers are instantiated lazily, shared by every object of the room that needs them,
+ * and preloaded once before their first placement
+ * @param {Game} game - Game instance entities are added to
+ * @returns {Object} - Placement context
+ */
+function createPlacementContext(game) {
+    const managers = new Map();
+
+    return {
+        game,
+        managers,
+
+        /**
+         * Get (or create and preload) the manager instance for a manifest object
+         * @param {Object} definition - Registered type definition
+         * @param {Object} object - Manifest object being placed
+         * @returns {Object} - Manager instance
+         */
+        getManager(definition, object) {
+            const ManagerClass = definition.manager.prototype
+                ? definition.manager
+                : definition.manager(object);
+
+            if (!ManagerClass) {
+                throw new Error(`EntityRegistry: No manager available for type "${object.type}" with assetKey "${object.assetKey}"`);
+            }
+
+            if (!managers.has(ManagerClass)) {
+                const manager = new ManagerClass(game);
+                managers.set(ManagerClass, manager);
+
+                if (typeof definition.preload === 'function') {
+                    definition.preload(manager);
+                }
+            }
+
+            return managers.get(ManagerClass);
+        }
+    };
+}
+
+/**
+ * Place a manifest object in the game world using its registered type
+ * @param {Object} context - Placement context from createPlacementContext
+ * @param {Object} object - Manifest object ({ type, position, assetKey, options })
+ * @returns {Object|null} - The placed entity, or null if nothing was placed
+ */
+function placeEntity(context, object) {
+    const definition = getEntityType(object.type);
+    if (!definition) {
+        throw new Error(`EntityRegistry: Unknown entity type "${object.type}"`);
+    }
+
+    const manager = context.getManager(definition, object);
+    return definition.place(manager, object) || null;
+}
+
+export {
+    registerEntityType,
+    getEntityType,
+    hasEntityType,
+    getRegisteredTypes,
+    createPlacementContext,
+    placeEntity
+};
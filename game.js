@@ -5,12 +5,16 @@
 
 import { Physics } from './physics.js';
 import { Collision } from './collision.js';
+import { getCollisionBounds } from './collisionShapes.js';
 import { Player } from './player.js';
 import { debug, info, error } from './utils.js';
-import { input } from './input.js';
+import { actionMap } from './actionMap.js';
 import { SpatialGrid } from './spatialGrid.js';
 import { DebugRenderer } from './debugRenderer.js';
 
+// Farther than this (grid units) in one simulation step is a teleport, which is drawn without interpolation
+const MAX_INTERPOLATION_DISTANCE = 1;
+
 class Game {
     constructor() {
         // Core game systems
@@ -31,6 +35,18 @@ class Game {
         // Interaction state for menus and dialogs
         this._interactionActive = false;
         
+        // Paused state for full-screen overlays (embedded arcade games)
+        this._paused = false;
+        
+        // Current room's floors and walls, which block movement like static entities
+        this.roomGeometry = null;
+        
+        // Entities moved to their interpolated positions while a frame is drawn
+        this._interpolated = null;
+        
+        // Faces the player stopped at in the last update, for the contact normal overlay
+        this.contacts = [];
+        
         debug('Game instance created');
     }
 
@@ -42,6 +58,7 @@ class Game {
      */
     initPlayer(x, y) {
         this.player = new Player(x, y);
+        this.spatialGrid.addEntity(this.player);
         debug('Player initialized at', { x, y });
         return this.player;
     }
@@ -130,6 +147,7 @@ class Game {
             this.entities.splice(index, 1);
             debug('Entity removed from game world');
         }
+        this.spatialGrid.removeEntity(entity);
     }
 
     /**
@@ -142,146 +160,63 @@ class Game {
         // Clear all other entities
         this.entities = this.entities.filter(e => e === player);
         
-        // Reset spatial grid
-        this.spatialGrid.clear();
-        
-        // Re-add player to spatial grid if it exists
-        if (player) {
-            this.spatialGrid.addEntity(player);
-        }
+        // Reset spatial grid (leaving just the player in it)
+        this.rebuildSpatialGrid();
         
         info('All entities cleared except player');
     }
 
     /**
-     * Handles collision response between two entities
-     * @param {Object} entity1 - First entity in collision
-     * @param {Object} entity2 - Second entity in collision
-     * @param {Object} collisionInfo - Information about the collision
+     * Clears the spatial grid and re-adds the player and every entity in the game world
+     * Called after a room's entities are swapped in or out
      */
-    handleCollision(entity1, entity2, collisionInfo) {
-        // Skip self-collisions and collisions with special objects if needed
-        if (entity1 === entity2) return;
-        
-        // Add detailed logging to track the collision resolution
-        console.log(`[COLLISION HANDLER] Starting collision handling: 
-            Entity1 pos: (${entity1.x.toFixed(3)}, ${entity1.y.toFixed(3)})
-            Entity1 vel: (${(entity1.velocityX || 0).toFixed(3)}, ${(entity1.velocityY || 0).toFixed(3)})
-            Entity2 pos: (${entity2.x.toFixed(3)}, ${entity2.y.toFixed(3)})`);
-        
-        // Calculate centers and distances - more precise calculations
-        const e1CenterX = entity1.x + (entity1.width || 0.6) / 2;
-        const e1CenterY = entity1.y + (entity1.height || 0.6) / 2;
-        const e2CenterX = entity2.x + (entity2.width || 0.6) / 2;
-        const e2CenterY = entity2.y + (entity2.height || 0.6) / 2;
-        
-        // Determine collision direction (which side the player is approaching from)
-        const dx = e1CenterX - e2CenterX;
-        const dy = e1CenterY - e2CenterY;
-        const absDx = Math.abs(dx);
-        const absDy = Math.abs(dy);
-        
-        // Log the exact collision vector
-        console.log(`[COLLISION VECTOR] dx=${dx.toFixed(4)}, dy=${dy.toFixed(4)}, absDx=${absDx.toFixed(4)}, absDy=${absDy.toFixed(4)}`);
-        
-        // Get collision penetration depths - how far entity1 has penetrated entity2
-        const halfWidth1 = (entity1.width || 0.6) / 2;
-        const halfHeight1 = (entity1.height || 0.6) / 2;
-        const halfWidth2 = (entity2.width || 0.6) / 2;
-        const halfHeight2 = (entity2.height || 0.6) / 2;
-        
-        const overlapX = halfWidth1 + halfWidth2 - absDx;
-        const overlapY = halfHeight1 + halfHeight2 - absDy;
-        
-        console.log(`[COLLISION OVERLAP] overlapX=${overlapX.toFixed(4)}, overlapY=${overlapY.toFixed(4)}`);
-        
-        // Determine if collision is more horizontal or vertical
-        // Use a slightly different approach - pick the axis with minimal penetration
-        // This helps prevent slingshotting by choosing the "easiest" way out
-        const isHorizontalCollision = overlapX < overlapY;
-        
-        console.log(`[COLLISION TYPE] ${isHorizontalCollision ? 'Horizontal' : 'Vertical'} collision detected`);
-        
-        // Store original position for comparison
-        const originalX = entity1.x;
-        const originalY = entity1.y;
-        
-        // ENHANCED COLLISION RESPONSE: Use a larger multiplier for stronger push-back
-        // This is the key factor in making collisions feel solid and preventing pass-through
-        const separationMultiplier = 1.25; // Increased from 1.05 to 1.25 for more solid feel
-        
-        if (isHorizontalCollision) {
-            // Horizontal collision - stop X velocity completely
-            entity1.velocityX = 0;
-            
-            // Apply stronger response for horizontal collisions
-            if (dx > 0) { // Entity1 is to the right of Entity2
-                // Use more forceful adjustment
-                const adjustmentX = overlapX * separationMultiplier;
-                
-                console.log(`[HORIZONTAL ADJUST] Right collision, adjustment=${adjustmentX.toFixed(5)}`);
-                entity1.x += adjustmentX;
-                
-                // Apply a small extra push in the opposite direction of movement
-                // This helps prevent slingshotting by adding a small buffer zone
-                if (entity1.lastVelocityX < 0) { // Was moving left
-                    entity1.x += 0.05; // Extra small buffer
-                }
-            } else { // Entity1 is to the left of Entity2
-                // Use more forceful adjustment
-                const adjustmentX = -overlapX * separationMultiplier;
-                
-                console.log(`[HORIZONTAL ADJUST] Left collision, adjustment=${adjustmentX.toFixed(5)}`);
-                entity1.x += adjustmentX;
-                
-                // Apply a small extra push in the opposite direction of movement
-                if (entity1.lastVelocityX > 0) { // Was moving right
-                    entity1.x -= 0.05; // Extra small buffer
-                }
-            }
-        } else {
-            // Vertical collision - stop Y velocity completely
-            entity1.velocityY = 0;
-            
-            // Apply stronger response for vertical collisions
-            if (dy > 0) { // Entity1 is below Entity2
-                // Use more forceful adjustment
-                const adjustmentY = overlapY * separationMultiplier;
-                
-                console.log(`[VERTICAL ADJUST] Bottom collision, adjustment=${adjustmentY.toFixed(5)}`);
-                entity1.y += adjustmentY;
-                
-                // Apply a small extra push in the opposite direction of movement
-                if (entity1.lastVelocityY < 0) { // Was moving up
-                    entity1.y += 0.05; // Extra small buffer
-                }
-            } else { // Entity1 is above Entity2
-                // Use more forceful adjustment
-                const adjustmentY = -overlapY * separationMultiplier;
-                
-                console.log(`[VERTICAL ADJUST] Top collision, adjustment=${adjustmentY.toFixed(5)}`);
-                entity1.y += adjustmentY;
-                
-                // Apply a small extra push in the opposite direction of movement
-                if (entity1.lastVelocityY > 0) { // Was moving down
-                    entity1.y -= 0.05; // Extra small buffer
-                }
-            }
+    rebuildSpatialGrid() {
+        this.spatialGrid.clear();
+        if (this.player) {
+            this.spatialGrid.addEntity(this.player);
         }
-        
-        // Store last velocity for next collision check
-        entity1.lastVelocityX = entity1.velocityX;
-        entity1.lastVelocityY = entity1.velocityY;
-        
-        // Log the final position and velocity after adjustment
-        console.log(`[COLLISION RESULT] 
-            Final position: (${entity1.x.toFixed(3)}, ${entity1.y.toFixed(3)})
-            Position change: (${(entity1.x - originalX).toFixed(5)}, ${(entity1.y - originalY).toFixed(5)})
-            Final velocity: (${(entity1.velocityX || 0).toFixed(3)}, ${(entity1.velocityY || 0).toFixed(3)})`);
+        this.entities.forEach(entity => this.spatialGrid.addEntity(entity));
+        debug(`Spatial grid rebuilt with ${this.entities.length} entities`);
+    }
+
+    /**
+     * Set the room whose walls and floorless cells block movement
+     * @param {RoomGeometry|null} geometry - Current room's geometry, or null for none
+     */
+    setRoomGeometry(geometry) {
+        this.roomGeometry = geometry;
     }
 
     /**
-     * Handles player input
+     * Move an entity by a displacement, sliding along the collidable entities and room walls in its way
+     * @param {Object} entity - Entity to move (the player)
+     * @param {number} dx - X displacement (grid units)
+     * @param {number} dy - Y displacement (grid units)
+     * @returns {Array<Object>} - Contacts from Collision.moveAndSlide
+     */
+    moveWithCollisions(entity, dx, dy) {
+        // Everything the entity's shapes could touch on their way from start to end
+        const bounds = getCollisionBounds(entity);
+        const minX = bounds.minX + Math.min(0, dx);
+        const maxX = bounds.maxX + Math.max(0, dx);
+        const minY = bounds.minY + Math.min(0, dy);
+        const maxY = bounds.maxY + Math.max(0, dy);
+        const obstacles = this.entities.filter(other => {
+            if (!other || other === entity || other.collidable === false) return false;
+            const otherBounds = getCollisionBounds(other);
+            return otherBounds.minX <= maxX && otherBounds.maxX >= minX &&
+                otherBounds.minY <= maxY && otherBounds.maxY >= minY;
+        });
+
+        if (this.roomGeometry) {
+            obstacles.push(...this.roomGeometry.getBlockingCells(minX, minY, maxX, maxY));
+        }
+
+        return Collision.moveAndSlide(entity, dx, dy, obstacles);
+    }
+
+    /**
+     * Handles player input other than walking (Player.move sets the walking velocity, see worldStep.js)
      */
     handlePlayerInput() {
         // Skip input handling if portal transition is active or interaction is active
@@ -296,36 +231,62 @@ class Game {
         
         // Skip if player not available
         if (!this.player) return;
-        
-        // Reset velocity
-        this.player.velocityX = 0;
-        this.player.velocityY = 0;
 
-        // Get movement inputs
-        const upPressed = input.isKeyPressed('ArrowUp') || input.isKeyPressed('w') || input.isKeyPressed('W');
-        const downPressed = input.isKeyPressed('ArrowDown') || input.isKeyPressed('s') || input.isKeyPressed('S');
-        const leftPressed = input.isKeyPressed('ArrowLeft') || input.isKeyPressed('a') || input.isKeyPressed('A');
-        const rightPressed = input.isKeyPressed('ArrowRight') || input.isKeyPressed('d') || input.isKeyPressed('D');
+        // Handle jump action
+        if (actionMap.isPressed('jump')) {
+            this.player.jump();
+        }
+    }
 
-        // Only process movement if no interaction is active
-        if (!this._interactionActive) {
-            // Handle movement based on key presses
-            if (upPressed) this.player.velocityY = -this.player.speed;
-            if (downPressed) this.player.velocityY = this.player.speed;
-            if (leftPressed) this.player.velocityX = -this.player.speed;
-            if (rightPressed) this.player.velocityX = this.player.speed;
+    /**
+     * Get the entities that move between simulation steps (the player and any non-static entity)
+     * @returns {Array} - Moving entities
+     */
+    getMovingEntities() {
+        const moving = this.entities.filter(entity => entity && entity !== this.player && !entity.isStatic);
+        return this.player ? [this.player, ...moving] : moving;
+    }
 
-            // Normalize diagonal movement
-            if ((upPressed || downPressed) && (leftPressed || rightPressed)) {
-                this.player.velocityX *= 0.7071; // 1 / sqrt(2)
-                this.player.velocityY *= 0.7071; // 1 / sqrt(2)
+    /**
+     * Remember where moving entities are before a simulation step, for interpolated drawing
+     */
+    storePreviousPositions() {
+        this.getMovingEntities().forEach(entity => {
+            entity.previousX = entity.x;
+            entity.previousY = entity.y;
+        });
+    }
+
+    /**
+     * Put moving entities where they should be drawn this frame, between the last two simulation steps
+     * Call endInterpolatedRender() once the frame is drawn to put the simulated positions back.
+     * @param {number} alpha - 0 (position before the last step) to 1 (position after it)
+     */
+    beginInterpolatedRender(alpha) {
+        this._interpolated = this.getMovingEntities().filter(entity => entity.previousX !== undefined);
+        this._interpolated.forEach(entity => {
+            entity.simulatedX = entity.x;
+            entity.simulatedY = entity.y;
+            
+            // Teleports (doors, return to spawn) jump straight to the new spot
+            if (Math.abs(entity.x - entity.previousX) > MAX_INTERPOLATION_DISTANCE ||
+                Math.abs(entity.y - entity.previousY) > MAX_INTERPOLATION_DISTANCE) {
+                return;
             }
-        }
+            entity.x = entity.previousX + (entity.x - entity.previousX) * alpha;
+            entity.y = entity.previousY + (entity.y - entity.previousY) * alpha;
+        });
+    }
 
-        // Handle jump action
-        if (input.isKeyPressed(' ') || input.isKeyPressed('Spacebar')) {
-            this.player.jump();
-        }
+    /**
+     * Restore the simulated positions changed by beginInterpolatedRender()
+     */
+    endInterpolatedRender() {
+        (this._interpolated || []).forEach(entity => {
+            entity.x = entity.simulatedX;
+            entity.y = entity.simulatedY;
+        });
+        this._interpolated = null;
     }
 
     /**
@@ -336,20 +297,6 @@ class Game {
         // Skip if no player
         if (!this.player) return;
         
-        // Store original player position for collision detection
-        const originalPlayerX = this.player.x;
-        const originalPlayerY = this.player.y;
-        
-        // Ensure player has lastVelocity properties for collision handling
-        if (this.player.lastVelocityX === undefined) {
-            this.player.lastVelocityX = 0;
-            this.player.lastVelocityY = 0;
-        }
-        
-        // Store current velocity before handling input
-        this.player.lastVelocityX = this.player.velocityX || 0;
-        this.player.lastVelocityY = this.player.velocityY || 0;
-        
         // Handle player input - skip if interaction is active
         if (!this._interactionActive) {
             this.handlePlayerInput();
@@ -363,35 +310,21 @@ class Game {
         // IMPORTANT FIX: Only apply physics if player hasn't collided
         this.physics.applyGravity(this.player);
         
-        // IMPORTANT: When we update player position, we want to be able to revert back if collision occurs
-        // Update player with deltaTime
-        const oldX = this.player.x;
-        const oldY = this.player.y;
+        // Let the player work out its move (walking, jumping), then sweep it there so it stops at
+        // and slides along whatever is in the way
+        const startX = this.player.x;
+        const startY = this.player.y;
         this.player.update(deltaTime);
         
         // Check ground collision for player
         this.physics.checkGroundCollision(this.player, this.groundLevel);
         
-        // Store player's post-update position before any collisions are resolved
-        const playerPhysicsX = this.player.x;
-        const playerPhysicsY = this.player.y;
-        
-        // Diagnostic: Find all jukebox entities for debugging
-        if (Math.random() < 0.01) { // Only log occasionally to avoid spam
-            const jukeboxEntities = this.entities.filter(entity => 
-                entity && entity.constructor && entity.constructor.name === 'JukeboxEntity'
-            );
-            
-            if (jukeboxEntities.length > 0) {
-                console.log(`[GAME] Found ${jukeboxEntities.length} jukebox entities`);
-                jukeboxEntities.forEach((jukebox, index) => {
-                    console.log(`[GAME] Jukebox ${index + 1} position: (${jukebox.x.toFixed(2)}, ${jukebox.y.toFixed(2)})`);
-                });
-                console.log(`[GAME] Player position: (${this.player.x.toFixed(2)}, ${this.player.y.toFixed(2)})`);
-            } else {
-                console.warn('[GAME] No jukebox entities found in the game world');
-            }
-        }
+        const moveX = this.player.x - startX;
+        const moveY = this.player.y - startY;
+        this.player.x = startX;
+        this.player.y = startY;
+        this.contacts = this.moveWithCollisions(this.player, moveX, moveY);
+        this.spatialGrid.updateEntity(this.player);
         
         // Update all other entities
         this.entities.forEach(entity => {
@@ -423,12 +356,11 @@ class Game {
             
             // Check ground collision for entity
             this.physics.checkGroundCollision(entity, this.groundLevel);
+            
+            // Move it to its new cell if the update carried it out of the old one
+            this.spatialGrid.updateEntity(entity);
         });
         
-        // FULL COLLISION DETECTION SYSTEM
-        // Clear and rebuild spatial grid
-        this.spatialGrid.clear();
-        
         // Update cell dimensions based on scene (if available)
         if (window.testScene) {
             this.spatialGrid.updateCellDimensions(
@@ -436,123 +368,6 @@ class Game {
                 window.testScene.cellHeight
             );
         }
-        
-        // Add player to spatial grid
-        if (this.player) {
-            this.spatialGrid.addEntity(this.player);
-        }
-        
-        // Add all other entities to spatial grid
-        this.entities.forEach(entity => {
-            if (entity === this.player) return; // Skip player, already added
-            if (entity) {
-                this.spatialGrid.addEntity(entity);
-            }
-        });
-        
-        // Check for collisions using spatial grid optimization
-        const nearbyEntities = this.spatialGrid.getSurroundingEntities(this.player, 2);
-        
-        // Flag to track if any collision was detected
-        let collisionDetected = false;
-        
-        // Only check collisions with nearby entities
-        nearbyEntities.forEach(entity => {
-            // Skip collision with self
-            if (entity === this.player) return;
-            
-            // ANTI-SLINGSHOT FIX: Test if the collision happens at current position
-            if (Collision.checkCollision(this.player, entity)) {
-                collisionDetected = true;
-                
-                // Store player position BEFORE collision handling
-                const beforeHandlingX = this.player.x;
-                const beforeHandlingY = this.player.y;
-                
-                // Handle the collision
-                this.handleCollision(this.player, entity);
-                
-                // Verify player didn't move too far (prevent slingshotting)
-                const xDiff = Math.abs(this.player.x - beforeHandlingX);
-                const yDiff = Math.abs(this.player.y - beforeHandlingY);
-                
-                // If movement from collision resolution is too large, reset to a safer position
-                // This effectively limits how far a collision can push the player
-                const MAX_ADJUST = 0.35; // Increased to allow stronger collision responses
-                
-                if (xDiff > MAX_ADJUST || yDiff > MAX_ADJUST) {
-                    console.log(`[ANTI-SLINGSHOT] Excessive movement detected (${xDiff.toFixed(3)}, ${yDiff.toFixed(3)})`);
-                    
-                    // Choose a safer position - either original position or an intermediate one
-                    // Calculate an intermediate position that moves slightly away from obstacle
-                    if (xDiff > MAX_ADJUST) {
-                        // Determine which direction we need to move (away from entity)
-                        const entityCenterX = entity.x + (entity.width || 0.6) / 2;
-                        const playerCenterX = beforeHandlingX + (this.player.width || 0.6) / 2;
-                        const moveDirection = playerCenterX > entityCenterX ? 1 : -1; // Away from entity
-                        
-                        // Calculate a proper adjustment that's proportional to the penetration
-                        // but capped at MAX_ADJUST
-                        const safeAdjustment = Math.min(xDiff * 0.95, MAX_ADJUST) * moveDirection;
-                        
-                        // Move player by a substantial amount in the proper direction
-                        this.player.x = beforeHandlingX + safeAdjustment;
-                        this.player.velocityX = 0; // Stop horizontal movement
-                        
-                        console.log(`[ANTI-SLINGSHOT] X position adjusted to ${this.player.x.toFixed(3)} (safe adjustment: ${safeAdjustment.toFixed(3)})`);
-                    }
-                    
-                    if (yDiff > MAX_ADJUST) {
-                        // Determine which direction we need to move (away from entity)
-                        const entityCenterY = entity.y + (entity.height || 0.6) / 2;
-                        const playerCenterY = beforeHandlingY + (this.player.height || 0.6) / 2;
-                        const moveDirection = playerCenterY > entityCenterY ? 1 : -1; // Away from entity
-                        
-                        // Calculate a proper adjustment that's proportional to the penetration
-                        // but capped at MAX_ADJUST
-                        const safeAdjustment = Math.min(yDiff * 0.95, MAX_ADJUST) * moveDirection;
-                        
-                        // Move player by a substantial amount in the proper direction
-                        this.player.y = beforeHandlingY + safeAdjustment;
-                        this.player.velocityY = 0; // Stop vertical movement
-                        
-                        console.log(`[ANTI-SLINGSHOT] Y position adjusted to ${this.player.y.toFixed(3)} (safe adjustment: ${safeAdjustment.toFixed(3)})`);
-                    }
-                }
-                
-                // After collision is resolved, perform a second check to ensure we're really clear
-                // This "double check" approach helps prevent entities from getting stuck
-                if (Collision.checkCollision(this.player, entity)) {
-                    console.log(`[COLLISION SAFETY] Still colliding after resolution - applying additional force`);
-                    
-                    // Calculate direction to push player away from entity
-                    const pushDirX = this.player.x > entity.x ? 1 : -1;
-                    const pushDirY = this.player.y > entity.y ? 1 : -1;
-                    
-                    // Apply a stronger push in the appropriate direction
-                    // Use whichever axis has more room to move
-                    if (Math.abs(this.player.lastVelocityX) > Math.abs(this.player.lastVelocityY)) {
-                        // Was moving more horizontally - push horizontally
-                        this.player.x += pushDirX * 0.1;
-                        console.log(`[COLLISION SAFETY] Applied extra horizontal push: ${pushDirX * 0.1}`);
-                    } else {
-                        // Was moving more vertically - push vertically
-                        this.player.y += pushDirY * 0.1;
-                        console.log(`[COLLISION SAFETY] Applied extra vertical push: ${pushDirY * 0.1}`);
-                    }
-                }
-            }
-        });
-        
-        // If collision was detected, log player position changes
-        if (collisionDetected) {
-            console.log(`[POSITION SUMMARY] Player movement:
-                Starting:  (${originalPlayerX.toFixed(3)}, ${originalPlayerY.toFixed(3)})
-                Physics:   (${playerPhysicsX.toFixed(3)}, ${playerPhysicsY.toFixed(3)})
-                Final:     (${this.player.x.toFixed(3)}, ${this.player.y.toFixed(3)})
-                Delta:     (${(this.player.x - originalPlayerX).toFixed(3)}, ${(this.player.y - originalPlayerY).toFixed(3)})`
-            );
-        }
     }
 
     /**
@@ -626,20 +441,6 @@ class Game {
             }
         }
         
-        // Force rebuild spatial grid immediately
-        this.spatialGrid.clear();
-        
-        // Add all entities to spatial grid
-        if (this.player) {
-            this.spatialGrid.addEntity(this.player);
-        }
-        
-        this.entities.forEach(entity => {
-            if (entity !== this.player) {
-                this.spatialGrid.addEntity(entity);
-            }
-        });
-        
         // Log comprehensive entity creation summary
         info(`[TEST ENTITIES] Created ${entityCount} test entities with various heights`);
         info(`[TEST ENTITIES] Total entities in game: ${this.entities.length}`);
@@ -688,6 +489,38 @@ class Game {
         
         debug(`Game: Interaction active state set to ${this._interactionActive}`);
     }
+
+    /**
+     * Check whether a menu or dialog currently has the player's input
+     * @returns {boolean} - True if an interaction is active
+     */
+    isInteractionActive() {
+        return this._interactionActive;
+    }
+
+    /**
+     * Pause or resume the game loop's world updates and rendering
+     * @param {boolean} isPaused - Whether the game should be paused
+     */
+    setPaused(isPaused) {
+        this._paused = isPaused;
+        
+        // Make sure the player does not keep drifting after a resume
+        if (this.player) {
+            this.player.velocityX = 0;
+            this.player.velocityY = 0;
+        }
+        
+        debug(`Game: Paused state set to ${this._paused}`);
+    }
+
+    /**
+     * Check whether the game is paused
+     * @returns {boolean} - True if paused
+     */
+    isPaused() {
+        return this._paused;
+    }
 }
 
 export { Game };
@@ -0,0 +1,315 @@
+/**
+ * Game Browser for AI Alchemist's Lair
+ * Keyboard-driven shelves, search, tag filtering, sorting and paging for arcade game-select menus
+ *
+ * The browser only tracks state; the cabinet owns drawing. Keys:
+ * - 1/2/3 switch between the All Games, Recently Played and Favorites shelves
+ * - F stars or unstars the selected game
+ * - / starts typing a search (Enter keeps it, Escape clears it, Backspace deletes)
+ * - Up/Down (W/S) move the selection, crossing pages as needed
+ * - PageUp/PageDown (Q/E) jump a page
+ * - Left/Right (A/D) cycle the tag filter
+ * - Tab cycles the sort order
+ * - Enter launches the selected game, Escape closes the menu
+ * Search, tag and sort keys are ignored when the browser is created with filters: false.
+ */
+
+import { playHistory } from './playHistory.js';
+
+// Sort orders offered by the browser
+const SORT_MODES = [
+    { id: 'title', label: 'TITLE A-Z' },
+    { id: 'recent', label: 'RECENTLY ADDED' }
+];
+
+// Shelves shown as tabs along the top of the menu
+const SHELVES = [
+    { id: 'all', label: 'ALL GAMES' },
+    { id: 'recent', label: 'RECENTLY PLAYED' },
+    { id: 'favorites', label: 'FAVORITES' }
+];
+
+// Pseudo-tag meaning "no tag filter"
+const ALL_TAGS = 'all';
+
+class GameBrowser {
+    /**
+     * Create a new game browser
+     * @param {Object} options - Browser options
+     * @param {number} options.pageSize - Games shown per page
+     * @param {boolean} options.filters - Enable search, tag and sort keys (default true)
+     * @param {PlayHistory} options.history - Play history used by the shelves and favorites
+     */
+    constructor(options = {}) {
+        this.pageSize = options.pageSize || 5;
+        this.filtersEnabled = options.filters !== false;
+        this.history = options.history || playHistory;
+        this.shelfIndex = 0;
+        this.games = [];
+        this.results = [];       // Indices into this.games matching the current filters
+        this.cursor = 0;         // Position within this.results
+        this.query = '';
+        this.searchActive = false;
+        this.tagIndex = 0;
+        this.sortIndex = 0;
+    }
+
+    /**
+     * Replace the game list and reapply the filters
+     * @param {Array} games - Cabinet game objects
+     */
+    setGames(games) {
+        this.games = games || [];
+        this.tagIndex = 0;
+        this.cursor = 0;
+        this.refresh();
+    }
+
+    /**
+     * Get every tag used by the current games, with the "all" pseudo-tag first
+     * @returns {string[]} - Tag list
+     */
+    getTags() {
+        const tags = new Set();
+        this.games.forEach(game => (game.tags || []).forEach(tag => tags.add(tag)));
+        return [ALL_TAGS, ...Array.from(tags).sort()];
+    }
+
+    /**
+     * Get the tag currently filtered on
+     * @returns {string} - Tag name, or 'all'
+     */
+    getActiveTag() {
+        const tags = this.getTags();
+        return tags[this.tagIndex % tags.length];
+    }
+
+    /**
+     * Get the shelf currently shown
+     * @returns {Object} - Shelf {id, label}
+     */
+    getShelf() {
+        return SHELVES[this.shelfIndex];
+    }
+
+    /**
+     * Get the game under the selection
+     * @returns {Object|null} - Game object, or null if nothing matches the filters
+     */
+    getSelectedGame() {
+        const index = this.getSelectedIndex();
+        return index === -1 ? null : this.games[index];
+    }
+
+    /**
+     * Get the current sort mode
+     * @returns {Object} - Sort mode {id, label}
+     */
+    getSortMode() {
+        return SORT_MODES[this.sortIndex];
+    }
+
+    /**
+     * Recompute the filtered and sorted result list, keeping the selected game when possible
+     */
+    refresh() {
+        const previous = this.getSelectedIndex();
+        const query = this.query.trim().toLowerCase();
+        const tag = this.getActiveTag();
+        const shelf = this.getShelf().id;
+
+        const matches = this.games
+            .map((game, index) => ({ game, index }))
+            .filter(({ game }) => shelf !== 'recent' || this.history.getPlayCount(game) > 0)
+            .filter(({ game }) => shelf !== 'favorites' || this.history.isFavorite(game))
+            .filter(({ game }) => tag === ALL_TAGS || (game.tags || []).includes(tag))
+            .filter(({ game }) => !query || [game.title, game.description, game.author, ...(game.tags || [])]
+                .some(text => typeof text === 'string' && text.toLowerCase().includes(query)));
+
+        if (shelf === 'recent') {
+            // The Recently Played shelf always lists the last game played first
+            matches.sort((a, b) => this.history.getLastPlayed(b.game) - this.history.getLastPlayed(a.game));
+        } else if (this.getSortMode().id === 'recent') {
+            matches.sort((a, b) => this.getAddedRank(b) - this.getAddedRank(a));
+        } else {
+            matches.sort((a, b) => a.game.title.localeCompare(b.game.title));
+        }
+
+        this.results = matches.map(match => match.index);
+
+        const kept = this.results.indexOf(previous);
+        this.cursor = kept !== -1 ? kept : Math.min(this.cursor, Math.max(0, this.results.length - 1));
+    }
+
+    /**
+     * Rank used for "recently added" sorting; newer games rank higher
+     * Games without an addedAt date fall back to their position in the catalog
+     * @param {Object} match - {game, index}
+     * @returns {number} - Sort rank
+     */
+    getAddedRank(match) {
+        const added = match.game.addedAt ? Date.parse(match.game.addedAt) : NaN;
+        if (!Number.isNaN(added)) {
+            return added;
+        }
+        // Undated games sort after dated ones, newest catalog entries first
+        const order = match.game.catalogOrder !== undefined ? match.game.catalogOrder : match.index;
+        return order - Number.MAX_SAFE_INTEGER;
+    }
+
+    /**
+     * Get the index (into the game list) of the selected game
+     * @returns {number} - Game index, or -1 if nothing matches the filters
+     */
+    getSelectedIndex() {
+        return this.results.length > 0 ? this.results[this.cursor] : -1;
+    }
+
+    /**
+     * Get the games on the page containing the selection
+     * @returns {Object} - {items: [{game, index, selected}], page, pageCount}
+     */
+    getPage() {
+        const pageCount = Math.max(1, Math.ceil(this.results.length / this.pageSize));
+        const page = Math.floor(this.cursor / this.pageSize);
+        const start = page * this.pageSize;
+
+        const items = this.results.slice(start, start + this.pageSize).map((index, offset) => ({
+            game: this.games[index],
+            index,
+            selected: start + offset === this.cursor
+        }));
+
+        return { items, page, pageCount };
+    }
+
+    /**
+     * Move the selection by a number of results, clamped to the result list
+     * @param {number} delta - Results to move (negative moves up)
+     * @param {boolean} wrap - Wrap around the ends instead of clamping
+     */
+    moveCursor(delta, wrap = false) {
+        const count = this.results.length;
+        if (count === 0) {
+            return;
+        }
+        const next = this.cursor + delta;
+        this.cursor = wrap ? (next % count + count) % count : Math.max(0, Math.min(count - 1, next));
+    }
+
+    /**
+     * Handle a key while typing a search query
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string|null} - Action name (see handleKey)
+     */
+    handleSearchKey(key) {
+        if (key === 'Enter') {
+            this.searchActive = false;
+            return 'changed';
+        }
+        if (key === 'Escape') {
+            this.searchActive = false;
+            this.query = '';
+            this.refresh();
+            return 'changed';
+        }
+        if (key === 'Backspace') {
+            this.query = this.query.slice(0, -1);
+            this.refresh();
+            return 'changed';
+        }
+        if (key.length === 1 && this.query.length < 32) {
+            this.query += key;
+            this.refresh();
+            return 'changed';
+        }
+        return null;
+    }
+
+    /**
+     * Show a shelf, keeping the selected game if it is on that shelf too
+     * @param {number} shelfIndex - Index into SHELVES
+     */
+    setShelf(shelfIndex) {
+        this.shelfIndex = shelfIndex;
+        this.refresh();
+    }
+
+    /**
+     * Star or unstar the selected game
+     * @returns {boolean} - True if a game was selected
+     */
+    toggleSelectedFavorite() {
+        const game = this.getSelectedGame();
+        if (!game) {
+            return false;
+        }
+        this.history.toggleFavorite(game);
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Handle a menu key press
+     * @param {string} key - KeyboardEvent.key
+     * @returns {string|null} - 'launch', 'close', 'move' (selection changed), 'changed' (filters changed),
+     *                          'favorite' (selected game starred/unstarred) or null
+     */
+    handleKey(key) {
+        if (this.searchActive) {
+            return this.handleSearchKey(key);
+        }
+
+        switch (key) {
+            case '1': case '2': case '3':
+                this.setShelf(Number(key) - 1);
+                return 'changed';
+            case 'f': case 'F':
+                return this.toggleSelectedFavorite() ? 'favorite' : null;
+            case 'ArrowUp': case 'w': case 'W':
+                this.moveCursor(-1, true);
+                return 'move';
+            case 'ArrowDown': case 's': case 'S':
+                this.moveCursor(1, true);
+                return 'move';
+            case 'Enter': case ' ':
+                return 'launch';
+            case 'Escape':
+                return 'close';
+        }
+
+        // Paging, tags, sorting and search only apply to menus that show the filter bar
+        if (!this.filtersEnabled) {
+            return null;
+        }
+
+        switch (key) {
+            case 'PageUp': case 'q': case 'Q':
+                this.moveCursor(-this.pageSize);
+                return 'move';
+            case 'PageDown': case 'e': case 'E':
+                this.moveCursor(this.pageSize);
+                return 'move';
+            case 'ArrowLeft': case 'a': case 'A':
+            case 'ArrowRight': case 'd': case 'D': {
+                const tagCount = this.getTags().length;
+                const step = (key === 'ArrowLeft' || key === 'a' || key === 'A') ? -1 : 1;
+                this.tagIndex = (this.tagIndex + step + tagCount) % tagCount;
+                this.cursor = 0;
+                this.refresh();
+                return 'changed';
+            }
+            case 'Tab':
+                this.sortIndex = (this.sortIndex + 1) % SORT_MODES.length;
+                this.refresh();
+                return 'changed';
+            case '/':
+                this.searchActive = true;
+                return 'changed';
+            default:
+                return null;
+        }
+    }
+}
+
+export { GameBrowser, SORT_MODES, SHELVES };
@@ -0,0 +1,170 @@
+/**
+ * Game Catalog for AI Alchemist's Lair
+ * Loads the arcade game list from assets/data/games.json and hands each cabinet its games
+ *
+ * Catalog entry format:
+ * {
+ *   "id": "gnome-mercy",                      unique id
+ *   "title": "Gnome Mercy",
+ *   "description": "A bullet heaven roguelight adventure",
+ *   "url": "https://gnome-mercy.vercel.app/", http(s) launch URL
+ *   "image": "assets/Games/Game_6.png",       preview image path
+ *   "tags": ["roguelite", "shooter"],
+ *   "author": "Unknown",
+ *   "cabinet": "arcade2",                     cabinet id the game appears on
+ *   "addedAt": "2025-04-01",                  optional ISO date, used for "recently added" sorting
+ *   "launchMode": "tab"                       optional; "embed" (default) plays in the cabinet overlay,
+ *                                             "tab" opens a new tab for games that refuse framing
+ * }
+ */
+
+import { loadData } from './assets.js';
+import { getAssetPath } from './pathResolver.js';
+import { info, warn, error } from './utils.js';
+
+// Catalog location and the schema version this module understands
+const GAME_CATALOG_PATH = 'assets/data/games.json';
+const GAME_CATALOG_VERSION = 1;
+
+// Required string fields on every entry
+const REQUIRED_STRING_FIELDS = ['id', 'title', 'description', 'url', 'image', 'author', 'cabinet'];
+
+// Ways a cabinet can launch a game
+const LAUNCH_MODES = ['embed', 'tab'];
+
+// Shared load promise so every cabinet waits on the same request
+let catalogPromise = null;
+
+/**
+ * Check one catalog entry against the schema
+ * @param {Object} entry - Raw catalog entry
+ * @returns {string[]} - Problems found (empty when the entry is valid)
+ */
+function validateGameEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return ['entry must be an object'];
+    }
+
+    const problems = [];
+
+    REQUIRED_STRING_FIELDS.forEach(field => {
+        if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+            problems.push(`"${field}" must be a non-empty string`);
+        }
+    });
+
+    if (typeof entry.url === 'string' && !/^https?:\/\//.test(entry.url)) {
+        problems.push('"url" must start with http:// or https://');
+    }
+
+    if (!Array.isArray(entry.tags) || entry.tags.some(tag => typeof tag !== 'string')) {
+        problems.push('"tags" must be an array of strings');
+    }
+
+    if (entry.addedAt !== undefined && Number.isNaN(Date.parse(entry.addedAt))) {
+        problems.push('"addedAt" must be an ISO date when given');
+    }
+
+    if (entry.launchMode !== undefined && !LAUNCH_MODES.includes(entry.launchMode)) {
+        problems.push(`"launchMode" must be one of ${LAUNCH_MODES.join(', ')} when given`);
+    }
+
+    return problems;
+}
+
+/**
+ * Validate a parsed catalog, keeping good entries and reporting bad ones
+ * @param {Object} catalog - Parsed games.json content
+ * @returns {Object[]} - Valid catalog entries in file order
+ */
+function validateCatalog(catalog) {
+    if (!catalog || !Array.isArray(catalog.games)) {
+        throw new Error(`GameCatalog: ${GAME_CATALOG_PATH} must contain a "games" array`);
+    }
+
+    if (catalog.version !== GAME_CATALOG_VERSION) {
+        warn(`GameCatalog: Catalog version ${catalog.version} differs from supported version ${GAME_CATALOG_VERSION}`);
+    }
+
+    const seenIds = new Set();
+    const valid = [];
+
+    catalog.games.forEach((entry, index) => {
+        const problems = validateGameEntry(entry);
+
+        if (problems.length === 0 && seenIds.has(entry.id)) {
+            problems.push(`duplicate id "${entry.id}"`);
+        }
+
+        if (problems.length > 0) {
+            const label = entry && entry.title ? ` ("${entry.title}")` : '';
+            error(`GameCatalog: Skipping games[${index}]${label}: ${problems.join('; ')}`);
+            return;
+        }
+
+        seenIds.add(entry.id);
+        valid.push(entry);
+    });
+
+    return valid;
+}
+
+/**
+ * Convert a catalog entry into the game object the arcade cabinets render
+ * @param {Object} entry - Valid catalog entry
+ * @param {number} order - Position of the entry in the catalog
+ * @returns {Object} - Cabinet game object
+ */
+function toCabinetGame(entry, order) {
+    return {
+        id: entry.id,
+        title: entry.title,
+        description: entry.description,
+        url: entry.url,
+        imagePath: entry.image,
+        image: null,
+        alternativeImagePaths: [entry.image, entry.image.replace('Games', 'games')],
+        tags: entry.tags.slice(),
+        author: entry.author,
+        cabinet: entry.cabinet,
+        addedAt: entry.addedAt || null,
+        launchMode: entry.launchMode || 'embed',
+        catalogOrder: order
+    };
+}
+
+/**
+ * Load and validate the game catalog (fetched once, then shared)
+ * @returns {Promise<Object[]>} - Resolves with the valid catalog entries
+ */
+function loadGameCatalog() {
+    if (!catalogPromise) {
+        catalogPromise = loadData('gameCatalog', getAssetPath(GAME_CATALOG_PATH))
+            .then(catalog => {
+                const games = validateCatalog(catalog);
+                info(`GameCatalog: Loaded ${games.length} of ${catalog.games.length} games`);
+                return games;
+            })
+            .catch(err => {
+                // Allow a retry on the next request instead of caching the failure
+                catalogPromise = null;
+                throw err;
+            });
+    }
+
+    return catalogPromise;
+}
+
+/**
+ * Get the games assigned to one cabinet
+ * @param {string} cabinetId - Cabinet id used in the catalog's "cabinet" field
+ * @returns {Promise<Object[]>} - Resolves with cabinet game objects (fresh copies per call)
+ */
+function getGamesForCabinet(cabinetId) {
+    return loadGameCatalog().then(entries => entries
+        .map((entry, order) => ({ entry, order }))
+        .filter(({ entry }) => entry.cabinet === cabinetId)
+        .map(({ entry, order }) => toCabinetGame(entry, order)));
+}
+
+export { loadGameCatalog, getGamesForCabinet, validateGameEntry, validateCatalog };
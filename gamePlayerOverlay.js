@@ -0,0 +1,317 @@
+/**
+ * Game Player Overlay for AI Alchemist's Lair
+ * Plays arcade catalog games in a full-screen sandboxed iframe framed by a cabinet bezel,
+ * so launching a game no longer throws the player out into a new tab
+ *
+ * While a game is open the Game is paused and world input is blocked. Escape (through the
+ * OverlayManager, or the close button when the game itself has keyboard focus) returns the
+ * player to the cabinet.
+ */
+
+import { input } from './input.js';
+import { overlayManager } from './overlayManager.js';
+import { debug } from './utils.js';
+
+// Permissions granted to embedded games; no top navigation, so a game cannot replace the lair
+const IFRAME_SANDBOX = 'allow-scripts allow-same-origin allow-pointer-lock allow-forms allow-popups';
+const IFRAME_ALLOW = 'autoplay; fullscreen; gamepad';
+
+// Bezel thickness in pixels around the game screen
+const BEZEL_SIDE = 40;
+const BEZEL_TOP = 70;      // Room for the marquee
+const BEZEL_BOTTOM = 56;   // Room for the control strip
+
+class GamePlayerOverlay {
+    constructor() {
+        this.container = null;
+        this.bezelCanvas = null;
+        this.iframe = null;
+        this.currentGame = null;
+        this.options = {};
+
+        // Bound listeners so they can be removed on close
+        this.keyListener = (e) => this.blockKey(e);
+        this.resizeListener = () => this.layout();
+    }
+
+    /**
+     * Check whether a game is currently being played in the overlay
+     * @returns {boolean} - True if the overlay is open
+     */
+    isOpen() {
+        return this.container !== null;
+    }
+
+    /**
+     * Open a game in the overlay
+     * @param {Object} game - Cabinet game object ({title, url, author, ...})
+     * @param {Object} options - Overlay options
+     * @param {string} options.cabinetName - Label drawn on the bezel marquee
+     * @param {string} options.accentColor - Neon color for the bezel trim
+     * @param {Function} options.onClose - Called after the overlay closes
+     */
+    open(game, options = {}) {
+        if (this.isOpen()) {
+            this.close();
+        }
+        if (overlayManager.isOpen()) {
+            debug(`GamePlayerOverlay: Another overlay is open, not playing ${game.title}`);
+            return;
+        }
+
+        this.currentGame = game;
+        this.options = options;
+
+        // Freeze the world and forget any keys held when the game launched
+        if (window.game && typeof window.game.setPaused === 'function') {
+            window.game.setPaused(true);
+        }
+        input.reset();
+
+        const container = document.createElement('div');
+        container.id = 'arcadeGamePlayer';
+        container.style.position = 'fixed';
+        container.style.left = '0';
+        container.style.top = '0';
+        container.style.width = '100%';
+        container.style.height = '100%';
+        container.style.backgroundColor = '#000';
+
+        const bezelCanvas = document.createElement('canvas');
+        bezelCanvas.style.position = 'absolute';
+        bezelCanvas.style.left = '0';
+        bezelCanvas.style.top = '0';
+        bezelCanvas.style.width = '100%';
+        bezelCanvas.style.height = '100%';
+        bezelCanvas.addEventListener('click', (e) => this.handleBezelClick(e));
+
+        const iframe = document.createElement('iframe');
+        iframe.src = game.url;
+        iframe.title = game.title;
+        iframe.setAttribute('sandbox', IFRAME_SANDBOX);
+        iframe.setAttribute('allow', IFRAME_ALLOW);
+        iframe.setAttribute('allowfullscreen', '');
+        iframe.style.position = 'absolute';
+        iframe.style.border = 'none';
+        iframe.style.backgroundColor = '#000';
+
+        container.appendChild(bezelCanvas);
+        container.appendChild(iframe);
+        document.body.appendChild(container);
+
+        this.container = container;
+        this.bezelCanvas = bezelCanvas;
+        this.iframe = iframe;
+
+        // Capture phase so world handlers never see keys pressed while the game is open
+        document.addEventListener('keydown', this.keyListener, true);
+        document.addEventListener('keyup', this.keyListener, true);
+        window.addEventListener('resize', this.resizeListener);
+
+        // Above the arcade menu overlay and the touch controls
+        overlayManager.open('gamePlayer', { element: container, onRequestClose: () => this.close(), zIndex: '10001' });
+
+        this.layout();
+        iframe.focus();
+
+        debug(`GamePlayerOverlay: Playing ${game.title} (${game.url})`);
+    }
+
+    /**
+     * Close the overlay and resume the world
+     */
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        document.removeEventListener('keydown', this.keyListener, true);
+        document.removeEventListener('keyup', this.keyListener, true);
+        window.removeEventListener('resize', this.resizeListener);
+
+        // Removing the iframe unloads the game and stops its audio
+        this.container.parentElement.removeChild(this.container);
+
+        const game = this.currentGame;
+        const onClose = this.options.onClose;
+
+        this.container = null;
+        this.bezelCanvas = null;
+        this.iframe = null;
+        this.currentGame = null;
+        this.options = {};
+
+        if (window.game && typeof window.game.setPaused === 'function') {
+            window.game.setPaused(false);
+        }
+
+        // Gives input and keyboard focus back to the world
+        overlayManager.close('gamePlayer');
+
+        debug(`GamePlayerOverlay: Closed ${game ? game.title : 'game'}`);
+
+        if (typeof onClose === 'function') {
+            onClose(game);
+        }
+    }
+
+    /**
+     * Open the current game in a new tab and close the overlay
+     * Used when a game turns out not to allow framing
+     */
+    openInNewTab() {
+        const game = this.currentGame;
+        if (!game) {
+            return;
+        }
+        try {
+            window.open(game.url, '_blank');
+        } catch (err) {
+            debug(`GamePlayerOverlay: Failed to open URL: ${err}`);
+        }
+        this.close();
+    }
+
+    /**
+     * Stop a key event from reaching the world's input handlers
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    blockKey(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        input.keys[e.key] = false;
+    }
+
+    /**
+     * Get the bezel buttons' hit areas for the current canvas size
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {Object} - Button rectangles {close, newTab}
+     */
+    getButtonRects(width, height) {
+        const buttonY = height - BEZEL_BOTTOM + 12;
+        return {
+            close: { x: width - BEZEL_SIDE - 190, y: buttonY, width: 190, height: 32 },
+            newTab: { x: BEZEL_SIDE, y: buttonY, width: 190, height: 32 }
+        };
+    }
+
+    /**
+     * Handle a click on the bezel buttons
+     * @param {MouseEvent} e - Click event
+     */
+    handleBezelClick(e) {
+        const rect = this.bezelCanvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const buttons = this.getButtonRects(this.bezelCanvas.width, this.bezelCanvas.height);
+        const inside = (r) => x >= r.x && x <= r.x + r.width && y >= r.y && y <= r.y + r.height;
+
+        if (inside(buttons.close)) {
+            this.close();
+        } else if (inside(buttons.newTab)) {
+            this.openInNewTab();
+        }
+    }
+
+    /**
+     * Size the game screen to the window and redraw the bezel around it
+     */
+    layout() {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        this.bezelCanvas.width = width;
+        this.bezelCanvas.height = height;
+
+        const screen = {
+            x: BEZEL_SIDE,
+            y: BEZEL_TOP,
+            width: Math.max(0, width - BEZEL_SIDE * 2),
+            height: Math.max(0, height - BEZEL_TOP - BEZEL_BOTTOM)
+        };
+
+        this.iframe.style.left = screen.x + 'px';
+        this.iframe.style.top = screen.y + 'px';
+        this.iframe.style.width = screen.width + 'px';
+        this.iframe.style.height = screen.height + 'px';
+
+        this.drawBezel(this.bezelCanvas.getContext('2d'), width, height, screen);
+    }
+
+    /**
+     * Draw the cabinet bezel: side panels, marquee, screen trim and control strip
+     * @param {CanvasRenderingContext2D} ctx - Bezel canvas context
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Object} screen - Game screen rectangle {x, y, width, height}
+     */
+    drawBezel(ctx, width, height, screen) {
+        const accent = this.options.accentColor || '#00FFFF';
+        const game = this.currentGame;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Cabinet body
+        const bodyGradient = ctx.createLinearGradient(0, 0, width, 0);
+        bodyGradient.addColorStop(0, '#1a0028');
+        bodyGradient.addColorStop(0.5, '#2a0a3c');
+        bodyGradient.addColorStop(1, '#1a0028');
+        ctx.fillStyle = bodyGradient;
+        ctx.fillRect(0, 0, width, height);
+
+        // Marquee with the game title
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(BEZEL_SIDE, 10, width - BEZEL_SIDE * 2, BEZEL_TOP - 20);
+        ctx.font = 'bold 26px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.shadowColor = accent;
+        ctx.shadowBlur = 15;
+        ctx.fillStyle = accent;
+        ctx.fillText(game ? game.title.toUpperCase() : '', width / 2, BEZEL_TOP / 2);
+
+        ctx.font = '12px Arial, sans-serif';
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = '#FF00FF';
+        ctx.textAlign = 'right';
+        ctx.fillText(this.options.cabinetName || 'ARCADE', width - BEZEL_SIDE - 12, BEZEL_TOP / 2);
+
+        // Neon trim around the screen
+        ctx.strokeStyle = accent;
+        ctx.lineWidth = 4;
+        ctx.shadowColor = accent;
+        ctx.shadowBlur = 20;
+        ctx.strokeRect(screen.x - 4, screen.y - 4, screen.width + 8, screen.height + 8);
+        ctx.shadowBlur = 0;
+
+        // Control strip with the close and new-tab buttons
+        const buttons = this.getButtonRects(width, height);
+        const drawButton = (rect, label, color) => {
+            ctx.fillStyle = 'rgba(0, 20, 40, 0.9)';
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+            ctx.font = 'bold 14px "Courier New", monospace';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = color;
+            ctx.fillText(label, rect.x + rect.width / 2, rect.y + rect.height / 2);
+        };
+        drawButton(buttons.newTab, 'OPEN IN NEW TAB', '#FF00FF');
+        drawButton(buttons.close, 'ESC: BACK TO ARCADE', accent);
+
+        ctx.font = '12px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#AAAAAA';
+        ctx.fillText('Click the bezel if Escape goes to the game', width / 2, buttons.close.y + buttons.close.height / 2);
+    }
+}
+
+// Shared overlay; only one game plays at a time
+const gamePlayer = new GamePlayerOverlay();
+
+export { GamePlayerOverlay, gamePlayer };
@@ -0,0 +1,138 @@
+/**
+ * Game Settings for AI Alchemist's Lair
+ * Player preferences set from the pause menu (camera smoothing), kept in localStorage
+ *
+ * Stored format (versioned so the layout can change without breaking old saves):
+ * {
+ *   "version": 1,
+ *   "settings": { "cameraSmoothing": 0.08 }
+ * }
+ * Zoom and the mini-map are part of the saved session (sessionState.js) and volumes belong to the
+ * AudioManager (audioManager.js) instead. Every change
+ * dispatches a 'settingsChanged' event on document with {name, value}.
+ */
+
+import { debug, warn } from './utils.js';
+
+const GAME_SETTINGS_STORAGE_KEY = 'aiAlchemistsLair.settings';
+const GAME_SETTINGS_VERSION = 1;
+
+// Value of every setting until the player changes it; smoothing runs from 0 to 1
+const DEFAULT_SETTINGS = {
+    cameraSmoothing: 0.08
+};
+
+// Lowest camera smoothing (0 would stop the camera following the player)
+const MIN_CAMERA_SMOOTHING = 0.01;
+
+/**
+ * Get localStorage if the browser allows it (it throws in some privacy modes)
+ * @returns {Storage|null} - Storage object or null
+ */
+function getDefaultStorage() {
+    try {
+        return window.localStorage || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+class GameSettings {
+    /**
+     * Create a settings store
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage; null keeps settings in memory only)
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.values = { ...DEFAULT_SETTINGS };
+        this.load();
+    }
+
+    /**
+     * Apply the saved settings, keeping defaults if they are missing, corrupt or from another version
+     */
+    load() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            const raw = this.storage.getItem(GAME_SETTINGS_STORAGE_KEY);
+            if (!raw) {
+                return;
+            }
+
+            const parsed = JSON.parse(raw);
+            if (!parsed || parsed.version !== GAME_SETTINGS_VERSION || typeof parsed.settings !== 'object' || parsed.settings === null) {
+                warn(`GameSettings: Ignoring saved settings with unsupported format (version ${parsed && parsed.version})`);
+                return;
+            }
+
+            Object.keys(DEFAULT_SETTINGS).forEach(name => {
+                if (Number.isFinite(parsed.settings[name])) {
+                    this.values[name] = this.clamp(name, parsed.settings[name]);
+                }
+            });
+        } catch (err) {
+            warn('GameSettings: Could not read saved settings, using defaults', err);
+        }
+    }
+
+    /**
+     * Write the settings to storage
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(GAME_SETTINGS_STORAGE_KEY, JSON.stringify({ version: GAME_SETTINGS_VERSION, settings: this.values }));
+        } catch (err) {
+            warn('GameSettings: Could not save settings', err);
+        }
+    }
+
+    /**
+     * Keep a setting inside its range
+     * @param {string} name - Setting name
+     * @param {number} value - Requested value
+     * @returns {number} - Value between the setting's limits
+     */
+    clamp(name, value) {
+        const min = name === 'cameraSmoothing' ? MIN_CAMERA_SMOOTHING : 0;
+        return Math.max(min, Math.min(1, value));
+    }
+
+    /**
+     * Get a setting
+     * @param {string} name - Setting name (a DEFAULT_SETTINGS key)
+     * @returns {number} - Current value
+     */
+    get(name) {
+        return this.values[name];
+    }
+
+    /**
+     * Change a setting and save it
+     * @param {string} name - Setting name (a DEFAULT_SETTINGS key)
+     * @param {number} value - New value
+     */
+    set(name, value) {
+        if (!(name in DEFAULT_SETTINGS) || !Number.isFinite(value)) {
+            warn(`GameSettings: Ignoring ${name} = ${value}`);
+            return;
+        }
+
+        this.values[name] = this.clamp(name, value);
+        this.save();
+
+        debug(`GameSettings: ${name} set to ${this.values[name]}`);
+        document.dispatchEvent(new CustomEvent('settingsChanged', { detail: { name, value: this.values[name] } }));
+    }
+}
+
+// Shared settings, read by the pause menu and main.js
+const gameSettings = new GameSettings();
+
+export { GameSettings, gameSettings, DEFAULT_SETTINGS };
@@ -0,0 +1,199 @@
+/**
+ * Gamepad Input for AI Alchemist's Lair
+ * Polls the Gamepad API once per frame and feeds controllers into the same input the keyboard uses
+ *
+ * - Left stick: analog movement (input.stick), with a radial deadzone
+ * - D-pad: arrow keys, with key repeat so menus can be scrolled by holding a direction
+ * - A: Enter, B: Escape
+ * - Start: dispatches a 'gamepadPause' event on document (opens or closes the PauseMenu)
+ *
+ * Buttons are sent as synthetic KeyboardEvents on document, so input.keys, the arcade/jukebox/TV
+ * menu handlers and every entity's checkForInteraction see them exactly like key presses.
+ * While an arcade game is playing in the embedded player, the game owns the controller and
+ * only Back/Select is used (as Escape, to return to the lair).
+ */
+
+import { input } from './input.js';
+import { gamePlayer } from './gamePlayerOverlay.js';
+import { debug, info } from './utils.js';
+
+// Stick travel ignored around the center (0-1)
+const STICK_DEADZONE = 0.2;
+
+// D-pad key repeat, in milliseconds
+const REPEAT_DELAY = 400;
+const REPEAT_INTERVAL = 120;
+
+// Standard Gamepad API button indices
+const BUTTONS = {
+    A: 0,
+    B: 1,
+    BACK: 8,
+    START: 9,
+    DPAD_UP: 12,
+    DPAD_DOWN: 13,
+    DPAD_LEFT: 14,
+    DPAD_RIGHT: 15
+};
+
+// Buttons sent to the page as key presses, with whether holding them repeats
+const BUTTON_KEYS = [
+    { button: BUTTONS.A, key: 'Enter', repeat: false },
+    { button: BUTTONS.B, key: 'Escape', repeat: false },
+    { button: BUTTONS.DPAD_UP, key: 'ArrowUp', repeat: true },
+    { button: BUTTONS.DPAD_DOWN, key: 'ArrowDown', repeat: true },
+    { button: BUTTONS.DPAD_LEFT, key: 'ArrowLeft', repeat: true },
+    { button: BUTTONS.DPAD_RIGHT, key: 'ArrowRight', repeat: true }
+];
+
+/**
+ * Apply a radial deadzone to a stick and rescale the rest of its travel to 0-1
+ * @param {number} x - Raw horizontal axis (-1 to 1)
+ * @param {number} y - Raw vertical axis (-1 to 1)
+ * @param {number} deadzone - Deadzone radius (0-1)
+ * @returns {Object} - Stick vector {x, y} with length 0-1
+ */
+function applyDeadzone(x, y, deadzone = STICK_DEADZONE) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude <= deadzone) {
+        return { x: 0, y: 0 };
+    }
+
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
+class GamepadInput {
+    constructor() {
+        // Press state and next repeat time per button index, shared across connected pads
+        this.pressed = {};
+        this.nextRepeatAt = {};
+        this.connected = false;
+
+        window.addEventListener('gamepadconnected', (e) => {
+            info(`GamepadInput: Connected "${e.gamepad.id}"`);
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            info(`GamepadInput: Disconnected "${e.gamepad.id}"`);
+            this.releaseAll();
+        });
+    }
+
+    /**
+     * Get the connected gamepads
+     * @returns {Gamepad[]} - Connected gamepads (empty if the API is unavailable)
+     */
+    getGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return [];
+        }
+        return Array.from(navigator.getGamepads() || []).filter(pad => pad && pad.connected);
+    }
+
+    /**
+     * Read every connected gamepad and update input; call once per frame
+     * @param {number} now - Current time in milliseconds
+     */
+    poll(now = performance.now()) {
+        const pads = this.getGamepads();
+        if (pads.length === 0) {
+            if (this.connected) {
+                this.releaseAll();
+            }
+            return;
+        }
+        this.connected = true;
+
+        // Combine all pads, so any controller at the kiosk works
+        const isDown = (index) => pads.some(pad => pad.buttons[index] && pad.buttons[index].pressed);
+
+        // Embedded arcade games read the controller themselves; only Back returns to the lair
+        if (gamePlayer.isOpen()) {
+            input.stick = { x: 0, y: 0 };
+            this.updateButton(BUTTONS.BACK, 'Escape', isDown(BUTTONS.BACK), false, now);
+            return;
+        }
+
+        // Left stick: strongest deflection among the pads
+        let stick = { x: 0, y: 0 };
+        pads.forEach(pad => {
+            const candidate = applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+            if (Math.hypot(candidate.x, candidate.y) > Math.hypot(stick.x, stick.y)) {
+                stick = candidate;
+            }
+        });
+        input.stick = stick;
+
+        BUTTON_KEYS.forEach(({ button, key, repeat }) => {
+            this.updateButton(button, key, isDown(button), repeat, now);
+        });
+        this.updateButton(BUTTONS.BACK, 'Escape', isDown(BUTTONS.BACK), false, now);
+
+        // Start opens or closes the pause menu on press
+        const startDown = isDown(BUTTONS.START);
+        if (startDown && !this.pressed[BUTTONS.START]) {
+            debug('GamepadInput: Start pressed');
+            document.dispatchEvent(new CustomEvent('gamepadPause'));
+        }
+        this.pressed[BUTTONS.START] = startDown;
+    }
+
+    /**
+     * Send key events for a button's press, repeat and release
+     * @param {number} button - Button index
+     * @param {string} key - Key the button stands for
+     * @param {boolean} down - Whether the button is held this frame
+     * @param {boolean} repeat - Whether holding the button repeats the key
+     * @param {number} now - Current time in milliseconds
+     */
+    updateButton(button, key, down, repeat, now) {
+        const wasDown = !!this.pressed[button];
+
+        if (down && !wasDown) {
+            this.dispatchKey('keydown', key, false);
+            this.nextRepeatAt[button] = now + REPEAT_DELAY;
+        } else if (down && repeat && now >= this.nextRepeatAt[button]) {
+            this.dispatchKey('keydown', key, true);
+            this.nextRepeatAt[button] = now + REPEAT_INTERVAL;
+        } else if (!down && wasDown) {
+            this.dispatchKey('keyup', key, false);
+        }
+
+        // Held buttons remember their key so releaseAll can send the matching keyup
+        this.pressed[button] = down ? key : false;
+    }
+
+    /**
+     * Dispatch a synthetic key event on document
+     * @param {string} type - 'keydown' or 'keyup'
+     * @param {string} key - Key value
+     * @param {boolean} isRepeat - Whether this is a held-key repeat
+     */
+    dispatchKey(type, key, isRepeat) {
+        document.dispatchEvent(new KeyboardEvent(type, {
+            key,
+            repeat: isRepeat,
+            bubbles: true,
+            cancelable: true
+        }));
+    }
+
+    /**
+     * Release every held button and center the stick (on disconnect)
+     */
+    releaseAll() {
+        Object.entries(this.pressed).forEach(([button, key]) => {
+            if (typeof key === 'string') {
+                this.dispatchKey('keyup', key, false);
+            }
+            delete this.pressed[button];
+        });
+        input.stick = { x: 0, y: 0 };
+        this.connected = false;
+    }
+}
+
+// Shared poller driven by the main game loop
+const gamepadInput = new GamepadInput();
+
+export { GamepadInput, gamepadInput, applyDeadzone, STICK_DEADZONE };
@@ -3,6 +3,8 @@ const input = {
     // Store previous key states for detecting key presses
     previousKeys: {},
     mouse: { x: 0, y: 0, leftClick: false, rightClick: false },
+    // Analog movement from a gamepad's left stick, each axis -1 to 1 (updated by gamepad.js)
+    stick: { x: 0, y: 0 },
     initialized: false,
     // Add a flag specifically for Enter key
     enterKeyPressed: false,
@@ -38,6 +40,7 @@ const input = {
     reset() {
         console.log('Resetting input system');
         this.keys = {};
+        this.stick = { x: 0, y: 0 };
         this.mouse.leftClick = false;
         this.mouse.rightClick = false;
     },
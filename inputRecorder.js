@@ -0,0 +1,438 @@
+/**
+ * Input Recorder for AI Alchemist's Lair
+ * Records the input of every simulation step to a JSON file and replays it step for step
+ *
+ * The world only reads input through input.keys, input.stick and click-to-move walks (see
+ * worldStep.js), and it always advances in fixed steps (timing.js), so the same input from the
+ * same starting point moves the player the same way every time. A recording holds that starting
+ * point and the input, with runs of identical steps merged:
+ * {
+ *   "version": 1,
+ *   "tickRate": 60,
+ *   "start": { "scene": "startRoom", "player": { "x": 95, "y": 35, "z": 0, "lastDirection": "south", ... } },
+ *   "segments": [
+ *     { "frames": 42, "keys": ["d"] },
+ *     { "frames": 1, "keys": [], "events": [{ "type": "walkTo", "x": 101, "y": 40, "reach": 0, "toEntity": false }] },
+ *     { "frames": 90, "keys": [], "stick": { "x": 0.5, "y": -0.25 } }
+ *   ],
+ *   "end": { "scene": "startRoom", "player": { "x": 107.3, "y": 38.1, ... } }
+ * }
+ * Replays report whether they ended where the recording did. Keys that open menus and popups are
+ * not replayed (they act on key presses, not held keys); walks to an entity use it on arrival again.
+ *
+ * From the console: window.debug.startRecording(), window.debug.stopRecording() (downloads the
+ * file), window.debug.loadRecording() (picks a file and replays it) or
+ * window.debug.replayRecording(recording).
+ */
+
+import { input } from './input.js';
+import { getSceneManager } from './sceneIntegration.js';
+import { roomManager } from './roomManager.js';
+import { TARGET_FPS } from './timing.js';
+import { info, warn } from './utils.js';
+
+const RECORDING_VERSION = 1;
+
+// Replays ending farther than this (grid units) from the recorded end position are reported as diverged
+const END_TOLERANCE = 0.001;
+
+/**
+ * Copy the player state a replay starts from and is checked against
+ * @param {Player} player - Player
+ * @param {string|null} sceneId - Scene the player is in
+ * @returns {Object} - {scene, player}
+ */
+function createSnapshot(player, sceneId) {
+    return {
+        scene: sceneId,
+        player: {
+            x: player.x,
+            y: player.y,
+            z: player.z,
+            lastDirection: player.lastDirection,
+            isGrounded: player.isGrounded,
+            isJumping: player.isJumping,
+            canJump: player.canJump,
+            jumpProgress: player.jumpProgress
+        }
+    };
+}
+
+/**
+ * Check whether two key lists hold the same keys
+ * @param {string[]} a - Sorted keys
+ * @param {string[]} b - Sorted keys
+ * @returns {boolean} - True if equal
+ */
+function sameKeys(a, b) {
+    return a.length === b.length && a.every((key, i) => key === b[i]);
+}
+
+class InputRecorder {
+    constructor() {
+        this.game = null;
+        this.clickToMove = null;
+
+        // Recording being written, and events (click-to-move walks) waiting for the next step
+        this.recording = null;
+        this.pendingEvents = [];
+
+        // Replay in progress: {recording, segmentIndex, frame, ready, resolve}
+        this.replay = null;
+    }
+
+    /**
+     * Connect the recorder to the game it records
+     * @param {Game} game - Game whose player is recorded and restored
+     * @param {Object} [options] - Optional parts of the world
+     * @param {ClickToMove} [options.clickToMove] - Click-to-move that replays recorded walks
+     */
+    init(game, { clickToMove = null } = {}) {
+        this.game = game;
+        this.clickToMove = clickToMove;
+        this.recording = null;
+        this.pendingEvents = [];
+        this.replay = null;
+    }
+
+    /**
+     * Check whether input is being recorded
+     * @returns {boolean} - True while recording
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Check whether a recording is being played back
+     * @returns {boolean} - True while replaying
+     */
+    isReplaying() {
+        return this.replay !== null;
+    }
+
+    /**
+     * Get the id of the loaded scene
+     * @returns {string|null} - Scene id
+     */
+    getSceneId() {
+        return getSceneManager().getCurrentScene()?.id || null;
+    }
+
+    /**
+     * Start recording from the player's current position
+     * @returns {boolean} - False if a replay is running or there is no player
+     */
+    startRecording() {
+        const player = this.game?.getPlayer();
+        if (!player || this.isReplaying()) {
+            warn('InputRecorder: Cannot record without a player or during a replay');
+            return false;
+        }
+
+        this.recording = {
+            version: RECORDING_VERSION,
+            tickRate: TARGET_FPS,
+            recordedAt: new Date().toISOString(),
+            start: createSnapshot(player, this.getSceneId()),
+            segments: []
+        };
+        this.pendingEvents = [];
+
+        info('InputRecorder: Recording started');
+        return true;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} - The finished recording, or null if none was running
+     */
+    stopRecording() {
+        if (!this.recording) {
+            return null;
+        }
+
+        const recording = this.recording;
+        recording.end = createSnapshot(this.game.getPlayer(), this.getSceneId());
+        this.recording = null;
+        this.pendingEvents = [];
+
+        const frames = recording.segments.reduce((sum, segment) => sum + segment.frames, 0);
+        info(`InputRecorder: Recorded ${frames} steps in ${recording.segments.length} segments`);
+        return recording;
+    }
+
+    /**
+     * Note an input that happens between steps, such as a click-to-move walk
+     * @param {string} type - Event type ('walkTo')
+     * @param {Object} data - Event data
+     */
+    recordEvent(type, data) {
+        if (this.recording) {
+            this.pendingEvents.push({ type, ...data });
+        }
+    }
+
+    /**
+     * Record or replay the input of the step about to run; call once before every simulation step
+     */
+    captureTick() {
+        if (this.replay) {
+            this.replayTick();
+        } else if (this.recording) {
+            this.recordTick();
+        }
+    }
+
+    /**
+     * Add the current input to the recording
+     */
+    recordTick() {
+        const keys = Object.keys(input.keys).filter(key => input.keys[key]).sort();
+        const stick = input.stick.x !== 0 || input.stick.y !== 0 ? { x: input.stick.x, y: input.stick.y } : null;
+        const events = this.pendingEvents.splice(0);
+
+        const segments = this.recording.segments;
+        const last = segments[segments.length - 1];
+        const lastStick = last && last.stick ? last.stick : null;
+        const sameStick = lastStick === null ? stick === null
+            : stick !== null && lastStick.x === stick.x && lastStick.y === stick.y;
+        if (last && events.length === 0 && sameKeys(last.keys, keys) && sameStick) {
+            last.frames++;
+            return;
+        }
+
+        const segment = { frames: 1, keys };
+        if (stick) segment.stick = stick;
+        if (events.length > 0) segment.events = events;
+        segments.push(segment);
+    }
+
+    /**
+     * Check a recording's format
+     * @param {Object} recording - Parsed recording
+     * @returns {boolean} - True if it can be replayed
+     */
+    isValidRecording(recording) {
+        return Boolean(recording) && recording.version === RECORDING_VERSION &&
+            Array.isArray(recording.segments) && Boolean(recording.start && recording.start.player);
+    }
+
+    /**
+     * Put the player back where a recording started and play its input back
+     * @param {Object|string} recording - Recording, or its JSON text
+     * @returns {Promise<Object>} - Resolves when the replay ends with {matched, expected, actual}
+     */
+    startReplay(recording) {
+        let parsed = recording;
+        try {
+            if (typeof recording === 'string') {
+                parsed = JSON.parse(recording);
+            }
+        } catch (err) {
+            return Promise.reject(new Error(`InputRecorder: Recording is not valid JSON (${err.message})`));
+        }
+
+        if (!this.isValidRecording(parsed)) {
+            warn(`InputRecorder: Ignoring recording with unsupported format (version ${parsed && parsed.version})`);
+            return Promise.reject(new Error('InputRecorder: Unsupported recording format'));
+        }
+        if (!this.game?.getPlayer()) {
+            return Promise.reject(new Error('InputRecorder: No player to replay with'));
+        }
+        if (parsed.tickRate !== TARGET_FPS) {
+            warn(`InputRecorder: Recording was made at ${parsed.tickRate} steps per second, replaying at ${TARGET_FPS}`);
+        }
+
+        this.recording = null;
+        this.pendingEvents = [];
+        if (this.clickToMove) {
+            this.clickToMove.cancel();
+        }
+
+        return new Promise(resolve => {
+            const replay = { recording: parsed, segmentIndex: 0, frame: 0, ready: false, resolve };
+            this.replay = replay;
+
+            const begin = () => {
+                if (this.replay !== replay) return;
+                this.restoreSnapshot(parsed.start);
+                replay.ready = true;
+                info(`InputRecorder: Replaying ${parsed.segments.length} segments from ${parsed.start.scene || 'the current scene'}`);
+            };
+
+            // Entering another room loads its entities first, which the replay collides with
+            const startScene = parsed.start.scene;
+            if (startScene && startScene !== this.getSceneId()) {
+                roomManager.enterRoom(startScene, { placePlayer: false }).then(begin);
+            } else {
+                begin();
+            }
+        });
+    }
+
+    /**
+     * Stop a replay early
+     */
+    stopReplay() {
+        if (this.replay) {
+            this.finishReplay();
+        }
+    }
+
+    /**
+     * Move the player to a recorded state
+     * @param {Object} snapshot - Snapshot from createSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        const player = this.game.getPlayer();
+        Object.assign(player, snapshot.player);
+        player.velocityX = 0;
+        player.velocityY = 0;
+    }
+
+    /**
+     * Put the next recorded step's input in place of the live input
+     */
+    replayTick() {
+        const replay = this.replay;
+        if (!replay.ready) {
+            // Stand still while the start room loads
+            input.reset();
+            return;
+        }
+
+        const segment = replay.recording.segments[replay.segmentIndex];
+        if (!segment) {
+            this.finishReplay();
+            return;
+        }
+
+        input.keys = {};
+        segment.keys.forEach(key => {
+            input.keys[key] = true;
+        });
+        input.stick = segment.stick ? { x: segment.stick.x, y: segment.stick.y } : { x: 0, y: 0 };
+
+        if (replay.frame === 0 && segment.events) {
+            segment.events.forEach(event => this.replayEvent(event));
+        }
+
+        replay.frame++;
+        if (replay.frame >= segment.frames) {
+            replay.segmentIndex++;
+            replay.frame = 0;
+        }
+    }
+
+    /**
+     * Repeat a recorded event
+     * @param {Object} event - Event from recordEvent()
+     */
+    replayEvent(event) {
+        if (event.type !== 'walkTo' || !this.clickToMove) {
+            warn(`InputRecorder: Cannot replay "${event.type}" event`);
+            return;
+        }
+
+        const entity = event.toEntity
+            ? this.game.entities.find(candidate => candidate.x === event.x && candidate.y === event.y) || null
+            : null;
+        if (event.toEntity && !entity) {
+            warn(`InputRecorder: No entity at (${event.x}, ${event.y}) to walk to`);
+        }
+        this.clickToMove.walkTo({ x: event.x, y: event.y }, event.reach, entity);
+    }
+
+    /**
+     * End the replay, give the keyboard back and compare the end state with the recording
+     */
+    finishReplay() {
+        const { recording, resolve } = this.replay;
+        this.replay = null;
+        input.reset();
+
+        const actual = createSnapshot(this.game.getPlayer(), this.getSceneId());
+        const expected = recording.end || null;
+        const matched = !expected || (expected.scene === actual.scene &&
+            Math.abs(expected.player.x - actual.player.x) <= END_TOLERANCE &&
+            Math.abs(expected.player.y - actual.player.y) <= END_TOLERANCE);
+
+        if (matched) {
+            info('InputRecorder: Replay finished where the recording did');
+        } else {
+            warn(`InputRecorder: Replay diverged: ended in ${actual.scene} at (${actual.player.x.toFixed(3)}, ${actual.player.y.toFixed(3)}), ` +
+                `recording ended in ${expected.scene} at (${expected.player.x.toFixed(3)}, ${expected.player.y.toFixed(3)})`);
+        }
+        resolve({ matched, expected, actual });
+    }
+
+    /**
+     * Download a recording as a JSON file
+     * @param {Object} recording - Recording from stopRecording()
+     */
+    saveRecording(recording) {
+        const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `lair-recording-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Ask for a recording file
+     * @returns {Promise<string>} - Resolves with the file's text
+     */
+    chooseRecordingFile() {
+        return new Promise((resolve, reject) => {
+            const picker = document.createElement('input');
+            picker.type = 'file';
+            picker.accept = 'application/json,.json';
+            picker.addEventListener('change', () => {
+                const file = picker.files && picker.files[0];
+                if (!file) {
+                    reject(new Error('InputRecorder: No file chosen'));
+                    return;
+                }
+                file.text().then(resolve, reject);
+            });
+            picker.click();
+        });
+    }
+
+    /**
+     * Show that a recording or replay is running
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        let label;
+        if (this.recording) {
+            label = '● REC';
+        } else if (this.replay) {
+            label = '▶ REPLAY';
+        } else {
+            return;
+        }
+
+        ctx.save();
+        ctx.font = '14px monospace';
+        const width = ctx.measureText(label).width + 20;
+        const x = (ctx.canvas.width - width) / 2;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x, 10, width, 28);
+        ctx.fillStyle = this.recording ? '#ff3366' : '#00ffcc';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(label, x + 10, 17);
+        ctx.restore();
+    }
+}
+
+// Shared recorder, stepped by the main game loop
+const inputRecorder = new InputRecorder();
+
+export { InputRecorder, inputRecorder, RECORDING_VERSION };
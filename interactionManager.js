@@ -0,0 +1,350 @@
+/**
+ * Interaction Manager for AI Alchemist's Lair
+ * One pipeline for the interact key: entities register how close the player must be, a prompt
+ * label and a callback, and the manager uses the nearest one exactly once per key press
+ *
+ * Every frame main.js calls update(player), which picks the single nearest eligible entity in
+ * the current room, and render(), which draws its prompt the same way for every entity. Both the
+ * target and isInRange() (each entity's own "player nearby" check) look the player up in the
+ * game's SpatialGrid rather than measuring to every registered entity. The
+ * keyboard uses the ActionMap's interact keys (Enter by default); the gamepad A button and the
+ * touch action button always send Enter, whatever the binding; click-to-move calls
+ * interact(entity) directly. A press does nothing while held (key repeat), while
+ * the game is paused or while a menu or dialog is open (Game.isInteractionActive). A press that
+ * is used stops at the document, so the menu or modal it opens never sees it as well.
+ */
+
+import { actionMap } from './actionMap.js';
+import { debug, info } from './utils.js';
+
+// Range used when an entity registers without one, in grid units
+const DEFAULT_RADIUS = 3;
+
+// Gap between the top of the target and its prompt, in canvas pixels
+const PROMPT_MARGIN = 14;
+
+// How long the prompt takes to fade in after the target changes, in milliseconds
+const PROMPT_FADE_MS = 150;
+
+class InteractionManager {
+    constructor() {
+        this.game = null;
+
+        // Registered entities and their interaction {radius, label, prompt, onInteract, isEnabled}
+        this.interactables = new Map();
+
+        // Largest registered radius: how far around the player the grid is searched
+        this.maxRadius = 0;
+
+        // Entities the player is in range of, reused until the player moves or the grid changes
+        this.rangeCache = null;
+
+        // Nearest eligible entity this frame, and when it became the target (for the prompt fade)
+        this.target = null;
+        this.targetSince = 0;
+
+        // Whether an interact key is held down (repeats and held keys are ignored)
+        this.keyHeld = false;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+    }
+
+    /**
+     * Start listening for the interact key
+     * @param {Game} game - Game whose player and entities are checked
+     */
+    init(game) {
+        if (this.game) {
+            return;
+        }
+        this.game = game;
+
+        // Capture phase, so the press is handled before any menu opened by it can see it
+        document.addEventListener('keydown', this.handleKeyDown, true);
+        document.addEventListener('keyup', this.handleKeyUp, true);
+        window.addEventListener('blur', () => {
+            this.keyHeld = false;
+        });
+
+        info('InteractionManager: Initialized');
+    }
+
+    /**
+     * Make an entity interactive
+     * @param {Object} entity - Entity the player walks up to
+     * @param {Object} options - Interaction options
+     * @param {Function} options.onInteract - Called once per press while the entity is the target
+     * @param {number} [options.radius] - How close the player must be, in grid units
+     * @param {string} [options.label] - Short action label ('PLAY', 'WATCH', ...) for the touch button
+     * @param {string} [options.prompt] - Text of the prompt drawn above the entity (defaults to the label)
+     * @param {Function} [options.isEnabled] - Returns false while the entity can't be used (e.g. already open)
+     */
+    register(entity, { onInteract, radius = DEFAULT_RADIUS, label = 'USE', prompt = null, isEnabled = null }) {
+        if (typeof onInteract !== 'function') {
+            throw new Error('InteractionManager: register() needs an onInteract callback');
+        }
+
+        this.interactables.set(entity, { onInteract, radius, label, prompt: prompt || label, isEnabled });
+        this.maxRadius = Math.max(this.maxRadius, radius);
+        this.rangeCache = null;
+        debug(`InteractionManager: Registered ${entity.constructor?.name || 'entity'} (${label}, radius ${radius})`);
+    }
+
+    /**
+     * Stop an entity being interactive
+     * @param {Object} entity - Registered entity
+     */
+    unregister(entity) {
+        this.interactables.delete(entity);
+        this.maxRadius = 0;
+        this.interactables.forEach(interaction => {
+            this.maxRadius = Math.max(this.maxRadius, interaction.radius);
+        });
+        this.rangeCache = null;
+        if (this.target === entity) {
+            this.target = null;
+        }
+    }
+
+    /**
+     * Check whether an entity has registered an interaction
+     * @param {Object} entity - Entity
+     * @returns {boolean} - True if registered
+     */
+    isInteractive(entity) {
+        return this.interactables.has(entity);
+    }
+
+    /**
+     * Get how close the player must be to use an entity
+     * @param {Object} entity - Registered entity
+     * @returns {number} - Range in grid units (0 if not registered)
+     */
+    getRange(entity) {
+        return this.interactables.get(entity)?.radius || 0;
+    }
+
+    /**
+     * Get an entity's short action label
+     * @param {Object} entity - Registered entity
+     * @returns {string|null} - Label, or null if not registered
+     */
+    getLabel(entity) {
+        return this.interactables.get(entity)?.label || null;
+    }
+
+    /**
+     * Get the entity the next press would use
+     * @returns {Object|null} - Current target
+     */
+    getTarget() {
+        return this.target;
+    }
+
+    /**
+     * Check whether presses are being ignored (paused game, open menu or dialog)
+     * @returns {boolean} - True while interactions are blocked
+     */
+    isBlocked() {
+        return !this.game || this.game.isPaused() || this.game.isInteractionActive();
+    }
+
+    /**
+     * Check whether an entity can be used right now
+     * @param {Object} entity - Entity
+     * @returns {boolean} - True if registered, in the current room and enabled
+     */
+    isEligible(entity) {
+        const interaction = this.interactables.get(entity);
+        if (!interaction || !this.game.entities.includes(entity)) {
+            return false;
+        }
+        return !interaction.isEnabled || interaction.isEnabled() !== false;
+    }
+
+    /**
+     * Check whether the player is within an entity's range
+     * @param {Object} player - Player entity
+     * @param {Object} entity - Entity
+     * @param {Object} interaction - The entity's registered interaction
+     * @returns {boolean} - True if within the registered radius
+     */
+    isWithinRadius(player, entity, interaction) {
+        return Math.hypot(player.x - entity.x, player.y - entity.y) <= interaction.radius;
+    }
+
+    /**
+     * Get the registered entities the player is within range of
+     * Without a game (before init) every registered entity is measured instead.
+     * @param {Object} player - Player entity
+     * @returns {Set<Object>} - Entities in range (eligible or not)
+     */
+    getEntitiesInRange(player) {
+        const grid = this.game?.spatialGrid || null;
+        const version = grid ? grid.version : -1;
+        const cache = this.rangeCache;
+        if (cache && cache.x === player.x && cache.y === player.y && cache.version === version) {
+            return cache.entities;
+        }
+
+        const candidates = grid
+            ? grid.queryRadius(player.x, player.y, this.maxRadius)
+            : Array.from(this.interactables.keys());
+        const entities = new Set(candidates.filter(entity => {
+            const interaction = this.interactables.get(entity);
+            return interaction && this.isWithinRadius(player, entity, interaction);
+        }));
+
+        this.rangeCache = { x: player.x, y: player.y, version, entities };
+        return entities;
+    }
+
+    /**
+     * Check whether the player is close enough to use an entity (enabled or not)
+     * Entities call this from update() for their own proximity effects (glow, sounds).
+     * @param {Object} entity - Registered entity
+     * @param {Object} player - Player entity
+     * @returns {boolean} - True if the player is within the entity's range
+     */
+    isInRange(entity, player) {
+        if (!player || !this.interactables.has(entity)) {
+            return false;
+        }
+        return this.getEntitiesInRange(player).has(entity);
+    }
+
+    /**
+     * Find the nearest eligible entity within its range of the player
+     * @param {Object} player - Player entity
+     * @returns {Object|null} - Nearest entity, or null
+     */
+    findTarget(player) {
+        if (!player) {
+            return null;
+        }
+
+        return this.game.spatialGrid.findNearest(player.x, player.y, this.maxRadius, entity => {
+            const interaction = this.interactables.get(entity);
+            return interaction && this.isWithinRadius(player, entity, interaction) && this.isEligible(entity);
+        });
+    }
+
+    /**
+     * Pick this frame's target; call once per frame after the player moves
+     * @param {Object} player - Player entity
+     */
+    update(player) {
+        const target = this.isBlocked() ? null : this.findTarget(player);
+        if (target !== this.target) {
+            this.target = target;
+            this.targetSince = performance.now();
+        }
+    }
+
+    /**
+     * Use an entity (the current target when none is given)
+     * @param {Object|null} entity - Entity to use, e.g. one walked up to with click-to-move
+     * @returns {boolean} - True if an interaction ran
+     */
+    interact(entity = null) {
+        if (this.isBlocked()) {
+            return false;
+        }
+
+        const target = entity || this.findTarget(this.game.player);
+        if (!target || !this.isEligible(target)) {
+            return false;
+        }
+
+        debug(`InteractionManager: Using ${target.constructor?.name || 'entity'}`);
+        this.interactables.get(target).onInteract();
+        return true;
+    }
+
+    /**
+     * Check whether a key event is an interact press
+     * @param {KeyboardEvent} event - Key event
+     * @returns {boolean} - True for the interact keys and the controllers' synthetic Enter
+     */
+    isInteractKey(event) {
+        return actionMap.matches(event, 'interact') || (event.key === 'Enter' && !event.isTrusted);
+    }
+
+    /**
+     * Use the target on a fresh interact key press
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyDown(event) {
+        if (!this.isInteractKey(event)) {
+            return;
+        }
+        if (event.repeat || this.keyHeld) {
+            return;
+        }
+
+        this.keyHeld = true;
+        if (this.interact()) {
+            // Keep the press away from listeners the interaction just added (menus, modals)
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+
+    /**
+     * Arm the next press once the interact key is released
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyUp(event) {
+        if (this.isInteractKey(event)) {
+            this.keyHeld = false;
+        }
+    }
+
+    /**
+     * Draw the target's prompt above it (screen space)
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {TestScene} scene - Scene that knows where entities are drawn
+     * @param {Camera} camera - Camera the scene is drawn through
+     */
+    render(ctx, scene, camera) {
+        const target = this.target;
+        const interaction = target && this.interactables.get(target);
+        if (!interaction) {
+            return;
+        }
+
+        const bounds = scene.getEntityScreenBounds(target);
+        const anchor = camera.worldToScreen(bounds.x + bounds.width / 2, bounds.y);
+        const alpha = Math.min(1, (performance.now() - this.targetSince) / PROMPT_FADE_MS);
+        const keyText = `[ ${actionMap.getKeyLabel('interact').toUpperCase()} ]`;
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.font = 'bold 16px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const width = Math.max(ctx.measureText(interaction.prompt).width, ctx.measureText(keyText).width) + 24;
+        const height = 48;
+        const x = anchor.x - width / 2;
+        const y = Math.max(4, anchor.y - PROMPT_MARGIN - height);
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = '#00ffcc';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(interaction.prompt, anchor.x, y + 15);
+        ctx.fillStyle = '#00ffcc';
+        ctx.fillText(keyText, anchor.x, y + 34);
+        ctx.restore();
+    }
+}
+
+// Shared interaction manager, started by main.js
+const interactionManager = new InteractionManager();
+
+export { InteractionManager, interactionManager };
@@ -45,9 +45,10 @@ class IsometricRenderer {
      * @param {number} isoY - Isometric Y position
      * @param {number} tileWidth - Width of the tile
      * @param {number} tileHeight - Height of the tile
+     * @param {string} assetKey - Floor tile image to draw (rooms can use their own tile sets)
      */
-    renderFloorTile(ctx, isoX, isoY, tileWidth, tileHeight) {
-        const floorTile = assetLoader.getAsset('floorTile');
+    renderFloorTile(ctx, isoX, isoY, tileWidth, tileHeight, assetKey = 'floorTile') {
+        const floorTile = assetLoader.getAsset(assetKey);
         
         if (floorTile) {
             // Add a small overlap factor to close gaps between tiles
@@ -6,8 +6,10 @@
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
 import { debug } from './utils.js';
-import { input } from './input.js';
+import { interactionManager } from './interactionManager.js';
+import { overlayManager } from './overlayManager.js';
 import { getAssetPath } from './pathResolver.js';
+import { audioManager } from './audioManager.js';
 
 class JukeboxEntity extends Entity {
     /**
@@ -36,6 +38,9 @@ class JukeboxEntity extends Entity {
         this.velocityY = 0;
         this.isStatic = true;            // Make jukebox static so it doesn't move
         
+        // Round base filling the footprint, so the player can walk around its corners
+        this.colliders = [{ type: 'circle', x: width / 2, y: height / 2, radius: Math.min(width, height) / 2 }];
+        
         // Apply a +1 positional offset to fix grid alignment
         // This corrects the issue where the jukebox appears at grid (-1,-1) instead of (0,0)
         this.x += -2.5;
@@ -49,21 +54,18 @@ class JukeboxEntity extends Entity {
         // Interactive properties
         this.interactionDistance = 6;   // Distance within which player can interact with jukebox
         this.isPlayerNearby = false;      // Tracks if player is close enough to interact
+        this.actionLabel = 'MUSIC';       // Touch action button label
         this.isActive = false;            // Tracks if music player is currently active
-        this.wasEnterPressed = false;     // Tracks enter key state to detect press
         this.soundCloudPlayer = null;     // Will hold the soundcloud player element
-        this.interactionPromptAlpha = 0;  // Transparency for interaction prompt
         
-        // Add a direct Enter key event listener
-        this.handleKeyDown = (event) => {
-            if (event.key === 'Enter' && this.isPlayerNearby && !this.isActive) {
-                console.log('JukeboxEntity: Direct Enter key event detected - toggling jukebox');
-                this.toggleJukebox();
-            }
-        };
-        
-        // Register the event listener
-        document.addEventListener('keydown', this.handleKeyDown);
+        // Enter opens the player through the shared interaction pipeline; ESC or X closes it
+        interactionManager.register(this, {
+            radius: this.interactionDistance,
+            label: this.actionLabel,
+            prompt: 'Play Music',
+            onInteract: () => this.toggleJukebox(),
+            isEnabled: () => !this.isActive
+        });
         
         // Debug console log about jukebox placement
         console.log(`JukeboxEntity: Final adjusted position: (${this.x}, ${this.y})`);
@@ -312,7 +314,7 @@ class JukeboxEntity extends Entity {
             const wasNearby = this.isPlayerNearby;
             
             // Update proximity state
-            this.isPlayerNearby = distance <= this.interactionDistance;
+            this.isPlayerNearby = interactionManager.isInRange(this, player);
             
             // Debug output only when state changes
             if (wasNearby !== this.isPlayerNearby) {
@@ -323,39 +325,6 @@ class JukeboxEntity extends Entity {
                     this.playProximitySound();
                 }
             }
-            
-            // Handle interaction prompt fade
-            if (this.isPlayerNearby) {
-                // Only show prompt if jukebox is inactive
-                if (!this.isActive) {
-                    // Fade in prompt
-                    this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
-                } else {
-                    // Keep prompt hidden while active
-                    this.interactionPromptAlpha = 0;
-                }
-            } else {
-                // Fade out prompt when player moves away
-                this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - 0.05);
-            }
-            
-            // Check for Enter key press - only toggle when player is nearby and Enter is newly pressed
-            // We check Input.keys.Enter directly from the input system
-            const isEnterPressed = window.input && window.input.keys && window.input.keys['Enter'];
-            
-            // Only detect a new press (not holding)
-            if (isEnterPressed && !this.wasEnterPressed && this.isPlayerNearby && !this.isActive) {
-                console.log('JukeboxEntity: Enter key newly pressed, toggling jukebox ON');
-                this.toggleJukebox();
-            } 
-            // Handle closing with Enter if already active
-            else if (isEnterPressed && !this.wasEnterPressed && this.isActive) {
-                console.log('JukeboxEntity: Enter key newly pressed while active, toggling jukebox OFF');
-                this.toggleJukebox();
-            }
-            
-            // Update previous key state
-            this.wasEnterPressed = isEnterPressed;
         }
     }
     
@@ -363,37 +332,20 @@ class JukeboxEntity extends Entity {
      * Toggle the jukebox player on/off
      */
     toggleJukebox() {
+        // Another popup is already showing
+        if (!this.isActive && overlayManager.isOpen()) {
+            debug('JukeboxEntity: Another overlay is open, not opening the jukebox');
+            return;
+        }
+        
         this.isActive = !this.isActive;
         
         console.log(`JukeboxEntity: Toggling jukebox state to ${this.isActive ? 'ACTIVE' : 'INACTIVE'}`);
         
         if (this.isActive) {
             this.showSoundCloudPlayer();
-            
-            // Temporarily disable the direct Enter key event listener while player is active
-            // This prevents it from immediately closing due to key repeat
-            document.removeEventListener('keydown', this.handleKeyDown);
-            
-            // Reset the wasEnterPressed state to prevent immediate toggling
-            this.wasEnterPressed = true;
-            
-            // Add a slight delay before accepting new Enter key presses
-            setTimeout(() => {
-                this.wasEnterPressed = false;
-            }, 500);
         } else {
             this.hideSoundCloudPlayer();
-            
-            // Re-enable the direct Enter key event listener after player is closed
-            document.addEventListener('keydown', this.handleKeyDown);
-            
-            // Reset the wasEnterPressed state to prevent immediate toggling
-            this.wasEnterPressed = true;
-            
-            // Add a slight delay before accepting new Enter key presses
-            setTimeout(() => {
-                this.wasEnterPressed = false;
-            }, 500);
         }
     }
     
@@ -421,7 +373,6 @@ class JukeboxEntity extends Entity {
                 background-color: rgba(0, 0, 0, 0.9);
                 border: 4px solid #ff00a5;
                 box-shadow: 0 0 20px #ff00a5, inset 0 0 10px #ff00a5;
-                z-index: 1000;
                 display: flex;
                 flex-direction: column;
                 opacity: 0;
@@ -555,8 +506,8 @@ class JukeboxEntity extends Entity {
                         widget.bind(SC.Widget.Events.READY, () => {
                             console.log('JukeboxEntity: Widget ready, initiating autoplay sequence');
                             
-                            // Step 1: Set volume and state
-                            widget.setVolume(80);
+                            // Step 1: Set volume (scaled by the music volume and mute) and state
+                            widget.setVolume(Math.round(80 * audioManager.getEffectiveVolume('music')));
                             widget.play();
                             
                             // Step 2: Check if playback actually started after a delay
@@ -829,13 +780,11 @@ class JukeboxEntity extends Entity {
             // Add to DOM
             document.body.appendChild(this.soundCloudPlayer);
             
-            // Setup keydown event to close with Escape key
-            this.keydownHandler = (event) => {
-                if (event.key === 'Escape') {
-                    this.toggleJukebox();
-                }
-            };
-            document.addEventListener('keydown', this.keydownHandler);
+            // Pause the world; Escape closes the player through the overlay stack
+            overlayManager.open('jukebox', {
+                element: this.soundCloudPlayer,
+                onRequestClose: () => this.toggleJukebox()
+            });
             
             // Prevent clicks on the player from propagating to game canvas
             this.soundCloudPlayer.addEventListener('click', (event) => {
@@ -850,13 +799,11 @@ class JukeboxEntity extends Entity {
             // Just show existing player
             document.body.appendChild(this.soundCloudPlayer);
             
-            // Setup keydown event to close with Escape key
-            this.keydownHandler = (event) => {
-                if (event.key === 'Escape') {
-                    this.toggleJukebox();
-                }
-            };
-            document.addEventListener('keydown', this.keydownHandler);
+            // Pause the world; Escape closes the player through the overlay stack
+            overlayManager.open('jukebox', {
+                element: this.soundCloudPlayer,
+                onRequestClose: () => this.toggleJukebox()
+            });
             
             // Small delay to allow DOM to update before transitioning opacity
             setTimeout(() => {
@@ -876,11 +823,8 @@ class JukeboxEntity extends Entity {
             // Fade out
             this.soundCloudPlayer.style.opacity = '0';
             
-            // Clean up event listeners explicitly
-            if (this.keydownHandler) {
-                document.removeEventListener('keydown', this.keydownHandler);
-                this.keydownHandler = null;
-            }
+            // Give input back to the world
+            overlayManager.close('jukebox');
             
             // Remove after transition
             setTimeout(() => {
@@ -898,193 +842,14 @@ class JukeboxEntity extends Entity {
      */
     playProximitySound() {
         try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            const duration = 2.5; // seconds
-            
-            // Create an audio buffer for our combined effect
-            const bufferSize = audioCtx.sampleRate * duration;
-            const buffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
-            const leftChannel = buffer.getChannelData(0);
-            const rightChannel = buffer.getChannelData(1);
-            
-            // Part 1: Vinyl record scratch (~0.7 seconds)
-            const scratchDuration = 0.7; // seconds
-            const scratchSamples = Math.floor(scratchDuration * audioCtx.sampleRate);
-            
-            // Vinyl scratch parameters
-            const scratchIntensity = 0.8;
-            const scratchSpeed = 30;
-            
-            for (let i = 0; i < scratchSamples; i++) {
-                const t = i / audioCtx.sampleRate;
-                
-                // Envelope for scratch (start strong, fade out)
-                const env = 1 - (i / scratchSamples);
-                
-                // Base scratch noise - filtered noise with rapid pitch changes
-                const noise = Math.random() * 2 - 1;
-                
-                // Forward-backward motion for scratch effect
-                const scratchPattern = Math.sin(t * scratchSpeed * (1 + t * 5));
-                
-                // Combine with a resonant filter effect
-                const resonance = Math.sin(2 * Math.PI * 500 * t) * Math.exp(-t * 10) * 0.3;
-                
-                // Add crackle for authentic vinyl sound
-                const crackle = (Math.random() > 0.98) ? Math.random() * 0.3 : 0;
-                
-                // Combine components
-                const scratch = ((noise * 0.4 + scratchPattern * 0.6) * scratchIntensity + resonance + crackle) * env;
-                
-                // Stereo effect
-                leftChannel[i] = scratch * 0.9;
-                rightChannel[i] = scratch * 0.8;
-            }
-            
-            // Small gap between scratch and music
-            const gapSamples = Math.floor(0.1 * audioCtx.sampleRate);
-            
-            // Part 2: Brief music sample (notes from a melody)
-            const sampleStartIndex = scratchSamples + gapSamples;
-            const musicDuration = duration - scratchDuration - 0.1; // Remaining time after scratch and gap
-            const musicSamples = Math.floor(musicDuration * audioCtx.sampleRate);
-            
-            // Define a short funky bassline with beat
-            const notes = [
-                { freq: 110, duration: 0.12, type: 'bass' }, // A2
-                { freq: 110, duration: 0.12, type: 'bass' }, // A2 repeat
-                { freq: 146.83, duration: 0.12, type: 'bass' }, // D3
-                { freq: 110, duration: 0.12, type: 'bass' }, // A2
-                { freq: 164.81, duration: 0.2, type: 'bass' }, // E3
-                { freq: 220, duration: 0.1, type: 'bass' }, // A3
-                { freq: 220, duration: 0.1, type: 'bass' } // A3 repeat
-            ];
-            
-            // Add a few high chord stabs
-            const chordStabs = [
-                { time: 0.3, duration: 0.1 },
-                { time: 0.7, duration: 0.1 }
-            ];
-            
-            // Drum beat pattern (kick on 1 and 3, snare on 2 and 4)
-            const beats = [
-                { time: 0, type: 'kick' },
-                { time: 0.25, type: 'snare' },
-                { time: 0.5, type: 'kick' },
-                { time: 0.75, type: 'snare' }
-            ];
-            
-            // Generate music section
-            let noteStartTime = 0;
-            
-            // Add bass notes
-            for (let i = 0; i < notes.length && noteStartTime < musicDuration; i++) {
-                const note = notes[i];
-                const noteSamples = Math.floor(note.duration * audioCtx.sampleRate);
-                const noteEndTime = noteStartTime + note.duration;
-                const startIndex = sampleStartIndex + Math.floor(noteStartTime * audioCtx.sampleRate);
-                
-                for (let j = 0; j < noteSamples; j++) {
-                    if (startIndex + j >= bufferSize) break;
-                    
-                    const t = j / audioCtx.sampleRate;
-                    const noteEnvelope = Math.min(1, (j / 1000)) * Math.min(1, (noteSamples - j) / 1000);
-                    
-                    // Bass sound - sine with overtones
-                    const bassSound = Math.sin(2 * Math.PI * note.freq * t) * 0.6 + 
-                                    Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.2 + 
-                                    Math.sin(2 * Math.PI * note.freq * 3 * t) * 0.1;
-                    
-                    // Apply exponential decay
-                    const noteValue = bassSound * noteEnvelope * 0.5;
-                    
-                    // Mix into buffer
-                    leftChannel[startIndex + j] += noteValue;
-                    rightChannel[startIndex + j] += noteValue;
-                }
-                
-                noteStartTime = noteEndTime;
-            }
-            
-            // Add chord stabs
-            for (const stab of chordStabs) {
-                if (stab.time >= musicDuration) continue;
-                
-                const stabSamples = Math.floor(stab.duration * audioCtx.sampleRate);
-                const startIndex = sampleStartIndex + Math.floor(stab.time * audioCtx.sampleRate);
-                
-                // Define chord frequencies (A minor 7th: A C E G)
-                const chordFreqs = [440, 523.25, 659.25, 392];
-                
-                for (let j = 0; j < stabSamples; j++) {
-                    if (startIndex + j >= bufferSize) break;
-                    
-                    const t = j / audioCtx.sampleRate;
-                    const stabEnvelope = Math.exp(-j / (stabSamples / 5)); // Fast decay
-                    
-                    // Generate chord tones
-                    let chordSound = 0;
-                    for (const freq of chordFreqs) {
-                        chordSound += Math.sin(2 * Math.PI * freq * t) * 0.15;
-                    }
-                    
-                    // Apply envelope
-                    const chordValue = chordSound * stabEnvelope * 0.3;
-                    
-                    // Mix into buffer with slight stereo spread
-                    leftChannel[startIndex + j] += chordValue * 1.1;
-                    rightChannel[startIndex + j] += chordValue * 0.9;
-                }
-            }
-            
-            // Add drum beats
-            for (let bar = 0; bar < 2; bar++) { // Two bars of beats
-                for (const beat of beats) {
-                    const beatTime = beat.type === 'kick' ? 0.05 : 0.08; // Kick is shorter than snare
-                    const beatStart = bar + beat.time;
-                    
-                    if (beatStart >= musicDuration) continue;
-                    
-                    const beatSamples = Math.floor(beatTime * audioCtx.sampleRate);
-                    const startIndex = sampleStartIndex + Math.floor(beatStart * audioCtx.sampleRate);
-                    
-                    for (let j = 0; j < beatSamples; j++) {
-                        if (startIndex + j >= bufferSize) break;
-                        
-                        const t = j / audioCtx.sampleRate;
-                        let beatValue = 0;
-                        
-                        if (beat.type === 'kick') {
-                            // Kick drum - sine wave with exponential pitch drop
-                            const kickFreq = 120 * Math.exp(-t * 20) + 60;
-                            beatValue = Math.sin(2 * Math.PI * kickFreq * t) * Math.exp(-t * 20) * 0.7;
-                        } else {
-                            // Snare - filtered noise with resonance
-                            const snareNoise = Math.random() * 2 - 1;
-                            const snareResonance = Math.sin(2 * Math.PI * 900 * t) * Math.exp(-t * 20) * 0.3;
-                            beatValue = (snareNoise * 0.5 + snareResonance) * Math.exp(-t * 10) * 0.6;
-                        }
-                        
-                        // Mix into buffer
-                        leftChannel[startIndex + j] += beatValue * 0.45;
-                        rightChannel[startIndex + j] += beatValue * 0.45;
-                    }
-                }
-            }
-            
-            // Final normalization to prevent clipping
-            let maxSample = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                maxSample = Math.max(maxSample, Math.abs(leftChannel[i]), Math.abs(rightChannel[i]));
+            const audioCtx = audioManager.getContext();
+            if (!audioCtx) {
+                return;
             }
+            const duration = 2.5; // seconds
             
-            if (maxSample > 0.8) {
-                const normalizationFactor = 0.8 / maxSample;
-                for (let i = 0; i < bufferSize; i++) {
-                    leftChannel[i] *= normalizationFactor;
-                    rightChannel[i] *= normalizationFactor;
-                }
-            }
+            // Synthesized once, then reused every time the player approaches
+            const buffer = audioManager.getBuffer('jukebox.proximity', ctx => this.createProximityBuffer(ctx, duration));
             
             // Create source node and connect to destination
             const source = audioCtx.createBufferSource();
@@ -1106,13 +871,13 @@ class JukeboxEntity extends Entity {
             
             // Master gain
             const masterGain = audioCtx.createGain();
-            masterGain.gain.value = 0.6;
+            masterGain.gain.value = 0.3;
             
             // Connect nodes
             source.connect(filter);
             filter.connect(compressor);
             compressor.connect(masterGain);
-            masterGain.connect(audioCtx.destination);
+            masterGain.connect(audioManager.getBus('sfx'));
             
             // Play sound
             source.start();
@@ -1121,7 +886,6 @@ class JukeboxEntity extends Entity {
             setTimeout(() => {
                 try {
                     source.stop();
-                    audioCtx.close();
                 } catch (err) {
                     console.warn('Error cleaning up jukebox sound:', err);
                 }
@@ -1134,243 +898,198 @@ class JukeboxEntity extends Entity {
     }
     
     /**
-     * Play a vinyl record scratch and music sample sound when player approaches
+     * Synthesize the proximity sound: a vinyl scratch followed by a short music sample, normalized to avoid clipping
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @param {number} duration - Length in seconds
+     * @returns {AudioBuffer} - Stereo sound
      */
-    playProximitySound() {
-        try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            const duration = 2.5; // seconds
+    createProximityBuffer(audioCtx, duration) {
+        // Create an audio buffer for our combined effect
+        const bufferSize = audioCtx.sampleRate * duration;
+        const buffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
+        const leftChannel = buffer.getChannelData(0);
+        const rightChannel = buffer.getChannelData(1);
+        
+        // Part 1: Vinyl record scratch (~0.7 seconds)
+        const scratchDuration = 0.7; // seconds
+        const scratchSamples = Math.floor(scratchDuration * audioCtx.sampleRate);
+        
+        // Vinyl scratch parameters
+        const scratchIntensity = 0.8;
+        const scratchSpeed = 30;
+        
+        for (let i = 0; i < scratchSamples; i++) {
+            const t = i / audioCtx.sampleRate;
             
-            // Create an audio buffer for our combined effect
-            const bufferSize = audioCtx.sampleRate * duration;
-            const buffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
-            const leftChannel = buffer.getChannelData(0);
-            const rightChannel = buffer.getChannelData(1);
+            // Envelope for scratch (start strong, fade out)
+            const env = 1 - (i / scratchSamples);
             
-            // Part 1: Vinyl record scratch (~0.7 seconds)
-            const scratchDuration = 0.7; // seconds
-            const scratchSamples = Math.floor(scratchDuration * audioCtx.sampleRate);
+            // Base scratch noise - filtered noise with rapid pitch changes
+            const noise = Math.random() * 2 - 1;
             
-            // Vinyl scratch parameters
-            const scratchIntensity = 0.8;
-            const scratchSpeed = 30;
+            // Forward-backward motion for scratch effect
+            const scratchPattern = Math.sin(t * scratchSpeed * (1 + t * 5));
             
-            for (let i = 0; i < scratchSamples; i++) {
-                const t = i / audioCtx.sampleRate;
-                
-                // Envelope for scratch (start strong, fade out)
-                const env = 1 - (i / scratchSamples);
-                
-                // Base scratch noise - filtered noise with rapid pitch changes
-                const noise = Math.random() * 2 - 1;
-                
-                // Forward-backward motion for scratch effect
-                const scratchPattern = Math.sin(t * scratchSpeed * (1 + t * 5));
+            // Combine with a resonant filter effect
+            const resonance = Math.sin(2 * Math.PI * 500 * t) * Math.exp(-t * 10) * 0.3;
+            
+            // Add crackle for authentic vinyl sound
+            const crackle = (Math.random() > 0.98) ? Math.random() * 0.3 : 0;
+            
+            // Combine components
+            const scratch = ((noise * 0.4 + scratchPattern * 0.6) * scratchIntensity + resonance + crackle) * env;
+            
+            // Stereo effect
+            leftChannel[i] = scratch * 0.9;
+            rightChannel[i] = scratch * 0.8;
+        }
+        
+        // Small gap between scratch and music
+        const gapSamples = Math.floor(0.1 * audioCtx.sampleRate);
+        
+        // Part 2: Brief music sample (notes from a melody)
+        const sampleStartIndex = scratchSamples + gapSamples;
+        const musicDuration = duration - scratchDuration - 0.1; // Remaining time after scratch and gap
+        const musicSamples = Math.floor(musicDuration * audioCtx.sampleRate);
+        
+        // Define a short funky bassline with beat
+        const notes = [
+            { freq: 110, duration: 0.12, type: 'bass' }, // A2
+            { freq: 110, duration: 0.12, type: 'bass' }, // A2 repeat
+            { freq: 146.83, duration: 0.12, type: 'bass' }, // D3
+            { freq: 110, duration: 0.12, type: 'bass' }, // A2
+            { freq: 164.81, duration: 0.2, type: 'bass' }, // E3
+            { freq: 220, duration: 0.1, type: 'bass' }, // A3
+            { freq: 220, duration: 0.1, type: 'bass' } // A3 repeat
+        ];
+        
+        // Add a few high chord stabs
+        const chordStabs = [
+            { time: 0.3, duration: 0.1 },
+            { time: 0.7, duration: 0.1 }
+        ];
+        
+        // Drum beat pattern (kick on 1 and 3, snare on 2 and 4)
+        const beats = [
+            { time: 0, type: 'kick' },
+            { time: 0.25, type: 'snare' },
+            { time: 0.5, type: 'kick' },
+            { time: 0.75, type: 'snare' }
+        ];
+        
+        // Generate music section
+        let noteStartTime = 0;
+        
+        // Add bass notes
+        for (let i = 0; i < notes.length && noteStartTime < musicDuration; i++) {
+            const note = notes[i];
+            const noteSamples = Math.floor(note.duration * audioCtx.sampleRate);
+            const noteEndTime = noteStartTime + note.duration;
+            const startIndex = sampleStartIndex + Math.floor(noteStartTime * audioCtx.sampleRate);
+            
+            for (let j = 0; j < noteSamples; j++) {
+                if (startIndex + j >= bufferSize) break;
                 
-                // Combine with a resonant filter effect
-                const resonance = Math.sin(2 * Math.PI * 500 * t) * Math.exp(-t * 10) * 0.3;
+                const t = j / audioCtx.sampleRate;
+                const noteEnvelope = Math.min(1, (j / 1000)) * Math.min(1, (noteSamples - j) / 1000);
                 
-                // Add crackle for authentic vinyl sound
-                const crackle = (Math.random() > 0.98) ? Math.random() * 0.3 : 0;
+                // Bass sound - sine with overtones
+                const bassSound = Math.sin(2 * Math.PI * note.freq * t) * 0.6 + 
+                                Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.2 + 
+                                Math.sin(2 * Math.PI * note.freq * 3 * t) * 0.1;
                 
-                // Combine components
-                const scratch = ((noise * 0.4 + scratchPattern * 0.6) * scratchIntensity + resonance + crackle) * env;
+                // Apply exponential decay
+                const noteValue = bassSound * noteEnvelope * 0.5;
                 
-                // Stereo effect
-                leftChannel[i] = scratch * 0.9;
-                rightChannel[i] = scratch * 0.8;
+                // Mix into buffer
+                leftChannel[startIndex + j] += noteValue;
+                rightChannel[startIndex + j] += noteValue;
             }
             
-            // Small gap between scratch and music
-            const gapSamples = Math.floor(0.1 * audioCtx.sampleRate);
-            
-            // Part 2: Brief music sample (notes from a melody)
-            const sampleStartIndex = scratchSamples + gapSamples;
-            const musicDuration = duration - scratchDuration - 0.1; // Remaining time after scratch and gap
-            const musicSamples = Math.floor(musicDuration * audioCtx.sampleRate);
-            
-            // Define a short funky bassline with beat
-            const notes = [
-                { freq: 110, duration: 0.12, type: 'bass' }, // A2
-                { freq: 110, duration: 0.12, type: 'bass' }, // A2 repeat
-                { freq: 146.83, duration: 0.12, type: 'bass' }, // D3
-                { freq: 110, duration: 0.12, type: 'bass' }, // A2
-                { freq: 164.81, duration: 0.2, type: 'bass' }, // E3
-                { freq: 220, duration: 0.1, type: 'bass' }, // A3
-                { freq: 220, duration: 0.1, type: 'bass' } // A3 repeat
-            ];
-            
-            // Add a few high chord stabs
-            const chordStabs = [
-                { time: 0.3, duration: 0.1 },
-                { time: 0.7, duration: 0.1 }
-            ];
+            noteStartTime = noteEndTime;
+        }
+        
+        // Add chord stabs
+        for (const stab of chordStabs) {
+            if (stab.time >= musicDuration) continue;
             
-            // Drum beat pattern (kick on 1 and 3, snare on 2 and 4)
-            const beats = [
-                { time: 0, type: 'kick' },
-                { time: 0.25, type: 'snare' },
-                { time: 0.5, type: 'kick' },
-                { time: 0.75, type: 'snare' }
-            ];
+            const stabSamples = Math.floor(stab.duration * audioCtx.sampleRate);
+            const startIndex = sampleStartIndex + Math.floor(stab.time * audioCtx.sampleRate);
             
-            // Generate music section
-            let noteStartTime = 0;
+            // Define chord frequencies (A minor 7th: A C E G)
+            const chordFreqs = [440, 523.25, 659.25, 392];
             
-            // Add bass notes
-            for (let i = 0; i < notes.length && noteStartTime < musicDuration; i++) {
-                const note = notes[i];
-                const noteSamples = Math.floor(note.duration * audioCtx.sampleRate);
-                const noteEndTime = noteStartTime + note.duration;
-                const startIndex = sampleStartIndex + Math.floor(noteStartTime * audioCtx.sampleRate);
+            for (let j = 0; j < stabSamples; j++) {
+                if (startIndex + j >= bufferSize) break;
                 
-                for (let j = 0; j < noteSamples; j++) {
-                    if (startIndex + j >= bufferSize) break;
-                    
-                    const t = j / audioCtx.sampleRate;
-                    const noteEnvelope = Math.min(1, (j / 1000)) * Math.min(1, (noteSamples - j) / 1000);
-                    
-                    // Bass sound - sine with overtones
-                    const bassSound = Math.sin(2 * Math.PI * note.freq * t) * 0.6 + 
-                                    Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.2 + 
-                                    Math.sin(2 * Math.PI * note.freq * 3 * t) * 0.1;
-                    
-                    // Apply exponential decay
-                    const noteValue = bassSound * noteEnvelope * 0.5;
-                    
-                    // Mix into buffer
-                    leftChannel[startIndex + j] += noteValue;
-                    rightChannel[startIndex + j] += noteValue;
+                const t = j / audioCtx.sampleRate;
+                const stabEnvelope = Math.exp(-j / (stabSamples / 5)); // Fast decay
+                
+                // Generate chord tones
+                let chordSound = 0;
+                for (const freq of chordFreqs) {
+                    chordSound += Math.sin(2 * Math.PI * freq * t) * 0.15;
                 }
                 
-                noteStartTime = noteEndTime;
+                // Apply envelope
+                const chordValue = chordSound * stabEnvelope * 0.3;
+                
+                // Mix into buffer with slight stereo spread
+                leftChannel[startIndex + j] += chordValue * 1.1;
+                rightChannel[startIndex + j] += chordValue * 0.9;
             }
-            
-            // Add chord stabs
-            for (const stab of chordStabs) {
-                if (stab.time >= musicDuration) continue;
+        }
+        
+        // Add drum beats
+        for (let bar = 0; bar < 2; bar++) { // Two bars of beats
+            for (const beat of beats) {
+                const beatTime = beat.type === 'kick' ? 0.05 : 0.08; // Kick is shorter than snare
+                const beatStart = bar + beat.time;
                 
-                const stabSamples = Math.floor(stab.duration * audioCtx.sampleRate);
-                const startIndex = sampleStartIndex + Math.floor(stab.time * audioCtx.sampleRate);
+                if (beatStart >= musicDuration) continue;
                 
-                // Define chord frequencies (A minor 7th: A C E G)
-                const chordFreqs = [440, 523.25, 659.25, 392];
+                const beatSamples = Math.floor(beatTime * audioCtx.sampleRate);
+                const startIndex = sampleStartIndex + Math.floor(beatStart * audioCtx.sampleRate);
                 
-                for (let j = 0; j < stabSamples; j++) {
+                for (let j = 0; j < beatSamples; j++) {
                     if (startIndex + j >= bufferSize) break;
                     
                     const t = j / audioCtx.sampleRate;
-                    const stabEnvelope = Math.exp(-j / (stabSamples / 5)); // Fast decay
+                    let beatValue = 0;
                     
-                    // Generate chord tones
-                    let chordSound = 0;
-                    for (const freq of chordFreqs) {
-                        chordSound += Math.sin(2 * Math.PI * freq * t) * 0.15;
+                    if (beat.type === 'kick') {
+                        // Kick drum - sine wave with exponential pitch drop
+                        const kickFreq = 120 * Math.exp(-t * 20) + 60;
+                        beatValue = Math.sin(2 * Math.PI * kickFreq * t) * Math.exp(-t * 20) * 0.7;
+                    } else {
+                        // Snare - filtered noise with resonance
+                        const snareNoise = Math.random() * 2 - 1;
+                        const snareResonance = Math.sin(2 * Math.PI * 900 * t) * Math.exp(-t * 20) * 0.3;
+                        beatValue = (snareNoise * 0.5 + snareResonance) * Math.exp(-t * 10) * 0.6;
                     }
                     
-                    // Apply envelope
-                    const chordValue = chordSound * stabEnvelope * 0.3;
-                    
-                    // Mix into buffer with slight stereo spread
-                    leftChannel[startIndex + j] += chordValue * 1.1;
-                    rightChannel[startIndex + j] += chordValue * 0.9;
-                }
-            }
-            
-            // Add drum beats
-            for (let bar = 0; bar < 2; bar++) { // Two bars of beats
-                for (const beat of beats) {
-                    const beatTime = beat.type === 'kick' ? 0.05 : 0.08; // Kick is shorter than snare
-                    const beatStart = bar + beat.time;
-                    
-                    if (beatStart >= musicDuration) continue;
-                    
-                    const beatSamples = Math.floor(beatTime * audioCtx.sampleRate);
-                    const startIndex = sampleStartIndex + Math.floor(beatStart * audioCtx.sampleRate);
-                    
-                    for (let j = 0; j < beatSamples; j++) {
-                        if (startIndex + j >= bufferSize) break;
-                        
-                        const t = j / audioCtx.sampleRate;
-                        let beatValue = 0;
-                        
-                        if (beat.type === 'kick') {
-                            // Kick drum - sine wave with exponential pitch drop
-                            const kickFreq = 120 * Math.exp(-t * 20) + 60;
-                            beatValue = Math.sin(2 * Math.PI * kickFreq * t) * Math.exp(-t * 20) * 0.7;
-                        } else {
-                            // Snare - filtered noise with resonance
-                            const snareNoise = Math.random() * 2 - 1;
-                            const snareResonance = Math.sin(2 * Math.PI * 900 * t) * Math.exp(-t * 20) * 0.3;
-                            beatValue = (snareNoise * 0.5 + snareResonance) * Math.exp(-t * 10) * 0.6;
-                        }
-                        
-                        // Mix into buffer
-                        leftChannel[startIndex + j] += beatValue * 0.45;
-                        rightChannel[startIndex + j] += beatValue * 0.45;
-                    }
+                    // Mix into buffer
+                    leftChannel[startIndex + j] += beatValue * 0.45;
+                    rightChannel[startIndex + j] += beatValue * 0.45;
                 }
             }
-            
-            // Final normalization to prevent clipping
-            let maxSample = 0;
+        }
+        
+        // Final normalization to prevent clipping
+        let maxSample = 0;
+        for (let i = 0; i < bufferSize; i++) {
+            maxSample = Math.max(maxSample, Math.abs(leftChannel[i]), Math.abs(rightChannel[i]));
+        }
+        
+        if (maxSample > 0.8) {
+            const normalizationFactor = 0.8 / maxSample;
             for (let i = 0; i < bufferSize; i++) {
-                maxSample = Math.max(maxSample, Math.abs(leftChannel[i]), Math.abs(rightChannel[i]));
-            }
-            
-            if (maxSample > 0.8) {
-                const normalizationFactor = 0.8 / maxSample;
-                for (let i = 0; i < bufferSize; i++) {
-                    leftChannel[i] *= normalizationFactor;
-                    rightChannel[i] *= normalizationFactor;
-                }
+                leftChannel[i] *= normalizationFactor;
+                rightChannel[i] *= normalizationFactor;
             }
-            
-            // Create source node and connect to destination
-            const source = audioCtx.createBufferSource();
-            source.buffer = buffer;
-            
-            // Add filtering
-            const filter = audioCtx.createBiquadFilter();
-            filter.type = 'highshelf';
-            filter.frequency.value = 4000;
-            filter.gain.value = -6; // Cut some highs for vintage feel
-            
-            // Add a compressor for punch
-            const compressor = audioCtx.createDynamicsCompressor();
-            compressor.threshold.value = -24;
-            compressor.knee.value = 10;
-            compressor.ratio.value = 4;
-            compressor.attack.value = 0.005;
-            compressor.release.value = 0.05;
-            
-            // Master gain
-            const masterGain = audioCtx.createGain();
-            masterGain.gain.value = 0.3;
-            
-            // Connect nodes
-            source.connect(filter);
-            filter.connect(compressor);
-            compressor.connect(masterGain);
-            masterGain.connect(audioCtx.destination);
-            
-            // Play sound
-            source.start();
-            
-            // Schedule cleanup
-            setTimeout(() => {
-                try {
-                    source.stop();
-                    audioCtx.close();
-                } catch (err) {
-                    console.warn('Error cleaning up jukebox sound:', err);
-                }
-            }, duration * 1000);
-            
-            debug('JukeboxEntity: Played vinyl scratch and music sample proximity sound');
-        } catch (err) {
-            console.error(`JukeboxEntity: Error playing proximity sound: ${err.message}`);
         }
+        
+        return buffer;
     }
     
     /**
@@ -1379,8 +1098,8 @@ class JukeboxEntity extends Entity {
      */
     cleanup() {
         console.log('JukeboxEntity: Cleaning up event listeners');
-        // Remove the direct keydown event listener
-        document.removeEventListener('keydown', this.handleKeyDown);
+        // Stop being an interaction target
+        interactionManager.unregister(this);
         
         // Hide and remove player if active
         if (this.isActive) {
@@ -1445,11 +1164,6 @@ class JukeboxEntity extends Entity {
                 
                 ctx.restore();
                 
-                // Draw interaction prompt when player is nearby
-                if (this.interactionPromptAlpha > 0) {
-                    this.drawInteractionPrompt(ctx, screenX, screenY - jukeboxHeight * 0.8);
-                }
-                
                 console.log(`JukeboxEntity: Jukebox image drawn successfully`);
             } else {
                 console.log(`JukeboxEntity: No image available, drawing fallback`);
@@ -1471,50 +1185,6 @@ class JukeboxEntity extends Entity {
         }
     }
     
-    /**
-     * Draw interaction prompt above the jukebox
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} x - X position for the prompt
-     * @param {number} y - Y position for the prompt
-     */
-    drawInteractionPrompt(ctx, x, y) {
-        ctx.save();
-        
-        // Set up text style with larger font
-        ctx.font = 'bold 18px monospace';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        // Enhanced glow effect
-        ctx.shadowColor = '#00ffff';
-        ctx.shadowBlur = 15;
-        ctx.fillStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        
-        // Draw text with background for better visibility
-        const text = 'Press ENTER to Play Music';
-        const textWidth = ctx.measureText(text).width;
-        
-        // Draw background
-        ctx.fillStyle = `rgba(0, 0, 0, ${this.interactionPromptAlpha * 0.7})`;
-        ctx.fillRect(x - textWidth/2 - 10, y - 30, textWidth + 20, 60);
-        
-        // Draw border
-        ctx.strokeStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x - textWidth/2 - 10, y - 30, textWidth + 20, 60);
-        
-        // Draw text
-        ctx.fillStyle = `rgba(255, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.fillText(text, x, y - 10);
-        
-        // Draw key indicator
-        ctx.font = 'bold 16px monospace';
-        ctx.fillStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.fillText('[ ENTER ]', x, y + 15);
-        
-        ctx.restore();
-    }
-    
     /**
      * Draw a fallback jukebox when the image fails to load
      * @param {CanvasRenderingContext2D} ctx - Canvas context
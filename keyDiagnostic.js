@@ -61,9 +61,6 @@ const keyDiagnostic = {
             
             // Update diagnostic overlay - disabled for deployment
             // this.updateDiagnosticOverlay();
-            
-            // Force manual trigger of entity checking as a fallback
-            this.triggerEntityChecks();
         }
     },
     
@@ -193,40 +190,6 @@ const keyDiagnostic = {
             // Update overlay to reflect current state
             this.updateDiagnosticOverlay();
         }, 500);
-    },
-    
-    // Force trigger entity checks as a fallback
-    triggerEntityChecks() {
-        // We need to access the game's entities that handle Enter key
-        if (!window.game) return;
-        
-        // Get all interactive entities
-        const entities = window.game.entities.filter(entity => 
-            entity && entity.checkForInteraction && entity.isPlayerNearby
-        );
-        
-        if (entities.length > 0) {
-            console.log(`🔍 KeyDiagnostic: Force-checking ${entities.length} nearby interactive entities`);
-            
-            // Force check each entity
-            entities.forEach(entity => {
-                // Force the Enter key state to be true for one frame
-                const originalEnterState = window.input.keys['Enter'];
-                window.input.keys['Enter'] = true;
-                window.input.enterKeyPressed = true;
-                
-                // Call the entity's check method
-                try {
-                    entity.checkForInteraction();
-                    console.log(`🔍 Force-checked entity: ${entity.constructor.name}`);
-                } catch (e) {
-                    console.error('Error force-checking entity:', e);
-                }
-                
-                // Restore original state (don't want to trigger twice)
-                window.input.keys['Enter'] = originalEnterState;
-            });
-        }
     }
 };
 
@@ -5,7 +5,7 @@
 
 import { input } from './input.js';
 import { TestScene } from './scene.js';
-import { shouldRenderFrame, getDeltaTime, updateFps, TARGET_FPS } from './timing.js';
+import { advanceClock, getInterpolationAlpha, resetClock, updateFps, TARGET_FPS, SIMULATION_STEP } from './timing.js';
 import { drawFpsCounter, DEBUG_CONFIG } from './debug.js';
 import { info, warn, error, debug } from './utils.js';
 import { checkBrowserCompatibility, createCompatibilityErrorMessage } from './compatibility.js';
@@ -13,33 +13,31 @@ import { Camera } from './camera.js';
 import { panState, initPanEvents } from './panState.js';
 import { MiniMap } from './minimap.js';
 import { Game } from './game.js';
-import { updateScene, getSceneManager, initSceneSystem } from './sceneIntegration.js';
+import { getSceneManager, getObjectInteraction, initSceneSystem } from './sceneIntegration.js';
 import { initDebugControls } from './debugControls.js';
 import { SceneRenderer } from './sceneRenderer.js';
 import doorwayManager from './doorways.js';
 import { characterRenderer } from './characterRenderer.js';
 import assetLoader from './assetLoader.js';
 import { Player } from './player.js'; // Use named import to match named export in player.js
-import { SignManager } from './signManager.js'; // Import SignManager
-import { SignManager2 } from './signManager2.js'; // Import arcade SignManager2
-import { SignManager3 } from './signManager3.js'; // Import ceiling SignManager3
-import { SignManager4 } from './signManager4.js'; // Import ceiling SignManager4
-import { SignManager5 } from './signManager5.js'; // Import ceiling SignManager5
-import { SignManager6 } from './signManager6.js'; // Import ceiling SignManager6
-import { JukeboxManager } from './jukeboxManager.js'; // Import JukeboxManager
-import { TVManager } from './tvManager.js'; // Import TVManager
-import { CouchManager } from './couchManager.js'; // Import CouchManager
-import { Couch2Manager } from './couch2Manager.js'; // Import Couch2Manager
-import { RugManager } from './rugManager.js'; // Import RugManager
-import { RugManager2 } from './rugManager2.js'; // Import RugManager2
-import { RugManager3 } from './rugManager3.js'; // Import RugManager3
-import { RugManager4 } from './rugManager4.js'; // Import RugManager4
-import { VibePortalManager } from './vibePortalManager.js'; // Import VibePortalManager
-import { TrophyManager } from './trophyManager.js'; // Import TrophyManager
-import { XPortalManager } from './xPortalManager.js'; // Import XPortalManager
-import { SpellbookManager } from './spellbookManager.js'; // Import SpellbookManager
-import { ArcadeManager } from './arcadeManager.js'; // Import ArcadeManager
-import { ArcadeManager2 } from './arcadeManager2.js'; // Import ArcadeManager2
+import { roomManager } from './roomManager.js'; // Per-room entities and room transitions
+import { interactionManager } from './interactionManager.js';
+import { overlayManager } from './overlayManager.js';
+import { actionMap } from './actionMap.js';
+import { controlsPanel } from './controlsPanel.js';
+import { pauseMenu } from './pauseMenu.js';
+import { gameSettings } from './gameSettings.js';
+import { audioManager } from './audioManager.js';
+import { scenes } from './sceneData.js';
+import { loadSession, saveSession, clearSession, setSessionSource, createSessionSnapshot } from './sessionState.js';
+import { getInboundPortalParams } from './vibeverseParams.js';
+import { gamepadInput } from './gamepad.js';
+import { touchControls } from './touchControls.js';
+import { ClickToMove } from './clickToMove.js';
+import { renderBenchmark } from './renderBenchmark.js';
+import { getRoomGeometry } from './roomGeometry.js';
+import { stepWorld } from './worldStep.js';
+import { inputRecorder } from './inputRecorder.js';
 
 // Check browser compatibility before initializing the game
 const compatibilityResults = checkBrowserCompatibility();
@@ -57,6 +55,29 @@ if (compatibilityResults.allCriticalSupported) {
             throw new Error('Failed to get canvas context. Please check browser support.');
         }
 
+        // Largest canvas drawn, so big monitors do not pay for rendering every pixel
+        const MAX_CANVAS_WIDTH = 1920;
+        const MAX_CANVAS_HEIGHT = 1080;
+        
+        // Canvas border width from styles.css, on each side
+        const CANVAS_BORDER = 2;
+        
+        /**
+         * Size the canvas to fill the viewport
+         * @returns {boolean} - True if the canvas size changed
+         */
+        function fitCanvasToViewport() {
+            const width = Math.min(MAX_CANVAS_WIDTH, Math.max(320, window.innerWidth - CANVAS_BORDER * 2));
+            const height = Math.min(MAX_CANVAS_HEIGHT, Math.max(240, window.innerHeight - CANVAS_BORDER * 2));
+            if (canvas.width === width && canvas.height === height) {
+                return false;
+            }
+            canvas.width = width;
+            canvas.height = height;
+            return true;
+        }
+        fitCanvasToViewport();
+
         // Initialize pan events for the canvas (for middle-mouse panning)
         initPanEvents(canvas);
 
@@ -69,29 +90,52 @@ if (compatibilityResults.allCriticalSupported) {
         // Initialize the scene renderer
         const sceneRenderer = new SceneRenderer(ctx);
 
+        // Default spawn point for new visitors and session resets
+        const SPAWN_X = 95;
+        const SPAWN_Y = 35;
+        
+        // Forget the saved session when the page is opened with ?resetSession=true
+        if (new URLSearchParams(window.location.search).get('resetSession') === 'true') {
+            clearSession();
+            info('Saved session cleared by resetSession parameter');
+        }
+        
+        // Resume where the visitor left off, if they have a saved session
+        const savedSession = loadSession();
+        
+        // Visitors arriving through a Vibeverse portal start at the return portal instead of their saved spot
+        const portalArrival = getInboundPortalParams();
+        const restorePosition = savedSession && !portalArrival.arrivedViaPortal;
+        
+        // Grid units beyond the return portal's entry range where portal arrivals appear
+        const PORTAL_ARRIVAL_MARGIN = 1.5;
+        
         // Initialize scene and player position
         const scene = new TestScene();
-        let playerX = 95;
-        let playerY = 35;
+        let playerX = restorePosition ? Math.max(0, Math.min(scene.gridWidth - 1, savedSession.player.x)) : SPAWN_X;
+        let playerY = restorePosition ? Math.max(0, Math.min(scene.gridHeight - 1, savedSession.player.y)) : SPAWN_Y;
         
         // Initialize camera with canvas dimensions
         const camera = new Camera(canvas.width, canvas.height);
         
-        // Use scene's grid and cell dimensions for consistency
-        camera.setMapBoundaries(scene.gridWidth, scene.gridHeight, scene.cellWidth, scene.cellHeight);
+        // Use the room geometry the scene draws for consistency
+        camera.setMapBoundaries(scene.geometry);
+        
+        // Set the camera smoothness - lower value for smoother movement (changed in the pause menu)
+        camera.setSmoothingFactor(gameSettings.get('cameraSmoothing'));
         
-        // Set the camera smoothness - lower value for smoother movement
-        camera.setSmoothingFactor(0.08);
+        // Initialize mini-map with the room geometry and canvas dimensions
+        const miniMap = new MiniMap(scene.geometry, canvas.width, canvas.height);
         
-        // Initialize mini-map with grid dimensions, cell size, and canvas dimensions
-        const miniMap = new MiniMap(
-            scene.gridWidth, 
-            scene.gridHeight, 
-            scene.cellWidth, 
-            scene.cellHeight,
-            canvas.width, 
-            canvas.height
-        );
+        // Follow the room geometry of whichever scene is loaded
+        document.addEventListener('sceneChanged', (e) => {
+            const geometry = getRoomGeometry(e.detail.sceneId);
+            if (geometry === scene.geometry) return;
+            
+            scene.setGeometry(geometry);
+            camera.setMapBoundaries(geometry);
+            miniMap.setGeometry(geometry);
+        });
         
         // Initialize game system
         const game = new Game();
@@ -99,6 +143,18 @@ if (compatibilityResults.allCriticalSupported) {
         // Make game instance globally accessible for entities
         window.game = game;
         
+        // Every sound shares one AudioContext, started by the first key press, click or touch
+        audioManager.init();
+        
+        // Doors, portals and scene shortcuts swap each room's entities through the room manager
+        roomManager.init(game, sceneManager);
+        
+        // Enter, the gamepad A button and the touch action button use the nearest interactive entity
+        interactionManager.init(game);
+        
+        // Popups (TV, jukebox, spellbook, game player) pause the world and close on Escape
+        overlayManager.init(game);
+        
         // Create and initialize player entity at starting position
         const playerEntity = game.initPlayer(playerX, playerY);
         
@@ -109,246 +165,115 @@ if (compatibilityResults.allCriticalSupported) {
         // Center camera on player's isometric coordinates
         camera.centerOn(playerIsoX, playerIsoY);
         
-        // Wait briefly for asset loading before creating signs
-        setTimeout(() => {
-            // Initialize SignManager with game instance
-            const signManager = new SignManager(game);
-            
-            // Preload sign assets
-            signManager.preloadSigns();
-            
-            // Add signs to scene
-            console.log('Adding signs to scene...');
-            signManager.addSigns(); // Create one sign in the center
-            console.log('Signs added successfully');
-            
-            // Initialize arcade SignManager2 with game instance
-            const signManager2 = new SignManager2(game);
-            
-            // Preload arcade sign assets
-            signManager2.preloadSigns();
-            
-            // Add arcade signs to scene
-            console.log('Adding arcade signs to scene...');
-            signManager2.addSigns();
-            console.log('Arcade signs added successfully');
-            
-            // Initialize ceiling SignManager3 with game instance
-            const signManager3 = new SignManager3(game);
-            
-            // Preload ceiling sign assets
-            signManager3.preloadSigns();
-            
-            // Add ceiling signs to scene
-            console.log('Adding ceiling signs to scene...');
-            signManager3.addSigns();
-            console.log('Ceiling signs added successfully');
-
-            // Initialize ceiling SignManager4 with game instance
-            const signManager4 = new SignManager4(game);
-            
-            // Preload ceiling sign assets
-            signManager4.preloadSigns();
-            
-            // Add ceiling signs to scene
-            console.log('Adding ceiling signs to scene...');
-            signManager4.addSigns();
-            console.log('Ceiling signs added successfully');
-
-            // Initialize ceiling SignManager5 with game instance
-            const signManager5 = new SignManager5(game);
-            
-            // Preload ceiling sign assets
-            signManager5.preloadSigns();
-            
-            // Add ceiling signs to scene
-            console.log('Adding ceiling signs to scene...');
-            signManager5.addSigns();
-            console.log('Ceiling signs added successfully');
-
-            // Initialize ceiling SignManager6 with game instance
-            const signManager6 = new SignManager6(game);
-            
-            // Preload ceiling sign assets
-            signManager6.preloadSigns();
-            
-            // Add ceiling signs to scene
-            console.log('Adding ceiling signs to scene...');
-            signManager6.addSigns();
-            console.log('Ceiling signs added successfully');
-            
-            // Initialize JukeboxManager with game instance
-            const jukeboxManager = new JukeboxManager(game);
-            
-            // Preload jukebox assets
-            jukeboxManager.preloadJukeboxes();
-            
-            // Add jukeboxes to scene
-            console.log('Adding jukeboxes to scene...');
-            jukeboxManager.addJukeboxes();
-            console.log('Jukeboxes added successfully');
-            
-            // Initialize TVManager with game instance
-            const tvManager = new TVManager(game);
-            
-            // Preload TV assets
-            tvManager.preloadTVs();
-            
-            // Add TVs to scene
-            console.log('Adding TVs to scene...');
-            tvManager.addTVs();
-            console.log('TVs added successfully');
-            
-            // Initialize CouchManager with game instance
-            const couchManager = new CouchManager(game);
-            
-            // Preload couch assets
-            couchManager.preloadAssets();
-            
-            // Add couches to scene
-            console.log('Adding couches to scene...');
-            couchManager.addCouches();
-            console.log('Couches added successfully');
-            
-            // Initialize Couch2Manager with game instance
-            const couch2Manager = new Couch2Manager(game);
-            
-            // Preload couch2 assets
-            couch2Manager.preloadAssets();
-            
-            // Add couch2 to scene
-            console.log('Adding couch2 to scene...');
-            couch2Manager.addCouches();
-            console.log('Couch2 added successfully');
-            
-            // Initialize VibePortalManager with game instance
-            const vibePortalManager = new VibePortalManager(game);
-            
-            // Add portals to scene
-            console.log('Adding VIBEVERSE portals to scene...');
-            vibePortalManager.addPortals(
-                // Start portal options (red) - positioned in lower right corner
-                { 
-                    position: { x: 85, y: 36.5, z: 0 },
-                    label: 'RETURN PORTAL',
-                    interactionDistance: 3.5,  // Slightly larger interaction range
-                    entryDetectionRange: 2.0   // Easier to enter
-                },
-                // Exit portal options (green) - positioned in upper left corner
-                { 
-                    position: { x: 114.9, y: 37, z: 0 },
-                    label: 'ENTER VIBEVERSE',
-                    targetUrl: 'https://portal.pieter.com',
-                    interactionDistance: 3.5,  // Slightly larger interaction range
-                    entryDetectionRange: 2.0   // Easier to enter
-                }
-            );
-            console.log('VIBEVERSE portals added successfully');
-            
-            // Initialize RugManager with game instance
-            const rugManager = new RugManager(game);
-            
-            // Preload rug assets
-            rugManager.preloadAssets();
-            
-            // Add rugs to scene
-            console.log('Adding rugs to scene...');
-            rugManager.addRugs();
-            console.log('Rugs added successfully');
-            
-            // Initialize RugManager2 with game instance
-            const rugManager2 = new RugManager2(game);
-            
-            // Preload rug assets
-            rugManager2.preloadAssets();
-            
-            // Add rugs to scene
-            console.log('Adding rugs to scene...');
-            rugManager2.addRugs();
-            console.log('Rugs added successfully');
-            
-            // Initialize RugManager3 with game instance
-            const rugManager3 = new RugManager3(game);
-            
-            // Preload rug assets
-            rugManager3.preloadAssets();
-            
-            // Add rugs to scene
-            console.log('Adding rugs to scene...');
-            rugManager3.addRugs();
-            console.log('Rugs added successfully');
-            
-            // Initialize RugManager4 with game instance
-            const rugManager4 = new RugManager4(game);
-            
-            // Preload rug assets
-            rugManager4.preloadAssets();
-            
-            // Add rugs to scene
-            console.log('Adding rugs to scene...');
-            rugManager4.addRugs();
-            console.log('Rugs added successfully');
-
-            // Initialize TrophyManager with game instance
-            const trophyManager = new TrophyManager(game);
-            
-            // Preload trophy assets
-            trophyManager.preloadAssets();
-            
-            // Add trophies to scene
-            console.log('Adding trophies to scene...');
-            trophyManager.addTrophies();
-            console.log('Trophies added successfully');
-            
-            // Initialize XPortalManager with game instance
-            const xPortalManager = new XPortalManager(game);
-            
-            // Preload X portal assets
-            xPortalManager.preloadAssets();
-            
-            // Add X portals to scene
-            console.log('Adding X portals to scene...');
-            xPortalManager.addPortals();
-            console.log('X portals added successfully');
-            
-            // Initialize SpellbookManager with game instance
-            const spellbookManager = new SpellbookManager(game);
-            
-            // Preload spellbook assets
-            spellbookManager.preloadAssets();
-            
-            // Add spellbooks to scene
-            console.log('Adding spellbooks to scene...');
-            spellbookManager.addSpellbooks();
-            console.log('Spellbooks added successfully');
-            
-            // Initialize ArcadeManager with game instance
-            const arcadeManager = new ArcadeManager(game);
+        // Restore the rest of the saved session
+        if (savedSession) {
+            camera.setZoom(savedSession.camera.zoom);
+            camera.zoom = camera.targetZoom; // Skip the zoom animation on load
+            miniMap.visible = savedSession.miniMap.visible;
+        }
+        if (restorePosition) {
+            playerEntity.lastDirection = savedSession.player.lastDirection;
             
-            // Preload arcade assets
-            arcadeManager.preloadAssets(assetLoader);
+            if (savedSession.scene !== sceneManager.getCurrentScene()?.id && scenes[savedSession.scene]) {
+                sceneManager.loadScene(savedSession.scene);
+            }
             
-            // Force window.assetLoader to be set for direct access by entity classes
-            window.assetLoader = assetLoader;
+            info(`Session restored in ${savedSession.scene} at (${playerX.toFixed(1)}, ${playerY.toFixed(1)})`);
+        }
+        
+        // Carry the visitor's name, color, speed, team and hp over from the game they came from
+        if (portalArrival.arrivedViaPortal) {
+            playerEntity.applyPortalProfile(portalArrival);
             
-            // Change this - explicitly pass a scene name that will match our condition
-            arcadeManager.addEntities('startRoom');
-            console.log('Arcade cabinets added successfully');
-
-            // Initialize ArcadeManager2 with game instance
-            const arcadeManager2 = new ArcadeManager2(game);
+            // Hold the world until the room (and its return portal) is placed
+            game.setPaused(true);
+        }
+        
+        // Let exits and page unloads save the live session
+        setSessionSource(() => createSessionSnapshot({
+            player: playerEntity,
+            camera,
+            miniMap,
+            sceneId: sceneManager.getCurrentScene()?.id || 'startRoom'
+        }));
+        window.addEventListener('pagehide', () => saveSession());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                saveSession();
+            }
+        });
+        
+        // Reset the session from the console: window.debug.resetSession()
+        window.debug.resetSession = () => {
+            clearSession();
+            camera.setZoom(1);
+            miniMap.visible = false;
+            returnToSpawn();
+            info('Session reset to the spawn point');
+        };
+        
+        // Compare frame time with and without the floor/wall layer cache: window.debug.benchmarkRendering()
+        window.debug.benchmarkRendering = (options = {}) => {
+            renderBenchmark.start({ scene, camera, ...options });
+        };
+        
+        // Show where the player's collisions push back from the console: window.debug.toggleContactNormals()
+        window.debug.toggleContactNormals = () => {
+            game.toggleDebugFeature('contacts');
+        };
+        
+        // Toggle the floor/wall layer cache from the console: window.debug.toggleLayerCache()
+        window.debug.toggleLayerCache = () => {
+            scene.useLayerCache = !scene.useLayerCache;
+            info(`Floor/wall layer cache ${scene.useLayerCache ? 'enabled' : 'disabled'}`);
+            scene.layerCache.logStats();
+        };
+        
+        /**
+         * Put a portal arrival just in front of the red return portal, facing into the room
+         * @param {Array} entities - Entities placed from the start room manifest
+         */
+        function placeAtReturnPortal(entities) {
+            const returnPortal = entities.find(entity => entity && entity.portalType === 'start');
+            if (!returnPortal) {
+                warn('Arrived through a portal but the room has no return portal, using the default spawn');
+                return;
+            }
             
-            // Preload arcade assets
-            arcadeManager2.preloadAssets(assetLoader);
+            playerEntity.x = playerX = returnPortal.x;
+            playerEntity.y = playerY = Math.min(scene.gridHeight - 1, returnPortal.y + returnPortal.entryDetectionRange + PORTAL_ARRIVAL_MARGIN);
+            playerEntity.lastDirection = 'south';
+            camera.centerOn((playerX - playerY) * (scene.cellWidth / 2), (playerX + playerY) * (scene.cellHeight / 2));
             
-            // Force window.assetLoader to be set for direct access by entity classes
+            info(`Portal arrival placed at the return portal (${playerX.toFixed(1)}, ${playerY.toFixed(1)})`);
+        }
+        
+        // Wait briefly for asset loading before populating the room
+        setTimeout(() => {
+            // Entity classes read the shared asset loader directly
             window.assetLoader = assetLoader;
             
-            // Change this - explicitly pass a scene name that will match our condition
-            arcadeManager2.addEntities('startRoom');
-            console.log('Arcade cabinets added successfully');
-            
-            // Send initialization complete event
+            // Place the current room's objects from its JSON manifest (the start room unless a session was restored)
+            const roomId = sceneManager.getCurrentScene()?.id || 'startRoom';
+            console.log(`Loading ${roomId} objects...`);
+            roomManager.loadRoomEntities(roomId)
+                .then(entities => {
+                    console.log(`${roomId} loaded with ${entities.length} entities`);
+                    if (portalArrival.arrivedViaPortal) {
+                        placeAtReturnPortal(entities);
+                    }
+                })
+                .catch(err => error(`Failed to load ${roomId} manifest:`, err))
+                .finally(() => {
+                    if (portalArrival.arrivedViaPortal) {
+                        game.setPaused(false);
+                    }
+                    
+                    // ?benchmark=true measures rendering once the room is populated
+                    if (new URLSearchParams(window.location.search).get('benchmark') === 'true') {
+                        window.debug.benchmarkRendering();
+                    }
+                });
         }, 500);
         
         // Explicitly check if character renderer is loaded
@@ -405,7 +330,7 @@ if (compatibilityResults.allCriticalSupported) {
             console.log(`KEY PRESSED: ${e.key}`);
             
             // Force-update the input module's key state to fix keyboard movement issues
-            if (input && ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'w', 'a', 's', 'd', 'W', 'A', 'S', 'D'].includes(e.key)) {
+            if (input && actionMap.isMovementKey(e.key)) {
                 input.keys[e.key] = true;
                 console.log(`Direct input update: ${e.key} = true`);
                 
@@ -420,53 +345,58 @@ if (compatibilityResults.allCriticalSupported) {
                 console.log(`JUKEBOX DEBUG: Enter key pressed directly in main.js keydown event`);
             }
             
-            // Center camera on player with 'C' key
-            if (e.key === 'c' || e.key === 'C') {
+            // Menus and overlays keep the keyboard; world shortcuts wait until they close
+            if (game.isInteractionActive()) {
+                return;
+            }
+            
+            // Shortcuts below read their keys from the action map (rebound in the controls panel)
+            if (actionMap.matches(e, 'openControls')) {
+                controlsPanel.open();
+                return;
+            }
+            
+            // Center camera on player
+            if (actionMap.matches(e, 'centerCamera')) {
                 // Calculate player's isometric position using scene's cell dimensions
                 const playerIsoX = (playerX - playerY) * (scene.cellWidth / 2);
                 const playerIsoY = (playerX + playerY) * (scene.cellHeight / 2);
                 
                 // Instantly center camera on player
                 camera.centerOn(playerIsoX, playerIsoY);
-                info('Camera centered on player with C key');
+                info('Camera centered on player');
             }
             
-            // Reset camera with 'R' key
-            if (e.key === 'r' || e.key === 'R') {
+            // Reset camera
+            if (actionMap.matches(e, 'resetCamera')) {
                 camera.reset();
-                info('Camera reset with R key');
+                info('Camera reset');
             }
             
-            // Camera zoom in with 'Z' key or '=' key
-            if (e.key === 'z' || e.key === 'Z' || e.key === '+' || e.key === '=') {
+            // Camera zoom in
+            if (actionMap.matches(e, 'zoomIn')) {
                 camera.zoomIn();
                 info('Camera zoomed in');
             }
             
-            // Camera zoom out with 'X' key or '-' key
-            if (e.key === 'x' || e.key === 'X' || e.key === '-' || e.key === '_') {
+            // Camera zoom out
+            if (actionMap.matches(e, 'zoomOut')) {
                 camera.zoomOut();
                 info('Camera zoomed out');
             }
             
-            // Reset current pan with 'P' key
-            if (e.key === 'p' || e.key === 'P') {
+            // Reset current pan
+            if (actionMap.matches(e, 'resetPan')) {
                 panState.resetDeltas();
-                info('Pan state reset with P key');
+                info('Pan state reset');
             }
             
-            // Toggle mini-map with 'M' key
-            if (e.key === 'm' || e.key === 'M') {
+            // Toggle mini-map
+            if (actionMap.matches(e, 'toggleMap')) {
                 miniMap.visible = !miniMap.visible;
                 info(`Mini-map ${miniMap.visible ? 'shown' : 'hidden'}`);
             }
             
-            // Jump with spacebar
-            if (e.key === ' ' || e.key === 'Spacebar') {
-                playerEntity.jump();
-                debug('Jump triggered with spacebar');
-            }
-            
             // Debug toggle keys disabled for deployment
             
             // Toggle collision boxes with 'B' key - DISABLED FOR DEPLOYMENT
@@ -484,18 +414,6 @@ if (compatibilityResults.allCriticalSupported) {
             //     game.toggleDebugFeature('info');
             // }
             
-            // Camera smoothness adjustment with number keys 0-9
-            if (!isNaN(parseInt(e.key)) && parseInt(e.key) >= 0 && parseInt(e.key) <= 9) {
-                const num = parseInt(e.key);
-                let smoothing = num / 10;
-                
-                // Special case for key '0' - ultra smooth
-                if (num === 0) smoothing = 0.01;
-                
-                camera.setSmoothingFactor(smoothing);
-                info(`Camera smoothing set to ${smoothing}`);
-            }
-            
             // Force door open/close with 'O' key
             if (e.key === 'o' || e.key === 'O') {
                 // Toggle north door state in current scene
@@ -509,12 +427,71 @@ if (compatibilityResults.allCriticalSupported) {
 
         document.addEventListener('keyup', (e) => {
             // Force-update the input module's key state
-            if (input && ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'w', 'a', 's', 'd', 'W', 'A', 'S', 'D'].includes(e.key)) {
+            if (input && actionMap.isMovementKey(e.key)) {
                 input.keys[e.key] = false;
                 console.log(`Direct input update: ${e.key} = false`);
             }
         });
 
+        // Keep the canvas filling the viewport, and the camera and mini-map in step with it
+        const handleResize = () => {
+            if (!fitCanvasToViewport()) return;
+            camera.resize(canvas.width, canvas.height);
+            miniMap.resize(canvas.width, canvas.height);
+            debug(`Canvas resized to ${canvas.width}x${canvas.height}`);
+        };
+        window.addEventListener('resize', handleResize);
+        window.addEventListener('orientationchange', handleResize);
+        
+        // On-screen joystick, action button, pinch zoom and two-finger pan for touch screens
+        touchControls.init(canvas, camera);
+        
+        // Click or tap the floor to walk there, or an interactive object to walk up and use it
+        const clickToMove = new ClickToMove({ camera, scene, game, player: playerEntity });
+        getObjectInteraction().setWorldClickHandler((x, y) => clickToMove.handleClick(x, y));
+        
+        // Record and replay input from the console (see inputRecorder.js)
+        inputRecorder.init(game, { clickToMove });
+        window.debug.startRecording = () => inputRecorder.startRecording();
+        window.debug.stopRecording = () => {
+            const recording = inputRecorder.stopRecording();
+            if (recording) {
+                inputRecorder.saveRecording(recording);
+            }
+            return recording;
+        };
+        window.debug.replayRecording = (recording) => inputRecorder.startReplay(recording);
+        window.debug.loadRecording = () => inputRecorder.chooseRecordingFile()
+            .then(text => inputRecorder.startReplay(text));
+        
+        // Room transitions put the player at the new room's door; follow them there
+        document.addEventListener('sceneChanged', () => {
+            clickToMove.cancel();
+            playerX = playerEntity.x;
+            playerY = playerEntity.y;
+            camera.centerOn((playerX - playerY) * (scene.cellWidth / 2), (playerX + playerY) * (scene.cellHeight / 2));
+        });
+        
+        /**
+         * Put the player back at the start room's spawn point
+         */
+        function returnToSpawn() {
+            clickToMove.cancel();
+            playerEntity.x = playerX = SPAWN_X;
+            playerEntity.y = playerY = SPAWN_Y;
+            playerEntity.velocityX = 0;
+            playerEntity.velocityY = 0;
+            playerEntity.lastDirection = 'south';
+            if (sceneManager.getCurrentScene()?.id !== 'startRoom') {
+                roomManager.enterRoom('startRoom', { placePlayer: false });
+            }
+            camera.centerOn((playerX - playerY) * (scene.cellWidth / 2), (playerX + playerY) * (scene.cellHeight / 2));
+            info('Player returned to the spawn point');
+        }
+        
+        // Escape or the gamepad's Start button pauses the game with settings and return to spawn
+        pauseMenu.init(game, { camera, miniMap, onReturnToSpawn: returnToSpawn });
+
         // T key test handler disabled for deployment
         // window.addEventListener('keydown', (e) => {
         //     if (e.key === 't' || e.key === 'T') {
@@ -522,22 +499,50 @@ if (compatibilityResults.allCriticalSupported) {
         //     }
         // });
 
+        /**
+         * Advance the world by one fixed simulation step
+         */
+        function simulationStep() {
+            // A replay swaps the live input for the recorded input here
+            inputRecorder.captureTick();
+            
+            // Portals, room shortcuts, player movement, physics and collisions
+            stepWorld({ game, clickToMove }, SIMULATION_STEP);
+            
+            // Update doorway animations and check for player-doorway collisions
+            doorwayManager.update(SIMULATION_STEP, playerEntity.x, playerEntity.y, scene);
+            
+            // Pick the entity the next Enter press will use
+            interactionManager.update(playerEntity);
+        }
+
         function gameLoop(timestamp) {
             try {
-                // Check if we should render this frame (60 FPS cap)
-                if (!shouldRenderFrame(timestamp)) {
+                // Read controllers first: menus and the pause screen need them while the world is paused
+                gamepadInput.poll(timestamp);
+                touchControls.update(timestamp);
+                
+                // Skip world updates and rendering while a full-screen overlay has paused the game
+                if (game.isPaused()) {
+                    // Resume from the next frame instead of simulating the paused time
+                    resetClock();
                     requestAnimationFrame(gameLoop);
                     return;
                 }
                 
+                // Time the frame's update and drawing for the render benchmark
+                const frameStart = performance.now();
+                
                 // Update FPS counter
                 const currentFps = updateFps(timestamp);
                 
-                // Get delta time for frame-rate independent movement
-                const deltaTime = getDeltaTime();
+                // Run the fixed simulation steps due since the last frame (none, one or several)
+                const steps = advanceClock(timestamp);
+                for (let step = 0; step < steps && !game.isPaused(); step++) {
+                    simulationStep();
+                }
                 
-                // Update scene from scene manager, passing the player entity for portal detection
-                const currentScene = updateScene(deltaTime, playerEntity);
+                const currentScene = sceneManager.getCurrentScene();
                 if (currentScene) {
                     // Log scene rendering for debugging during development
                     if (DEBUG_CONFIG.logSceneRendering) {
@@ -545,60 +550,15 @@ if (compatibilityResults.allCriticalSupported) {
                     }
                 }
                 
-                // Update player position based on input
-                // Calculate movement direction from input
-                let dx = 0;
-                let dy = 0;
-                
-                // Left movement (decreases X in isometric)
-                if (input.keys['ArrowLeft'] || input.keys['a'] || input.keys['A']) dx -= 1;
-                // Right movement (increases X in isometric)
-                if (input.keys['ArrowRight'] || input.keys['d'] || input.keys['D']) dx += 1;
-                // Up movement (decreases Y in isometric)
-                if (input.keys['ArrowUp'] || input.keys['w'] || input.keys['W']) dy -= 1;
-                // Down movement (increases Y in isometric)
-                if (input.keys['ArrowDown'] || input.keys['s'] || input.keys['S']) dy += 1;
-                
-                // Use the player's move method to update position and direction
-                if (dx !== 0 || dy !== 0) {
-                    // Convert direction to proper format
-                    let direction = '';
-                    if (dx < 0) direction = 'left';
-                    else if (dx > 0) direction = 'right';
-                    
-                    if (dy < 0) {
-                        direction = direction ? 'north' + direction : 'up';
-                    } else if (dy > 0) {
-                        direction = direction ? 'south' + direction : 'down';
-                    }
-                    
-                    // Call the player's move method
-                    playerEntity.move(direction, deltaTime);
-                    
-                    // Update local tracking variables
-                    playerX = playerEntity.x;
-                    playerY = playerEntity.y;
-                } else {
-                    // If no keys pressed, ensure player stops
-                    playerEntity.move('none', deltaTime);
-                }
-                
-                // Constrain player within grid boundaries
-                playerX = Math.max(0, Math.min(scene.gridWidth - 1, playerX));
-                playerY = Math.max(0, Math.min(scene.gridHeight - 1, playerY));
-                playerEntity.x = playerX;
-                playerEntity.y = playerY;
-                
-                // Update game physics and collisions
-                game.update(deltaTime);
+                // Draw moving entities between the last two steps, so motion is smooth at any refresh rate
+                game.beginInterpolatedRender(getInterpolationAlpha());
+                playerX = playerEntity.x;
+                playerY = playerEntity.y;
                 
                 // Calculate player's isometric position using scene's cell dimensions
                 const playerIsoX = (playerX - playerY) * (scene.cellWidth / 2);
                 const playerIsoY = (playerX + playerY) * (scene.cellHeight / 2);
                 
-                // Update doorway animations and check for player-doorway collisions
-                doorwayManager.update(deltaTime, playerX, playerY, scene);
-                
                 // Update camera to follow player's isometric position
                 camera.follow(playerIsoX, playerIsoY);
                 
@@ -624,6 +584,19 @@ if (compatibilityResults.allCriticalSupported) {
                 // Render doorways on top of the base scene but below UI elements
                 doorwayManager.render(ctx, camera);
                 
+                // Mark the click-to-move destination, in world space like the scene
+                if (clickToMove.isActive()) {
+                    ctx.save();
+                    ctx.translate(canvas.width / 2, canvas.height / 2);
+                    ctx.scale(camera.zoom, camera.zoom);
+                    ctx.translate(-camera.x, -camera.y);
+                    clickToMove.renderDestination(ctx);
+                    ctx.restore();
+                }
+                
+                // Prompt above the entity Enter will use
+                interactionManager.render(ctx, scene, camera);
+                
                 // DIAGNOSTICS: Check if the game object is properly connected to the rendering pipeline
                 if (testEntitiesCreated && frameCount % 60 === 0) { // Only log once per second
                     console.log('[DIAGNOSTICS] Game & Scene connection:');
@@ -743,6 +716,16 @@ if (compatibilityResults.allCriticalSupported) {
                 // Draw FPS counter if enabled
                 drawFpsCounter(ctx, currentFps);
                 
+                // Recording or replay indicator
+                inputRecorder.render(ctx);
+                
+                // Render benchmark progress/results, then record this frame's time
+                renderBenchmark.render(ctx);
+                renderBenchmark.recordFrame(performance.now() - frameStart);
+                
+                // Back to the simulated positions for the next step
+                game.endInterpolatedRender();
+                
                 // Debug key handling
                 if (input.keys['B'] && !keyStates.B) {
                     keyStates.B = true;
@@ -868,6 +851,7 @@ if (compatibilityResults.allCriticalSupported) {
                     keyStates.O = false;
                 }
             } catch (e) {
+                game.endInterpolatedRender();
                 error('Error during game loop execution', e);
                 // Continue the game loop despite errors
             }
@@ -895,17 +879,15 @@ if (compatibilityResults.allCriticalSupported) {
         }, { passive: false }); // This makes preventDefault() work
 
         // Log initialization status
-        info(`Game initialized with ${TARGET_FPS} FPS cap`);
+        info(`Game initialized, simulating ${TARGET_FPS} steps per second`);
         info(`Press 'F' to toggle FPS display (currently ${DEBUG_CONFIG.SHOW_FPS ? 'visible' : 'hidden'})`);
-        info(`Press 'C' to center camera on player`);
-        info(`Press '1-9' to adjust camera smoothness (1=smooth, 9=responsive)`);
-        info(`Press '0' for extremely smooth camera motion`);
-        info(`Press 'Z/X' to zoom in/out, or use mouse wheel`);
-        info(`Press '+/-' for fine zoom adjustments`);
-        info(`Press 'R' to reset zoom to default`);
+        info(`Press '${actionMap.getKeyLabel('centerCamera')}' to center camera on player`);
+        info(`Press '${actionMap.getKeyLabel('zoomIn')}/${actionMap.getKeyLabel('zoomOut')}' to zoom in/out, or use mouse wheel`);
+        info(`Press '${actionMap.getKeyLabel('resetCamera')}' to reset zoom to default`);
         info(`Middle-click and drag to pan the camera manually`);
-        info(`Press 'P' to reset panning`);
-        info(`Press 'M' to toggle mini-map`);
+        info(`Press '${actionMap.getKeyLabel('resetPan')}' to reset panning`);
+        info(`Press '${actionMap.getKeyLabel('toggleMap')}' to toggle mini-map`);
+        info(`Press '${actionMap.getKeyLabel('openControls')}' to change key bindings`);
         // Debug toggle key information disabled for deployment
         // info(`Press 'B' to toggle collision boxes`);
         // info(`Press 'G' to toggle spatial grid`);
@@ -6,17 +6,13 @@
 import { debug } from './utils.js';
 
 class MiniMap {
-    constructor(gridWidth, gridHeight, cellWidth, cellHeight, canvasWidth, canvasHeight) {
-        // Store grid dimensions and cell size
-        this.gridWidth = gridWidth;
-        this.gridHeight = gridHeight;
-        this.cellWidth = cellWidth;
-        this.cellHeight = cellHeight;
-        
-        // Convert grid dimensions to world pixel dimensions
-        this.mapWidth = gridWidth * cellWidth;
-        this.mapHeight = gridHeight * cellHeight;
-        
+    /**
+     * Create the mini-map
+     * @param {RoomGeometry} geometry - Room geometry from roomGeometry.js
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     */
+    constructor(geometry, canvasWidth, canvasHeight) {
         // Store reference canvas dimensions
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
@@ -30,21 +26,15 @@ class MiniMap {
         this.x = this.canvasWidth - this.width - this.padding;
         this.y = this.padding;
         
-        // For isometric grid, we need to adjust the scaling to maintain proportions
-        // Use a scale factor to make the grid representation smaller within the minimap
-        const scaleFactor = 3.5; // Increase this value to make the grid appear smaller
-        
-        const mapDiagonalWidth = (gridWidth + gridHeight) * (cellWidth / 2) * scaleFactor;
-        const mapDiagonalHeight = (gridWidth + gridHeight) * (cellHeight / 2) * scaleFactor;
-        
-        // Calculate scaling factors based on the effective isometric dimensions
-        this.scaleX = this.width / mapDiagonalWidth;
-        this.scaleY = this.height / mapDiagonalHeight;
+        // Grid size, cell size and scale for the room
+        this.setGeometry(geometry);
         
         // Appearance settings
         this.backgroundColor = 'rgba(0, 0, 0, 0.7)';  // Dark background
         this.borderColor = '#00ffcc';                 // Cyberpunk cyan
         this.playerColor = '#ff3366';                 // Bright magenta-red for player
+        this.wallColor = 'rgba(0, 255, 204, 0.6)';    // Walls in the border color
+        this.doorColor = '#ffcc00';                   // Door openings
         this.gridColor = 'rgba(255, 255, 255, 0.15)'; // Subtle grid lines - slightly brighter
         this.viewportColor = '#ffffff';               // White viewport rectangle
         this.borderWidth = 2;
@@ -53,13 +43,54 @@ class MiniMap {
         this.visible = false; // Hidden by default, can be toggled with M key
         
         debug('MiniMap initialized', { 
-            gridSize: `${gridWidth}x${gridHeight}`,
+            gridSize: `${this.gridWidth}x${this.gridHeight}`,
             dimensions: `${this.width}x${this.height}`,
             position: `${this.x},${this.y}`,
             scale: `${this.scaleX.toFixed(4)}x${this.scaleY.toFixed(4)}`
         });
     }
     
+    /**
+     * Switch to a room's geometry and rescale the map to fit it
+     * @param {RoomGeometry} geometry - Room geometry from roomGeometry.js
+     */
+    setGeometry(geometry) {
+        const { gridWidth, gridHeight, cellWidth, cellHeight } = geometry;
+        this.geometry = geometry;
+        
+        // Store grid dimensions and cell size
+        this.gridWidth = gridWidth;
+        this.gridHeight = gridHeight;
+        this.cellWidth = cellWidth;
+        this.cellHeight = cellHeight;
+        
+        // Convert grid dimensions to world pixel dimensions
+        this.mapWidth = gridWidth * cellWidth;
+        this.mapHeight = gridHeight * cellHeight;
+        
+        // For isometric grid, we need to adjust the scaling to maintain proportions
+        // Use a scale factor to make the grid representation smaller within the minimap
+        const scaleFactor = 3.5; // Increase this value to make the grid appear smaller
+        
+        const mapDiagonalWidth = (gridWidth + gridHeight) * (cellWidth / 2) * scaleFactor;
+        const mapDiagonalHeight = (gridWidth + gridHeight) * (cellHeight / 2) * scaleFactor;
+        
+        // Calculate scaling factors based on the effective isometric dimensions
+        this.scaleX = this.width / mapDiagonalWidth;
+        this.scaleY = this.height / mapDiagonalHeight;
+    }
+    
+    /**
+     * Keep the mini-map in the top right corner after the canvas is resized
+     * @param {number} canvasWidth - New canvas width
+     * @param {number} canvasHeight - New canvas height
+     */
+    resize(canvasWidth, canvasHeight) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.x = this.canvasWidth - this.width - this.padding;
+    }
+    
     /**
      * Toggle mini-map visibility
      * @returns {boolean} New visibility state
@@ -119,9 +150,11 @@ class MiniMap {
         ctx.strokeStyle = this.gridColor;
         ctx.lineWidth = 0.5;
         
-        // Draw more visible isometric grid
+        // Draw more visible isometric grid (floor cells only, so the room's shape shows)
         for (let i = 0; i < this.gridWidth; i++) {
             for (let j = 0; j < this.gridHeight; j++) {
+                if (!this.geometry.isFloor(i, j)) continue;
+                
                 const miniPos = this.gridToMinimap(i, j);
                 
                 // Draw a diamond shape for each grid cell
@@ -144,6 +177,15 @@ class MiniMap {
             }
         }
         
+        // Draw walls and door openings over the floor
+        const drawMarker = (x, y, color) => {
+            const miniPos = this.gridToMinimap(x, y);
+            ctx.fillStyle = color;
+            ctx.fillRect(miniPos.x - 1, miniPos.y - 1, 2, 2);
+        };
+        this.geometry.getWallTiles().forEach(({ x, y }) => drawMarker(x, y, this.wallColor));
+        this.geometry.doors.forEach(door => drawMarker(door.x, door.y, this.doorColor));
+        
         // Draw player position
         const playerMiniPos = this.gridToMinimap(playerX, playerY);
         ctx.fillStyle = this.playerColor;
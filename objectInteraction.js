@@ -10,9 +10,18 @@ class ObjectInteraction {
         this.canvas = canvas;
         this.sceneRenderer = sceneRenderer;
         this.sceneManager = sceneManager;
+        this.worldClickHandler = null;
         this.canvas.addEventListener('click', this.handleClick.bind(this));
     }
 
+    /**
+     * Set the handler for clicks that miss every scene object (click-to-move)
+     * @param {Function} handler - Called with the click's canvas position (x, y)
+     */
+    setWorldClickHandler(handler) {
+        this.worldClickHandler = handler;
+    }
+
     handleClick(event) {
         const rect = this.canvas.getBoundingClientRect();
         const x = event.clientX - rect.left;
@@ -21,6 +30,8 @@ class ObjectInteraction {
         const clickedObject = detectHit(x, y, scene.objects);
         if (clickedObject) {
             this.sceneRenderer.handleInteraction(clickedObject.id, this.sceneManager);
+        } else if (this.worldClickHandler) {
+            this.worldClickHandler(x, y);
         }
     }
 }
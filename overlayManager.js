@@ -0,0 +1,236 @@
+/**
+ * Overlay Manager for AI Alchemist's Lair
+ * One stack for every DOM popup drawn over the world: the TV and jukebox modals, the spellbook,
+ * the arcade game selection menus, the embedded arcade game player and the portal messages
+ *
+ * An owner builds its element, then calls open(id, {element, onRequestClose}). While anything is
+ * on the stack the world's input is paused (Game.setInteractionActive), Tab keeps keyboard focus
+ * inside the top overlay, and Escape (also sent by the gamepad B and touch BACK buttons) asks the
+ * top overlay's owner to close. The owner removes its element and calls close(id), which gives
+ * focus back to the game canvas once the stack is empty. Only one overlay opens at a time: open()
+ * refuses while another overlay is showing.
+ */
+
+import { input } from './input.js';
+import { debug, info, warn } from './utils.js';
+
+// Stacking order shared by all overlays (above the world, below the touch controls)
+const OVERLAY_Z_INDEX = 1000;
+
+// Elements Tab can move to inside an overlay
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+class OverlayManager {
+    constructor() {
+        this.game = null;
+
+        // Open overlays, bottom first: {id, element, onRequestClose, trapFocus}
+        this.stack = [];
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+    }
+
+    /**
+     * Start listening for Escape, Tab and focus changes
+     * @param {Game} game - Game whose input is paused while an overlay is open
+     */
+    init(game) {
+        if (this.game) {
+            return;
+        }
+        this.game = game;
+
+        // Capture phase, ahead of the overlays' own key handlers and the world's
+        document.addEventListener('keydown', this.handleKeyDown, true);
+        document.addEventListener('focusin', this.handleFocusIn);
+
+        // Let the canvas take focus back when an overlay closes
+        const canvas = document.getElementById('gameCanvas');
+        if (canvas && !canvas.hasAttribute('tabindex')) {
+            canvas.tabIndex = -1;
+        }
+
+        info('OverlayManager: Initialized');
+    }
+
+    /**
+     * Check whether an overlay is showing
+     * @param {string} [id] - Only check this overlay
+     * @returns {boolean} - True if open
+     */
+    isOpen(id = null) {
+        return id ? this.stack.some(entry => entry.id === id) : this.stack.length > 0;
+    }
+
+    /**
+     * Get the overlay Escape would close
+     * @returns {Object|null} - Top overlay {id, element, ...}, or null
+     */
+    getTop() {
+        return this.stack[this.stack.length - 1] || null;
+    }
+
+    /**
+     * Show an overlay on top of the world
+     * @param {string} id - Overlay identifier ('tv', 'jukebox', ...)
+     * @param {Object} options - Overlay options
+     * @param {HTMLElement} options.element - Overlay's root element (already in the document)
+     * @param {Function} options.onRequestClose - Called on Escape; the owner closes and calls close(id)
+     * @param {boolean} [options.trapFocus=true] - Keep Tab focus inside the element
+     * @param {string} [options.zIndex] - Stacking order, when it must sit above the shared one
+     * @returns {boolean} - False if another overlay is already open
+     */
+    open(id, { element, onRequestClose, trapFocus = true, zIndex = null }) {
+        if (this.stack.length > 0) {
+            warn(`OverlayManager: Not opening "${id}" while "${this.getTop().id}" is open`);
+            return false;
+        }
+
+        element.style.zIndex = zIndex || String(OVERLAY_Z_INDEX);
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-modal', 'true');
+        if (!element.hasAttribute('tabindex')) {
+            element.tabIndex = -1;
+        }
+
+        this.stack.push({ id, element, onRequestClose, trapFocus });
+
+        // Stop the player and forget keys held when the overlay opened
+        input.reset();
+        if (this.game) {
+            this.game.setInteractionActive(true);
+        }
+
+        if (trapFocus) {
+            element.focus();
+        }
+
+        debug(`OverlayManager: Opened "${id}"`);
+        document.dispatchEvent(new CustomEvent('overlayOpened', { detail: { id } }));
+        return true;
+    }
+
+    /**
+     * Take an overlay off the stack once its owner has removed it
+     * @param {string} id - Overlay identifier
+     */
+    close(id) {
+        const index = this.stack.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return;
+        }
+        this.stack.splice(index, 1);
+
+        if (this.stack.length === 0) {
+            input.reset();
+            if (this.game) {
+                this.game.setInteractionActive(false);
+            }
+
+            // Keyboard focus goes back to the world
+            const canvas = document.getElementById('gameCanvas');
+            if (canvas) {
+                canvas.focus();
+            }
+        }
+
+        debug(`OverlayManager: Closed "${id}"`);
+        document.dispatchEvent(new CustomEvent('overlayClosed', { detail: { id } }));
+    }
+
+    /**
+     * Ask the top overlay's owner to close it
+     * @returns {boolean} - True if there was an overlay to close
+     */
+    closeTop() {
+        const top = this.getTop();
+        if (!top) {
+            return false;
+        }
+
+        if (typeof top.onRequestClose === 'function') {
+            top.onRequestClose();
+        } else {
+            top.element.remove();
+            this.close(top.id);
+        }
+        return true;
+    }
+
+    /**
+     * List the elements Tab can reach inside an overlay
+     * @param {HTMLElement} element - Overlay element
+     * @returns {HTMLElement[]} - Focusable elements in document order
+     */
+    getFocusable(element) {
+        return Array.from(element.querySelectorAll(FOCUSABLE_SELECTOR))
+            .filter(el => el.offsetParent !== null || el === document.activeElement);
+    }
+
+    /**
+     * Close the top overlay on Escape and keep Tab inside it
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyDown(event) {
+        const top = this.getTop();
+        if (!top) {
+            return;
+        }
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            if (!event.repeat) {
+                this.closeTop();
+            }
+            return;
+        }
+
+        if (event.key === 'Tab' && top.trapFocus) {
+            const focusable = this.getFocusable(top.element);
+            if (focusable.length === 0) {
+                event.preventDefault();
+                top.element.focus();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = document.activeElement;
+            const inside = top.element.contains(active) && active !== top.element;
+
+            if (event.shiftKey && (!inside || active === first)) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && (!inside || active === last)) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
+    }
+
+    /**
+     * Pull focus back into the top overlay if it wanders out (e.g. a click on the page)
+     * @param {FocusEvent} event - Focus event
+     */
+    handleFocusIn(event) {
+        const top = this.getTop();
+        if (top && top.trapFocus && !top.element.contains(event.target)) {
+            top.element.focus();
+        }
+    }
+}
+
+// Shared overlay manager, started by main.js
+const overlayManager = new OverlayManager();
+
+export { OverlayManager, overlayManager, OVERLAY_Z_INDEX };
@@ -0,0 +1,254 @@
+/**
+ * Pathfinding module for AI Alchemist's Lair
+ * Builds a walkability map of the room grid and finds paths across it with A*
+ *
+ * Cells are whole grid units. A cell is blocked when the room geometry has no floor or a wall
+ * there (just the north and west walls without geometry), or when the player standing in its
+ * center would overlap a collidable entity
+ * (using the same collision shapes as Collision.checkCollision).
+ */
+
+import { getCollisionShapes, getShapeOverlap } from './collisionShapes.js';
+
+// Give up on searches that expand more cells than this (the whole start room is 16,000 cells)
+const MAX_EXPANDED_CELLS = 40000;
+
+// 8-way neighbours with their step costs
+const NEIGHBOURS = [
+    { dx: 1, dy: 0, cost: 1 },
+    { dx: -1, dy: 0, cost: 1 },
+    { dx: 0, dy: 1, cost: 1 },
+    { dx: 0, dy: -1, cost: 1 },
+    { dx: 1, dy: 1, cost: Math.SQRT2 },
+    { dx: 1, dy: -1, cost: Math.SQRT2 },
+    { dx: -1, dy: 1, cost: Math.SQRT2 },
+    { dx: -1, dy: -1, cost: Math.SQRT2 }
+];
+
+class WalkabilityMap {
+    /**
+     * Create a walkability map for a room
+     * @param {number} gridWidth - Room width in cells
+     * @param {number} gridHeight - Room height in cells
+     */
+    constructor(gridWidth, gridHeight) {
+        this.gridWidth = gridWidth;
+        this.gridHeight = gridHeight;
+        this.blocked = new Uint8Array(gridWidth * gridHeight);
+    }
+
+    /**
+     * Build the map from the room walls and the collidable entities in it
+     * @param {Object} options - Build options
+     * @param {number} options.gridWidth - Room width in cells
+     * @param {number} options.gridHeight - Room height in cells
+     * @param {RoomGeometry} [options.geometry] - Room floors and walls (roomGeometry.js)
+     * @param {Array} options.entities - Entities in the room (Game.entities)
+     * @param {Entity} options.player - Player, used for its hitbox size and skipped as an obstacle
+     * @returns {WalkabilityMap} - New map
+     */
+    static build({ gridWidth, gridHeight, geometry = null, entities = [], player = null }) {
+        const map = new WalkabilityMap(gridWidth, gridHeight);
+
+        if (geometry) {
+            // Cells without floor and wall cells, including interior walls
+            for (let x = 0; x < gridWidth; x++) {
+                for (let y = 0; y < gridHeight; y++) {
+                    if (!geometry.isWalkable(x, y)) map.setBlocked(x, y);
+                }
+            }
+        } else {
+            // North (y = 0) and west (x = 0) walls
+            for (let x = 0; x < gridWidth; x++) map.setBlocked(x, 0);
+            for (let y = 0; y < gridHeight; y++) map.setBlocked(0, y);
+        }
+
+        const playerWidth = player && player.width || 0.6;
+        const playerHeight = player && player.height || 0.6;
+
+        // The player's box standing in a cell's center
+        const probe = { x: 0, y: 0, width: playerWidth, height: playerHeight };
+
+        entities.forEach(entity => {
+            if (!entity || entity === player || entity.isPlayer || entity.collidable === false) {
+                return;
+            }
+
+            getCollisionShapes(entity).forEach(shape => {
+                // Cells whose center puts the player's box over the shape's bounding box
+                const minX = Math.max(0, Math.floor(shape.minX - playerWidth - 0.5) + 1);
+                const maxX = Math.min(gridWidth - 1, Math.ceil(shape.maxX - 0.5) - 1);
+                const minY = Math.max(0, Math.floor(shape.minY - playerHeight - 0.5) + 1);
+                const maxY = Math.min(gridHeight - 1, Math.ceil(shape.maxY - 0.5) - 1);
+
+                for (let x = minX; x <= maxX; x++) {
+                    for (let y = minY; y <= maxY; y++) {
+                        // Circles and slanted polygons leave the corners of their bounding box free
+                        probe.x = x + 0.5;
+                        probe.y = y + 0.5;
+                        if (getShapeOverlap(getCollisionShapes(probe)[0], shape)) {
+                            map.setBlocked(x, y);
+                        }
+                    }
+                }
+            });
+        });
+
+        return map;
+    }
+
+    /**
+     * Check whether a cell is inside the room
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {boolean} - True if inside
+     */
+    inBounds(x, y) {
+        return x >= 0 && y >= 0 && x < this.gridWidth && y < this.gridHeight;
+    }
+
+    /**
+     * Mark a cell as blocked
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     */
+    setBlocked(x, y) {
+        if (this.inBounds(x, y)) {
+            this.blocked[y * this.gridWidth + x] = 1;
+        }
+    }
+
+    /**
+     * Check whether the player can stand in a cell
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {boolean} - True if walkable
+     */
+    isWalkable(x, y) {
+        return this.inBounds(x, y) && this.blocked[y * this.gridWidth + x] === 0;
+    }
+}
+
+/**
+ * Minimal binary heap ordered by each node's f score
+ */
+class OpenSet {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Find a path with A*
+ * The search ends at the first walkable cell within `reach` of the target, so a path can lead
+ * up to an entity standing on blocked cells. Diagonal steps may not cut blocked corners.
+ * @param {WalkabilityMap} map - Walkability map
+ * @param {Object} start - Start cell {x, y}
+ * @param {Object} target - Target point {x, y} in grid units
+ * @param {number} reach - Distance from the target that counts as arrived (0 = the target's own cell)
+ * @returns {Array|null} - Cells {x, y} from the first step to the goal, [] if already there, or null if unreachable
+ */
+function findPath(map, start, target, reach = 0) {
+    const width = map.gridWidth;
+    const isGoal = reach > 0
+        ? (x, y) => Math.hypot(x + 0.5 - target.x, y + 0.5 - target.y) <= reach
+        : (x, y) => x === Math.floor(target.x) && y === Math.floor(target.y);
+
+    // Octile distance to the target, less the reach so the estimate never overshoots
+    const heuristic = (x, y) => {
+        const dx = Math.abs(x + 0.5 - target.x);
+        const dy = Math.abs(y + 0.5 - target.y);
+        const octile = Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        return Math.max(0, octile - reach);
+    };
+
+    if (isGoal(start.x, start.y)) {
+        return [];
+    }
+
+    const startIndex = start.y * width + start.x;
+    const gScore = new Map([[startIndex, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    const open = new OpenSet();
+    open.push({ x: start.x, y: start.y, f: heuristic(start.x, start.y) });
+
+    let expanded = 0;
+    while (open.size > 0 && expanded < MAX_EXPANDED_CELLS) {
+        const current = open.pop();
+        const currentIndex = current.y * width + current.x;
+        if (closed.has(currentIndex)) continue;
+        closed.add(currentIndex);
+        expanded++;
+
+        if (isGoal(current.x, current.y)) {
+            const path = [];
+            let index = currentIndex;
+            while (index !== startIndex) {
+                path.unshift({ x: index % width, y: Math.floor(index / width) });
+                index = cameFrom.get(index);
+            }
+            return path;
+        }
+
+        for (const { dx, dy, cost } of NEIGHBOURS) {
+            const nx = current.x + dx;
+            const ny = current.y + dy;
+            if (!map.isWalkable(nx, ny)) continue;
+            if (dx !== 0 && dy !== 0 && (!map.isWalkable(current.x + dx, current.y) || !map.isWalkable(current.x, current.y + dy))) {
+                continue;
+            }
+
+            const neighbourIndex = ny * width + nx;
+            if (closed.has(neighbourIndex)) continue;
+
+            const tentative = gScore.get(currentIndex) + cost;
+            if (tentative < (gScore.has(neighbourIndex) ? gScore.get(neighbourIndex) : Infinity)) {
+                gScore.set(neighbourIndex, tentative);
+                cameFrom.set(neighbourIndex, currentIndex);
+                open.push({ x: nx, y: ny, f: tentative + heuristic(nx, ny) });
+            }
+        }
+    }
+
+    return null;
+}
+
+export { WalkabilityMap, findPath };
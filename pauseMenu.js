@@ -0,0 +1,351 @@
+/**
+ * Pause Menu for AI Alchemist's Lair
+ * Opened with Escape or a gamepad's Start button when no menu or popup is showing
+ *
+ * While it is open the Game is paused, so Game.update, entity animations and rendering all stop
+ * (the last frame stays under the menu). It offers Resume, Return to spawn, volume sliders and mute,
+ * camera smoothing and zoom sliders, the mini-map toggle and the current key bindings, with a button
+ * to the controls panel. Volumes and mute are saved by the AudioManager and smoothing in GameSettings;
+ * zoom and the mini-map are part of the saved session. Escape, Start, gamepad B or touch BACK resume.
+ */
+
+import { actionMap } from './actionMap.js';
+import { audioManager } from './audioManager.js';
+import { controlsPanel } from './controlsPanel.js';
+import { gameSettings } from './gameSettings.js';
+import { overlayManager } from './overlayManager.js';
+import { info } from './utils.js';
+
+// Menu colors (shared with the controls panel)
+const ACCENT_COLOR = '#00ffcc';
+
+// One volume slider per AudioManager bus
+const AUDIO_SLIDERS = [
+    { bus: 'master', label: 'Master volume' },
+    { bus: 'music', label: 'Music volume' },
+    { bus: 'sfx', label: 'Effects volume' },
+    { bus: 'ui', label: 'Interface volume' }
+];
+
+class PauseMenu {
+    constructor() {
+        this.game = null;
+        this.camera = null;
+        this.miniMap = null;
+        this.onReturnToSpawn = null;
+
+        this.container = null;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Start listening for Escape and the gamepad's Start button
+     * @param {Game} game - Game paused while the menu is open
+     * @param {Object} options - Things the menu controls
+     * @param {Camera} options.camera - Camera whose smoothing and zoom are set
+     * @param {MiniMap} options.miniMap - Mini-map shown or hidden
+     * @param {Function} options.onReturnToSpawn - Moves the player back to the spawn point
+     */
+    init(game, { camera, miniMap, onReturnToSpawn }) {
+        if (this.game) {
+            return;
+        }
+        this.game = game;
+        this.camera = camera;
+        this.miniMap = miniMap;
+        this.onReturnToSpawn = onReturnToSpawn;
+
+        // Capture phase, after the OverlayManager, which closes popups and the arcade menus on Escape
+        document.addEventListener('keydown', this.handleKeyDown, true);
+        document.addEventListener('gamepadPause', () => this.toggle());
+
+        info('PauseMenu: Initialized');
+    }
+
+    /**
+     * Check whether the pause menu is showing
+     * @returns {boolean} - True if open
+     */
+    isOpen() {
+        return this.container !== null;
+    }
+
+    /**
+     * Check whether the menu may open now
+     * @returns {boolean} - False while a popup, menu or the embedded game player holds the game
+     */
+    canOpen() {
+        return !overlayManager.isOpen() && !this.game.isPaused() && !this.game.isInteractionActive();
+    }
+
+    /**
+     * Open the menu, or close it if it is open
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Pause the game and show the menu
+     */
+    open() {
+        if (this.isOpen() || !this.game || !this.canOpen()) {
+            return;
+        }
+
+        this.game.setPaused(true);
+
+        const container = document.createElement('div');
+        container.id = 'pauseMenu';
+        container.setAttribute('aria-label', 'Paused');
+        container.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 90%;
+            max-width: 480px;
+            max-height: 85vh;
+            overflow-y: auto;
+            background-color: rgba(0, 0, 0, 0.9);
+            border: 3px solid ${ACCENT_COLOR};
+            box-shadow: 0 0 20px ${ACCENT_COLOR};
+            padding: 16px 20px;
+            color: white;
+            font-family: monospace;
+            font-size: 14px;
+        `;
+
+        const title = document.createElement('h2');
+        title.textContent = 'PAUSED';
+        title.style.cssText = `margin: 0 0 12px; text-align: center; color: ${ACCENT_COLOR}; text-shadow: 0 0 5px ${ACCENT_COLOR};`;
+        container.appendChild(title);
+
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; gap: 8px; justify-content: center;';
+        const resumeButton = this.createButton('Resume', () => this.close());
+        actions.appendChild(resumeButton);
+        actions.appendChild(this.createButton('Return to spawn', () => this.returnToSpawn()));
+        container.appendChild(actions);
+
+        container.appendChild(this.createHeading('Audio'));
+        AUDIO_SLIDERS.forEach(({ bus, label }) => {
+            container.appendChild(this.createSlider(label, 0, 1, 0.05, audioManager.getVolume(bus),
+                value => `${Math.round(value * 100)}%`, value => audioManager.setVolume(bus, value)));
+        });
+        container.appendChild(this.createCheckbox('Mute all sound', audioManager.isMuted(), checked => {
+            audioManager.setMuted(checked);
+        }));
+
+        container.appendChild(this.createHeading('Camera'));
+        container.appendChild(this.createSlider('Camera smoothing', 0.01, 1, 0.01, this.camera.getSmoothingFactor(),
+            value => (value >= 1 ? 'instant' : value.toFixed(2)), value => {
+                gameSettings.set('cameraSmoothing', value);
+                this.camera.setSmoothingFactor(gameSettings.get('cameraSmoothing'));
+            }));
+        container.appendChild(this.createSlider('Zoom', this.camera.minZoom, this.camera.maxZoom, 0.05, this.camera.targetZoom,
+            value => `${value.toFixed(2)}x`, value => this.camera.setZoom(value)));
+        container.appendChild(this.createCheckbox('Show mini-map', this.miniMap.visible, checked => {
+            this.miniMap.visible = checked;
+        }));
+
+        container.appendChild(this.createHeading('Controls'));
+        container.appendChild(this.createBindingList());
+        const controlsButton = this.createButton('Change controls', () => {
+            this.close();
+            controlsPanel.open();
+        });
+        controlsButton.style.marginTop = '8px';
+        container.appendChild(controlsButton);
+
+        document.body.appendChild(container);
+        this.container = container;
+
+        overlayManager.open('pause', { element: container, onRequestClose: () => this.close() });
+        resumeButton.focus();
+
+        info('PauseMenu: Game paused');
+    }
+
+    /**
+     * Close the menu and resume the game
+     */
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+
+        this.container.remove();
+        this.container = null;
+
+        overlayManager.close('pause');
+        this.game.setPaused(false);
+
+        info('PauseMenu: Game resumed');
+    }
+
+    /**
+     * Resume at the spawn point
+     */
+    returnToSpawn() {
+        this.close();
+        if (typeof this.onReturnToSpawn === 'function') {
+            this.onReturnToSpawn();
+        }
+    }
+
+    /**
+     * Open the menu on Escape when nothing else is showing
+     * @param {KeyboardEvent} event - Key event
+     */
+    handleKeyDown(event) {
+        if (event.key !== 'Escape' || event.repeat || this.isOpen() || !this.game || !this.canOpen()) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        this.open();
+    }
+
+    /**
+     * Create a menu button
+     * @param {string} text - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} - Button
+     */
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.style.cssText = `
+            background-color: transparent;
+            border: 2px solid ${ACCENT_COLOR};
+            color: ${ACCENT_COLOR};
+            font-family: monospace;
+            font-size: 14px;
+            padding: 6px 12px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Create a section heading
+     * @param {string} text - Heading text
+     * @returns {HTMLElement} - Heading
+     */
+    createHeading(text) {
+        const heading = document.createElement('h3');
+        heading.textContent = text;
+        heading.style.cssText = `margin: 16px 0 6px; font-size: 14px; color: ${ACCENT_COLOR};`;
+        return heading;
+    }
+
+    /**
+     * Create a labelled slider that shows its value
+     * @param {string} text - Label
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @param {number} step - Step between values
+     * @param {number} value - Current value
+     * @param {Function} format - Turns a value into the text shown next to the slider
+     * @param {Function} onChange - Called with the new value while the slider moves
+     * @returns {HTMLElement} - Row holding the slider
+     */
+    createSlider(text, min, max, step, value, format, onChange) {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 3px 0;';
+
+        const label = document.createElement('span');
+        label.textContent = text;
+        label.style.cssText = 'flex: 1;';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.value = String(value);
+        slider.style.cssText = `flex: 1; accent-color: ${ACCENT_COLOR};`;
+
+        const output = document.createElement('span');
+        output.textContent = format(value);
+        output.style.cssText = 'width: 60px; text-align: right;';
+
+        slider.addEventListener('input', () => {
+            const newValue = parseFloat(slider.value);
+            output.textContent = format(newValue);
+            onChange(newValue);
+        });
+
+        row.appendChild(label);
+        row.appendChild(slider);
+        row.appendChild(output);
+        return row;
+    }
+
+    /**
+     * Create a labelled checkbox
+     * @param {string} text - Label
+     * @param {boolean} checked - Current state
+     * @param {Function} onChange - Called with the new state
+     * @returns {HTMLElement} - Row holding the checkbox
+     */
+    createCheckbox(text, checked, onChange) {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 3px 0; cursor: pointer;';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.style.cssText = `accent-color: ${ACCENT_COLOR};`;
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+
+        const label = document.createElement('span');
+        label.textContent = text;
+
+        row.appendChild(checkbox);
+        row.appendChild(label);
+        return row;
+    }
+
+    /**
+     * List every action with its current keys
+     * @returns {HTMLElement} - Table of bindings
+     */
+    createBindingList() {
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse;';
+
+        actionMap.getActions().forEach(action => {
+            const row = document.createElement('tr');
+
+            const name = document.createElement('td');
+            name.textContent = action.label;
+            name.style.cssText = 'padding: 2px 0;';
+
+            const keys = document.createElement('td');
+            const bindings = actionMap.getBindings(action.id);
+            keys.textContent = bindings.length > 0 ? bindings.map(binding => actionMap.formatBinding(binding)).join(', ') : 'unbound';
+            keys.style.cssText = `padding: 2px 0; text-align: right; color: ${ACCENT_COLOR};`;
+
+            row.appendChild(name);
+            row.appendChild(keys);
+            table.appendChild(row);
+        });
+
+        return table;
+    }
+}
+
+// Shared pause menu, started by main.js
+const pauseMenu = new PauseMenu();
+
+export { PauseMenu, pauseMenu };
@@ -0,0 +1,196 @@
+/**
+ * Play History for AI Alchemist's Lair
+ * Remembers which arcade games a visitor launched and which ones they starred, in localStorage
+ *
+ * Stored format (versioned so the layout can change without breaking old saves):
+ * {
+ *   "version": 1,
+ *   "games": {
+ *     "gnome-mercy": { "plays": 3, "firstPlayedAt": "...", "lastPlayedAt": "...", "favorite": true }
+ *   }
+ * }
+ */
+
+import { debug, warn } from './utils.js';
+
+const PLAY_HISTORY_STORAGE_KEY = 'aiAlchemistsLair.playHistory';
+const PLAY_HISTORY_VERSION = 1;
+
+/**
+ * Get the key a game is stored under
+ * Catalog games have an id; games passed straight to a cabinet fall back to their URL
+ * @param {Object} game - Cabinet game object
+ * @returns {string|null} - Storage key, or null if the game cannot be identified
+ */
+function getGameKey(game) {
+    if (!game) {
+        return null;
+    }
+    return game.id || game.url || null;
+}
+
+/**
+ * Get localStorage if the browser allows it (it throws in some privacy modes)
+ * @returns {Storage|null} - Storage object or null
+ */
+function getDefaultStorage() {
+    try {
+        return window.localStorage || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+class PlayHistory {
+    /**
+     * Create a new play history store
+     * @param {Storage|null} storage - Storage backend (defaults to localStorage; null keeps history in memory only)
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.data = this.load();
+    }
+
+    /**
+     * Read the history from storage, starting fresh if it is missing, corrupt or from another version
+     * @returns {Object} - History data
+     */
+    load() {
+        const empty = { version: PLAY_HISTORY_VERSION, games: {} };
+        if (!this.storage) {
+            return empty;
+        }
+
+        try {
+            const raw = this.storage.getItem(PLAY_HISTORY_STORAGE_KEY);
+            if (!raw) {
+                return empty;
+            }
+
+            const parsed = JSON.parse(raw);
+            if (!parsed || parsed.version !== PLAY_HISTORY_VERSION || typeof parsed.games !== 'object' || parsed.games === null) {
+                warn(`PlayHistory: Ignoring saved history with unsupported format (version ${parsed && parsed.version})`);
+                return empty;
+            }
+            return parsed;
+        } catch (err) {
+            warn('PlayHistory: Could not read saved history, starting fresh', err);
+            return empty;
+        }
+    }
+
+    /**
+     * Write the history to storage
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(PLAY_HISTORY_STORAGE_KEY, JSON.stringify(this.data));
+        } catch (err) {
+            warn('PlayHistory: Could not save history', err);
+        }
+    }
+
+    /**
+     * Get the stored record for a game, creating it when asked to
+     * @param {Object} game - Cabinet game object
+     * @param {boolean} create - Create an empty record if none exists
+     * @returns {Object|null} - Record {plays, firstPlayedAt, lastPlayedAt, favorite} or null
+     */
+    getRecord(game, create = false) {
+        const key = getGameKey(game);
+        if (!key) {
+            return null;
+        }
+
+        if (!this.data.games[key] && create) {
+            this.data.games[key] = { plays: 0, firstPlayedAt: null, lastPlayedAt: null, favorite: false };
+        }
+        return this.data.games[key] || null;
+    }
+
+    /**
+     * Record that a game was launched
+     * @param {Object} game - Cabinet game object
+     */
+    recordLaunch(game) {
+        const record = this.getRecord(game, true);
+        if (!record) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        record.plays += 1;
+        record.lastPlayedAt = now;
+        if (!record.firstPlayedAt) {
+            record.firstPlayedAt = now;
+        }
+        this.save();
+
+        debug(`PlayHistory: ${game.title} played ${record.plays} time(s)`);
+    }
+
+    /**
+     * Get how many times a game was launched
+     * @param {Object} game - Cabinet game object
+     * @returns {number} - Play count
+     */
+    getPlayCount(game) {
+        const record = this.getRecord(game);
+        return record ? record.plays : 0;
+    }
+
+    /**
+     * Get when a game was last launched
+     * @param {Object} game - Cabinet game object
+     * @returns {number|null} - Timestamp in milliseconds, or null if never played
+     */
+    getLastPlayed(game) {
+        const record = this.getRecord(game);
+        return record && record.lastPlayedAt ? Date.parse(record.lastPlayedAt) : null;
+    }
+
+    /**
+     * Check whether a game is starred
+     * @param {Object} game - Cabinet game object
+     * @returns {boolean} - True if the game is a favorite
+     */
+    isFavorite(game) {
+        const record = this.getRecord(game);
+        return !!(record && record.favorite);
+    }
+
+    /**
+     * Star or unstar a game
+     * @param {Object} game - Cabinet game object
+     * @returns {boolean} - The game's new favorite state
+     */
+    toggleFavorite(game) {
+        const record = this.getRecord(game, true);
+        if (!record) {
+            return false;
+        }
+
+        record.favorite = !record.favorite;
+        this.save();
+
+        debug(`PlayHistory: ${game.title} ${record.favorite ? 'added to' : 'removed from'} favorites`);
+        return record.favorite;
+    }
+
+    /**
+     * Forget all play history and favorites
+     */
+    clear() {
+        this.data = { version: PLAY_HISTORY_VERSION, games: {} };
+        this.save();
+    }
+}
+
+// Shared history used by every cabinet
+const playHistory = new PlayHistory();
+
+export { PlayHistory, playHistory, getGameKey, PLAY_HISTORY_STORAGE_KEY };
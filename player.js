@@ -18,7 +18,7 @@ class Player extends Entity {
         });
         
         // Player specific properties
-        this.speed = 7;             // Increased by 30% from 3.0 for faster portal navigation
+        this.speed = 14;            // Grid units per second
         this.jumpStrength = 1.6;      // Jump strength (reduced from 2.0 for gameplay balance)
         this.jumpProgress = 0;        // Track jump animation progress
         this.isJumping = false;       // Track if player is currently jumping
@@ -27,14 +27,35 @@ class Player extends Entity {
         // Track last movement direction for sprite rendering
         this.lastDirection = 'south'; // Default facing south
         this.isMoving = false;        // Track if player is currently moving
+        
+        // Vibeverse profile, filled from portal parameters (see applyPortalProfile)
+        this.username = null;         // Name shown above the player
+        this.color = null;            // Ring and name tag color
+        this.team = null;             // Team shown next to the name
+        this.hp = 100;                // Health, carried between games
+        this.avatarUrl = null;        // Avatar from the previous game, passed on unchanged
+    }
+    
+    /**
+     * Apply the profile a visitor arrived with through a Vibeverse portal
+     * @param {Object} profile - Parsed portal parameters (see vibeverseParams.js)
+     */
+    applyPortalProfile(profile) {
+        if (profile.username) this.username = profile.username;
+        if (profile.color) this.color = profile.color;
+        if (profile.team) this.team = profile.team;
+        if (profile.hp !== null) this.hp = profile.hp;
+        if (profile.avatarUrl) this.avatarUrl = profile.avatarUrl;
+        if (profile.speed !== null) this.speed = profile.speed;
+        
+        debug(`Player: Applied portal profile for ${this.username || 'anonymous visitor'} (speed ${this.speed}, hp ${this.hp})`);
     }
 
     /**
-     * Moves the player in a specific direction
+     * Sets the player walking in a direction (Entity.update moves it on the next physics step)
      * @param {string} direction - Direction to move ('up', 'down', 'left', 'right', 'none', or diagonal combinations)
-     * @param {number} deltaTime - Time step in seconds
      */
-    move(direction, deltaTime) {
+    move(direction) {
         // Reset velocity if no movement or 'none' is passed
         if (!direction || direction === 'none') {
             this.velocityX = 0;
@@ -42,9 +63,6 @@ class Player extends Entity {
             return;
         }
         
-        // Calculate the normalized time step (prevent extreme speeds on lag)
-        const normalizedDelta = deltaTime > 0 ? deltaTime : 1/60;
-        
         // Reset velocities
         this.velocityX = 0;
         this.velocityY = 0;
@@ -89,16 +107,34 @@ class Player extends Entity {
             this.velocityY *= normalizeFactor;
         }
         
-        // Update position based on velocity
-        this.x += this.velocityX * normalizedDelta;
-        this.y += this.velocityY * normalizedDelta;
-        
         // Update the direction immediately if we're moving
         if (this.velocityX !== 0 || this.velocityY !== 0) {
             this.updateDirection();
         }
     }
     
+    /**
+     * Sets the player walking along an analog vector, such as a gamepad stick
+     * @param {number} x - Horizontal component (-1 to 1)
+     * @param {number} y - Vertical component (-1 to 1)
+     */
+    moveVector(x, y) {
+        const magnitude = Math.min(1, Math.sqrt(x * x + y * y));
+        if (magnitude === 0) {
+            this.move('none');
+            return;
+        }
+        
+        const angle = Math.atan2(y, x);
+        this.velocityX = Math.cos(angle) * magnitude * this.speed;
+        this.velocityY = Math.sin(angle) * magnitude * this.speed;
+        
+        // Face the nearest of the eight sprite directions
+        const directions = ['east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'north', 'northeast'];
+        const sector = Math.round(angle / (Math.PI / 4));
+        this.lastDirection = directions[(sector + 8) % 8];
+    }
+    
     /**
      * Updates the player's direction based on current velocity
      */
@@ -294,6 +330,13 @@ class Player extends Entity {
                 );
                 ctx.fill();
                 
+                // Ring in the visitor's color when they brought one through a portal
+                if (this.color) {
+                    ctx.strokeStyle = this.color;
+                    ctx.lineWidth = 2;
+                    ctx.stroke();
+                }
+                
                 // Calculate sprite dimensions (making character 2x taller)
                 const spriteWidth = width * 1.5;
                 const spriteHeight = height * 3.5; // Doubled from 2.2 to 4.4
@@ -311,9 +354,11 @@ class Player extends Entity {
                     spriteWidth,
                     spriteHeight
                 );
+                
+                this.drawNameTag(ctx, screenX, spriteY - 6);
             } else {
                 // Fallback: draw colored rectangle if sprite not available
-                ctx.fillStyle = '#00BFFF'; // Light blue placeholder
+                ctx.fillStyle = this.color || '#00BFFF'; // Light blue placeholder
                 ctx.fillRect(
                     screenX - width / 2,
                     screenY - height - zOffset, 
@@ -336,6 +381,31 @@ class Player extends Entity {
             );
         }
     }
+    
+    /**
+     * Draw the visitor's name (and team) above the sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} centerX - Screen X of the tag's center
+     * @param {number} bottomY - Screen Y of the tag's baseline
+     */
+    drawNameTag(ctx, centerX, bottomY) {
+        if (!this.username) {
+            return;
+        }
+        
+        const label = this.team ? `${this.username} [${this.team}]` : this.username;
+        
+        ctx.save();
+        ctx.font = 'bold 12px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.strokeText(label, centerX, bottomY);
+        ctx.fillStyle = this.color || '#FFFFFF';
+        ctx.fillText(label, centerX, bottomY);
+        ctx.restore();
+    }
 }
 
 export { Player };
@@ -5,8 +5,9 @@
 
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
-import { input } from './input.js';
+import { interactionManager } from './interactionManager.js';
 import { debug } from './utils.js';
+import { audioManager } from './audioManager.js';
 
 export class PortalEntity extends Entity {
     /**
@@ -40,10 +41,17 @@ export class PortalEntity extends Entity {
         
         // Interaction state
         this.isPlayerNearby = false;
-        this.showPrompt = false;
+        this.actionLabel = 'VISIT'; // Touch action button label
         this.interactionEnabled = true;
-        this.interactionPromptAlpha = 0; // For fade in/out effect
-        this.wasEnterPressed = false;
+        
+        // Enter (or the touch action button) opens the link through the shared interaction pipeline
+        interactionManager.register(this, {
+            radius: this.interactionDistance,
+            label: this.actionLabel,
+            prompt: 'Visit AI Alchemist on X',
+            onInteract: () => this.interact(),
+            isEnabled: () => this.interactionEnabled
+        });
         
         // Animation properties
         this.animationTime = 0;
@@ -155,9 +163,6 @@ export class PortalEntity extends Entity {
         // Update glow effect
         this.updateGlowEffect(deltaTime);
         
-        // Check for interaction (Enter key press)
-        this.checkForInteraction();
-        
         // Debug logging every 60 frames
         if (Math.round(this.animationTime * 10) % 60 === 0) {
             console.log(`Portal update: animTime=${this.animationTime.toFixed(2)}, glow=${this.glowIntensity.toFixed(2)}, isNearby=${this.isPlayerNearby}`);
@@ -178,7 +183,7 @@ export class PortalEntity extends Entity {
             const wasNearby = this.isPlayerNearby;
             
             // Update proximity state
-            this.isPlayerNearby = distance <= this.interactionDistance;
+            this.isPlayerNearby = interactionManager.isInRange(this, player);
             
             // Log state changes
             if (!wasNearby && this.isPlayerNearby) {
@@ -189,24 +194,9 @@ export class PortalEntity extends Entity {
             } else if (wasNearby && !this.isPlayerNearby) {
                 console.log(`PortalEntity: Player left interaction range (${distance.toFixed(2)} units)`);
             }
-            
-            // Handle interaction prompt fade
-            if (this.isPlayerNearby) {
-                // Fade in prompt
-                this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
-                this.showPrompt = true;
-            } else {
-                // Fade out prompt
-                this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - 0.05);
-                if (this.interactionPromptAlpha <= 0) {
-                    this.showPrompt = false;
-                }
-            }
         } else {
             // No player reference, assume not nearby
             this.isPlayerNearby = false;
-            this.showPrompt = false;
-            this.interactionPromptAlpha = 0;
         }
     }
     
@@ -237,49 +227,6 @@ export class PortalEntity extends Entity {
         }
     }
     
-    /**
-     * Check for user interaction with the portal
-     */
-    checkForInteraction() {
-        // Only check for interaction if player is nearby and interaction is enabled
-        if (this.isPlayerNearby && this.interactionEnabled) {
-            // Use the enhanced input system with all possible Enter key detection methods
-            const isEnterPressed = input.enterKeyPressed || 
-                                  input.numpadEnterPressed || 
-                                  input.keys['Enter'] || 
-                                  input.keys['NumpadEnter'] || 
-                                  input.isKeyPressed('Enter') || 
-                                  input.isKeyPressed('NumpadEnter');
-            
-            // Specific Enter key press detection (not just held down)
-            const isNewEnterPress = isEnterPressed && !this.wasEnterPressed;
-            
-            // Aggressive logging to debug the issue
-            console.log(`Portal interaction check:`, {
-                isPlayerNearby: this.isPlayerNearby,
-                isEnterPressed: isEnterPressed,
-                wasEnterPressed: this.wasEnterPressed,
-                isNewEnterPress: isNewEnterPress,
-                enterFlag: input.enterKeyPressed,
-                numpadEnterFlag: input.numpadEnterPressed,
-                enterKey: input.keys['Enter'],
-                numpadEnterKey: input.keys['NumpadEnter'],
-                time: new Date().toISOString(),
-                position: `(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`
-            });
-            
-            // Only detect a new press (not holding)
-            if (isNewEnterPress) {
-                console.log('PortalEntity: NEW Enter key press detected, navigating to URL!');
-                // Force this to run async to avoid any race conditions
-                setTimeout(() => this.interact(), 50);
-            }
-            
-            // Update previous state
-            this.wasEnterPressed = isEnterPressed;
-        }
-    }
-    
     /**
      * Handle portal interaction (navigate to URL)
      */
@@ -416,11 +363,6 @@ export class PortalEntity extends Entity {
             ctx.stroke();
         }
         
-        // Draw interaction prompt if player is nearby
-        if (this.interactionPromptAlpha > 0) {
-            this.drawInteractionPrompt(ctx, screenX, drawY - height * -1);
-        }
-        
         // Restore context state
         ctx.restore();
         
@@ -430,104 +372,19 @@ export class PortalEntity extends Entity {
         }
     }
     
-    /**
-     * Draw interaction prompt above the portal
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} x - X position for the prompt
-     * @param {number} y - Y position for the prompt
-     */
-    drawInteractionPrompt(ctx, x, y) {
-        ctx.save();
-        
-        // Create dimensions for prompt window
-        const padding = 48;
-        const text = 'Visit AI Alchemist on X';
-        const textWidth = ctx.measureText(text).width;
-        const promptWidth = textWidth + (padding * 2);
-        const promptHeight = 60;
-        const promptX = x - promptWidth/2;
-        const promptY = y - 30;
-        
-        // Create gradient background instead of solid color
-        const gradient = ctx.createLinearGradient(
-            promptX, 
-            promptY, 
-            promptX, 
-            promptY + promptHeight
-        );
-        gradient.addColorStop(0, `rgba(40, 10, 60, ${this.interactionPromptAlpha * 0.9})`);
-        gradient.addColorStop(0.5, `rgba(80, 20, 120, ${this.interactionPromptAlpha * 0.9})`);
-        gradient.addColorStop(1, `rgba(40, 10, 60, ${this.interactionPromptAlpha * 0.9})`);
-        
-        // Draw background with gradient
-        ctx.fillStyle = gradient;
-        ctx.fillRect(promptX, promptY, promptWidth, promptHeight);
-        
-        // Draw border with glow effect
-        ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 8 * this.glowIntensity;
-        ctx.strokeStyle = `rgba(138, 43, 226, ${this.interactionPromptAlpha})`;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(promptX, promptY, promptWidth, promptHeight);
-        ctx.shadowBlur = 0;
-        
-        // Draw text
-        ctx.fillStyle = `rgba(255, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.font = 'bold 18px monospace';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(text, x, y - 10);
-        
-        // Draw key indicator
-        ctx.font = 'bold 16px monospace';
-        ctx.fillStyle = `rgba(138, 43, 226, ${this.interactionPromptAlpha})`;
-        ctx.fillText('[ ENTER ]', x, y + 15);
-        
-        ctx.restore();
-    }
-    
     /**
      * Play a lower-pitched vortex/whoosh sound when player approaches the portal
      */
     playProximitySound() {
         try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create noise buffer for the whoosh base - longer for lower pitch feel
-            const bufferSize = audioCtx.sampleRate * 1.8; // 1.8 seconds of sound (longer than original 1.5)
-            const noiseBuffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
-            
-            // Fill buffer with noise
-            const leftChannel = noiseBuffer.getChannelData(0);
-            const rightChannel = noiseBuffer.getChannelData(1);
-            
-            // Create noise with a specific envelope for whoosh effect
-            for(let i = 0; i < bufferSize; i++) {
-                // Position as a normalized value (0 to 1)
-                const position = i / bufferSize;
-                
-                // Envelope shape - start low, build up, then fade
-                // This creates the classic 'whoosh' shape
-                let envelope;
-                if (position < 0.2) {
-                    // Initial build up
-                    envelope = position * 5 * 0.2; // Ramp up to 0.2
-                } else if (position < 0.4) {
-                    // Continue rising
-                    envelope = 0.2 + (position - 0.2) * 5 * 0.6; // Ramp up to 0.8
-                } else if (position < 0.7) {
-                    // Peak and begin descent
-                    envelope = 0.8 - (position - 0.4) * (0.8 / 0.3) * 0.5; // Drop to 0.4
-                } else {
-                    // Tail off
-                    envelope = 0.4 * (1 - (position - 0.7) / 0.3);
-                }
-                
-                // Add some variation between channels
-                leftChannel[i] = (Math.random() * 2 - 1) * envelope;
-                rightChannel[i] = (Math.random() * 2 - 1) * envelope;
+            const audioCtx = audioManager.getContext();
+            if (!audioCtx) {
+                return;
             }
             
+            // Synthesized once, then reused every time the player approaches
+            const noiseBuffer = audioManager.getBuffer('portal.whoosh', ctx => this.createWhooshBuffer(ctx));
+            
             // Create noise source node
             const noiseSource = audioCtx.createBufferSource();
             noiseSource.buffer = noiseBuffer;
@@ -561,21 +418,7 @@ export class PortalEntity extends Entity {
             
             // Add reverb/echo effect - longer for lower pitch
             const convolver = audioCtx.createConvolver();
-            const reverbLength = audioCtx.sampleRate * 1.5; // Longer reverb (1.5 vs 1.0)
-            const reverbBuffer = audioCtx.createBuffer(2, reverbLength, audioCtx.sampleRate);
-            const reverbLeftChannel = reverbBuffer.getChannelData(0);
-            const reverbRightChannel = reverbBuffer.getChannelData(1);
-            
-            // Create reverb impulse - slower decay for lower pitch
-            for(let i = 0; i < reverbLength; i++) {
-                const decay = Math.exp(-i / (audioCtx.sampleRate * 0.5)); // Slower decay (0.5 vs 0.3)
-                // Add subtle low frequency oscillation to reverb
-                const lfo = Math.sin(i / (audioCtx.sampleRate * 0.3)) * 0.1;
-                reverbLeftChannel[i] = ((Math.random() * 2 - 1) + lfo) * decay;
-                reverbRightChannel[i] = ((Math.random() * 2 - 1) - lfo) * decay;
-            }
-            
-            convolver.buffer = reverbBuffer;
+            convolver.buffer = audioManager.getBuffer('portal.reverb', ctx => this.createReverbBuffer(ctx));
             
             // Connect LFO to bandpass frequency
             lfo.connect(lfoGain);
@@ -587,7 +430,7 @@ export class PortalEntity extends Entity {
             lowpass.connect(convolver);
             convolver.connect(masterGain);
             lowpass.connect(masterGain); // Parallel dry signal
-            masterGain.connect(audioCtx.destination);
+            masterGain.connect(audioManager.getBus('sfx'));
             
             // Start sound
             noiseSource.start();
@@ -631,7 +474,6 @@ export class PortalEntity extends Entity {
                 try {
                     lfo.stop();
                     noiseSource.stop();
-                    audioCtx.close();
                 } catch (err) {
                     console.warn('Error cleaning up portal sound:', err);
                 }
@@ -643,6 +485,73 @@ export class PortalEntity extends Entity {
         }
     }
     
+    /**
+     * Synthesize the whoosh: 1.8 seconds of stereo noise that builds, peaks and tails off
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @returns {AudioBuffer} - Stereo noise
+     */
+    createWhooshBuffer(audioCtx) {
+        // Create noise buffer for the whoosh base - longer for lower pitch feel
+        const bufferSize = audioCtx.sampleRate * 1.8; // 1.8 seconds of sound (longer than original 1.5)
+        const noiseBuffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
+        
+        // Fill buffer with noise
+        const leftChannel = noiseBuffer.getChannelData(0);
+        const rightChannel = noiseBuffer.getChannelData(1);
+        
+        // Create noise with a specific envelope for whoosh effect
+        for(let i = 0; i < bufferSize; i++) {
+            // Position as a normalized value (0 to 1)
+            const position = i / bufferSize;
+            
+            // Envelope shape - start low, build up, then fade
+            // This creates the classic 'whoosh' shape
+            let envelope;
+            if (position < 0.2) {
+                // Initial build up
+                envelope = position * 5 * 0.2; // Ramp up to 0.2
+            } else if (position < 0.4) {
+                // Continue rising
+                envelope = 0.2 + (position - 0.2) * 5 * 0.6; // Ramp up to 0.8
+            } else if (position < 0.7) {
+                // Peak and begin descent
+                envelope = 0.8 - (position - 0.4) * (0.8 / 0.3) * 0.5; // Drop to 0.4
+            } else {
+                // Tail off
+                envelope = 0.4 * (1 - (position - 0.7) / 0.3);
+            }
+            
+            // Add some variation between channels
+            leftChannel[i] = (Math.random() * 2 - 1) * envelope;
+            rightChannel[i] = (Math.random() * 2 - 1) * envelope;
+        }
+        
+        return noiseBuffer;
+    }
+    
+    /**
+     * Synthesize the reverb impulse (1.5 seconds of slowly decaying noise with a low wobble)
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @returns {AudioBuffer} - Impulse response
+     */
+    createReverbBuffer(audioCtx) {
+        const reverbLength = audioCtx.sampleRate * 1.5; // Longer reverb (1.5 vs 1.0)
+        const reverbBuffer = audioCtx.createBuffer(2, reverbLength, audioCtx.sampleRate);
+        const reverbLeftChannel = reverbBuffer.getChannelData(0);
+        const reverbRightChannel = reverbBuffer.getChannelData(1);
+        
+        // Create reverb impulse - slower decay for lower pitch
+        for(let i = 0; i < reverbLength; i++) {
+            const decay = Math.exp(-i / (audioCtx.sampleRate * 0.5)); // Slower decay (0.5 vs 0.3)
+            // Add subtle low frequency oscillation to reverb
+            const lfo = Math.sin(i / (audioCtx.sampleRate * 0.3)) * 0.1;
+            reverbLeftChannel[i] = ((Math.random() * 2 - 1) + lfo) * decay;
+            reverbRightChannel[i] = ((Math.random() * 2 - 1) - lfo) * decay;
+        }
+        
+        return reverbBuffer;
+    }
+    
     /**
      * Draw debug information for the portal
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -1,9 +1,16 @@
 /**
  * Portal System Module for AI Alchemist's Lair
  * Manages portals connecting scenes and doorways
+ *
+ * Each scene's portals are also filed in a SpatialGrid by their grid position, so the per-frame
+ * getNearbyPortals() check only looks at the cells around the player.
  */
 
 import { scenes } from './sceneData.js';
+import { saveSession } from './sessionState.js';
+import { roomManager } from './roomManager.js';
+import { audioManager } from './audioManager.js';
+import { SpatialGrid } from './spatialGrid.js';
 
 class PortalSystem {
     /**
@@ -13,6 +20,7 @@ class PortalSystem {
     constructor(sceneManager) {
         this.sceneManager = sceneManager;
         this.portals = new Map();
+        this.portalGrids = new Map(); // Scene ID -> SpatialGrid of {id, x, y} portal positions
         this.debug = true;
         this.initializePortals();
     }
@@ -25,8 +33,8 @@ class PortalSystem {
             if (!scene.exits || !Array.isArray(scene.exits)) return;
             
             scene.exits.forEach(exit => {
-                // Create a unique ID for this portal
-                const portalId = `${scene.id}-${exit.direction}`;
+                // Create a unique ID for this portal (a wall can hold several doors)
+                const portalId = `${scene.id}-${exit.direction}-${exit.to}`;
                 
                 // Store portal data
                 const portalData = {
@@ -47,7 +55,7 @@ class PortalSystem {
                     portalData.label = exit.label;
                 }
                 
-                this.portals.set(portalId, portalData);
+                this.addPortal(portalId, portalData);
                 
                 if (this.debug) {
                     console.log(`Registered portal: ${portalId} at grid (${exit.gridX},${exit.gridY}) -> ${exit.to}`);
@@ -60,6 +68,20 @@ class PortalSystem {
         }
     }
 
+    /**
+     * Register a portal and file it in its scene's grid
+     * @param {string} portalId - Unique portal ID
+     * @param {Object} portalData - {sourceScene, targetScene, gridX, gridY, direction, ...}
+     */
+    addPortal(portalId, portalData) {
+        this.portals.set(portalId, portalData);
+        
+        if (!this.portalGrids.has(portalData.sourceScene)) {
+            this.portalGrids.set(portalData.sourceScene, new SpatialGrid(1));
+        }
+        this.portalGrids.get(portalData.sourceScene).addEntity({ id: portalId, x: portalData.gridX, y: portalData.gridY });
+    }
+
     /**
      * Get portal by ID
      * @param {string} portalId - The portal ID
@@ -86,15 +108,22 @@ class PortalSystem {
      * @param {number} playerY - Player's grid Y position
      * @param {string} currentSceneId - Current scene ID
      * @param {number} proximityThreshold - How close the player needs to be (grid units)
-     * @returns {Array} Array of nearby portal IDs
+     * @returns {Array} Array of nearby portal IDs, nearest first
      */
     getNearbyPortals(playerX, playerY, currentSceneId, proximityThreshold = 1) {
-        return this.getPortalsForScene(currentSceneId)
-            .filter(portal => {
-                const dx = Math.abs(portal.gridX - playerX);
-                const dy = Math.abs(portal.gridY - playerY);
-                return Math.max(dx, dy) <= proximityThreshold;
-            })
+        const grid = this.portalGrids.get(currentSceneId);
+        if (!grid) {
+            return [];
+        }
+        
+        const distance = portal => Math.max(Math.abs(portal.x - playerX), Math.abs(portal.y - playerY));
+        return grid.queryAABB(
+            playerX - proximityThreshold,
+            playerY - proximityThreshold,
+            playerX + proximityThreshold,
+            playerY + proximityThreshold
+        )
+            .sort((a, b) => distance(a) - distance(b))
             .map(portal => portal.id);
     }
 
@@ -130,6 +159,9 @@ class PortalSystem {
             const notificationText = `Traveling to ${portal.label || 'AI Alchemist\'s Lair'}...`;
             console.log(notificationText);
             
+            // Save the session so a return visit resumes here
+            saveSession({ leaving: true });
+            
             // For a nice effect - give a short delay before redirecting
             setTimeout(() => {
                 window.location.href = portal.externalUrl;
@@ -142,83 +174,16 @@ class PortalSystem {
             console.log(`Transitioning through portal ${portalId} to ${portal.targetScene}`);
         }
 
-        // Find the corresponding entry point in the target scene
-        const targetScene = scenes[portal.targetScene];
-        if (!targetScene) {
+        if (!scenes[portal.targetScene]) {
             console.error(`Target scene ${portal.targetScene} not found`);
             return false;
         }
 
-        // Find matching entry portal (exit that points back to our source scene)
-        const entryExit = targetScene.exits.find(exit => exit.to === portal.sourceScene);
-        
-        // Position player based on entry position in target scene
-        if (entryExit && entryExit.gridX !== undefined && entryExit.gridY !== undefined) {
-            // Position player at the corresponding entry point
-            player.x = entryExit.gridX;
-            player.y = entryExit.gridY;
-            
-            // Add a small offset to position player just inside the door
-            // This prevents immediately triggering the portal again
-            if (entryExit.direction === 'north') {
-                player.y += 0.5; // Move slightly down from north door
-            } else if (entryExit.direction === 'south') {
-                player.y -= 0.5; // Move slightly up from south door
-            } else if (entryExit.direction === 'east') {
-                player.x -= 0.5; // Move slightly left from east door
-            } else if (entryExit.direction === 'west') {
-                player.x += 0.5; // Move slightly right from west door
-            }
-            
-            if (this.debug) {
-                console.log(`Positioned player at grid (${player.x},${player.y}) in ${portal.targetScene}`);
-            }
-        } else {
-            // Fallback positioning based on direction
-            this.positionPlayerAtSceneEntry(player, portal.direction, targetScene);
-        }
-
-        // Transition to the target scene
-        this.sceneManager.loadScene(portal.targetScene);
+        // Swap the rooms' entities and place the player at the target room's door leading back here
+        roomManager.enterRoom(portal.targetScene);
         return true;
     }
 
-    /**
-     * Position the player at a logical entry point based on direction
-     * @param {Object} player - The player object 
-     * @param {string} entryDirection - Direction the player is entering from
-     * @param {Object} targetScene - The scene being entered
-     */
-    positionPlayerAtSceneEntry(player, entryDirection, targetScene) {
-        // Calculate position based on opposite of entry direction
-        switch (entryDirection) {
-            case 'north': // Entering from the south
-                player.x = 8; // Center
-                player.y = 14; // Bottom
-                break;
-            case 'south': // Entering from the north
-                player.x = 8; // Center
-                player.y = 1; // Top
-                break;
-            case 'east': // Entering from the west
-                player.x = 1; // Left
-                player.y = 6; // Center
-                break;
-            case 'west': // Entering from the east
-                player.x = 14; // Right
-                player.y = 6; // Center
-                break;
-            default:
-                player.x = 8; // Center
-                player.y = 7; // Center
-                break;
-        }
-        
-        if (this.debug) {
-            console.log(`Fallback positioning: player at grid (${player.x},${player.y}) in ${targetScene.id}`);
-        }
-    }
-
     /**
      * Debug method to list all portals
      */
@@ -243,8 +208,11 @@ class PortalSystem {
         // Record timestamp for cooldown
         this._lastComingSoonSound = Date.now();
         
-        // Create audio context
-        const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        // Shared audio context (null until a user gesture unlocks audio)
+        const audioCtx = audioManager.getContext();
+        if (!audioCtx) {
+            return;
+        }
         
         // Create oscillator for primary tone
         const oscillator = audioCtx.createOscillator();
@@ -267,7 +235,7 @@ class PortalSystem {
         // Connect nodes: oscillator -> filter -> gain -> output
         oscillator.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(audioCtx.destination);
+        gainNode.connect(audioManager.getBus('sfx'));
         
         // Start and stop
         oscillator.start(audioCtx.currentTime);
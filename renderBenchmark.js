@@ -0,0 +1,166 @@
+/**
+ * Render Benchmark for AI Alchemist's Lair
+ * Measures frame time with the floor and walls drawn tile by tile, then from the static layer
+ * cache, and reports both so the gain can be checked on slow machines
+ *
+ * Start it with ?benchmark=true or window.debug.benchmarkRendering() from the console. It zooms
+ * the camera all the way out (the most tiles on screen), runs each mode for a warm-up and then
+ * BENCHMARK_FRAMES measured frames, and restores the zoom and cache setting afterwards. Results
+ * are logged and shown in the corner of the canvas for a few seconds.
+ */
+
+import { info } from './utils.js';
+
+// Measured frames per mode
+const BENCHMARK_FRAMES = 240;
+
+// Frames run before measuring each mode (lets the cache bake and the zoom settle)
+const WARMUP_FRAMES = 30;
+
+// How long the results stay on screen, in milliseconds
+const RESULT_DISPLAY_MS = 10000;
+
+// Modes compared, in the order they run
+const MODES = [
+    { label: 'Tile by tile', useLayerCache: false },
+    { label: 'Layer cache', useLayerCache: true }
+];
+
+/**
+ * Summarize a list of frame times
+ * @param {number[]} samples - Frame times in milliseconds
+ * @returns {Object} - {average, p95} in milliseconds
+ */
+function summarize(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const average = sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1);
+    const p95 = sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0;
+    return { average, p95 };
+}
+
+class RenderBenchmark {
+    constructor() {
+        this.running = false;
+        this.results = null;
+        this.resultsShownAt = 0;
+    }
+
+    /**
+     * Start a benchmark run
+     * @param {Object} options - Benchmark options
+     * @param {TestScene} options.scene - Scene whose useLayerCache is switched between modes
+     * @param {Camera} options.camera - Camera to zoom out for the run
+     * @param {number} [options.zoom] - Zoom to measure at (defaults to the camera's minimum)
+     * @param {number} [options.frames] - Measured frames per mode
+     */
+    start({ scene, camera, zoom = camera.minZoom, frames = BENCHMARK_FRAMES }) {
+        if (this.running) {
+            info('RenderBenchmark: Already running');
+            return;
+        }
+
+        this.scene = scene;
+        this.camera = camera;
+        this.frames = frames;
+        this.saved = { useLayerCache: scene.useLayerCache, zoom: camera.targetZoom };
+        this.zoom = zoom;
+        this.modeIndex = 0;
+        this.results = [];
+        this.running = true;
+
+        info(`RenderBenchmark: Measuring ${frames} frames per mode at zoom ${zoom.toFixed(2)}`);
+        this.beginMode();
+    }
+
+    /**
+     * Switch the scene into the next mode and reset the counters
+     */
+    beginMode() {
+        const mode = MODES[this.modeIndex];
+        this.scene.useLayerCache = mode.useLayerCache;
+        this.camera.setZoom(this.zoom);
+        this.camera.zoom = this.zoom;
+        this.frameIndex = 0;
+        this.samples = [];
+    }
+
+    /**
+     * Record one frame's time; call once per rendered frame
+     * @param {number} frameTime - Time spent updating and drawing the frame, in milliseconds
+     */
+    recordFrame(frameTime) {
+        if (!this.running) {
+            return;
+        }
+
+        this.frameIndex++;
+        if (this.frameIndex <= WARMUP_FRAMES) {
+            return;
+        }
+
+        this.samples.push(frameTime);
+        if (this.samples.length < this.frames) {
+            return;
+        }
+
+        this.results.push({ label: MODES[this.modeIndex].label, ...summarize(this.samples) });
+        this.modeIndex++;
+        if (this.modeIndex < MODES.length) {
+            this.beginMode();
+        } else {
+            this.finish();
+        }
+    }
+
+    /**
+     * Restore the scene and camera and report the results
+     */
+    finish() {
+        this.running = false;
+        this.scene.useLayerCache = this.saved.useLayerCache;
+        this.camera.setZoom(this.saved.zoom);
+        this.resultsShownAt = performance.now();
+
+        this.results.forEach(result => {
+            info(`RenderBenchmark: ${result.label}: ${result.average.toFixed(2)} ms average, ${result.p95.toFixed(2)} ms p95`);
+        });
+        const [before, after] = this.results;
+        if (before && after && after.average > 0) {
+            info(`RenderBenchmark: Layer cache is ${(before.average / after.average).toFixed(1)}x faster`);
+        }
+    }
+
+    /**
+     * Draw the progress or the results in the top-right corner (screen space)
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    render(ctx) {
+        let lines;
+        if (this.running) {
+            const measured = Math.max(0, this.frameIndex - WARMUP_FRAMES);
+            lines = [`Benchmark: ${MODES[this.modeIndex].label} ${measured}/${this.frames}`];
+        } else if (this.results && performance.now() - this.resultsShownAt < RESULT_DISPLAY_MS) {
+            lines = this.results.map(result =>
+                `${result.label}: ${result.average.toFixed(2)} ms (p95 ${result.p95.toFixed(2)} ms)`);
+        } else {
+            return;
+        }
+
+        ctx.save();
+        ctx.font = '14px monospace';
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 20;
+        const x = ctx.canvas.width - width - 10;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x, 10, width, lines.length * 20 + 12);
+        ctx.fillStyle = '#00ffcc';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, x + 10, 18 + i * 20));
+        ctx.restore();
+    }
+}
+
+// Shared benchmark driven by the main game loop
+const renderBenchmark = new RenderBenchmark();
+
+export { RenderBenchmark, renderBenchmark };
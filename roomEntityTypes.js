@@ -0,0 +1,114 @@
+/**
+ * Room Entity Types for AI Alchemist's Lair
+ * Registers the built-in room manifest types with the entity registry
+ *
+ * New entity kinds can be placed from a room manifest by registering a type
+ * here (or from their own module) instead of editing the main.js bootstrap
+ */
+
+import { registerEntityType } from './entityRegistry.js';
+import assetLoader from './assetLoader.js';
+import { DecorManager } from './decorManager.js';
+import { JukeboxManager } from './jukeboxManager.js';
+import { TVManager } from './tvManager.js';
+import { VibePortalManager } from './vibePortalManager.js';
+import { TrophyManager } from './trophyManager.js';
+import { XPortalManager } from './xPortalManager.js';
+import { SpellbookManager } from './spellbookManager.js';
+import { ArcadeManager } from './arcadeManager.js';
+import { ArcadeManager2 } from './arcadeManager2.js';
+
+// Manifest types that are all drawn by DecorEntity from a preset in decorPresets.js
+const DECOR_TYPES = ['decor', 'sign', 'rug', 'couch'];
+
+// Whether the built-in types have been registered already
+let defaultsRegistered = false;
+
+/**
+ * Register every built-in room manifest type
+ * Only the first call registers anything, so every room load can call it
+ */
+function registerDefaultEntityTypes() {
+    if (defaultsRegistered) {
+        return;
+    }
+    defaultsRegistered = true;
+
+    DECOR_TYPES.forEach(type => {
+        registerEntityType(type, {
+            manager: DecorManager,
+            preload: (manager) => manager.preloadAssets(),
+            place: (manager, object) => manager.addDecor(object.assetKey, object.position, object.options)
+        });
+    });
+
+    registerEntityType('jukebox', {
+        manager: JukeboxManager,
+        preload: (manager) => manager.preloadJukeboxes(),
+        place: (manager, object) => manager.addJukebox(object.position.x, object.position.y, object.assetKey)
+    });
+
+    registerEntityType('tv', {
+        manager: TVManager,
+        preload: (manager) => manager.preloadTVs(),
+        place: (manager, object) => manager.addTV(object.position.x, object.position.y, object.assetKey)
+    });
+
+    registerEntityType('trophy', {
+        manager: TrophyManager,
+        preload: (manager) => manager.preloadAssets(),
+        place: (manager, object) => manager.addTrophy({ position: object.position, ...object.options })
+    });
+
+    registerEntityType('xPortal', {
+        manager: XPortalManager,
+        preload: (manager) => manager.preloadAssets(),
+        place: (manager, object) => manager.addPortal({ position: object.position, ...object.options })
+    });
+
+    registerEntityType('spellbook', {
+        manager: SpellbookManager,
+        preload: (manager) => manager.preloadAssets(),
+        place: (manager, object) => manager.addSpellbook({ position: object.position, ...object.options })
+    });
+
+    registerEntityType('arcade', {
+        manager: ArcadeManager,
+        preload: (manager) => {
+            manager.preloadAssets(assetLoader);
+            // Arcade entities read window.assetLoader directly
+            window.assetLoader = assetLoader;
+        },
+        place: (manager, object) => manager.addArcade(
+            object.position.x, object.position.y, object.assetKey, { ...object.options }
+        )
+    });
+
+    registerEntityType('arcade2', {
+        manager: ArcadeManager2,
+        preload: (manager) => {
+            manager.preloadAssets(assetLoader);
+            // Arcade entities read window.assetLoader directly
+            window.assetLoader = assetLoader;
+        },
+        place: (manager, object) => manager.addArcade(
+            object.position.x, object.position.y, object.assetKey, { ...object.options }
+        )
+    });
+
+    registerEntityType('vibePortal', {
+        manager: VibePortalManager,
+        place: (manager, object) => {
+            const options = { position: object.position, ...object.options };
+
+            if (options.type === 'start') {
+                // Return portal only exists for players arriving from another Vibeverse game
+                return manager.shouldShowReturnPortal ? manager.addStartPortal(options) : null;
+            }
+
+            return manager.addExitPortal(options);
+        }
+    });
+}
+
+export { registerDefaultEntityTypes };
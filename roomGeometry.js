@@ -0,0 +1,248 @@
+/**
+ * Room Geometry module for AI Alchemist's Lair
+ * Reads a scene's grid size, floor, walls and door openings from its sceneData.js definition
+ *
+ * Every scene may declare a `geometry` block (all positions in grid cells):
+ *
+ *   geometry: {
+ *       gridWidth: 40, gridHeight: 30,          // Grid size
+ *       cellWidth: 64, cellHeight: 32,          // Isometric cell size in pixels (optional)
+ *       wallHeight: 4,                          // Wall tile rows stacked on each wall cell (optional)
+ *       floors: [                               // Floor rectangles; overlapping ones are merged
+ *           { x: 0, y: 0, width: 40, height: 12, tile: 'floorTile' },
+ *           { x: 0, y: 12, width: 16, height: 18 }  // L-shaped room
+ *       ],
+ *       walls: [                                // Wall segments, one cell thick
+ *           { side: 'north', x: 0, y: 0, length: 40 },   // Runs along +x, drawn with wallTileNE
+ *           { side: 'west', x: 0, y: 0, length: 30 },    // Runs along +y, drawn with wallTileNW
+ *           { side: 'north', x: 16, y: 12, length: 24 }  // Interior wall at the L's inner corner
+ *       ]
+ *   }
+ *
+ * Floors default to the whole grid and walls to the north (y = 0) and west (x = 0) edges.
+ * Door openings come from the scene's exits: an exit at gridX/gridY on a north/south wall
+ * becomes a door on a 'north' wall, and one on an east/west wall a door on a 'west' wall.
+ * TestScene, Camera, MiniMap, DoorwayManager and the pathfinder all read the same RoomGeometry.
+ * Wall cells and cells without floor also stop the player: Game.moveWithCollisions sweeps it
+ * against getBlockingCells() as well as against entities.
+ */
+
+import { scenes } from './sceneData.js';
+import { warn } from './utils.js';
+
+// Defaults for scenes that leave parts of their geometry out
+const DEFAULT_CELL_WIDTH = 64;
+const DEFAULT_CELL_HEIGHT = 32;
+const DEFAULT_WALL_HEIGHT = 4;
+const DEFAULT_FLOOR_TILE = 'floorTile';
+
+// Scene whose geometry is used when a scene has none
+const FALLBACK_SCENE = 'startRoom';
+
+// Built geometry per scene id
+const geometryCache = new Map();
+
+/**
+ * Map an exit direction to the wall style its door is set into
+ * @param {string} direction - Exit direction ('north', 'south', 'east' or 'west')
+ * @returns {string|null} - 'north' or 'west', or null if the exit isn't on a wall
+ */
+function getDoorSide(direction) {
+    if (direction === 'north' || direction === 'south') return 'north';
+    if (direction === 'east' || direction === 'west') return 'west';
+    return null;
+}
+
+class RoomGeometry {
+    /**
+     * Build a room's geometry from its scene definition
+     * @param {string} sceneId - Scene identifier
+     * @param {Object} definition - Scene's geometry block
+     * @param {Array} exits - Scene's exits (door openings)
+     */
+    constructor(sceneId, definition, exits = []) {
+        this.sceneId = sceneId;
+        this.gridWidth = definition.gridWidth;
+        this.gridHeight = definition.gridHeight;
+        this.cellWidth = definition.cellWidth || DEFAULT_CELL_WIDTH;
+        this.cellHeight = definition.cellHeight || DEFAULT_CELL_HEIGHT;
+        this.wallHeight = definition.wallHeight || DEFAULT_WALL_HEIGHT;
+
+        this.floors = (definition.floors || [{ x: 0, y: 0, width: this.gridWidth, height: this.gridHeight }])
+            .map(floor => ({ ...floor, tile: floor.tile || DEFAULT_FLOOR_TILE }));
+
+        this.walls = definition.walls || [
+            { side: 'north', x: 0, y: 0, length: this.gridWidth },
+            { side: 'west', x: 0, y: 0, length: this.gridHeight }
+        ];
+
+        this.doors = exits
+            .filter(exit => exit.gridX !== undefined && exit.gridY !== undefined && getDoorSide(exit.direction))
+            .map(exit => ({
+                side: exit.wallSide || getDoorSide(exit.direction),
+                x: exit.gridX,
+                y: exit.gridY,
+                exit
+            }));
+
+        // Per-cell lookups: floor tile key (or null) and whether a wall stands there
+        this.floorTiles = new Array(this.gridWidth * this.gridHeight).fill(null);
+        this.floors.forEach(floor => {
+            for (let x = Math.max(0, floor.x); x < Math.min(this.gridWidth, floor.x + floor.width); x++) {
+                for (let y = Math.max(0, floor.y); y < Math.min(this.gridHeight, floor.y + floor.height); y++) {
+                    this.floorTiles[y * this.gridWidth + x] = floor.tile;
+                }
+            }
+        });
+
+        // Wall cells in drawing order (segment by segment)
+        this.wallTiles = [];
+        this.walls.forEach(wall => {
+            for (let step = 0; step < wall.length; step++) {
+                this.wallTiles.push(wall.side === 'north'
+                    ? { side: 'north', x: wall.x + step, y: wall.y }
+                    : { side: 'west', x: wall.x, y: wall.y + step });
+            }
+        });
+
+        this.wallCells = new Uint8Array(this.gridWidth * this.gridHeight);
+        this.wallTiles.forEach(({ x, y }) => {
+            if (this.inBounds(x, y)) {
+                this.wallCells[y * this.gridWidth + x] = 1;
+            }
+        });
+
+        // Static one-cell obstacles for unwalkable cells, made on first use
+        this.cellBlockers = new Map();
+    }
+
+    /**
+     * Check whether a cell is inside the grid
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {boolean} - True if inside
+     */
+    inBounds(x, y) {
+        return x >= 0 && y >= 0 && x < this.gridWidth && y < this.gridHeight;
+    }
+
+    /**
+     * Get the floor tile asset drawn in a cell
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {string|null} - Asset key, or null if the cell has no floor
+     */
+    getFloorTile(x, y) {
+        return this.inBounds(x, y) ? this.floorTiles[y * this.gridWidth + x] : null;
+    }
+
+    /**
+     * Check whether a cell has floor
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {boolean} - True if the cell has floor
+     */
+    isFloor(x, y) {
+        return this.getFloorTile(x, y) !== null;
+    }
+
+    /**
+     * Check whether a wall stands in a cell
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {boolean} - True if the cell is a wall cell
+     */
+    isWall(x, y) {
+        return this.inBounds(x, y) && this.wallCells[y * this.gridWidth + x] === 1;
+    }
+
+    /**
+     * Check whether the player can stand in a cell
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {boolean} - True if the cell has floor and no wall
+     */
+    isWalkable(x, y) {
+        return this.isFloor(x, y) && !this.isWall(x, y);
+    }
+
+    /**
+     * Get obstacles for the unwalkable cells (walls, no floor) a box touches
+     * @param {number} minX - Left edge (grid units)
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @returns {Array<Object>} - Static, collidable one-cell boxes, as tall as the walls
+     */
+    getBlockingCells(minX, minY, maxX, maxY) {
+        const blockers = [];
+        for (let x = Math.max(0, Math.floor(minX)); x <= Math.min(this.gridWidth - 1, Math.floor(maxX)); x++) {
+            for (let y = Math.max(0, Math.floor(minY)); y <= Math.min(this.gridHeight - 1, Math.floor(maxY)); y++) {
+                if (this.isWalkable(x, y)) continue;
+
+                const index = y * this.gridWidth + x;
+                if (!this.cellBlockers.has(index)) {
+                    this.cellBlockers.set(index, {
+                        x, y, z: 0,
+                        width: 1, height: 1, zHeight: this.wallHeight,
+                        name: this.isWall(x, y) ? 'wall' : 'void',
+                        isStatic: true,
+                        collidable: true
+                    });
+                }
+                blockers.push(this.cellBlockers.get(index));
+            }
+        }
+        return blockers;
+    }
+
+    /**
+     * List every wall cell in drawing order (segment by segment)
+     * @returns {Array} - Wall tiles {side, x, y}
+     */
+    getWallTiles() {
+        return this.wallTiles;
+    }
+
+    /**
+     * Find the door opening set into a wall cell
+     * @param {string} side - Wall style ('north' or 'west')
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @returns {Object|null} - Door {side, x, y, exit}, or null
+     */
+    getDoorAt(side, x, y) {
+        return this.doors.find(door => door.side === side && door.x === x && door.y === y) || null;
+    }
+
+    /**
+     * Get the distinct floor tile assets used by the room
+     * @returns {string[]} - Asset keys
+     */
+    getFloorTileKeys() {
+        return [...new Set(this.floors.map(floor => floor.tile))];
+    }
+}
+
+/**
+ * Get a scene's geometry, building it on first use
+ * @param {string} sceneId - Scene identifier
+ * @returns {RoomGeometry} - Room geometry (the start room's if the scene defines none)
+ */
+function getRoomGeometry(sceneId) {
+    if (geometryCache.has(sceneId)) {
+        return geometryCache.get(sceneId);
+    }
+
+    let scene = scenes[sceneId];
+    if (!scene || !scene.geometry) {
+        warn(`RoomGeometry: Scene "${sceneId}" has no geometry, using "${FALLBACK_SCENE}"`);
+        scene = scenes[FALLBACK_SCENE];
+    }
+
+    const geometry = new RoomGeometry(scene.id, scene.geometry, scene.exits);
+    geometryCache.set(sceneId, geometry);
+    return geometry;
+}
+
+export { RoomGeometry, getRoomGeometry };
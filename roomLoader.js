@@ -0,0 +1,126 @@
+/**
+ * Room Loader for AI Alchemist's Lair
+ * Loads a room manifest (JSON) and places its objects through the entity registry
+ *
+ * Manifest format (assets/data/rooms/<roomId>.json):
+ * {
+ *   "version": 1,
+ *   "room": "startRoom",
+ *   "objects": [
+ *     { "type": "sign", "assetKey": "sign1", "position": { "x": 96.5, "y": 1.5, "z": 0 }, "options": {} }
+ *   ]
+ * }
+ */
+
+import { loadData } from './assets.js';
+import { getAssetPath } from './pathResolver.js';
+import { hasEntityType, createPlacementContext, placeEntity } from './entityRegistry.js';
+import { registerDefaultEntityTypes } from './roomEntityTypes.js';
+import { info, warn, error } from './utils.js';
+
+// Directory room manifests are served from
+const ROOM_MANIFEST_DIR = 'assets/data/rooms';
+
+// Manifest schema version this loader understands
+const ROOM_MANIFEST_VERSION = 1;
+
+/**
+ * Build the manifest path for a room
+ * @param {string} roomId - Room identifier (e.g. 'startRoom')
+ * @returns {string} - Resolved manifest path
+ */
+function getRoomManifestPath(roomId) {
+    return getAssetPath(`${ROOM_MANIFEST_DIR}/${roomId}.json`);
+}
+
+/**
+ * Check a manifest object and describe the first problem found
+ * @param {Object} object - Manifest object
+ * @returns {string|null} - Problem description, or null if the object is valid
+ */
+function validateRoomObject(object) {
+    if (!object || typeof object !== 'object') {
+        return 'entry is not an object';
+    }
+
+    if (typeof object.type !== 'string' || !hasEntityType(object.type)) {
+        return `unknown type "${object.type}"`;
+    }
+
+    const position = object.position;
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+        return 'position must have numeric x and y';
+    }
+
+    if (position.z !== undefined && !Number.isFinite(position.z)) {
+        return 'position.z must be numeric when given';
+    }
+
+    if (object.assetKey !== undefined && typeof object.assetKey !== 'string') {
+        return 'assetKey must be a string when given';
+    }
+
+    if (object.options !== undefined && (typeof object.options !== 'object' || object.options === null)) {
+        return 'options must be an object when given';
+    }
+
+    return null;
+}
+
+/**
+ * Place every valid object of a parsed manifest into the game
+ * Invalid entries are reported and skipped so one bad line doesn't empty the room
+ * @param {Game} game - Game instance entities are added to
+ * @param {Object} manifest - Parsed room manifest
+ * @returns {Array} - Entities that were placed
+ */
+function populateRoom(game, manifest) {
+    registerDefaultEntityTypes();
+
+    if (!manifest || !Array.isArray(manifest.objects)) {
+        throw new Error('RoomLoader: Manifest is missing an "objects" array');
+    }
+
+    if (manifest.version !== ROOM_MANIFEST_VERSION) {
+        warn(`RoomLoader: Manifest version ${manifest.version} differs from supported version ${ROOM_MANIFEST_VERSION}`);
+    }
+
+    const context = createPlacementContext(game);
+    const placed = [];
+
+    manifest.objects.forEach((object, index) => {
+        const problem = validateRoomObject(object);
+        if (problem) {
+            warn(`RoomLoader: Skipping object ${index} in room "${manifest.room}": ${problem}`);
+            return;
+        }
+
+        try {
+            const entity = placeEntity(context, object);
+            if (entity) {
+                placed.push(entity);
+            }
+        } catch (err) {
+            error(`RoomLoader: Failed to place ${object.type} (object ${index}) in room "${manifest.room}":`, err);
+        }
+    });
+
+    info(`RoomLoader: Room "${manifest.room}" populated with ${manifest.objects.length} manifest objects`);
+    return placed;
+}
+
+/**
+ * Fetch a room manifest and populate the game with its objects
+ * @param {Game} game - Game instance entities are added to
+ * @param {string} roomId - Room identifier (e.g. 'startRoom')
+ * @returns {Promise<Array>} - Resolves with the placed entities
+ */
+function loadRoom(game, roomId) {
+    const path = getRoomManifestPath(roomId);
+    info(`RoomLoader: Loading room "${roomId}" from ${path}`);
+
+    return loadData(`room:${roomId}`, path)
+        .then(manifest => populateRoom(game, manifest));
+}
+
+export { loadRoom, populateRoom, validateRoomObject, getRoomManifestPath };
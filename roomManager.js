@@ -0,0 +1,247 @@
+/**
+ * Room Manager for AI Alchemist's Lair
+ * Moves the player between rooms and keeps the game's entities scoped to the room they are in
+ *
+ * Every scene owns its own entity set, placed from its room manifest (assets/data/rooms/<sceneId>.json).
+ * Entering a room, whether through a door (the PortalSystem check in sceneIntegration.js) or the
+ * Shift+E/D/S/F shortcuts, goes through enterRoom(), which:
+ *   1. unloads the previous room's entities (their cleanup() runs) and rebuilds the SpatialGrid
+ *   2. places the player just inside the new room's door that leads back to the previous room
+ *   3. loads the new scene, which runs onExit/onEnter and switches the room geometry (sceneChanged)
+ *   4. places the new room's entities from its manifest
+ * A room without a manifest is entered empty.
+ *
+ * The door the player arrives by stays shut until they let go of the keys they walked in with and
+ * step out of its range; otherwise walking on would carry them straight back through it.
+ */
+
+import { scenes } from './sceneData.js';
+import { getRoomGeometry } from './roomGeometry.js';
+import { loadRoom } from './roomLoader.js';
+import { interactionManager } from './interactionManager.js';
+import { input } from './input.js';
+import { info, warn, error } from './utils.js';
+
+// How far inside the door the player appears, in grid units (outside the portal trigger range)
+const ENTRY_DISTANCE = 3;
+
+// Step into the room from a door on each wall, and the way the player faces after stepping through
+const INWARD_STEPS = {
+    north: { x: 0, y: 1, facing: 'south' },
+    south: { x: 0, y: -1, facing: 'north' },
+    east: { x: -1, y: 0, facing: 'west' },
+    west: { x: 1, y: 0, facing: 'east' }
+};
+
+class RoomManager {
+    constructor() {
+        this.game = null;
+        this.sceneManager = null;
+
+        // Scene whose entities are in the game, and the entities it placed
+        this.currentRoomId = null;
+        this.roomEntities = [];
+
+        // Bumped on every room change so a manifest that finishes loading late is discarded
+        this.loadToken = 0;
+        this.transitioning = false;
+
+        // Door the player came in through {sceneId, to, keys, stick, released}, shut until re-armed
+        this.arrivalDoor = null;
+    }
+
+    /**
+     * Connect the room manager to the game and scene manager
+     * @param {Game} game - Game whose entities are swapped between rooms
+     * @param {SceneManager} sceneManager - Scene manager that loads the scene data
+     */
+    init(game, sceneManager) {
+        this.game = game;
+        this.sceneManager = sceneManager;
+    }
+
+    /**
+     * Check whether a scene id names a room that can be entered
+     * @param {string} sceneId - Scene identifier
+     * @returns {boolean} - True for real rooms (not 'externalUrl' or 'comingSoon')
+     */
+    isRoom(sceneId) {
+        return Boolean(scenes[sceneId]);
+    }
+
+    /**
+     * Place a room's entities from its manifest, replacing whatever room is loaded
+     * @param {string} sceneId - Scene identifier
+     * @returns {Promise<Array>} - Resolves with the placed entities (empty if the room has no manifest)
+     */
+    loadRoomEntities(sceneId) {
+        this.unloadRoomEntities();
+
+        const token = ++this.loadToken;
+        this.currentRoomId = sceneId;
+
+        return loadRoom(this.game, sceneId)
+            .catch(err => {
+                warn(`RoomManager: No entities loaded for room "${sceneId}":`, err.message || err);
+                return [];
+            })
+            .then(entities => {
+                // The player left before the manifest arrived; take its entities back out
+                if (token !== this.loadToken) {
+                    entities.forEach(entity => this.releaseEntity(entity));
+                    this.game.rebuildSpatialGrid();
+                    return [];
+                }
+
+                entities.forEach(entity => {
+                    entity.sceneId = sceneId;
+                });
+                this.roomEntities = entities;
+                this.game.rebuildSpatialGrid();
+
+                info(`RoomManager: Room "${sceneId}" has ${entities.length} entities`);
+                return entities;
+            });
+    }
+
+    /**
+     * Remove the current room's entities from the game
+     */
+    unloadRoomEntities() {
+        if (!this.game) {
+            return;
+        }
+
+        this.roomEntities.forEach(entity => this.releaseEntity(entity));
+        this.roomEntities = [];
+
+        // Anything else left behind (entities added outside a manifest) goes too
+        this.game.clearEntities();
+    }
+
+    /**
+     * Take one entity out of the game and let it release its listeners and overlays
+     * @param {Object} entity - Entity to remove
+     */
+    releaseEntity(entity) {
+        interactionManager.unregister(entity);
+        if (typeof entity.cleanup === 'function') {
+            try {
+                entity.cleanup();
+            } catch (err) {
+                error('RoomManager: Entity cleanup failed:', err);
+            }
+        }
+        this.game.removeEntity(entity);
+    }
+
+    /**
+     * Find where the player appears when entering a room from another one
+     * @param {string} sceneId - Room being entered
+     * @param {string|null} fromSceneId - Room being left
+     * @returns {Object|null} - Position {x, y, direction} just inside the matching door, or null
+     */
+    getEntryPoint(sceneId, fromSceneId) {
+        const geometry = getRoomGeometry(sceneId);
+        const door = geometry.doors.find(candidate => candidate.exit.to === fromSceneId);
+        if (!door) {
+            return null;
+        }
+
+        const step = INWARD_STEPS[door.exit.direction] || INWARD_STEPS.north;
+        const x = door.x + 0.5 + step.x * ENTRY_DISTANCE;
+        const y = door.y + 0.5 + step.y * ENTRY_DISTANCE;
+        return {
+            x: Math.max(0, Math.min(geometry.gridWidth - 1, x)),
+            y: Math.max(0, Math.min(geometry.gridHeight - 1, y)),
+            direction: step.facing
+        };
+    }
+
+    /**
+     * Check whether a door is the one the player arrived by and is still shut
+     * @param {string} sceneId - Room the door is in
+     * @param {string} toSceneId - Room the door leads to
+     * @returns {boolean} - True if the player may not go through it yet
+     */
+    isArrivalDoor(sceneId, toSceneId) {
+        return Boolean(this.arrivalDoor) && this.arrivalDoor.sceneId === sceneId && this.arrivalDoor.to === toSceneId;
+    }
+
+    /**
+     * Re-arm the door the player arrived by once the keys (or stick) held through it are released
+     * and the player is out of its range; called every frame by the portal check
+     * @param {boolean} isNear - Whether the player is within the arrival door's trigger range
+     */
+    updateArrivalDoor(isNear) {
+        const door = this.arrivalDoor;
+        if (!door) {
+            return;
+        }
+
+        if (!door.released) {
+            const stickHeld = door.stick && (input.stick.x !== 0 || input.stick.y !== 0);
+            door.released = !stickHeld && !door.keys.some(key => input.keys[key]);
+        }
+        if (door.released && !isNear) {
+            this.arrivalDoor = null;
+        }
+    }
+
+    /**
+     * Move the player into another room
+     * @param {string} sceneId - Room to enter
+     * @param {Object} [options] - Transition options
+     * @param {boolean} [options.placePlayer=true] - Put the player at the door leading back to the room left
+     * @returns {Promise<Array>} - Resolves with the new room's entities
+     */
+    enterRoom(sceneId, { placePlayer = true } = {}) {
+        if (!this.isRoom(sceneId)) {
+            warn(`RoomManager: "${sceneId}" is not a room`);
+            return Promise.resolve([]);
+        }
+        if (this.transitioning) {
+            return Promise.resolve([]);
+        }
+
+        this.transitioning = true;
+        try {
+            const fromSceneId = this.sceneManager.getCurrentScene()?.id || null;
+            info(`RoomManager: Entering "${sceneId}"${fromSceneId ? ` from "${fromSceneId}"` : ''}`);
+
+            this.unloadRoomEntities();
+
+            const player = this.game.player;
+            const entry = placePlayer && player ? this.getEntryPoint(sceneId, fromSceneId) : null;
+            this.arrivalDoor = null;
+            if (entry) {
+                player.x = entry.x;
+                player.y = entry.y;
+                player.velocityX = 0;
+                player.velocityY = 0;
+                player.lastDirection = entry.direction;
+                this.arrivalDoor = {
+                    sceneId,
+                    to: fromSceneId,
+                    keys: Object.keys(input.keys).filter(key => input.keys[key]),
+                    stick: input.stick.x !== 0 || input.stick.y !== 0,
+                    released: false
+                };
+            } else if (placePlayer && player) {
+                warn(`RoomManager: "${sceneId}" has no door back to "${fromSceneId}", keeping the player's position`);
+            }
+
+            // Runs onExit/onEnter and lets the renderer, camera and mini-map switch geometry
+            this.sceneManager.loadScene(sceneId);
+        } finally {
+            this.transitioning = false;
+        }
+
+        return this.loadRoomEntities(sceneId);
+    }
+}
+
+// Shared room manager, connected to the game by main.js
+const roomManager = new RoomManager();
+
+export { RoomManager, roomManager };
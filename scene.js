@@ -9,6 +9,18 @@ import { isometricRenderer } from './isometricRenderer.js';
 import doorwayManager from './doorways.js';
 import { directionalLabelsManager } from './directionalLabels.js'; 
 import { characterRenderer } from './characterRenderer.js';
+import { sortEntitiesForRendering } from './depthSort.js';
+import { StaticLayerCache } from './staticLayerCache.js';
+import { getRoomGeometry } from './roomGeometry.js';
+
+// Opacity of large props drawn in front of the player while they hide them
+const OCCLUDER_FADE_ALPHA = 0.45;
+
+// Props with a footprint at least this large (grid units squared) fade when hiding the player
+const OCCLUDER_MIN_AREA = 2;
+
+// Scene whose doorways are drawn into the north wall
+const WALL_DOOR_SCENE = 'testScene'; // This should be obtained from scene manager in production
 
 // Set to false to disable verbose rendering optimization logs
 const VERBOSE_RENDERING_DEBUG = false;
@@ -21,25 +33,23 @@ function conditionalDebug(...args) {
 }
 
 class TestScene {
-    constructor() {
-        // Grid cell dimensions
-        this.cellWidth = 64;
-        this.cellHeight = 32;
-        
-        // Grid size - Increased from 10x10 to provide a larger game world
-        this.gridWidth = 200;
-        this.gridHeight = 80;
+    /**
+     * Create the scene
+     * @param {string} sceneId - Scene whose room geometry (grid, floors, walls, doors) is drawn
+     */
+    constructor(sceneId = 'startRoom') {
+        // Room layout from the scene definition in sceneData.js
+        this.setGeometry(getRoomGeometry(sceneId));
         
         // Flag to show entity names
         this.showEntityNames = true;
         
-        // Define doorway positions in walls
-        this.doorPositions = {
-            north: 93, // Position along the north wall (0-gridWidth)
-            west: 6   // Position along the west wall (0-gridHeight)
-        };
+        // Fade large props that stand in front of the player
+        this.fadeOccluders = true;
         
-        console.log('Door positions set:', this.doorPositions);
+        // Draw the floor and walls from pre-rendered chunks instead of tile by tile
+        this.useLayerCache = true;
+        this.layerCache = new StaticLayerCache(this);
         
         debug('TestScene initialized', { 
             gridSize: `${this.gridWidth}x${this.gridHeight}`,
@@ -47,6 +57,27 @@ class TestScene {
         });
     }
     
+    /**
+     * Switch to a room's geometry
+     * @param {RoomGeometry} geometry - Room geometry from roomGeometry.js
+     */
+    setGeometry(geometry) {
+        this.geometry = geometry;
+        
+        // Grid cell dimensions and grid size
+        this.cellWidth = geometry.cellWidth;
+        this.cellHeight = geometry.cellHeight;
+        this.gridWidth = geometry.gridWidth;
+        this.gridHeight = geometry.gridHeight;
+        
+        if (this.layerCache) {
+            this.layerCache.invalidate(`room geometry changed to ${geometry.sceneId}`);
+        }
+        
+        debug(`TestScene: Using ${geometry.sceneId} geometry (${this.gridWidth}x${this.gridHeight}, ` +
+              `${geometry.walls.length} wall segments, ${geometry.doors.length} doors)`);
+    }
+    
     /**
      * Initialize the scene
      */
@@ -171,23 +202,22 @@ class TestScene {
             // 3. Translate to offset camera position
             ctx.translate(-camera.x, -camera.y);
             
-            // Draw floor tiles first (bottom layer)
-            for (let i = Math.max(0, startI); i < Math.min(this.gridWidth, endI); i++) {
-                for (let j = Math.max(0, startJ); j < Math.min(this.gridHeight, endJ); j++) {
-                    // Use the cellWidth and cellHeight of the scene for consistency
-                    const screenX = (i - j) * (this.cellWidth / 2);
-                    const screenY = (i + j) * (this.cellHeight / 2);
-                    
-                    // Use isometricRenderer to draw the floor tile
-                    isometricRenderer.renderFloorTile(ctx, screenX, screenY, this.cellWidth, this.cellHeight);
-                    
-                    renderedCells++;
-                }
+            if (this.useLayerCache) {
+                // Blit the pre-rendered floor and walls (see staticLayerCache.js)
+                this.layerCache.render(ctx, {
+                    left: topLeftWorldX,
+                    top: topLeftWorldY,
+                    right: bottomRightWorldX,
+                    bottom: bottomRightWorldY
+                }, camera.zoom);
+            } else {
+                // Draw floor tiles first (bottom layer)
+                renderedCells = this.drawFloorTiles(ctx, { startI, endI, startJ, endJ });
+                
+                // Draw walls for the boundaries (after floor tiles)
+                this.drawWalls(ctx);
             }
             
-            // Draw walls for the boundaries (after floor tiles)
-            this.drawWalls(ctx);
-            
             // Log optimization statistics
             conditionalDebug('Rendering optimization', { 
                 renderedCells,
@@ -200,16 +230,7 @@ class TestScene {
             debug('Rendering without camera (centered)');
             
             // Draw full isometric grid when no camera is available
-            for (let i = 0; i < this.gridWidth; i++) {
-                for (let j = 0; j < this.gridHeight; j++) {
-                    // Use the cellWidth and cellHeight of the scene for consistency
-                    const screenX = (i - j) * (this.cellWidth / 2);
-                    const screenY = (i + j) * (this.cellHeight / 2);
-                    
-                    // Use isometricRenderer to draw the floor tile
-                    isometricRenderer.renderFloorTile(ctx, screenX, screenY, this.cellWidth, this.cellHeight);
-                }
-            }
+            this.drawFloorTiles(ctx, { startI: 0, endI: this.gridWidth, startJ: 0, endJ: this.gridHeight });
             
             // Draw walls for the boundaries (after floor tiles)
             this.drawWalls(ctx);
@@ -247,26 +268,9 @@ class TestScene {
             });
         }
         
-        // Apply painter's algorithm - sort entities by depth (y position + height)
-        // This ensures entities in the back are drawn first
-        allEntities.sort((a, b) => {
-            // First check for explicit render priorities
-            if (a.renderPriority !== undefined && b.renderPriority !== undefined) {
-                if (a.renderPriority !== b.renderPriority) {
-                    return a.renderPriority - b.renderPriority; // Lower priority renders first (underneath)
-                }
-            } else if (a.renderPriority !== undefined) {
-                return -1; // If only a has priority, it goes first
-            } else if (b.renderPriority !== undefined) {
-                return 1;  // If only b has priority, it goes first
-            }
-            
-            // If no priorities or they're equal, use the standard depth sorting
-            // Calculate effective y-position including z-height for proper sorting
-            const aDepth = a.y + (a.z || 0);
-            const bDepth = b.y + (b.z || 0);
-            return aDepth - bDepth; // Sort from back to front
-        });
+        // Apply painter's algorithm - sort entities back to front by isometric footprint
+        // (rugs and other renderPriority entities first); see depthSort.js
+        const sortedEntities = sortEntitiesForRendering(allEntities);
         
         // Draw all entities in depth-sorted order
         conditionalDebug("RENDER", `Rendering ${allEntities.length} entities in depth-sorted order`);
@@ -274,9 +278,9 @@ class TestScene {
         // Track actual entities rendered successfully
         let renderedCount = 0;
         
-        this.drawEntities(ctx, allEntities);
+        this.drawEntities(ctx, sortedEntities);
         
-        conditionalDebug("RENDER", `Successfully rendered ${renderedCount}/${allEntities.length} entities`);
+        conditionalDebug("RENDER", `Successfully rendered ${renderedCount}/${sortedEntities.length} entities`);
         
         // Draw debug information if game is provided
         if (game && game.debugRenderer) {
@@ -289,6 +293,10 @@ class TestScene {
                 game.debugRenderer.drawSpatialGrid(ctx, game.spatialGrid, camera, this);
             }
             
+            if (game.debugRenderer.showContactNormals) {
+                game.debugRenderer.drawContactNormals(ctx, game.contacts, this);
+            }
+            
             if (game.debugRenderer.showEntityInfo && playerEntity) {
                 game.debugRenderer.drawEntityInfo(ctx, playerEntity, camera, this);
             }
@@ -324,6 +332,10 @@ class TestScene {
             let entitiesRendered = 0;
             let playerEntityFound = false;
             
+            // Player's on-screen sprite area, for fading props drawn over it
+            const player = this.fadeOccluders ? entities.find(entity => entity.isPlayer) : null;
+            const playerBounds = player ? this.getEntityScreenBounds(player) : null;
+            
             // Draw all entities with proper depth
             for (const entity of entities) {
                 // Check if this is the player entity for diagnostics
@@ -337,9 +349,17 @@ class TestScene {
                     });
                 }
                 
-                // Render the entity
+                // Render the entity, see-through if it is a large prop hiding the player
                 try {
+                    const fade = playerEntityFound && !entity.isPlayer && this.isOccludingPlayer(entity, playerBounds);
+                    if (fade) {
+                        ctx.save();
+                        ctx.globalAlpha = OCCLUDER_FADE_ALPHA;
+                    }
                     this.drawEntity(ctx, entity);
+                    if (fade) {
+                        ctx.restore();
+                    }
                     entitiesRendered++;
                 } catch (error) {
                     console.error("Error rendering entity:", error, entity);
@@ -361,6 +381,70 @@ class TestScene {
         ctx.restore();
     }
     
+    /**
+     * Get the screen rectangle an entity is drawn in (scene coordinates, before the camera transform)
+     * @param {Object} entity - Entity
+     * @returns {Object} - Rectangle {x, y, width, height}
+     */
+    getEntityScreenBounds(entity) {
+        const x = entity.x || 0;
+        const y = entity.y || 0;
+        const width = entity.width || 0.6;
+        const height = entity.height || 0.6;
+        const screenX = (x - y) * (this.cellWidth / 2);
+        const screenY = (x + y) * (this.cellHeight / 2);
+        const zOffset = (entity.z || 0) * this.cellHeight;
+        const entityWidth = width * this.cellWidth;
+        const entityHeight = height * this.cellHeight;
+
+        // Decor knows its own image placement
+        if (typeof entity.getDrawRect === 'function') {
+            return entity.getDrawRect(screenX, screenY, entityWidth, entityHeight, zOffset);
+        }
+
+        // Matches the sprite size in Player.draw
+        if (entity.isPlayer) {
+            return {
+                x: screenX - entityWidth * 0.75,
+                y: screenY - entityHeight * 3.5 + entityHeight / 1.5 - zOffset,
+                width: entityWidth * 1.5,
+                height: entityHeight * 3.5
+            };
+        }
+
+        // Otherwise the footprint's diamond raised by the entity's height
+        const halfWidth = (width + height) * this.cellWidth / 4;
+        const halfDepth = (width + height) * this.cellHeight / 4;
+        const rise = (entity.zHeight || 0.5) * this.cellHeight * 2;
+        return {
+            x: screenX - halfWidth,
+            y: screenY - halfDepth - rise - zOffset,
+            width: halfWidth * 2,
+            height: halfDepth * 2 + rise
+        };
+    }
+
+    /**
+     * Check whether an entity drawn after the player is a large prop covering them
+     * @param {Object} entity - Entity drawn in front of the player
+     * @param {Object|null} playerBounds - Player's screen rectangle
+     * @returns {boolean} - True if the entity should be drawn see-through
+     */
+    isOccludingPlayer(entity, playerBounds) {
+        if (!playerBounds || entity.fadeWhenOccluding === false) {
+            return false;
+        }
+        if ((entity.width || 0.6) * (entity.height || 0.6) < OCCLUDER_MIN_AREA) {
+            return false;
+        }
+
+        const bounds = this.getEntityScreenBounds(entity);
+        return bounds.x < playerBounds.x + playerBounds.width &&
+               bounds.x + bounds.width > playerBounds.x &&
+               bounds.y < playerBounds.y + playerBounds.height &&
+               bounds.y + bounds.height > playerBounds.y;
+    }
+    
     /**
      * Draw an entity with proper isometric perspective and z-height
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
@@ -506,40 +590,111 @@ class TestScene {
         }
     }
     
+    /**
+     * Draw the floor tiles in a range of cells (clamped to the room; cells without floor are skipped)
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} range - Cell range {startI, endI, startJ, endJ} (end exclusive)
+     * @returns {number} - Number of tiles drawn
+     */
+    drawFloorTiles(ctx, range) {
+        let drawn = 0;
+        for (let i = Math.max(0, range.startI); i < Math.min(this.gridWidth, range.endI); i++) {
+            for (let j = Math.max(0, range.startJ); j < Math.min(this.gridHeight, range.endJ); j++) {
+                const tile = this.geometry.getFloorTile(i, j);
+                if (!tile) continue;
+                
+                // Use the cellWidth and cellHeight of the scene for consistency
+                const screenX = (i - j) * (this.cellWidth / 2);
+                const screenY = (i + j) * (this.cellHeight / 2);
+                
+                // Use isometricRenderer to draw the floor tile
+                isometricRenderer.renderFloorTile(ctx, screenX, screenY, this.cellWidth, this.cellHeight, tile);
+                drawn++;
+            }
+        }
+        return drawn;
+    }
+    
+    /**
+     * Get the cells whose floor tiles can show inside an area of the scene
+     * @param {Object} area - Area in scene coordinates {left, top, right, bottom}
+     * @returns {Object} - Cell range {startI, endI, startJ, endJ} (end exclusive)
+     */
+    getCellRangeForArea(area) {
+        const halfWidth = this.cellWidth / 2;
+        const halfHeight = this.cellHeight / 2;
+        const toI = (x, y) => (x / halfWidth + y / halfHeight) / 2;
+        const toJ = (x, y) => (y / halfHeight - x / halfWidth) / 2;
+        
+        // One cell of margin covers the floor tile image overhanging its cell
+        return {
+            startI: Math.floor(toI(area.left, area.top)) - 1,
+            endI: Math.ceil(toI(area.right, area.bottom)) + 1,
+            startJ: Math.floor(toJ(area.right, area.top)) - 1,
+            endJ: Math.ceil(toJ(area.left, area.bottom)) + 1
+        };
+    }
+    
+    /**
+     * Check whether an area of the scene can contain any floor or wall
+     * @param {Object} area - Area in scene coordinates {left, top, right, bottom}
+     * @returns {boolean} - True if the room's floor or walls may show in the area
+     */
+    overlapsRoom(area) {
+        // The room's diamond, with headroom above for the walls and doors
+        const left = -this.gridHeight * this.cellWidth / 2 - this.cellWidth;
+        const right = this.gridWidth * this.cellWidth / 2 + this.cellWidth;
+        const top = -this.cellHeight * 8;
+        const bottom = (this.gridWidth + this.gridHeight) * this.cellHeight / 2 + this.cellHeight;
+        return area.right >= left && area.left <= right && area.bottom >= top && area.top <= bottom;
+    }
+    
+    /**
+     * Describe the open/closed state of the doors drawn into the walls
+     * @returns {string} - One character per door, so the layer cache can tell when a door changes
+     */
+    getWallDoorSignature() {
+        const doorways = doorwayManager.doorwaysByScene[WALL_DOOR_SCENE] || [];
+        return doorways.map(door => door.isOpen ? 'o' : 'c').join('');
+    }
+    
     /**
      * Draw walls for the boundaries
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object|null} bounds - Only draw wall columns that can show in this area {left, top, right, bottom}
      */
-    drawWalls(ctx) {
+    drawWalls(ctx, bounds = null) {
         // Get the current scene ID for doorway integration
-        const currentScene = 'testScene'; // This should be obtained from scene manager in production
+        const currentScene = WALL_DOOR_SCENE;
         
-        // Wall height in grid units (how many wall tiles to stack)
-        const wallHeight = 4; // Increased from 2 to 3 rows for taller walls
+        // Wall height in grid units (how many wall tiles to stack), from the room geometry
+        const wallHeight = this.geometry.wallHeight;
         
-        // Draw north wall (along the top edge of the grid)
-        for (let i = 0; i < this.gridWidth; i++) {
-            // First row of wall tiles
-            this.drawNorthWallRow(ctx, i, 0, currentScene, 0);
-            
-            // Additional rows of wall tiles (stacked on top)
-            for (let row = 1; row < wallHeight; row++) {
-                const verticalOffset = -row * this.cellHeight * .95; // Stack tiles with some overlap
-                this.drawNorthWallRow(ctx, i, verticalOffset, currentScene, row);
-            }
-        }
+        // A wall column (with its stacked rows and any door) stays within a cell to either side
+        // and 8 cell heights above its base
+        const isColumnVisible = (i, j) => {
+            if (!bounds) return true;
+            const screenX = (i - j) * (this.cellWidth / 2);
+            const screenY = (i + j) * (this.cellHeight / 2);
+            return screenX + this.cellWidth >= bounds.left && screenX - this.cellWidth <= bounds.right &&
+                   screenY + this.cellHeight >= bounds.top && screenY - this.cellHeight * 8 <= bounds.bottom;
+        };
         
-        // Draw west wall (along the left edge of the grid)
-        for (let j = 0; j < this.gridHeight; j++) {
+        // Draw every wall segment of the room (north-style walls run along x, west-style along y)
+        this.geometry.getWallTiles().forEach(({ side, x, y }) => {
+            if (!isColumnVisible(x, y)) return;
+            
+            const drawRow = side === 'north' ? this.drawNorthWallRow : this.drawWestWallRow;
+            
             // First row of wall tiles
-            this.drawWestWallRow(ctx, j, 0, currentScene, 0);
+            drawRow.call(this, ctx, x, y, 0, currentScene, 0);
             
             // Additional rows of wall tiles (stacked on top)
             for (let row = 1; row < wallHeight; row++) {
                 const verticalOffset = -row * this.cellHeight * .95; // Stack tiles with some overlap
-                this.drawWestWallRow(ctx, j, verticalOffset, currentScene, row);
+                drawRow.call(this, ctx, x, y, verticalOffset, currentScene, row);
             }
-        }
+        });
         
         // Add glowing edge effect at corners
         const cornerX = (0 - 0) * (this.cellWidth / 2); // Corner at (0,0)
@@ -570,23 +725,28 @@ class TestScene {
     }
     
     /**
-     * Draw a single row of the north wall
+     * Draw a single row of a north-style wall tile
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {number} position - Position along the wall
+     * @param {number} x - Wall cell X
+     * @param {number} y - Wall cell Y
      * @param {number} verticalOffset - Vertical offset for stacking
      * @param {string} currentScene - Current scene ID
      * @param {number} row - Row index (0 = bottom, 1+ = stacked rows)
      */
-    drawNorthWallRow(ctx, position, verticalOffset, currentScene, row) {
+    drawNorthWallRow(ctx, x, y, verticalOffset, currentScene, row) {
         // Calculate isometric position for the wall tile
-        const i = position;
-        const j = 0;
+        const i = x;
+        const j = y;
+        const position = x; // Position along the wall
         const screenX = (i - j) * (this.cellWidth / 2);
         const screenY = (i + j) * (this.cellHeight / 2) + verticalOffset;
         
+        // Door openings come from the room geometry (the scene's exits)
+        const hasDoor = this.geometry.getDoorAt('north', x, y) !== null;
+        
         // For doors, only render them on the bottom row (row 0)
         // and render taller doors that span both rows
-        if (position === this.doorPositions.north && row === 0) {
+        if (hasDoor && row === 0) {
             // DIRECT DEBUG: First check if the door is open by querying doorwayManager directly
             const doorways = doorwayManager.doorwaysByScene[currentScene] || [];
             const matchingDoors = doorways.filter(door => 
@@ -669,7 +829,7 @@ class TestScene {
             }
         } 
         // Skip rendering the wall tile behind the door on the second row
-        else if (position === this.doorPositions.north && row > 0) {
+        else if (hasDoor && row > 0) {
             // Skip rendering wall tile here (door spans this space)
         }
         else {
@@ -679,17 +839,18 @@ class TestScene {
     }
     
     /**
-     * Draw a single row of the west wall
+     * Draw a single row of a west-style wall tile
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {number} position - Position along the wall
+     * @param {number} x - Wall cell X
+     * @param {number} y - Wall cell Y
      * @param {number} verticalOffset - Vertical offset for stacking
      * @param {string} currentScene - Current scene ID
      * @param {number} row - Row index (0 = bottom, 1+ = stacked rows)
      */
-    drawWestWallRow(ctx, position, verticalOffset, currentScene, row) {
+    drawWestWallRow(ctx, x, y, verticalOffset, currentScene, row) {
         // Calculate isometric position for the wall tile
-        const i = 0;
-        const j = position;
+        const i = x;
+        const j = y;
         const screenX = (i - j) * (this.cellWidth / 2);
         const screenY = (i + j) * (this.cellHeight / 2) + verticalOffset;
         
@@ -1,6 +1,10 @@
 /**
  * Scene Data Module
  * Contains data structures for all game scenes
+ *
+ * Each scene's `geometry` block is its one room definition (grid size, floors, walls);
+ * door openings come from its exits. See roomGeometry.js for the format.
+ * A scene's entities are placed from assets/data/rooms/<id>.json when it is entered (roomManager.js).
  */
 
 import { InteractiveObject } from './interactiveObjects.js';
@@ -10,8 +14,20 @@ export const scenes = {
         id: 'startRoom',
         name: 'Start Room',
         description: 'The starting point of the portfolio journey.',
-        width: 400, // Canvas units
-        height: 300,
+        geometry: {
+            gridWidth: 200,
+            gridHeight: 80,
+            cellWidth: 64,
+            cellHeight: 32,
+            wallHeight: 4,
+            floors: [
+                { x: 0, y: 0, width: 200, height: 80, tile: 'floorTile' }
+            ],
+            walls: [
+                { side: 'north', x: 0, y: 0, length: 200 },
+                { side: 'west', x: 0, y: 0, length: 80 }
+            ]
+        },
         exits: [
             { 
                 direction: 'north', 
@@ -21,8 +37,19 @@ export const scenes = {
                 gridX: 93,  // Center of north wall
                 gridY: 0,   // Top of the room (exit)
                 label: 'AI Alchemist\'s Lair' // Descriptive label for the destination
+            },
+            {
+                direction: 'north',
+                to: 'circuitSanctum',
+                gridX: 60,  // North wall, west of the lair door
+                gridY: 0
+            },
+            {
+                direction: 'north',
+                to: 'neonPhylactery',
+                gridX: 130, // North wall, east of the lair door
+                gridY: 0
             }
-            // West wall door removed - only using north wall door
         ],
         objects: [
             new InteractiveObject('startPortal', 'portal', { x: 180, y: 100 })
@@ -41,15 +68,16 @@ export const scenes = {
     'circuitSanctum': {
         id: 'circuitSanctum',
         name: 'Circuit Sanctum',
-        width: 800,
-        height: 600,
+        geometry: {
+            gridWidth: 16,
+            gridHeight: 16
+        },
         exits: [
-            { 
-                direction: 'south', 
-                to: 'startRoom', 
-                position: { x: 400, y: 600 },
-                gridX: 8,    // Center of south wall
-                gridY: 14    // Bottom of the room (exit)
+            {
+                direction: 'north',
+                to: 'startRoom',
+                gridX: 8,   // Center of north wall
+                gridY: 0
             }
         ],
         objects: [
@@ -69,15 +97,16 @@ export const scenes = {
     'neonPhylactery': {
         id: 'neonPhylactery',
         name: 'Neon Phylactery',
-        width: 800,
-        height: 600,
+        geometry: {
+            gridWidth: 16,
+            gridHeight: 16
+        },
         exits: [
-            { 
-                direction: 'west', 
-                to: 'startRoom', 
-                position: { x: 0, y: 300 },
-                gridX: 14,  // East wall - positioned at (14.0, 6.3) as requested
-                gridY: 6.3   // Positioned on east wall at 6.3
+            {
+                direction: 'north',
+                to: 'startRoom',
+                gridX: 8,   // Center of north wall
+                gridY: 0
             }
         ],
         objects: [
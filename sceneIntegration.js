@@ -5,11 +5,12 @@
 
 import { SceneManager } from './sceneManager.js';
 import { SceneRenderer } from './sceneRenderer.js';
-import { input } from './input.js';
+import { actionMap } from './actionMap.js';
 import { ObjectInteraction } from './objectInteraction.js';
 import { isSceneTestingActive, getCurrentTestScene, isForceRerenderRequested } from './gameBridge.js';
 import PortalSystem from './portalSystem.js';
 import PortalRenderer from './portalRenderer.js';
+import { roomManager } from './roomManager.js';
 
 // Canvas reference for rendering
 let canvasContext;
@@ -30,12 +31,20 @@ window.portalRenderer = portalRenderer; // Make available globally for renderer
 // Timestamp to track last render
 let lastRenderTime = 0;
 
+// Room shortcut actions (Shift+E/D/S/F by default) and the exit direction each one takes
+const TRANSITION_ACTIONS = {
+    roomNorth: 'north',
+    roomSouth: 'south',
+    roomWest: 'west',
+    roomEast: 'east'
+};
+
 // Track consumed keys to avoid interfering with movement
 const consumedKeys = {
-    ShiftE: false,
-    ShiftD: false,
-    ShiftS: false,
-    ShiftF: false
+    roomNorth: false,
+    roomSouth: false,
+    roomWest: false,
+    roomEast: false
 };
 
 /**
@@ -87,13 +96,21 @@ export function updateScene(deltaTime, player) {
             const playerGridY = player.gridY !== undefined ? player.gridY : Math.floor(player.y);
             
             // Check for nearby portals (with a proximity threshold of 1.5 grid units)
-            const nearbyPortals = portalSystem.getNearbyPortals(
+            const portalsInRange = portalSystem.getNearbyPortals(
                 playerGridX, 
                 playerGridY, 
                 currentScene.id,
                 1.5
             );
             
+            // The door the player just came in by stays shut until they let go of the keys and step away
+            const isArrivalDoor = portalId => {
+                const portal = portalSystem.getPortal(portalId);
+                return roomManager.isArrivalDoor(portal.sourceScene, portal.targetScene);
+            };
+            roomManager.updateArrivalDoor(portalsInRange.some(isArrivalDoor));
+            const nearbyPortals = portalsInRange.filter(portalId => !isArrivalDoor(portalId));
+            
             // If player is near a portal, trigger transition
             if (nearbyPortals.length > 0) {
                 // Use the first nearby portal
@@ -133,36 +150,13 @@ function handleSceneTransitions() {
     // Only check for transitions if we have a current scene and not already handling key presses
     if (!sceneManager.getCurrentScene()) return;
     
-    // Keep track of transition commands for this frame
-    let transitionDetected = false;
-
-    // Use Shift+E for north/up transition
-    if (input.isKeyPressed('e') && input.isKeyPressed('Shift') && !consumedKeys.ShiftE) {
-        sceneManager.transitionTo('north');
-        transitionDetected = true;
-        consumedKeys.ShiftE = true;
-    }
-    
-    // Use Shift+D for south/down transition
-    if (input.isKeyPressed('d') && input.isKeyPressed('Shift') && !consumedKeys.ShiftD) {
-        sceneManager.transitionTo('south');
-        transitionDetected = true;
-        consumedKeys.ShiftD = true;
-    }
-    
-    // Use Shift+S for west/left transition
-    if (input.isKeyPressed('s') && input.isKeyPressed('Shift') && !consumedKeys.ShiftS) {
-        sceneManager.transitionTo('west');
-        transitionDetected = true;
-        consumedKeys.ShiftS = true;
-    }
-    
-    // Use Shift+F for east/right transition
-    if (input.isKeyPressed('f') && input.isKeyPressed('Shift') && !consumedKeys.ShiftF) {
-        sceneManager.transitionTo('east');
-        transitionDetected = true;
-        consumedKeys.ShiftF = true;
-    }
+    // Use the room shortcut bound to each direction (see actionMap.js)
+    Object.entries(TRANSITION_ACTIONS).forEach(([actionId, direction]) => {
+        if (actionMap.isPressed(actionId) && !consumedKeys[actionId]) {
+            sceneManager.transitionTo(direction);
+            consumedKeys[actionId] = true;
+        }
+    });
     
     // Don't reset input state - let the main game handle movement
 }
@@ -175,6 +169,14 @@ export function getSceneManager() {
     return sceneManager;
 }
 
+/**
+ * Get the object interaction instance (handles canvas clicks)
+ * @returns {ObjectInteraction} The object interaction instance
+ */
+export function getObjectInteraction() {
+    return objectInteraction;
+}
+
 /**
  * Get the scene renderer instance
  * @returns {SceneRenderer} The scene renderer instance
@@ -1,6 +1,7 @@
 import { scenes } from './sceneData.js';
 import assetLoader from './assetLoader.js';
 import { getSceneRenderer } from './sceneIntegration.js';
+import { roomManager } from './roomManager.js';
 import { debug } from './utils.js';
 
 // Set to false to disable verbose scene management logs
@@ -44,6 +45,9 @@ class SceneManager {
             if (this.currentScene.logic && this.currentScene.logic.onEnter) {
                 this.currentScene.logic.onEnter();
             }
+            
+            // Let the renderer, camera and mini-map switch to the new room's geometry
+            document.dispatchEvent(new CustomEvent('sceneChanged', { detail: { sceneId } }));
         } else {
             console.error(`Scene not found: ${sceneId}`);
         }
@@ -67,9 +71,10 @@ class SceneManager {
 
     transitionTo(direction) {
         const currentExits = this.currentScene.exits;
-        const exit = currentExits.find(exit => exit.direction === direction);
+        const exit = currentExits.find(exit => exit.direction === direction && scenes[exit.to]);
         if (exit) {
-            this.loadScene(exit.to);
+            // Go through the room manager so the rooms' entities are swapped too
+            roomManager.enterRoom(exit.to);
         } else {
             conditionalDebug("SCENE", `No exit in direction: ${direction}`);
         }
@@ -0,0 +1,233 @@
+/**
+ * Session State for AI Alchemist's Lair
+ * Saves the player's session to localStorage and restores it on the next visit,
+ * including after leaving through a portal or exit door and coming back
+ *
+ * Stored format (bump SESSION_VERSION when it changes; older saves are discarded):
+ * {
+ *   "version": 1,
+ *   "savedAt": "2025-04-01T12:00:00.000Z",
+ *   "scene": "startRoom",
+ *   "player": { "x": 95, "y": 35, "lastDirection": "south" },
+ *   "camera": { "zoom": 1 },
+ *   "miniMap": { "visible": true }
+ * }
+ */
+
+import { debug, warn } from './utils.js';
+
+const SESSION_STORAGE_KEY = 'aiAlchemistsLair.session';
+const SESSION_VERSION = 1;
+
+// Grid units to step back from an exit when saving on the way out, so the
+// player does not land inside the portal's trigger range when they return
+const SESSION_EXIT_STEP_BACK = 3;
+
+// Ignore ordinary saves for this long after an exit save (the page unload that follows would overwrite it)
+const EXIT_SAVE_HOLD_MS = 5000;
+
+// Facing directions Player.lastDirection can hold, with their grid unit vectors
+const DIRECTION_VECTORS = {
+    north: { x: 0, y: -1 },
+    northeast: { x: 0.7071, y: -0.7071 },
+    east: { x: 1, y: 0 },
+    southeast: { x: 0.7071, y: 0.7071 },
+    south: { x: 0, y: 1 },
+    southwest: { x: -0.7071, y: 0.7071 },
+    west: { x: -1, y: 0 },
+    northwest: { x: -0.7071, y: -0.7071 }
+};
+
+// Function returning the live session snapshot, registered by main.js
+let sessionSource = null;
+
+// Time of the last exit save
+let exitSavedAt = 0;
+
+/**
+ * Get localStorage if the browser allows it (it throws in some privacy modes)
+ * @returns {Storage|null} - Storage object or null
+ */
+function getStorage() {
+    try {
+        return window.localStorage || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Register the function that captures the current session
+ * @param {Function} source - Returns a session snapshot (see createSessionSnapshot)
+ */
+function setSessionSource(source) {
+    sessionSource = source;
+}
+
+/**
+ * Build a session snapshot from the live game objects
+ * @param {Object} state - Live state
+ * @param {Player} state.player - Player entity
+ * @param {Camera} state.camera - Camera
+ * @param {MiniMap} state.miniMap - Mini-map
+ * @param {string} state.sceneId - Current scene id
+ * @returns {Object} - Session snapshot in the stored format
+ */
+function createSessionSnapshot({ player, camera, miniMap, sceneId }) {
+    return {
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        scene: sceneId,
+        player: {
+            x: player.x,
+            y: player.y,
+            lastDirection: player.lastDirection
+        },
+        camera: { zoom: camera.targetZoom !== undefined ? camera.targetZoom : camera.zoom },
+        miniMap: { visible: !!miniMap.visible }
+    };
+}
+
+/**
+ * Move a saved position back against the player's facing direction
+ * @param {Object} snapshot - Session snapshot
+ * @param {number} distance - Grid units to step back
+ * @returns {Object} - Snapshot with the adjusted player position
+ */
+function stepBackFromExit(snapshot, distance) {
+    const vector = DIRECTION_VECTORS[snapshot.player.lastDirection] || DIRECTION_VECTORS.south;
+    return {
+        ...snapshot,
+        player: {
+            ...snapshot.player,
+            x: snapshot.player.x - vector.x * distance,
+            y: snapshot.player.y - vector.y * distance
+        }
+    };
+}
+
+/**
+ * Check a parsed session against the schema
+ * @param {Object} session - Parsed session
+ * @returns {string[]} - Problems found (empty when the session is valid)
+ */
+function validateSession(session) {
+    if (!session || typeof session !== 'object') {
+        return ['session must be an object'];
+    }
+
+    const problems = [];
+    if (session.version !== SESSION_VERSION) {
+        problems.push(`version ${session.version} is not ${SESSION_VERSION}`);
+    }
+    if (typeof session.scene !== 'string' || session.scene === '') {
+        problems.push('"scene" must be a non-empty string');
+    }
+    if (!session.player || !Number.isFinite(session.player.x) || !Number.isFinite(session.player.y)) {
+        problems.push('"player" must have numeric x and y');
+    } else if (!DIRECTION_VECTORS[session.player.lastDirection]) {
+        problems.push(`"player.lastDirection" "${session.player.lastDirection}" is not a known direction`);
+    }
+    if (!session.camera || !Number.isFinite(session.camera.zoom) || session.camera.zoom <= 0) {
+        problems.push('"camera.zoom" must be a positive number');
+    }
+    if (!session.miniMap || typeof session.miniMap.visible !== 'boolean') {
+        problems.push('"miniMap.visible" must be a boolean');
+    }
+    return problems;
+}
+
+/**
+ * Load the saved session
+ * @returns {Object|null} - Valid session, or null if there is none or it cannot be used
+ */
+function loadSession() {
+    const storage = getStorage();
+    if (!storage) {
+        return null;
+    }
+
+    try {
+        const raw = storage.getItem(SESSION_STORAGE_KEY);
+        if (!raw) {
+            return null;
+        }
+
+        const session = JSON.parse(raw);
+        const problems = validateSession(session);
+        if (problems.length > 0) {
+            warn(`SessionState: Discarding saved session: ${problems.join('; ')}`);
+            storage.removeItem(SESSION_STORAGE_KEY);
+            return null;
+        }
+
+        debug(`SessionState: Loaded session saved at ${session.savedAt}`);
+        return session;
+    } catch (err) {
+        warn('SessionState: Could not read saved session', err);
+        return null;
+    }
+}
+
+/**
+ * Save the current session from the registered source
+ * @param {Object} options - Save options
+ * @param {boolean} options.leaving - The player is leaving through an exit; step back from it and
+ *                                   hold the save so the page unload that follows does not replace it
+ * @returns {boolean} - True if the session was written
+ */
+function saveSession(options = {}) {
+    const storage = getStorage();
+    if (!storage || !sessionSource) {
+        return false;
+    }
+
+    if (!options.leaving && Date.now() - exitSavedAt < EXIT_SAVE_HOLD_MS) {
+        return false;
+    }
+
+    try {
+        let snapshot = sessionSource();
+        if (!snapshot) {
+            return false;
+        }
+
+        if (options.leaving) {
+            snapshot = stepBackFromExit(snapshot, SESSION_EXIT_STEP_BACK);
+            exitSavedAt = Date.now();
+        }
+
+        storage.setItem(SESSION_STORAGE_KEY, JSON.stringify(snapshot));
+        debug(`SessionState: Saved session in ${snapshot.scene} at (${snapshot.player.x.toFixed(1)}, ${snapshot.player.y.toFixed(1)})`);
+        return true;
+    } catch (err) {
+        warn('SessionState: Could not save session', err);
+        return false;
+    }
+}
+
+/**
+ * Delete the saved session
+ */
+function clearSession() {
+    exitSavedAt = 0;
+    const storage = getStorage();
+    if (storage) {
+        try {
+            storage.removeItem(SESSION_STORAGE_KEY);
+        } catch (err) {
+            warn('SessionState: Could not clear session', err);
+        }
+    }
+}
+
+export {
+    SESSION_STORAGE_KEY,
+    SESSION_VERSION,
+    setSessionSource,
+    createSessionSnapshot,
+    validateSession,
+    loadSession,
+    saveSession,
+    clearSession
+};
@@ -1,110 +0,0 @@
-/**
- * SignManager2.js - Manages the second ceiling sign entity in the Circuit Sanctum Arcade
- * Handles creation and placement of "Arcade Games" ceiling signs
- */
-
-import { SignEntity2 } from './signEntity2.js';
-import assetLoader from './assetLoader.js';
-import { debug } from './utils.js';
-
-/**
- * Manages Arcade Games sign creation and placement
- */
-class SignManager2 {
-    /**
-     * Create a new ceiling sign manager
-     * @param {Game} game - Game reference
-     */
-    constructor(game) {
-        this.game = game;
-        this.signs = [];
-        debug('SignManager2: Initialized');
-    }
-    
-    /**
-     * Preload sign assets
-     */
-    preloadSigns() {
-        debug('SignManager2: Preloading arcade sign assets');
-        this.loadSign('sign2');
-    }
-    
-    /**
-     * Load a specific sign asset
-     * @param {string} signKey - The sign asset key to load
-     */
-    loadSign(signKey) {
-        debug(`SignManager2: Beginning dedicated sign loading for ${signKey}`);
-        // Load via asset loader
-        const assetPath = `assets/decor/Sign_2.png`;
-        debug(`SignManager2: Attempting to load via AssetLoader: ${assetPath}`);
-        
-        return new Promise((resolve) => {
-            // Create a new image
-            const signImage = new Image();
-            
-            signImage.onload = () => {
-                debug(`SignManager2: Sign image loaded successfully`);
-                assetLoader.assets[signKey] = signImage;
-                resolve(true);
-            };
-            
-            signImage.onerror = () => {
-                console.error(`SignManager2: Failed to load sign image from ${assetPath}`);
-                // Resolve anyway to prevent blocking
-                resolve(false);
-            };
-            
-            signImage.src = assetPath;
-        });
-    }
-    
-    /**
-     * Add signs to the game at predetermined positions
-     */
-    addSigns() {
-        console.log('Adding arcade signs to scene...');
-        
-        // Create ceiling signs at strategic positions
-        // Positioned in the center of various areas for visibility
-        const signPositions = [
-            { x: 68, y: 8, key: 'sign2' } // Arcade games area position
-        ];
-        
-        // Add each sign
-        signPositions.forEach(pos => {
-            this.addSign(pos.x, pos.y, pos.key);
-        });
-        
-        console.log('Arcade signs added successfully');
-    }
-    
-    /**
-     * Add a sign to the game at the specified position
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {string} signKey - The sign key
-     */
-    addSign(x, y, signKey) {
-        debug(`SignManager2: Adding arcade sign at (${x}, ${y}) with key ${signKey}`);
-        
-        // Create sign entity with appropriate dimensions for ceiling sign
-        const sign = new SignEntity2(x, y, 4.0, 4.0, signKey);
-        
-        // Add to game
-        if (this.game) {
-            this.game.addEntity(sign);
-            this.signs.push(sign);
-            debug('SignManager2: Arcade sign added to game successfully');
-            
-            // If the sign image is loaded, log its dimensions
-            if (sign.signImage) {
-                debug(`SignManager2: Successfully preloaded ${signKey} (${sign.signImage.width}x${sign.signImage.height})`);
-            }
-        } else {
-            console.error('SignManager2: Game instance not available');
-        }
-    }
-}
-
-export { SignManager2 };
@@ -2,6 +2,12 @@
  * SpatialGrid module for AI Alchemist's Lair
  * Implements spatial partitioning for efficient collision detection
  * Optimized for isometric coordinate system
+ *
+ * Entities are filed under the cell their x/y rounds to. The grid remembers each entity's cell, so
+ * updateEntity() moves it when it crosses into another cell and removeEntity() takes it out again;
+ * Game calls both as entities move and leave. queryRadius(), queryAABB() and findNearest() only
+ * look at the cells a range covers and compare entities by their x/y, the same point proximity
+ * checks measure from.
  */
 
 import { debug, info } from './utils.js';
@@ -20,6 +26,12 @@ class SpatialGrid {
         this.grid = new Map();
         this.neighborOffsets = [];
         
+        // Cell key each entity is filed under
+        this.entityCells = new Map();
+        
+        // Bumped whenever an entity is added, removed or changes cell, so callers can cache queries
+        this.version = 0;
+        
         // Pre-calculate neighbor cell offsets for efficient lookup
         // Include current cell and all 8 surrounding cells
         for (let x = -1; x <= 1; x++) {
@@ -95,7 +107,7 @@ class SpatialGrid {
      */
     isoToWorld(isoX, isoY) {
         // Isometric conversion matrix inversion
-        const determinant = this.cellWidth * this.cellHeight / 4;
+        const determinant = this.cellWidth * this.cellHeight / 2;
         
         return {
             x: (isoX * this.cellHeight + isoY * this.cellWidth) / (2 * determinant) * this.cellSize,
@@ -105,14 +117,167 @@ class SpatialGrid {
 
     /**
      * Add an entity to the spatial grid
+     * Adding an entity that is already in the grid just updates its cell.
      * @param {Entity} entity - The entity to add
      */
     addEntity(entity) {
+        if (!entity) return;
+        
+        if (this.entityCells.has(entity)) {
+            this.updateEntity(entity);
+            return;
+        }
+        
         const key = this.getCellKey(entity);
+        this.fileEntity(entity, key);
+        this.version++;
+    }
+    
+    /**
+     * Move an entity to the cell it is in now, adding it if it is not in the grid yet
+     * @param {Entity} entity - The entity that may have moved
+     * @returns {boolean} True if the entity changed cell (or was added)
+     */
+    updateEntity(entity) {
+        if (!entity) return false;
+        
+        const previousKey = this.entityCells.get(entity);
+        const key = this.getCellKey(entity);
+        if (previousKey === key) {
+            return false;
+        }
+        
+        if (previousKey !== undefined) {
+            this.unfileEntity(entity, previousKey);
+        }
+        this.fileEntity(entity, key);
+        this.version++;
+        return true;
+    }
+    
+    /**
+     * Remove an entity from the spatial grid
+     * @param {Entity} entity - The entity to remove
+     * @returns {boolean} True if the entity was in the grid
+     */
+    removeEntity(entity) {
+        const key = this.entityCells.get(entity);
+        if (key === undefined) {
+            return false;
+        }
+        
+        this.unfileEntity(entity, key);
+        this.entityCells.delete(entity);
+        this.version++;
+        return true;
+    }
+    
+    /**
+     * Check whether an entity is in the grid
+     * @param {Entity} entity - The entity to check
+     * @returns {boolean} True if the entity has been added and not removed
+     */
+    hasEntity(entity) {
+        return this.entityCells.has(entity);
+    }
+    
+    /**
+     * File an entity under a cell key
+     * @param {Entity} entity - The entity
+     * @param {string} key - Cell key
+     */
+    fileEntity(entity, key) {
         if (!this.grid.has(key)) {
             this.grid.set(key, []);
         }
         this.grid.get(key).push(entity);
+        this.entityCells.set(entity, key);
+    }
+    
+    /**
+     * Take an entity out of a cell, dropping the cell once it is empty
+     * @param {Entity} entity - The entity
+     * @param {string} key - Cell key it is filed under
+     */
+    unfileEntity(entity, key) {
+        const cell = this.grid.get(key);
+        if (!cell) return;
+        
+        const index = cell.indexOf(entity);
+        if (index !== -1) {
+            cell.splice(index, 1);
+        }
+        if (cell.length === 0) {
+            this.grid.delete(key);
+        }
+    }
+    
+    /**
+     * Get the entities whose x/y lies inside a box
+     * @param {number} minX - Left edge (world units)
+     * @param {number} minY - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxY - Bottom edge
+     * @returns {Array} Entities inside the box, edges included
+     */
+    queryAABB(minX, minY, maxX, maxY) {
+        const result = [];
+        const minCell = this.worldToCell(minX, minY);
+        const maxCell = this.worldToCell(maxX, maxY);
+        
+        for (let cellX = minCell.x; cellX <= maxCell.x; cellX++) {
+            for (let cellY = minCell.y; cellY <= maxCell.y; cellY++) {
+                const entitiesInCell = this.grid.get(`${cellX},${cellY}`);
+                if (!entitiesInCell) continue;
+                
+                entitiesInCell.forEach(entity => {
+                    const x = entity.x || 0;
+                    const y = entity.y || 0;
+                    if (x >= minX && x <= maxX && y >= minY && y <= maxY) {
+                        result.push(entity);
+                    }
+                });
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Get the entities whose x/y lies within a distance of a point
+     * @param {number} x - Center x (world units)
+     * @param {number} y - Center y
+     * @param {number} radius - Distance, inclusive
+     * @returns {Array} Entities within the radius
+     */
+    queryRadius(x, y, radius) {
+        return this.queryAABB(x - radius, y - radius, x + radius, y + radius)
+            .filter(entity => Math.hypot((entity.x || 0) - x, (entity.y || 0) - y) <= radius);
+    }
+    
+    /**
+     * Find the entity closest to a point
+     * @param {number} x - Point x (world units)
+     * @param {number} y - Point y
+     * @param {number} maxRadius - Farthest distance to look
+     * @param {Function} [filter] - Returns false for entities to skip
+     * @returns {Entity|null} Nearest matching entity within maxRadius, or null
+     */
+    findNearest(x, y, maxRadius, filter = null) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        
+        this.queryRadius(x, y, maxRadius).forEach(entity => {
+            if (filter && !filter(entity)) return;
+            
+            const distance = Math.hypot((entity.x || 0) - x, (entity.y || 0) - y);
+            if (distance < nearestDistance) {
+                nearest = entity;
+                nearestDistance = distance;
+            }
+        });
+        
+        return nearest;
     }
 
     /**
@@ -168,6 +333,8 @@ class SpatialGrid {
     clear() {
         // Reset the grid to an empty Map
         this.grid = new Map();
+        this.entityCells = new Map();
+        this.version++;
         // Reduce verbosity - only log once when specifically requested
         // info('Spatial grid cleared');
     }
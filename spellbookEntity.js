@@ -5,9 +5,11 @@
 
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
-import { input } from './input.js';
+import { interactionManager } from './interactionManager.js';
+import { overlayManager } from './overlayManager.js';
 import { debug } from './utils.js';
 import { getAssetPath } from './pathResolver.js';
+import { audioManager } from './audioManager.js';
 
 export class SpellbookEntity extends Entity {
     /**
@@ -44,10 +46,17 @@ export class SpellbookEntity extends Entity {
         
         // Interaction state
         this.isPlayerNearby = false;
-        this.showPrompt = false;
+        this.actionLabel = 'READ'; // Touch action button label
         this.interactionEnabled = true;
-        this.interactionPromptAlpha = 0; // For fade in/out effect
-        this.wasEnterPressed = false;
+        
+        // Enter (or the touch action button) opens the book through the shared interaction pipeline
+        interactionManager.register(this, {
+            radius: this.interactionDistance,
+            label: this.actionLabel,
+            prompt: 'Open Spellbook',
+            onInteract: () => this.interact(),
+            isEnabled: () => this.interactionEnabled
+        });
         
         // Animation properties
         this.animationTime = 0;
@@ -230,9 +239,6 @@ export class SpellbookEntity extends Entity {
         
         // Update glow effect
         this.updateGlowEffect(deltaTime);
-        
-        // Check for interaction (Enter key press)
-        this.checkForInteraction();
     }
     
     /**
@@ -249,7 +255,7 @@ export class SpellbookEntity extends Entity {
             const wasNearby = this.isPlayerNearby;
             
             // Update proximity state
-            this.isPlayerNearby = distance <= this.interactionDistance;
+            this.isPlayerNearby = interactionManager.isInRange(this, player);
             
             // Log state changes
             if (!wasNearby && this.isPlayerNearby) {
@@ -260,19 +266,6 @@ export class SpellbookEntity extends Entity {
             } else if (wasNearby && !this.isPlayerNearby) {
                 debug(`SpellbookEntity: Player left interaction range (${distance.toFixed(2)} units)`);
             }
-            
-            // Handle interaction prompt fade
-            if (this.isPlayerNearby) {
-                // Fade in prompt
-                this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
-                this.showPrompt = true;
-            } else {
-                // Fade out prompt
-                this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - 0.05);
-                if (this.interactionPromptAlpha <= 0) {
-                    this.showPrompt = false;
-                }
-            }
         }
     }
     
@@ -302,54 +295,18 @@ export class SpellbookEntity extends Entity {
         }
     }
     
-    /**
-     * Check for player interaction
-     */
-    checkForInteraction() {
-        if (this.isPlayerNearby && this.interactionEnabled) {
-            // Use the enhanced input system with all possible Enter key detection methods
-            const isEnterPressed = input.enterKeyPressed || 
-                                  input.numpadEnterPressed || 
-                                  input.keys['Enter'] || 
-                                  input.keys['NumpadEnter'] || 
-                                  input.isKeyPressed('Enter') || 
-                                  input.isKeyPressed('NumpadEnter');
-            
-            // Specific Enter key press detection (not just held down)
-            const isNewEnterPress = isEnterPressed && !this.wasEnterPressed;
-            
-            // Aggressive logging to debug the issue
-            console.log(`Spellbook interaction check:`, {
-                isPlayerNearby: this.isPlayerNearby,
-                isEnterPressed: isEnterPressed,
-                wasEnterPressed: this.wasEnterPressed,
-                isNewEnterPress: isNewEnterPress,
-                enterFlag: input.enterKeyPressed,
-                numpadEnterFlag: input.numpadEnterPressed,
-                enterKey: input.keys['Enter'],
-                numpadEnterKey: input.keys['NumpadEnter'],
-                time: new Date().toISOString(),
-                position: `(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`
-            });
-            
-            // Only detect a new press (not holding)
-            if (isNewEnterPress) {
-                console.log('SpellbookEntity: NEW Enter key press detected, opening spellbook!');
-                // Force this to run async to avoid any race conditions
-                setTimeout(() => this.interact(), 50);
-            }
-            
-            // Update previous state
-            this.wasEnterPressed = isEnterPressed;
-        }
-    }
-    
     /**
      * Handle spellbook interaction
      */
     interact() {
         if (!this.interactionEnabled) return;
         
+        // Another popup is already showing
+        if (overlayManager.isOpen()) {
+            debug('SpellbookEntity: Another overlay is open, not opening the spellbook');
+            return;
+        }
+        
         debug('SpellbookEntity: Spellbook opened');
         
         // Play a sound effect
@@ -381,7 +338,6 @@ export class SpellbookEntity extends Entity {
         overlay.style.display = 'flex';
         overlay.style.justifyContent = 'center';
         overlay.style.alignItems = 'center';
-        overlay.style.zIndex = '1000';
         overlay.style.backdropFilter = 'blur(5px)';
         overlay.style.transition = 'opacity 0.5s ease-in-out';
         overlay.style.opacity = '0';
@@ -421,6 +377,9 @@ export class SpellbookEntity extends Entity {
         
         // Add close button (styled as an arcane symbol)
         const closeButton = document.createElement('div');
+        closeButton.setAttribute('role', 'button');
+        closeButton.setAttribute('aria-label', 'Close spellbook');
+        closeButton.tabIndex = 0;
         closeButton.style.position = 'absolute';
         closeButton.style.top = '15px';
         closeButton.style.right = '15px';
@@ -450,7 +409,9 @@ export class SpellbookEntity extends Entity {
             closeButton.style.boxShadow = 'none';
         };
         
-        closeButton.onclick = () => {
+        const closePage = () => {
+            if (!overlayManager.isOpen('spellbook')) return;
+            
             // Fade out and remove overlay
             overlay.style.opacity = '0';
             setTimeout(() => {
@@ -458,10 +419,18 @@ export class SpellbookEntity extends Entity {
                     document.body.removeChild(overlay);
                 }
             }, 500);
+            overlayManager.close('spellbook');
             
             // Play closing sound
             this.playPageTurnSound();
         };
+        closeButton.onclick = closePage;
+        closeButton.onkeydown = (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                closePage();
+            }
+        };
         
         // Create the content
         const content = document.createElement('div');
@@ -756,8 +725,9 @@ export class SpellbookEntity extends Entity {
         spellbookPage.appendChild(closeButton);
         overlay.appendChild(spellbookPage);
         
-        // Add to body
+        // Add to body; the world pauses and Escape closes the page through the overlay stack
         document.body.appendChild(overlay);
+        overlayManager.open('spellbook', { element: overlay, onRequestClose: closePage });
         
         // Play opening sound
         this.playPageTurnSound();
@@ -773,23 +743,14 @@ export class SpellbookEntity extends Entity {
      */
     playPageTurnSound() {
         try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create white noise for page rustle
-            const bufferSize = audioCtx.sampleRate * 0.5; // 0.5 seconds
-            const buffer = audioCtx.createBuffer(1, bufferSize, audioCtx.sampleRate);
-            const data = buffer.getChannelData(0);
-            
-            // Fill with noise, more pronounced at start and end
-            for (let i = 0; i < bufferSize; i++) {
-                const position = i / bufferSize; // 0 to 1
-                const envelope = Math.sin(position * Math.PI); // Amplitude envelope
-                data[i] = (Math.random() * 2 - 1) * envelope * 0.15; // Scaled noise
+            const audioCtx = audioManager.getContext();
+            if (!audioCtx) {
+                return;
             }
             
-            // Create white noise source
+            // Create white noise source (synthesized once)
             const noiseSource = audioCtx.createBufferSource();
-            noiseSource.buffer = buffer;
+            noiseSource.buffer = audioManager.getBuffer('spellbook.pageRustle', ctx => this.createPageRustleBuffer(ctx));
             
             // Create a bandpass filter for paper sound
             const filter = audioCtx.createBiquadFilter();
@@ -804,7 +765,7 @@ export class SpellbookEntity extends Entity {
             // Connect nodes
             noiseSource.connect(filter);
             filter.connect(gainNode);
-            gainNode.connect(audioCtx.destination);
+            gainNode.connect(audioManager.getBus('ui'));
             
             // Play the sound
             noiseSource.start();
@@ -813,13 +774,37 @@ export class SpellbookEntity extends Entity {
         }
     }
     
+    /**
+     * Synthesize the page rustle (half a second of noise that swells and fades)
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @returns {AudioBuffer} - Mono noise
+     */
+    createPageRustleBuffer(audioCtx) {
+        // Create white noise for page rustle
+        const bufferSize = audioCtx.sampleRate * 0.5; // 0.5 seconds
+        const buffer = audioCtx.createBuffer(1, bufferSize, audioCtx.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        // Fill with noise, more pronounced at start and end
+        for (let i = 0; i < bufferSize; i++) {
+            const position = i / bufferSize; // 0 to 1
+            const envelope = Math.sin(position * Math.PI); // Amplitude envelope
+            data[i] = (Math.random() * 2 - 1) * envelope * 0.15; // Scaled noise
+        }
+        
+        return buffer;
+    }
+    
     /**
      * Play sound effect when interacting with spellbook
      */
     playSpellbookSound() {
         // Create a simple oscillator for magical sound
         try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            const audioCtx = audioManager.getContext();
+            if (!audioCtx) {
+                return;
+            }
             
             // Create oscillator
             const oscillator = audioCtx.createOscillator();
@@ -836,7 +821,7 @@ export class SpellbookEntity extends Entity {
             
             // Connect and start
             oscillator.connect(gainNode);
-            gainNode.connect(audioCtx.destination);
+            gainNode.connect(audioManager.getBus('sfx'));
             
             oscillator.start();
             oscillator.stop(audioCtx.currentTime + 1);
@@ -971,81 +956,19 @@ export class SpellbookEntity extends Entity {
             }
         }
         
-        // Draw interaction prompt if player is nearby
-        if (this.interactionPromptAlpha > 0) {
-            this.drawInteractionPrompt(ctx, screenX, drawY - height * 1.5);
-        }
-        
         // Restore context state
         ctx.restore();
     }
     
-    /**
-     * Draw the interaction prompt
-     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {number} x - X position to draw at
-     * @param {number} y - Y position to draw at
-     */
-    drawInteractionPrompt(ctx, x, y) {
-        ctx.save();
-        
-        // Set up text style with larger font
-        ctx.font = 'bold 18px monospace';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        // Draw text with background for better visibility
-        const text = 'Press ENTER to Open Spellbook';
-        const textWidth = ctx.measureText(text).width;
-        
-        // Create dimensions for prompt window
-        const padding = 48;
-        const promptWidth = textWidth + (padding * .4);
-        const promptHeight = 60;
-        const promptX = x - promptWidth/2;
-        const promptY = y - 20;
-        
-        // Create gradient background instead of solid color
-        const gradient = ctx.createLinearGradient(
-            promptX, 
-            promptY, 
-            promptX, 
-            promptY + promptHeight
-        );
-        gradient.addColorStop(0, `rgba(35, 0, 60, ${this.interactionPromptAlpha * 0.9})`);
-        gradient.addColorStop(0.5, `rgba(75, 0, 130, ${this.interactionPromptAlpha * 0.9})`);
-        gradient.addColorStop(1, `rgba(35, 0, 60, ${this.interactionPromptAlpha * 0.9})`);
-        
-        // Draw background with gradient
-        ctx.fillStyle = gradient;
-        ctx.fillRect(promptX, promptY, promptWidth, promptHeight);
-        
-        // Draw border with glow effect
-        ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 15 * this.glowIntensity;
-        ctx.strokeStyle = `rgba(75, 0, 130, ${this.interactionPromptAlpha})`;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(promptX, promptY, promptWidth, promptHeight);
-        ctx.shadowBlur = 0;
-        
-        // Draw text
-        ctx.fillStyle = `rgba(255, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.fillText(text, x, y);
-        
-       // Draw key indicator
-       ctx.font = 'bold 16px monospace';
-       ctx.fillStyle = `rgba(138, 43, 226, ${this.interactionPromptAlpha})`;
-       ctx.fillText('[ ENTER ]', x, y + 25);
-
-        ctx.restore();
-    }
-    
     /**
      * Play a magical proximity sound when player approaches the spellbook
      */
     playProximitySound() {
         try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            const audioCtx = audioManager.getContext();
+            if (!audioCtx) {
+                return;
+            }
             
             // Create a magical descending arpeggio using mystical intervals
             // These notes form a pentatonic minor scale which sounds mystical
@@ -1055,27 +978,11 @@ export class SpellbookEntity extends Entity {
             // Create a common gain node for the overall sound
             const masterGain = audioCtx.createGain();
             masterGain.gain.setValueAtTime(0.3, audioCtx.currentTime);
-            masterGain.connect(audioCtx.destination);
+            masterGain.connect(audioManager.getBus('sfx'));
             
             // Create a convolver for magical reverb effect
             const convolver = audioCtx.createConvolver();
-            
-            // Generate impulse response for magical shimmer reverb
-            const reverbLength = audioCtx.sampleRate * 2; // 2 seconds reverb tail
-            const impulse = audioCtx.createBuffer(2, reverbLength, audioCtx.sampleRate);
-            const impulseL = impulse.getChannelData(0);
-            const impulseR = impulse.getChannelData(1);
-            
-            // Fill buffer with decaying random values for reverb effect
-            for(let i = 0; i < reverbLength; i++) {
-                // Exponential decay
-                const decay = Math.exp(-i / (audioCtx.sampleRate * 0.5));
-                // Randomize for diffusion with slight shimmer effect
-                impulseL[i] = (Math.random() * 2 - 1) * decay * 0.5;
-                impulseR[i] = (Math.random() * 2 - 1) * decay * 0.5;
-            }
-            
-            convolver.buffer = impulse;
+            convolver.buffer = audioManager.getBuffer('spellbook.reverb', ctx => this.createShimmerImpulse(ctx));
             convolver.connect(masterGain);
             
             // Add a slight delay effect for magic echoes
@@ -1132,14 +1039,33 @@ export class SpellbookEntity extends Entity {
                 startTime += durations[i];
             });
             
-            // Schedule context closure after all notes have played plus reverb tail
-            setTimeout(() => {
-                audioCtx.close();
-            }, (startTime - audioCtx.currentTime + 2.5) * 1000);
-            
             debug(`SpellbookEntity: Played magical proximity sound`);
         } catch (err) {
             debug(`SpellbookEntity: Error playing proximity sound: ${err.message}`);
         }
     }
+    
+    /**
+     * Synthesize the shimmer reverb impulse (two seconds of decaying stereo noise)
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @returns {AudioBuffer} - Impulse response
+     */
+    createShimmerImpulse(audioCtx) {
+        // Generate impulse response for magical shimmer reverb
+        const reverbLength = audioCtx.sampleRate * 2; // 2 seconds reverb tail
+        const impulse = audioCtx.createBuffer(2, reverbLength, audioCtx.sampleRate);
+        const impulseL = impulse.getChannelData(0);
+        const impulseR = impulse.getChannelData(1);
+        
+        // Fill buffer with decaying random values for reverb effect
+        for(let i = 0; i < reverbLength; i++) {
+            // Exponential decay
+            const decay = Math.exp(-i / (audioCtx.sampleRate * 0.5));
+            // Randomize for diffusion with slight shimmer effect
+            impulseL[i] = (Math.random() * 2 - 1) * decay * 0.5;
+            impulseR[i] = (Math.random() * 2 - 1) * decay * 0.5;
+        }
+        
+        return impulse;
+    }
 }
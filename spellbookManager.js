@@ -4,6 +4,7 @@
  */
 
 import { SpellbookEntity } from './spellbookEntity.js';
+import { interactionManager } from './interactionManager.js';
 import { debug } from './utils.js';
 
 export class SpellbookManager {
@@ -29,6 +30,7 @@ export class SpellbookManager {
         const dummySpellbook = new SpellbookEntity(0, 0);
         
         // Remove the dummy spellbook (it was just for preloading)
+        interactionManager.unregister(dummySpellbook);
         return Promise.resolve();
     }
     
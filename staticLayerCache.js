@@ -0,0 +1,230 @@
+/**
+ * Static Layer Cache for AI Alchemist's Lair
+ * Bakes the room's floor tiles and walls into chunked offscreen canvases and blits them each frame
+ *
+ * Drawing the 200x80 floor tile by tile costs thousands of drawImage calls per frame when zoomed
+ * out. Instead, the scene (pre-camera) coordinate space is cut into square chunks that are baked
+ * the first time they come into view, at the camera's zoom so they stay sharp, and kept in a
+ * small least-recently-used pool. Every chunk is baked by drawing the floor and then the walls in
+ * the same order as the live renderer, so chunk edges line up with no visible difference.
+ *
+ * Chunks are thrown away when a floor/wall/door image loads or changes, when a door opens or
+ * closes, and when the zoom settles on a new level. While the zoom is still easing, the old
+ * chunks are stretched (within ZOOM_STRETCH_LIMIT) instead of being rebaked every frame.
+ */
+
+import assetLoader from './assetLoader.js';
+import { debug, info } from './utils.js';
+
+// Chunk size in canvas pixels (each chunk costs about 1 MB of memory)
+const CHUNK_SIZE = 512;
+
+// Extra pixels baked around every chunk so neighbours overlap and no seams show between them
+const CHUNK_PADDING = 2;
+
+// Chunks kept in memory before the least recently used are dropped (a 1920x1080 view needs ~15)
+const MAX_CHUNKS = 40;
+
+// Rebake at a new zoom level once the zoom has stopped changing for this long, in milliseconds
+const ZOOM_SETTLE_MS = 150;
+
+// Stretch old chunks only while the zoom is within this factor of the baked one; past it, rebake
+// right away (zooming far out on small chunks would need more of them than the pool holds)
+const ZOOM_STRETCH_LIMIT = 1.25;
+
+// Wall and door images baked into the chunks (plus the room's floor tiles); a change in any of
+// them rebakes everything
+const STATIC_ASSET_KEYS = ['wallTileNE', 'wallTileNW', 'doorTileNE', 'doorTileNW'];
+
+class StaticLayerCache {
+    /**
+     * Create a cache for a scene's floor and walls
+     * @param {TestScene} scene - Scene that draws the floor (drawFloorTiles) and walls (drawWalls)
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        // Baked chunks by "cx,cy" key; Map order doubles as the least-recently-used order
+        this.chunks = new Map();
+
+        // Zoom the current chunks were baked at, and the zoom seen on the previous frame
+        this.scale = 0;
+        this.lastZoom = 0;
+        this.zoomChangedAt = 0;
+
+        this.signature = '';
+
+        // Stats for the benchmark and the debug console
+        this.stats = { chunksBaked: 0, chunksDrawn: 0, rebuilds: 0 };
+    }
+
+    /**
+     * Describe everything baked into the chunks, so a change can be spotted cheaply each frame
+     * @returns {string} - Signature of the static layer's assets and door states
+     */
+    getSignature() {
+        const keys = [...this.scene.geometry.getFloorTileKeys(), ...STATIC_ASSET_KEYS];
+        const assets = keys.map(key => {
+            const asset = assetLoader.getAsset(key);
+            if (!asset) return '-';
+            return `${asset.src || 'canvas'}:${asset.width}x${asset.height}`;
+        });
+        return `${assets.join('|')}#${this.scene.getWallDoorSignature()}`;
+    }
+
+    /**
+     * Drop every baked chunk
+     * @param {string} reason - Why the cache is being cleared (for the debug log)
+     */
+    invalidate(reason = 'manual') {
+        if (this.chunks.size > 0) {
+            debug(`StaticLayerCache: Rebuilding (${reason})`);
+            this.stats.rebuilds++;
+        }
+        this.chunks.clear();
+    }
+
+    /**
+     * Pick the bake scale for this frame, rebaking once a zoom change has settled
+     * @param {number} zoom - Current camera zoom
+     * @param {number} now - Current time in milliseconds
+     */
+    updateScale(zoom, now) {
+        if (zoom !== this.lastZoom) {
+            this.lastZoom = zoom;
+            this.zoomChangedAt = now;
+        }
+
+        if (this.scale === 0) {
+            this.scale = zoom;
+            return;
+        }
+        if (zoom === this.scale) {
+            return;
+        }
+
+        const ratio = Math.max(zoom / this.scale, this.scale / zoom);
+        if (ratio > ZOOM_STRETCH_LIMIT || now - this.zoomChangedAt >= ZOOM_SETTLE_MS) {
+            this.invalidate(`zoom ${this.scale.toFixed(2)} -> ${zoom.toFixed(2)}`);
+            this.scale = zoom;
+        }
+    }
+
+    /**
+     * Draw the floor and walls visible through the camera (call with the scene transform applied)
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} view - Visible area in scene coordinates {left, top, right, bottom}
+     * @param {number} zoom - Current camera zoom
+     */
+    render(ctx, view, zoom) {
+        const signature = this.getSignature();
+        if (signature !== this.signature) {
+            this.invalidate('assets or doors changed');
+            this.signature = signature;
+        }
+        this.updateScale(zoom, performance.now());
+
+        const chunkWorldSize = CHUNK_SIZE / this.scale;
+        const paddingWorld = CHUNK_PADDING / this.scale;
+        const startX = Math.floor(view.left / chunkWorldSize);
+        const endX = Math.floor(view.right / chunkWorldSize);
+        const startY = Math.floor(view.top / chunkWorldSize);
+        const endY = Math.floor(view.bottom / chunkWorldSize);
+
+        let drawn = 0;
+        for (let cy = startY; cy <= endY; cy++) {
+            for (let cx = startX; cx <= endX; cx++) {
+                const chunk = this.getChunk(cx, cy, chunkWorldSize);
+                if (chunk.empty) continue;
+
+                ctx.drawImage(
+                    chunk.canvas,
+                    cx * chunkWorldSize - paddingWorld,
+                    cy * chunkWorldSize - paddingWorld,
+                    chunkWorldSize + paddingWorld * 2,
+                    chunkWorldSize + paddingWorld * 2
+                );
+                drawn++;
+            }
+        }
+        this.stats.chunksDrawn = drawn;
+
+        this.evict();
+    }
+
+    /**
+     * Get a chunk, baking it if needed, and mark it as recently used
+     * @param {number} cx - Chunk column
+     * @param {number} cy - Chunk row
+     * @param {number} chunkWorldSize - Chunk size in scene coordinates
+     * @returns {Object} - Chunk {canvas, empty}
+     */
+    getChunk(cx, cy, chunkWorldSize) {
+        const key = `${cx},${cy}`;
+        let chunk = this.chunks.get(key);
+        if (chunk) {
+            this.chunks.delete(key);
+        } else {
+            chunk = this.bakeChunk(cx, cy, chunkWorldSize);
+        }
+        this.chunks.set(key, chunk);
+        return chunk;
+    }
+
+    /**
+     * Draw the floor tiles and walls covering one chunk into an offscreen canvas
+     * @param {number} cx - Chunk column
+     * @param {number} cy - Chunk row
+     * @param {number} chunkWorldSize - Chunk size in scene coordinates
+     * @returns {Object} - Chunk {canvas, empty}
+     */
+    bakeChunk(cx, cy, chunkWorldSize) {
+        const paddingWorld = CHUNK_PADDING / this.scale;
+        const bounds = {
+            left: cx * chunkWorldSize - paddingWorld,
+            top: cy * chunkWorldSize - paddingWorld,
+            right: (cx + 1) * chunkWorldSize + paddingWorld,
+            bottom: (cy + 1) * chunkWorldSize + paddingWorld
+        };
+
+        // Chunks entirely outside the room hold nothing; skip allocating a canvas for them
+        if (!this.scene.overlapsRoom(bounds)) {
+            return { canvas: null, empty: true };
+        }
+
+        const size = CHUNK_SIZE + CHUNK_PADDING * 2;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.scale, this.scale);
+        ctx.translate(-bounds.left, -bounds.top);
+
+        this.scene.drawFloorTiles(ctx, this.scene.getCellRangeForArea(bounds));
+        this.scene.drawWalls(ctx, bounds);
+
+        this.stats.chunksBaked++;
+        return { canvas, empty: false };
+    }
+
+    /**
+     * Drop the least recently used chunks beyond MAX_CHUNKS
+     */
+    evict() {
+        while (this.chunks.size > MAX_CHUNKS) {
+            const oldestKey = this.chunks.keys().next().value;
+            this.chunks.delete(oldestKey);
+        }
+    }
+
+    /**
+     * Log how the cache is doing (for the debug console)
+     */
+    logStats() {
+        info(`StaticLayerCache: ${this.chunks.size} chunks cached at zoom ${this.scale.toFixed(2)}, ` +
+             `${this.stats.chunksDrawn} drawn last frame, ${this.stats.chunksBaked} baked, ${this.stats.rebuilds} rebuilds`);
+    }
+}
+
+export { StaticLayerCache, CHUNK_SIZE };
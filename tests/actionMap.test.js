@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './headlessEnv.js';
+import { ActionMap } from '../actionMap.js';
+import { input } from '../input.js';
+
+describe('ActionMap', () => {
+    it('tells a letter from the same letter with Shift', () => {
+        const map = new ActionMap(null);
+
+        assert.equal(map.matches({ key: 'D', shiftKey: true }, 'roomSouth'), true);
+        assert.equal(map.matches({ key: 'D', shiftKey: true }, 'moveRight'), false);
+        assert.equal(map.matches({ key: 'd', shiftKey: false }, 'moveRight'), true);
+        assert.equal(map.matches({ key: 'd', shiftKey: false }, 'roomSouth'), false);
+    });
+
+    it('still matches keys that need Shift to be typed', () => {
+        const map = new ActionMap(null);
+        assert.equal(map.matches({ key: '+', shiftKey: true }, 'zoomIn'), true);
+        assert.equal(map.matches({ key: '_', shiftKey: true }, 'zoomOut'), true);
+    });
+
+    it('does not walk while a room shortcut is held', () => {
+        const map = new ActionMap(null);
+        input.reset();
+        input.keys.Shift = true;
+        input.keys.S = true;
+        try {
+            assert.equal(map.isPressed('roomWest'), true);
+            assert.equal(map.isPressed('moveDown'), false);
+        } finally {
+            input.reset();
+        }
+    });
+
+    it('reports no conflicts for the defaults and flags keys shared by two actions', () => {
+        const map = new ActionMap(null);
+        assert.equal(map.getConflicts().size, 0);
+
+        map.setBindings('jump', [' ', 'd']);
+        assert.deepEqual(map.getConflictsFor('jump', 'd'), ['moveRight']);
+    });
+});
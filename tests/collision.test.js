@@ -0,0 +1,218 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './headlessEnv.js';
+import { Collision } from '../collision.js';
+import { Entity } from '../entity.js';
+import { getCollisionShapes } from '../collisionShapes.js';
+import { DecorEntity } from '../decorEntity.js';
+import { getDecorPreset } from '../decorPresets.js';
+import { ArcadeEntity } from '../arcadeEntity.js';
+import { ArcadeEntity2 } from '../arcadeEntity2.js';
+
+describe('Collision.checkCollision', () => {
+    it('detects overlapping footprints at the same height', () => {
+        const a = new Entity(5, 5, 1, 1);
+        const b = new Entity(5.5, 5.5, 1, 1);
+        assert.equal(Collision.checkCollision(a, b), true);
+    });
+
+    it('ignores entities that are well apart', () => {
+        const a = new Entity(5, 5, 1, 1);
+        const b = new Entity(8, 5, 1, 1);
+        assert.equal(Collision.checkCollision(a, b), false);
+    });
+
+    it('never collides an entity with itself or with a missing entity', () => {
+        const a = new Entity(5, 5, 1, 1);
+        assert.equal(Collision.checkCollision(a, a), false);
+        assert.equal(Collision.checkCollision(a, null), false);
+    });
+
+    it('skips entities marked collidable = false', () => {
+        const a = new Entity(5, 5, 1, 1);
+        const b = new Entity(5, 5, 1, 1);
+        b.collidable = false;
+        assert.equal(Collision.checkCollision(a, b), false);
+    });
+
+    it('does not count boxes that only touch', () => {
+        const a = new Entity(5, 5, 1, 1);
+        const b = new Entity(6, 5, 1, 1);
+        assert.equal(Collision.checkCollision(a, b), false);
+    });
+
+    it('lets an entity pass over an obstacle when their heights do not overlap', () => {
+        const jumper = new Entity(5, 5, 1, 1, { zHeight: 0.5 });
+        const block = new Entity(5, 5, 1, 1, { zHeight: 0.4 });
+        jumper.z = 0.5;
+        assert.equal(Collision.checkCollision(jumper, block), false);
+
+        jumper.z = 0.2;
+        assert.equal(Collision.checkCollision(jumper, block), true);
+    });
+});
+
+describe('Collision.getCollisionInfo', () => {
+    it('returns null without a collision', () => {
+        assert.equal(Collision.getCollisionInfo(new Entity(0, 0, 1, 1), new Entity(9, 9, 1, 1)), null);
+    });
+
+    it('resolves along the axis with the smaller overlap, away from the other entity', () => {
+        const sideways = Collision.getCollisionInfo(new Entity(5, 5, 1, 1), new Entity(5.8, 5.1, 1, 1));
+        assert.ok(sideways.resolveX < 0);
+        assert.equal(sideways.resolveY, 0);
+
+        const below = Collision.getCollisionInfo(new Entity(5, 5.9, 1, 1), new Entity(5.1, 5, 1, 1));
+        assert.equal(below.resolveX, 0);
+        assert.ok(below.resolveY > 0);
+    });
+});
+
+describe('Collision.moveAndSlide', () => {
+    it('stops at the first face in the way and reports its normal', () => {
+        const mover = new Entity(0, 0, 1, 1);
+        const near = new Entity(3, 0, 1, 1);
+        const far = new Entity(6, 0, 1, 1);
+        mover.velocityX = 7;
+
+        const contacts = Collision.moveAndSlide(mover, 10, 0, [far, near]);
+        assert.ok(Math.abs(mover.x + 1 - 3) < 0.01 && mover.x + 1 <= 3, `stopped at x=${mover.x}`);
+        assert.equal(mover.velocityX, 0);
+        assert.equal(contacts.length, 1);
+        assert.equal(contacts[0].entity, near);
+        assert.deepEqual([contacts[0].normalX, contacts[0].normalY, contacts[0].x, contacts[0].y], [-1, 0, 3, 0.5]);
+    });
+
+    it('keeps the part of a diagonal move that runs along the face', () => {
+        const mover = new Entity(0, 0, 1, 1);
+        const wall = new Entity(-5, 2, 10, 1);
+
+        Collision.moveAndSlide(mover, 2, 2, [wall]);
+        assert.equal(mover.x, 2);
+        assert.ok(mover.y + 1 <= 2 && mover.y > 0.99);
+    });
+
+    it('passes over an obstacle lower than the mover is high', () => {
+        const mover = new Entity(0, 0, 1, 1, { zHeight: 0.5 });
+        const rug = new Entity(2, 0, 1, 1, { zHeight: 0.05 });
+        mover.z = 0.1;
+
+        assert.deepEqual(Collision.moveAndSlide(mover, 4, 0, [rug]), []);
+        assert.equal(mover.x, 4);
+    });
+
+    it('lets an entity walk out of an obstacle it was placed inside', () => {
+        const mover = new Entity(5, 5, 1, 1);
+        const block = new Entity(5.5, 5, 1, 1);
+
+        Collision.moveAndSlide(mover, -2, 0, [block]);
+        assert.equal(mover.x, 3);
+    });
+});
+
+describe('Collision.resolveCollision', () => {
+    it('pushes an entity out of a static obstacle and stops it on that axis', () => {
+        const mover = new Entity(5, 5, 1, 1);
+        const wall = new Entity(5.8, 5, 1, 1, { isStatic: true });
+        mover.velocityX = 7;
+
+        assert.equal(Collision.resolveCollision(mover, wall), true);
+        assert.ok(mover.x < 5);
+        assert.equal(mover.velocityX, 0);
+        assert.equal(wall.x, 5.8);
+    });
+});
+
+describe('Collision shapes', () => {
+    it('leaves the corners around a circle collider free', () => {
+        const jukebox = new Entity(4, 4, 2, 2, { colliders: [{ type: 'circle', x: 1, y: 1, radius: 1 }] });
+        assert.equal(Collision.checkCollision(new Entity(4, 4, 0.25, 0.25), jukebox), false);
+        assert.equal(Collision.checkCollision(new Entity(4.5, 4.5, 0.25, 0.25), jukebox), true);
+    });
+
+    it('slides along a slanted polygon face', () => {
+        // Face running from (2, 4) to (6, 0)
+        const wall = new Entity(2, 0, 4, 4, { colliders: [{ type: 'polygon', points: [[0, 4], [4, 0], [4, 4]] }] });
+        const mover = new Entity(0, 2, 1, 1);
+
+        const contacts = Collision.moveAndSlide(mover, 3, 0, [wall]);
+        assert.equal(contacts.length, 1);
+        assert.ok(Math.abs(contacts[0].normalX - contacts[0].normalY) < 1e-9 && contacts[0].normalX < 0);
+        assert.ok(mover.x > 2 && mover.y < 2, `slid to ${mover.x}, ${mover.y}`);
+        assert.equal(Collision.checkCollision(mover, wall), false);
+    });
+
+    it('lets an entity pass under a collider raised on its own z', () => {
+        // A sign on a post: only the sign collides, from 1.5 up
+        const sign = new Entity(3, 0, 1, 1, {
+            zHeight: 2,
+            colliders: [{ type: 'box', x: 0, y: 0, width: 1, height: 1, z: 1.5, zHeight: 0.5 }]
+        });
+        const short = new Entity(0, 0, 1, 1, { zHeight: 1 });
+        const tall = new Entity(0, 0, 1, 1, { zHeight: 1.8 });
+
+        Collision.moveAndSlide(short, 5, 0, [sign]);
+        Collision.moveAndSlide(tall, 5, 0, [sign]);
+        assert.equal(short.x, 5);
+        assert.ok(tall.x + 1 <= 3 && tall.x > 1.99);
+    });
+
+    it('ignores a collider that is not a convex polygon', () => {
+        const arrow = new Entity(0, 0, 2, 2, {
+            colliders: [
+                { type: 'polygon', points: [[0, 0], [2, 1], [0, 2], [1, 1]] },
+                { type: 'box', x: 0, y: 0, width: 0.5, height: 0.5 }
+            ]
+        });
+        const shapes = getCollisionShapes(arrow);
+        assert.equal(shapes.length, 1);
+        assert.deepEqual([shapes[0].maxX, shapes[0].maxY], [0.5, 0.5]);
+    });
+});
+
+describe('Furniture colliders', () => {
+    /**
+     * Check whether a small probe at an offset from an entity's position collides with it
+     * @param {Entity} entity - Furniture
+     * @param {number} dx - X offset (grid units)
+     * @param {number} dy - Y offset (grid units)
+     * @param {number} [z=0] - Probe height above the floor
+     * @returns {boolean} - True if the probe collides
+     */
+    function blocks(entity, dx, dy, z = 0) {
+        const probe = new Entity(entity.x + dx, entity.y + dy, 0.3, 0.3, { zHeight: 0.5 });
+        probe.z = z;
+        return Collision.checkCollision(probe, entity);
+    }
+
+    it('gives couch1 a sofa and an armchair instead of its whole footprint', () => {
+        const couch = new DecorEntity(20, 20, getDecorPreset('couch1'));
+        assert.equal(blocks(couch, -2, 0.5), true);
+        assert.equal(blocks(couch, 0.6, -1.5), true);
+        assert.equal(blocks(couch, -2, -1.5), false);
+        assert.equal(blocks(couch, 2.5, 4), false);
+    });
+
+    it('leaves the inside of couch2\'s corner sectional walkable', () => {
+        const couch = new DecorEntity(20, 20, getDecorPreset('couch2'));
+        assert.equal(blocks(couch, -1, 0.5), true);
+        assert.equal(blocks(couch, 1, -1), true);
+        assert.equal(blocks(couch, -1.5, -1.2), false);
+    });
+
+    it('collides with the first arcade cabinet\'s base as drawn', () => {
+        const cabinet = new ArcadeEntity(20, 20, 'Arcade_1');
+        assert.equal(blocks(cabinet, 0.5, 1), true);
+        assert.equal(blocks(cabinet, 0.5, -0.5), false);
+    });
+
+    it('gives the second arcade cabinet an L-shaped base with a low bench', () => {
+        const cabinet = new ArcadeEntity2(20, 20, 'Arcade_2');
+        assert.equal(blocks(cabinet, 0, 0), true);
+        assert.equal(blocks(cabinet, 0, 1.2), true);
+        assert.equal(blocks(cabinet, 1.1, 1.2), false);
+        assert.equal(blocks(cabinet, 0, 1.2, 0.7), false);
+        assert.equal(blocks(cabinet, 0, 0, 0.7), true);
+    });
+});
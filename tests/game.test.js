@@ -0,0 +1,203 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSimulation } from './harness.js';
+import { RoomGeometry } from '../roomGeometry.js';
+
+/**
+ * Check whether the player's footprint overlaps an entity's
+ * @param {Player} player - Player
+ * @param {Entity} entity - Other entity
+ * @returns {boolean} - True if the rectangles overlap
+ */
+function overlaps(player, entity) {
+    return player.x < entity.x + entity.width && player.x + player.width > entity.x &&
+        player.y < entity.y + entity.height && player.y + player.height > entity.y;
+}
+
+describe('Game.update with scripted input', () => {
+    it('walks the player while a movement key is held and stops when it is released', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        const trace = sim.run([{ hold: ['d'], frames: 30 }, { frames: 10 }]);
+
+        const walked = trace[29];
+        assert.ok(walked.x > 15, `walked to x=${walked.x}`);
+        assert.ok(Math.abs(walked.y - 10) < 0.05);
+        assert.equal(trace[39].x, walked.x);
+        assert.equal(sim.player.getDirection(), 'east');
+    });
+
+    it('walks diagonally when two keys are held', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.run([{ hold: ['w', 'a'], frames: 20 }]);
+
+        assert.ok(sim.player.x < 10);
+        assert.ok(sim.player.y < 10);
+        assert.equal(sim.player.getDirection(), 'northwest');
+    });
+
+    it('stops the player short of a block it walks into', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.step(1);
+        const block = sim.addObstacle(9.8, 12);
+        const trace = sim.run([{ hold: ['s'], frames: 60 }]);
+
+        trace.forEach(({ y }) => assert.ok(y + sim.player.height <= block.y, `reached y=${y}`));
+        const gap = block.y - (sim.player.y + sim.player.height);
+        assert.ok(gap < 0.5, `stopped ${gap} short of the block`);
+    });
+
+    it('never lets the player overlap a block it walks into sideways', () => {
+        for (const key of ['d', 'a']) {
+            const sim = createSimulation({ x: 10, y: 10 });
+            sim.step(1);
+            const block = sim.addObstacle(key === 'd' ? 12 : 8, 9.8);
+
+            for (let frame = 0; frame < 60; frame++) {
+                sim.hold(key);
+                sim.step(1);
+                assert.ok(!overlaps(sim.player, block), `overlapped the block at (${sim.player.x}, ${sim.player.y})`);
+            }
+        }
+    });
+
+    it('does not throw the player back when it walks into a block', () => {
+        for (const [key, blockY] of [['s', 12], ['w', 7]]) {
+            const sim = createSimulation({ x: 10, y: 10 });
+            sim.step(1);
+            sim.addObstacle(8.5, blockY, { width: 3 });
+
+            const trace = sim.run([{ hold: [key], frames: 40 }]);
+            const forward = key === 's' ? 1 : -1;
+            trace.slice(1).forEach((position, i) => {
+                const pushedBack = (trace[i].y - position.y) * forward;
+                assert.ok(pushedBack <= 0.35, `pushed back ${pushedBack} in one frame`);
+            });
+        }
+    });
+
+    it('stops flush against a block, without a gap or any jitter', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.step(1);
+        const block = sim.addObstacle(12, 9.8);
+        const trace = sim.run([{ hold: ['d'], frames: 30 }]);
+
+        const gap = block.x - (sim.player.x + sim.player.width);
+        assert.ok(gap >= 0 && gap < 0.01, `stopped ${gap} short of the block`);
+        trace.slice(-10).forEach(({ x }) => assert.equal(x, sim.player.x));
+        assert.deepEqual(sim.game.contacts.map(({ normalX, normalY }) => [normalX, normalY]), [[-1, 0]]);
+    });
+
+    it('slides along a wall it walks into diagonally', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.step(1);
+        const wall = sim.addObstacle(5, 11, { width: 10, height: 1 });
+        sim.run([{ hold: ['s', 'd'], frames: 30 }]);
+
+        assert.ok(sim.player.x > 14, `slid to x=${sim.player.x}`);
+        assert.ok(sim.player.y + sim.player.height <= wall.y);
+    });
+
+    it('does not pass through a thin wall at any speed', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.step(1);
+        const wall = sim.addObstacle(12, 5, { width: 0.1, height: 10 });
+        sim.player.speed = 600; // 10 grid units per step
+
+        sim.run([{ hold: ['d'], frames: 5 }]);
+        assert.ok(sim.player.x + sim.player.width <= wall.x, `ended at x=${sim.player.x}`);
+    });
+
+    it('jumps over a low block instead of being stopped by it', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.step(1);
+        sim.addObstacle(9.8, 10.9, { zHeight: 0.05, height: 0.2 });
+
+        sim.run([{ hold: [' ', 's'], frames: 1 }, { hold: ['s'], frames: 12 }]);
+        assert.ok(sim.player.y > 11.1, `stopped at y=${sim.player.y}`);
+    });
+
+    it('holds the player still while a menu has the input', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.game.setInteractionActive(true);
+        sim.run([{ hold: ['d'], frames: 20 }]);
+
+        assert.equal(sim.player.x, 10);
+    });
+
+    it('freezes the world while paused', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.game.setPaused(true);
+        sim.run([{ hold: ['d'], frames: 20 }]);
+        sim.game.setPaused(false);
+
+        assert.equal(sim.player.x, 10);
+        assert.equal(sim.player.y, 10);
+    });
+
+    it('draws moving entities between the last two steps and puts them back afterwards', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.run([{ hold: ['d'], frames: 5 }]);
+        const { previousX, x } = sim.player;
+        assert.ok(x > previousX);
+
+        sim.game.beginInterpolatedRender(0.25);
+        assert.ok(Math.abs(sim.player.x - (previousX + (x - previousX) * 0.25)) < 1e-9);
+        sim.game.endInterpolatedRender();
+        assert.equal(sim.player.x, x);
+    });
+
+    it('draws teleports at the new spot instead of sliding there', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        sim.step(1);
+        sim.game.storePreviousPositions();
+        sim.player.x = 40;
+
+        sim.game.beginInterpolatedRender(0.5);
+        assert.equal(sim.player.x, 40);
+        sim.game.endInterpolatedRender();
+    });
+});
+
+describe('Game.update against room geometry', () => {
+    // L-shaped room: a 20x8 top floor and a 8x12 leg below its west end, with an interior wall
+    // segment across the top floor at x = 12
+    const lRoom = new RoomGeometry('testLRoom', {
+        gridWidth: 20,
+        gridHeight: 20,
+        floors: [
+            { x: 0, y: 0, width: 20, height: 8 },
+            { x: 0, y: 8, width: 8, height: 12 }
+        ],
+        walls: [
+            { side: 'north', x: 0, y: 0, length: 20 },
+            { side: 'west', x: 0, y: 0, length: 20 },
+            { side: 'west', x: 12, y: 1, length: 5 }
+        ]
+    }, []);
+
+    it('stops the player at an interior wall', () => {
+        const sim = createSimulation({ x: 8, y: 3, geometry: lRoom });
+        sim.run([{ hold: ['d'], frames: 60 }]);
+
+        assert.ok(sim.player.x + sim.player.width <= 12, `walked through the wall to x=${sim.player.x}`);
+        assert.ok(sim.player.x + sim.player.width > 11.5, `stopped early at x=${sim.player.x}`);
+    });
+
+    it('keeps the player on the floor of an L-shaped room', () => {
+        const sim = createSimulation({ x: 14, y: 6, geometry: lRoom });
+        sim.run([{ hold: ['s'], frames: 60 }]);
+
+        assert.ok(sim.player.y + sim.player.height <= 8, `walked off the floor to y=${sim.player.y}`);
+        assert.ok(sim.player.y + sim.player.height > 7.5, `stopped early at y=${sim.player.y}`);
+    });
+
+    it('slides along a wall when walking into it diagonally', () => {
+        // Stops before the wall's south end at y = 6, where the player could walk around it
+        const sim = createSimulation({ x: 10, y: 1.5, geometry: lRoom });
+        sim.run([{ hold: ['d', 's'], frames: 16 }]);
+
+        assert.ok(sim.player.x + sim.player.width <= 12, `walked through the wall to x=${sim.player.x}`);
+        assert.ok(sim.player.y > 3.5, `stuck at y=${sim.player.y}`);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Headless simulation harness for AI Alchemist's Lair tests
+ * Steps the real Game, Player, physics, collision and scene modules with scripted key presses
+ *
+ * Each frame is one simulation step of main.js's game loop: the InputRecorder's tick, then
+ * stepWorld (portal checks and room shortcuts, the player's walk from the held keys, the clamp to
+ * the room's grid, then physics and collision resolution). Rendering, the camera, doorways and
+ * the interaction manager are left out.
+ *
+ *   const sim = createSimulation({ x: 10, y: 10, sceneId: 'startRoom' });
+ *   sim.addObstacle(12, 10);
+ *   const trace = sim.run([{ hold: ['d'], frames: 30 }, { frames: 10 }]);
+ *
+ * The scene manager, portal system and room manager are the shared instances the app uses, so a
+ * simulation created with a sceneId resets them to that scene. A made-up room can be walked in
+ * without registering a scene by passing its RoomGeometry instead.
+ */
+
+import './headlessEnv.js';
+import { input } from '../input.js';
+import { Game } from '../game.js';
+import { Entity } from '../entity.js';
+import { getSceneManager } from '../sceneIntegration.js';
+import { roomManager } from '../roomManager.js';
+import { stepWorld } from '../worldStep.js';
+import { inputRecorder } from '../inputRecorder.js';
+import { SIMULATION_STEP } from '../timing.js';
+
+// Seconds per simulated frame (main.js runs the world in fixed steps of this length)
+const FRAME_TIME = SIMULATION_STEP;
+
+class Simulation {
+    /**
+     * Create a game with a player and, optionally, a current scene
+     * @param {Object} [options] - Simulation options
+     * @param {number} [options.x=5] - Player start X (grid units)
+     * @param {number} [options.y=5] - Player start Y (grid units)
+     * @param {string|null} [options.sceneId=null] - Scene to load; without one, portals and the grid clamp are skipped
+     * @param {RoomGeometry|null} [options.geometry=null] - Room whose grid and walls the player moves in, instead of the scene's
+     */
+    constructor({ x = 5, y = 5, sceneId = null, geometry = null } = {}) {
+        this.game = new Game();
+        window.game = this.game;
+        this.player = this.game.initPlayer(x, y);
+        this.frame = 0;
+        this.geometry = geometry;
+
+        input.reset();
+        inputRecorder.init(this.game);
+
+        this.sceneManager = getSceneManager();
+        if (sceneId) {
+            roomManager.init(this.game, this.sceneManager);
+            roomManager.enterRoom(sceneId, { placePlayer: false });
+        }
+    }
+
+    /**
+     * Get the id of the scene the player is in
+     * @returns {string|null} - Scene id, or null without a scene
+     */
+    getSceneId() {
+        return this.sceneManager.getCurrentScene()?.id || null;
+    }
+
+    /**
+     * Add a static, collidable block to the world
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     * @param {Object} [options] - Entity options (width, height, zHeight, name...)
+     * @returns {Entity} - The obstacle
+     */
+    addObstacle(x, y, { width = 1, height = 1, ...options } = {}) {
+        const obstacle = new Entity(x, y, width, height, { isStatic: true, name: 'obstacle', ...options });
+        this.game.addEntity(obstacle);
+        return obstacle;
+    }
+
+    /**
+     * Press keys (KeyboardEvent.key values such as 'd', 'ArrowUp' or ' ') until released
+     * @param {...string} keys - Keys to hold
+     */
+    hold(...keys) {
+        keys.forEach(key => {
+            input.keys[key] = true;
+        });
+    }
+
+    /**
+     * Release held keys
+     * @param {...string} keys - Keys to release
+     */
+    release(...keys) {
+        keys.forEach(key => {
+            delete input.keys[key];
+        });
+    }
+
+    /**
+     * Release every key and center the stick
+     */
+    releaseAll() {
+        input.reset();
+    }
+
+    /**
+     * Advance the world by whole frames
+     * @param {number} [frames=1] - Frames to run
+     * @param {number} [deltaTime=FRAME_TIME] - Seconds per frame
+     */
+    step(frames = 1, deltaTime = FRAME_TIME) {
+        for (let i = 0; i < frames; i++) {
+            this.stepFrame(deltaTime);
+            this.frame++;
+        }
+    }
+
+    /**
+     * Run one simulation step the way main.js's game loop does
+     * @param {number} deltaTime - Seconds to advance
+     */
+    stepFrame(deltaTime) {
+        if (this.game.isPaused()) {
+            return;
+        }
+
+        inputRecorder.captureTick();
+        stepWorld({ game: this.game, geometry: this.geometry }, deltaTime);
+    }
+
+    /**
+     * Record the input of the frames run by a callback
+     * @param {Function} play - Runs the frames to record, e.g. () => sim.run(script)
+     * @returns {Object} - The recording (see inputRecorder.js)
+     */
+    record(play) {
+        inputRecorder.startRecording();
+        play();
+        return inputRecorder.stopRecording();
+    }
+
+    /**
+     * Replay a recording to the end
+     * @param {Object|string} recording - Recording, or its JSON text
+     * @param {number} [maxFrames=10000] - Give up after this many frames
+     * @returns {Promise<Object>} - {matched, expected, actual} from InputRecorder.startReplay
+     */
+    async replay(recording, maxFrames = 10000) {
+        let finished = false;
+        const done = inputRecorder.startReplay(recording).finally(() => {
+            finished = true;
+        });
+
+        // Let the start scene load before stepping
+        await Promise.resolve();
+        for (let i = 0; i < maxFrames && !finished; i++) {
+            this.step(1);
+            await Promise.resolve();
+        }
+        if (!finished) {
+            inputRecorder.stopReplay();
+        }
+        return done;
+    }
+
+    /**
+     * Play a script of key presses and record where the player was after each frame
+     * @param {Array<Object>} script - Segments like { hold: ['d'], frames: 30 }; keys are released after their segment
+     * @returns {Array<Object>} - One {frame, x, y, z, sceneId} entry per frame
+     */
+    run(script) {
+        const trace = [];
+        script.forEach(({ hold = [], frames = 1 }) => {
+            this.hold(...hold);
+            for (let i = 0; i < frames; i++) {
+                this.step(1);
+                trace.push({ frame: this.frame, x: this.player.x, y: this.player.y, z: this.player.z, sceneId: this.getSceneId() });
+            }
+            this.release(...hold);
+        });
+        return trace;
+    }
+}
+
+/**
+ * Create a simulation
+ * @param {Object} [options] - See the Simulation constructor
+ * @returns {Simulation} - New simulation
+ */
+function createSimulation(options) {
+    return new Simulation(options);
+}
+
+export { Simulation, createSimulation, FRAME_TIME };
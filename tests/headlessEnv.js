@@ -0,0 +1,85 @@
+/**
+ * Headless environment for AI Alchemist's Lair tests
+ * Installs the few browser globals the core modules touch so they load in Node without a DOM or canvas
+ *
+ * Import this before any game module (harness.js does). It provides:
+ * - window (the global object) and document as EventTargets, so CustomEvents such as 'sceneChanged'
+ *   can be dispatched and listened for
+ * - document lookups that find nothing (getElementById, querySelector), so DOM-only code skips itself
+ * - an in-memory localStorage, a localhost location and an Image that never loads
+ * - a fetch that rejects, so rooms without a reachable manifest are entered empty
+ * The game logs every frame, and every room it enters without a manifest, so the console is silenced
+ * unless HEADLESS_VERBOSE=1 is set; failed assertions are still reported by the test runner.
+ */
+
+const windowEvents = new EventTarget();
+const documentEvents = new EventTarget();
+
+/**
+ * Create a localStorage replacement kept in memory
+ * @returns {Storage} - Object with the Storage methods the game uses
+ */
+function createMemoryStorage() {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        clear: () => values.clear(),
+        key: index => Array.from(values.keys())[index] ?? null,
+        get length() {
+            return values.size;
+        }
+    };
+}
+
+class HeadlessImage {
+    constructor() {
+        this.onload = null;
+        this.onerror = null;
+        this.src = '';
+        this.width = 0;
+        this.height = 0;
+        this.complete = false;
+    }
+}
+
+globalThis.window = globalThis;
+globalThis.addEventListener = windowEvents.addEventListener.bind(windowEvents);
+globalThis.removeEventListener = windowEvents.removeEventListener.bind(windowEvents);
+globalThis.dispatchEvent = windowEvents.dispatchEvent.bind(windowEvents);
+
+globalThis.document = {
+    addEventListener: documentEvents.addEventListener.bind(documentEvents),
+    removeEventListener: documentEvents.removeEventListener.bind(documentEvents),
+    dispatchEvent: documentEvents.dispatchEvent.bind(documentEvents),
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    readyState: 'complete',
+    body: null
+};
+
+globalThis.location = {
+    href: 'http://localhost/',
+    origin: 'http://localhost',
+    protocol: 'http:',
+    hostname: 'localhost',
+    pathname: '/',
+    search: '',
+    hash: ''
+};
+
+Object.defineProperty(globalThis, 'localStorage', { value: createMemoryStorage(), configurable: true });
+globalThis.Image = HeadlessImage;
+globalThis.innerWidth = 1280;
+globalThis.innerHeight = 720;
+globalThis.requestAnimationFrame = () => 0;
+globalThis.cancelAnimationFrame = () => {};
+globalThis.fetch = url => Promise.reject(new Error(`No network in headless tests (${url})`));
+
+if (!process.env.HEADLESS_VERBOSE) {
+    ['log', 'info', 'debug', 'warn', 'error'].forEach(method => {
+        console[method] = () => {};
+    });
+}
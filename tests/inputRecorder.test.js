@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+
+import { createSimulation } from './harness.js';
+import { inputRecorder } from '../inputRecorder.js';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+describe('InputRecorder', () => {
+    it('merges runs of identical steps into segments', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        const recording = sim.record(() => sim.run([
+            { hold: ['d'], frames: 30 },
+            { hold: ['d', 's'], frames: 12 },
+            { frames: 5 }
+        ]));
+
+        assert.deepEqual(recording.segments, [
+            { frames: 30, keys: ['d'] },
+            { frames: 12, keys: ['d', 's'] },
+            { frames: 5, keys: [] }
+        ]);
+        assert.equal(recording.start.player.x, 10);
+        assert.equal(recording.end.player.x, sim.player.x);
+    });
+
+    it('replays a recording to exactly where it ended, from anywhere', async () => {
+        const sim = createSimulation({ x: 20, y: 20, sceneId: 'startRoom' });
+        const recording = sim.record(() => sim.run([
+            { hold: ['a'], frames: 25 },
+            { hold: ['w', ' '], frames: 20 },
+            { hold: ['s', 'd'], frames: 40 },
+            { frames: 10 }
+        ]));
+
+        const elsewhere = createSimulation({ x: 50, y: 12, sceneId: 'startRoom' });
+        const result = await elsewhere.replay(JSON.stringify(recording));
+
+        assert.equal(result.matched, true);
+        assert.equal(elsewhere.player.x, recording.end.player.x);
+        assert.equal(elsewhere.player.y, recording.end.player.y);
+        assert.equal(inputRecorder.isReplaying(), false);
+    });
+
+    it('rejects recordings in an unknown format', async () => {
+        const sim = createSimulation();
+        await assert.rejects(sim.replay({ version: 99, segments: [] }), /Unsupported recording format/);
+        await assert.rejects(sim.replay('not json'), /not valid JSON/);
+    });
+
+    readdirSync(FIXTURES).filter(file => file.endsWith('.json')).forEach(file => {
+        it(`replays the ${file} fixture to its recorded end`, async () => {
+            const recording = JSON.parse(readFileSync(new URL(file, FIXTURES), 'utf8'));
+            const sim = createSimulation({ sceneId: recording.start.scene });
+
+            const result = await sim.replay(recording);
+            assert.equal(result.matched, true,
+                `ended in ${result.actual.scene} at (${result.actual.player.x}, ${result.actual.player.y})`);
+        });
+    });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './headlessEnv.js';
+import { Physics } from '../physics.js';
+import { Entity } from '../entity.js';
+
+describe('Physics', () => {
+    it('pulls entities that are in the air', () => {
+        const physics = new Physics();
+        const entity = new Entity(0, 0);
+        entity.isGrounded = false;
+
+        physics.applyGravity(entity);
+        assert.equal(entity.velocityY, physics.gravity);
+    });
+
+    it('leaves grounded entities alone', () => {
+        const physics = new Physics();
+        const entity = new Entity(0, 0);
+        entity.isGrounded = true;
+
+        physics.applyGravity(entity);
+        assert.equal(entity.velocityY, 0);
+    });
+
+    it('treats every entity as grounded so the player can jump anywhere on the floor', () => {
+        const physics = new Physics();
+        const entity = new Entity(3, 250);
+
+        physics.checkGroundCollision(entity, 400);
+        assert.equal(entity.isGrounded, true);
+        assert.equal(entity.y, 250);
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './headlessEnv.js';
+import { Player } from '../player.js';
+
+const FRAME = 1 / 60;
+
+describe('Player', () => {
+    it('walks at its speed in the pressed direction and faces it', () => {
+        const player = new Player(10, 10);
+        player.move('right');
+        assert.equal(player.x, 10, 'move() only sets the velocity');
+
+        player.update(1);
+
+        assert.equal(player.x, 10 + player.speed);
+        assert.equal(player.y, 10);
+        assert.equal(player.getDirection(), 'east');
+    });
+
+    it('moves no faster diagonally than straight', () => {
+        const player = new Player(10, 10);
+        player.move('southeast');
+        player.update(1);
+
+        const distance = Math.hypot(player.x - 10, player.y - 10);
+        assert.ok(Math.abs(distance - player.speed) < 1e-9);
+        assert.equal(player.getDirection(), 'southeast');
+    });
+
+    it('stops on "none"', () => {
+        const player = new Player(10, 10);
+        player.move('up');
+        player.move('none');
+
+        assert.equal(player.velocityX, 0);
+        assert.equal(player.velocityY, 0);
+    });
+
+    it('follows an analog stick at partial speed', () => {
+        const player = new Player(0, 0);
+        player.moveVector(0, -0.5);
+        assert.equal(player.getDirection(), 'north');
+
+        player.update(1);
+        assert.ok(Math.abs(player.y + player.speed / 2) < 1e-9);
+        assert.ok(Math.abs(player.x) < 1e-9);
+    });
+
+    it('jumps in an arc that lands back on the floor, and only from the ground', () => {
+        const player = new Player(0, 0);
+        player.jump();
+        assert.equal(player.isJumping, false);
+
+        player.isGrounded = true;
+        player.jump();
+        assert.equal(player.isJumping, true);
+
+        let highest = 0;
+        for (let frame = 0; frame < 30 && player.isJumping; frame++) {
+            player.update(FRAME);
+            highest = Math.max(highest, player.z);
+        }
+
+        assert.ok(highest > 0.3);
+        assert.equal(player.isJumping, false);
+        assert.equal(player.z, 0);
+    });
+});
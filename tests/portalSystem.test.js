@@ -0,0 +1,140 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSimulation } from './harness.js';
+import PortalSystem from '../portalSystem.js';
+import { scenes } from '../sceneData.js';
+
+describe('PortalSystem', () => {
+    it('registers one portal per scene exit', () => {
+        const sim = createSimulation({ sceneId: 'startRoom' });
+        const portals = new PortalSystem(sim.sceneManager);
+
+        assert.equal(portals.getPortalsForScene('startRoom').length, scenes.startRoom.exits.length);
+        assert.deepEqual(portals.getPortal('startRoom-north-circuitSanctum'), {
+            sourceScene: 'startRoom',
+            targetScene: 'circuitSanctum',
+            gridX: 60,
+            gridY: 0,
+            direction: 'north'
+        });
+        assert.equal(portals.getPortal('startRoom-south-nowhere'), null);
+    });
+
+    it('finds the portals within the proximity threshold of the player', () => {
+        const sim = createSimulation({ sceneId: 'startRoom' });
+        const portals = new PortalSystem(sim.sceneManager);
+
+        assert.deepEqual(portals.getNearbyPortals(61, 1, 'startRoom', 1.5), ['startRoom-north-circuitSanctum']);
+        assert.deepEqual(portals.getNearbyPortals(63, 1, 'startRoom', 1.5), []);
+        assert.deepEqual(portals.getNearbyPortals(61, 1, 'circuitSanctum', 1.5), []);
+    });
+
+    it('lists the nearest portal first when several are in range', () => {
+        const sim = createSimulation({ sceneId: 'startRoom' });
+        const portals = new PortalSystem(sim.sceneManager);
+        portals.addPortal('startRoom-north-test', {
+            sourceScene: 'startRoom', targetScene: 'circuitSanctum', gridX: 62, gridY: 0, direction: 'north'
+        });
+
+        assert.deepEqual(portals.getNearbyPortals(61.5, 1, 'startRoom', 1.5), ['startRoom-north-test', 'startRoom-north-circuitSanctum']);
+    });
+
+    it('moves the player into the target room, just inside the door leading back', () => {
+        const sim = createSimulation({ x: 60.5, y: 1, sceneId: 'startRoom' });
+        const portals = new PortalSystem(sim.sceneManager);
+        const changes = [];
+        const onSceneChanged = event => changes.push(event.detail.sceneId);
+        document.addEventListener('sceneChanged', onSceneChanged);
+
+        const moved = portals.transitionThroughPortal('startRoom-north-circuitSanctum', sim.player);
+        document.removeEventListener('sceneChanged', onSceneChanged);
+
+        assert.equal(moved, true);
+        assert.deepEqual(changes, ['circuitSanctum']);
+        assert.equal(sim.getSceneId(), 'circuitSanctum');
+        assert.deepEqual({ x: sim.player.x, y: sim.player.y }, { x: 8.5, y: 3.5 });
+        assert.equal(sim.player.getDirection(), 'south');
+    });
+
+    it('does not move the player through a coming-soon portal', () => {
+        const sim = createSimulation({ sceneId: 'startRoom' });
+        const portals = new PortalSystem(sim.sceneManager);
+        portals.portals.set('startRoom-east-comingSoon', {
+            sourceScene: 'startRoom', targetScene: 'comingSoon', gridX: 199, gridY: 40, direction: 'east'
+        });
+
+        assert.equal(portals.transitionThroughPortal('startRoom-east-comingSoon', sim.player), false);
+        assert.equal(portals.transitionThroughPortal('missing-portal', sim.player), false);
+        assert.equal(sim.getSceneId(), 'startRoom');
+    });
+
+    it('leaves for an external URL a second after the player steps in', () => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        try {
+            const sim = createSimulation({ sceneId: 'startRoom' });
+            const portals = new PortalSystem(sim.sceneManager);
+            const portalId = 'startRoom-north-externalUrl';
+
+            assert.equal(portals.transitionThroughPortal(portalId, sim.player), true);
+            assert.equal(sim.getSceneId(), 'startRoom');
+
+            mock.timers.tick(1000);
+            assert.equal(window.location.href, portals.getPortal(portalId).externalUrl);
+        } finally {
+            mock.timers.reset();
+            window.location.href = 'http://localhost/';
+        }
+    });
+
+    it('takes a player who walks into a door to the next room', () => {
+        const sim = createSimulation({ x: 60.5, y: 5, sceneId: 'startRoom' });
+        const trace = sim.run([{ hold: ['w'], frames: 30 }]);
+
+        const arrival = trace.findIndex(position => position.sceneId === 'circuitSanctum');
+        assert.ok(arrival > 0, 'never reached the circuit sanctum');
+        assert.ok(Math.abs(trace[arrival].x - 8.5) < 0.05);
+        assert.ok(trace[arrival].y > 2.5);
+    });
+
+    it('goes through a door only once while the movement key stays held', () => {
+        const sim = createSimulation({ x: 60.5, y: 2, sceneId: 'startRoom' });
+        const changes = [];
+        const onSceneChanged = event => changes.push(event.detail.sceneId);
+        document.addEventListener('sceneChanged', onSceneChanged);
+
+        sim.run([{ hold: ['w'], frames: 120 }]);
+        document.removeEventListener('sceneChanged', onSceneChanged);
+
+        assert.deepEqual(changes, ['circuitSanctum']);
+        assert.ok(sim.player.y < 2, `never walked back up to the door (y=${sim.player.y})`);
+    });
+
+    it('opens the door back once the player lets go and steps away from it', () => {
+        const sim = createSimulation({ x: 60.5, y: 2, sceneId: 'startRoom' });
+        sim.run([{ hold: ['w'], frames: 60 }]);
+        assert.equal(sim.getSceneId(), 'circuitSanctum');
+
+        // Letting go at the door doesn't take the player back on its own
+        sim.run([{ frames: 10 }]);
+        assert.equal(sim.getSceneId(), 'circuitSanctum');
+
+        sim.run([{ hold: ['s'], frames: 20 }, { hold: ['w'], frames: 60 }]);
+        assert.equal(sim.getSceneId(), 'startRoom');
+    });
+
+    it('keeps a jumping player out of the portal until they land', () => {
+        const sim = createSimulation({ x: 60.5, y: 1, sceneId: 'startRoom' });
+        sim.player.isGrounded = true;
+        sim.player.jump();
+        for (let frame = 0; frame < 4; frame++) {
+            sim.player.update(1 / 60);
+        }
+        assert.ok(sim.player.z > 0.1);
+
+        const trace = sim.run([{ frames: 30 }]);
+        const arrival = trace.findIndex(position => position.sceneId === 'circuitSanctum');
+        assert.ok(arrival > 0, 'never reached the circuit sanctum');
+        assert.ok(trace.slice(0, arrival - 1).every(position => position.z > 0.1));
+    });
+});
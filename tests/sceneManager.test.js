@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSimulation } from './harness.js';
+
+/**
+ * Record the scene ids of the 'sceneChanged' events dispatched while a function runs
+ * @param {Function} action - Code that may change scenes
+ * @returns {string[]} - Scene ids in dispatch order
+ */
+function recordSceneChanges(action) {
+    const changes = [];
+    const onSceneChanged = event => changes.push(event.detail.sceneId);
+    document.addEventListener('sceneChanged', onSceneChanged);
+    try {
+        action();
+    } finally {
+        document.removeEventListener('sceneChanged', onSceneChanged);
+    }
+    return changes;
+}
+
+describe('SceneManager', () => {
+    it('loads a scene and announces it', () => {
+        const sim = createSimulation({ sceneId: 'startRoom' });
+        const changes = recordSceneChanges(() => sim.sceneManager.loadScene('neonPhylactery'));
+
+        assert.deepEqual(changes, ['neonPhylactery']);
+        assert.equal(sim.getSceneId(), 'neonPhylactery');
+        assert.equal(sim.sceneManager.getCurrentPlayer(), sim.player);
+    });
+
+    it('keeps the current scene when asked for one that does not exist', () => {
+        const sim = createSimulation({ sceneId: 'startRoom' });
+        const changes = recordSceneChanges(() => sim.sceneManager.loadScene('noSuchRoom'));
+
+        assert.deepEqual(changes, []);
+        assert.equal(sim.getSceneId(), 'startRoom');
+    });
+
+    it('follows an exit and places the player at the door leading back', () => {
+        const sim = createSimulation({ x: 8, y: 8, sceneId: 'circuitSanctum' });
+        const changes = recordSceneChanges(() => sim.sceneManager.transitionTo('north'));
+
+        assert.deepEqual(changes, ['startRoom']);
+        assert.equal(sim.getSceneId(), 'startRoom');
+        assert.deepEqual({ x: sim.player.x, y: sim.player.y }, { x: 60.5, y: 3.5 });
+    });
+
+    it('stays put when there is no exit that way', () => {
+        const sim = createSimulation({ x: 8, y: 8, sceneId: 'circuitSanctum' });
+        const changes = recordSceneChanges(() => sim.sceneManager.transitionTo('south'));
+
+        assert.deepEqual(changes, []);
+        assert.equal(sim.getSceneId(), 'circuitSanctum');
+        assert.deepEqual({ x: sim.player.x, y: sim.player.y }, { x: 8, y: 8 });
+    });
+
+    it('changes rooms with a room shortcut', () => {
+        const sim = createSimulation({ x: 8, y: 8, sceneId: 'neonPhylactery' });
+        const changes = recordSceneChanges(() => sim.run([{ hold: ['Shift', 'E'], frames: 1 }, { frames: 2 }]));
+
+        assert.deepEqual(changes, ['startRoom']);
+        assert.equal(sim.getSceneId(), 'startRoom');
+        assert.equal(sim.player.x, 130.5);
+        assert.ok(Math.abs(sim.player.y - 3.5) < 0.05);
+    });
+});
@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import './headlessEnv.js';
+import { SpatialGrid } from '../spatialGrid.js';
+import { Entity } from '../entity.js';
+import { InteractionManager } from '../interactionManager.js';
+import { createSimulation } from './harness.js';
+
+describe('SpatialGrid', () => {
+    it('files entities under the cell they are closest to', () => {
+        const grid = new SpatialGrid(1);
+        const entity = new Entity(3.4, 7.6);
+        grid.addEntity(entity);
+
+        assert.equal(grid.getCellKey(entity), '3,8');
+        assert.equal(grid.getCellCount(), 1);
+        assert.equal(grid.getEntityCount(), 1);
+    });
+
+    it('finds neighbours within the range and leaves out the entity itself', () => {
+        const grid = new SpatialGrid(1);
+        const player = new Entity(10, 10);
+        const near = new Entity(11, 12);
+        const far = new Entity(14, 10);
+        [player, near, far].forEach(entity => grid.addEntity(entity));
+
+        assert.deepEqual(grid.getSurroundingEntities(player, 2), [near]);
+        assert.equal(grid.getSurroundingEntities(player, 4).length, 2);
+        assert.deepEqual(grid.getNearbyEntities(player), []);
+    });
+
+    it('empties on clear', () => {
+        const grid = new SpatialGrid(1);
+        grid.addEntity(new Entity(1, 1));
+        grid.clear();
+
+        assert.equal(grid.getEntityCount(), 0);
+        assert.deepEqual(grid.getSurroundingEntities(new Entity(1, 1)), []);
+    });
+
+    it('converts between world and isometric coordinates both ways', () => {
+        const grid = new SpatialGrid(1, 64, 32);
+        const iso = grid.worldToIso(6, 2);
+        assert.deepEqual(iso, { x: 128, y: 128 });
+
+        const world = grid.isoToWorld(iso.x, iso.y);
+        assert.ok(Math.abs(world.x - 6) < 1e-9);
+        assert.ok(Math.abs(world.y - 2) < 1e-9);
+    });
+});
+
+describe('SpatialGrid tracking', () => {
+    it('moves an entity to its new cell and only counts it once', () => {
+        const grid = new SpatialGrid(1);
+        const entity = new Entity(2, 2);
+        grid.addEntity(entity);
+        const version = grid.version;
+
+        entity.x = 2.3;
+        assert.equal(grid.updateEntity(entity), false);
+        assert.equal(grid.version, version);
+
+        entity.x = 6;
+        assert.equal(grid.updateEntity(entity), true);
+        grid.addEntity(entity);
+        assert.equal(grid.getEntityCount(), 1);
+        assert.equal(grid.getCellCount(), 1);
+        assert.deepEqual(grid.getSurroundingEntities(new Entity(6, 2), 0), [entity]);
+        assert.ok(grid.version > version);
+    });
+
+    it('removes entities and drops their empty cells', () => {
+        const grid = new SpatialGrid(1);
+        const entity = new Entity(4, 4);
+        grid.addEntity(entity);
+
+        assert.equal(grid.removeEntity(entity), true);
+        assert.equal(grid.removeEntity(entity), false);
+        assert.equal(grid.hasEntity(entity), false);
+        assert.equal(grid.getCellCount(), 0);
+    });
+
+    it('queries by box and by radius using entity positions', () => {
+        const grid = new SpatialGrid(1);
+        const center = new Entity(10, 10);
+        const corner = new Entity(12, 12);
+        const side = new Entity(12.5, 10);
+        [center, corner, side].forEach(entity => grid.addEntity(entity));
+
+        assert.deepEqual(new Set(grid.queryAABB(9, 9, 12, 12)), new Set([center, corner]));
+        assert.deepEqual(new Set(grid.queryRadius(10, 10, 2.5)), new Set([center, side]));
+        assert.deepEqual(grid.queryRadius(20, 20, 3), []);
+    });
+
+    it('finds the nearest entity that passes the filter', () => {
+        const grid = new SpatialGrid(1);
+        const near = new Entity(11, 10);
+        const farther = new Entity(13, 10);
+        [near, farther].forEach(entity => grid.addEntity(entity));
+
+        assert.equal(grid.findNearest(10, 10, 5), near);
+        assert.equal(grid.findNearest(10, 10, 5, entity => entity !== near), farther);
+        assert.equal(grid.findNearest(10, 10, 2, entity => entity !== near), null);
+    });
+});
+
+describe('Game spatial grid', () => {
+    it('follows the player as it walks and forgets removed entities', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        const crate = new Entity(30, 30, 1, 1);
+        sim.game.addEntity(crate);
+
+        sim.run([{ hold: ['d'], frames: 30 }]);
+        assert.deepEqual(sim.game.spatialGrid.queryRadius(sim.player.x, sim.player.y, 0.5), [sim.player]);
+        assert.deepEqual(sim.game.spatialGrid.queryRadius(10, 10, 1), []);
+
+        sim.game.removeEntity(crate);
+        assert.equal(sim.game.spatialGrid.hasEntity(crate), false);
+    });
+
+    it('lets interactive entities and the interaction target look the player up in the grid', () => {
+        const sim = createSimulation({ x: 10, y: 10 });
+        const manager = new InteractionManager();
+        manager.game = sim.game;
+        const cabinet = new Entity(12, 10, 1, 1);
+        const jukebox = new Entity(10, 13, 1, 1);
+        [cabinet, jukebox].forEach(entity => {
+            sim.game.addEntity(entity);
+            manager.register(entity, { radius: 4, onInteract: () => {} });
+        });
+
+        assert.equal(manager.isInRange(cabinet, sim.player), true);
+        assert.equal(manager.isInRange(jukebox, sim.player), true);
+        assert.equal(manager.findTarget(sim.player), cabinet);
+
+        sim.game.removeEntity(cabinet);
+        assert.equal(manager.isInRange(cabinet, sim.player), false);
+        assert.equal(manager.findTarget(sim.player), jukebox);
+
+        sim.player.y = 20;
+        assert.equal(manager.isInRange(jukebox, sim.player), false);
+        assert.equal(manager.findTarget(sim.player), null);
+    });
+});
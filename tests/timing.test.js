@@ -0,0 +1,49 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { advanceClock, getInterpolationAlpha, resetClock, SIMULATION_STEP } from '../timing.js';
+
+const STEP_MS = SIMULATION_STEP * 1000;
+
+describe('Fixed-step clock', () => {
+    beforeEach(() => resetClock());
+
+    it('runs no step on the first frame, then one step per elapsed step length', () => {
+        assert.equal(advanceClock(1000), 0);
+        assert.equal(advanceClock(1000 + STEP_MS), 1);
+        assert.equal(advanceClock(1000 + 3 * STEP_MS), 2);
+    });
+
+    it('carries the remainder over and reports it as the interpolation alpha', () => {
+        advanceClock(0.001);
+        assert.equal(advanceClock(0.001 + STEP_MS / 2), 0);
+        assert.ok(Math.abs(getInterpolationAlpha() - 0.5) < 1e-6);
+
+        assert.equal(advanceClock(0.001 + STEP_MS), 1);
+        assert.ok(getInterpolationAlpha() < 1e-6);
+    });
+
+    it('steps the same total on a fast display and a slow one', () => {
+        let fast = 0;
+        advanceClock(1);
+        for (let frame = 1; frame <= 144; frame++) {
+            fast += advanceClock(1 + frame * (1000 / 144));
+        }
+
+        resetClock();
+        let slow = 0;
+        advanceClock(1);
+        for (let frame = 1; frame <= 30; frame++) {
+            slow += advanceClock(1 + frame * (1000 / 30));
+        }
+
+        assert.ok(Math.abs(fast - 60) <= 1, `${fast} steps at 144 Hz`);
+        assert.ok(Math.abs(slow - 60) <= 1, `${slow} steps at 30 Hz`);
+    });
+
+    it('drops the backlog after a long stall instead of fast-forwarding', () => {
+        advanceClock(1);
+        assert.equal(advanceClock(1 + 10000), 5);
+        assert.equal(advanceClock(1 + 10000 + STEP_MS), 1);
+    });
+});
@@ -1,15 +1,29 @@
 /**
  * Timing utilities for the AI Alchemist's Lair game
- * Provides frame rate limiting and timing-related functionality
+ * Runs the world in fixed simulation steps and measures the frame rate
+ *
+ * The world always advances SIMULATION_STEP seconds at a time, however fast the display refreshes,
+ * so movement and collisions come out the same on every machine (and in recorded replays).
+ * advanceClock() turns the time since the last animation frame into a whole number of steps and
+ * keeps the remainder; getInterpolationAlpha() says how far the drawing should sit between the
+ * last two steps.
  */
 
-// Frame rate settings
+// Simulation rate: steps per second
 const TARGET_FPS = 60;
-const FRAME_TIME = 1000 / TARGET_FPS; // Time per frame in ms
+const SIMULATION_STEP = 1 / TARGET_FPS; // Seconds per step
+
+// After a long stall (tab in the background, debugger pause) drop the backlog instead of
+// fast-forwarding through it
+const MAX_STEPS_PER_FRAME = 5;
+
+// Rounding slack, so a frame exactly one step long (a 60 Hz display) counts as one step rather than
+// 0.9999... of one
+const STEP_EPSILON = 1e-6;
 
 // Timing state
 let lastFrameTime = 0;
-let deltaTime = 0;
+let accumulator = 0; // Seconds not yet simulated
 
 // FPS monitoring
 let fpsUpdateInterval = 500; // Update FPS display every 500ms
@@ -18,34 +32,43 @@ let frameCount = 0;
 let currentFps = 0;
 
 /**
- * Checks if enough time has passed to render the next frame
- * @param {number} currentTime - Current timestamp from requestAnimationFrame
- * @returns {boolean} - Whether to proceed with the frame
+ * Add the time since the last frame and count the simulation steps now due
+ * @param {number} currentTime - Current timestamp from requestAnimationFrame (ms)
+ * @returns {number} - Steps to run this frame (0 on the first frame)
  */
-function shouldRenderFrame(currentTime) {
+function advanceClock(currentTime) {
     if (lastFrameTime === 0) {
         lastFrameTime = currentTime;
-        return true;
+        return 0;
     }
-    
-    // Calculate time since last frame
-    deltaTime = currentTime - lastFrameTime;
-    
-    // Only render if enough time has passed (60 FPS cap)
-    if (deltaTime >= FRAME_TIME) {
-        lastFrameTime = currentTime;
-        return true;
+
+    accumulator += Math.max(0, currentTime - lastFrameTime) / 1000;
+    lastFrameTime = currentTime;
+
+    const steps = Math.floor(accumulator / SIMULATION_STEP + STEP_EPSILON);
+    if (steps > MAX_STEPS_PER_FRAME) {
+        accumulator = 0;
+        return MAX_STEPS_PER_FRAME;
     }
-    
-    return false;
+
+    accumulator = Math.max(0, accumulator - steps * SIMULATION_STEP);
+    return steps;
+}
+
+/**
+ * Get how far the current frame is between the last two simulation steps
+ * @returns {number} - 0 (last step but one) to 1 (last step)
+ */
+function getInterpolationAlpha() {
+    return Math.min(1, accumulator / SIMULATION_STEP);
 }
 
 /**
- * Get the time elapsed since the last frame in seconds
- * @returns {number} - Delta time in seconds
+ * Forget the time since the last frame, so a pause is not simulated when the game resumes
  */
-function getDeltaTime() {
-    return deltaTime / 1000;
+function resetClock() {
+    lastFrameTime = 0;
+    accumulator = 0;
 }
 
 /**
@@ -70,9 +93,11 @@ function updateFps(timestamp) {
     return currentFps;
 }
 
-export { 
-    shouldRenderFrame, 
-    getDeltaTime, 
+export {
+    advanceClock,
+    getInterpolationAlpha,
+    resetClock,
     updateFps,
-    TARGET_FPS 
+    TARGET_FPS,
+    SIMULATION_STEP
 };
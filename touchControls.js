@@ -0,0 +1,395 @@
+/**
+ * Touch Controls for AI Alchemist's Lair
+ * On-screen joystick and buttons for phones and tablets, plus pinch zoom and two-finger pan
+ *
+ * - Joystick (bottom left): analog movement through input.stick; in menus it sends arrow keys
+ * - Action button (bottom right): appears when an interactive entity's prompt is showing and
+ *   sends Enter, labelled with the InteractionManager label ('PLAY', 'WATCH', ...) or 'OK' in menus
+ * - Back button: appears in menus and on the pause menu and sends Escape
+ * - Pinch on the canvas zooms the camera; dragging with two fingers pans it through panState
+ *
+ * The controls stay hidden until the first touch (or when the page is opened with ?touch=true).
+ */
+
+import { input } from './input.js';
+import { panState } from './panState.js';
+import { gamePlayer } from './gamePlayerOverlay.js';
+import { applyDeadzone } from './gamepad.js';
+import { interactionManager } from './interactionManager.js';
+import { debug, info } from './utils.js';
+
+// Joystick size in pixels
+const JOYSTICK_RADIUS = 60;
+const KNOB_RADIUS = 26;
+
+// Menu key repeat while the joystick is held, in milliseconds
+const MENU_REPEAT_DELAY = 400;
+const MENU_REPEAT_INTERVAL = 150;
+
+/**
+ * Create an absolutely positioned round control
+ * @param {number} size - Diameter in pixels
+ * @param {string} color - Neon border color
+ * @returns {HTMLDivElement} - Control element
+ */
+function createRoundControl(size, color) {
+    const element = document.createElement('div');
+    element.style.position = 'absolute';
+    element.style.width = size + 'px';
+    element.style.height = size + 'px';
+    element.style.borderRadius = '50%';
+    element.style.border = `2px solid ${color}`;
+    element.style.boxShadow = `0 0 12px ${color}`;
+    element.style.backgroundColor = 'rgba(0, 20, 40, 0.5)';
+    element.style.color = color;
+    element.style.font = 'bold 14px "Courier New", monospace';
+    element.style.display = 'flex';
+    element.style.alignItems = 'center';
+    element.style.justifyContent = 'center';
+    element.style.pointerEvents = 'auto';
+    element.style.touchAction = 'none';
+    element.style.userSelect = 'none';
+    return element;
+}
+
+class TouchControls {
+    constructor() {
+        this.enabled = false;
+        this.canvas = null;
+        this.camera = null;
+
+        // DOM elements, created on enable
+        this.container = null;
+        this.joystickBase = null;
+        this.joystickKnob = null;
+        this.actionButton = null;
+        this.backButton = null;
+
+        // Joystick state
+        this.joystickTouchId = null;
+        this.stick = { x: 0, y: 0 };
+
+        // Arrow key currently held for menu navigation, and when it repeats next
+        this.menuKey = null;
+        this.menuRepeatAt = 0;
+
+        // Pinch and pan state
+        this.gesture = null;
+    }
+
+    /**
+     * Attach gesture handling to the game canvas and enable the controls on the first touch
+     * @param {HTMLCanvasElement} canvas - Game canvas
+     * @param {Camera} camera - Camera zoomed by pinching
+     */
+    init(canvas, camera) {
+        this.canvas = canvas;
+        this.camera = camera;
+
+        canvas.addEventListener('touchstart', (e) => this.handleCanvasTouchStart(e), { passive: false });
+        canvas.addEventListener('touchmove', (e) => this.handleCanvasTouchMove(e), { passive: false });
+        canvas.addEventListener('touchend', (e) => this.handleCanvasTouchEnd(e));
+        canvas.addEventListener('touchcancel', (e) => this.handleCanvasTouchEnd(e));
+
+        if (new URLSearchParams(window.location.search).get('touch') === 'true') {
+            this.enable();
+        } else {
+            window.addEventListener('touchstart', () => this.enable(), { once: true, passive: true });
+        }
+    }
+
+    /**
+     * Build the on-screen controls
+     */
+    enable() {
+        if (this.enabled) {
+            return;
+        }
+        this.enabled = true;
+
+        const container = document.createElement('div');
+        container.id = 'touchControls';
+        container.style.position = 'fixed';
+        container.style.left = '0';
+        container.style.top = '0';
+        container.style.width = '100%';
+        container.style.height = '100%';
+        container.style.pointerEvents = 'none'; // Only the controls themselves take touches
+        container.style.zIndex = '10000';       // Above the arcade menus, below the game player
+
+        const joystickBase = createRoundControl(JOYSTICK_RADIUS * 2, '#00FFCC');
+        joystickBase.style.left = '24px';
+        joystickBase.style.bottom = '24px';
+
+        const joystickKnob = createRoundControl(KNOB_RADIUS * 2, '#00FFCC');
+        joystickKnob.style.pointerEvents = 'none';
+        joystickKnob.style.backgroundColor = 'rgba(0, 255, 204, 0.35)';
+        joystickKnob.style.left = (JOYSTICK_RADIUS - KNOB_RADIUS - 2) + 'px';
+        joystickKnob.style.top = (JOYSTICK_RADIUS - KNOB_RADIUS - 2) + 'px';
+        joystickBase.appendChild(joystickKnob);
+
+        const actionButton = createRoundControl(84, '#FF00FF');
+        actionButton.style.right = '28px';
+        actionButton.style.bottom = '48px';
+        actionButton.style.display = 'none';
+
+        const backButton = createRoundControl(56, '#00FFFF');
+        backButton.style.right = '124px';
+        backButton.style.bottom = '28px';
+        backButton.style.font = 'bold 11px "Courier New", monospace';
+        backButton.textContent = 'BACK';
+        backButton.style.display = 'none';
+
+        joystickBase.addEventListener('touchstart', (e) => this.handleJoystickStart(e), { passive: false });
+        joystickBase.addEventListener('touchmove', (e) => this.handleJoystickMove(e), { passive: false });
+        joystickBase.addEventListener('touchend', (e) => this.handleJoystickEnd(e));
+        joystickBase.addEventListener('touchcancel', (e) => this.handleJoystickEnd(e));
+        this.bindKeyButton(actionButton, 'Enter');
+        this.bindKeyButton(backButton, 'Escape');
+
+        container.appendChild(joystickBase);
+        container.appendChild(actionButton);
+        container.appendChild(backButton);
+        document.body.appendChild(container);
+
+        this.container = container;
+        this.joystickBase = joystickBase;
+        this.joystickKnob = joystickKnob;
+        this.actionButton = actionButton;
+        this.backButton = backButton;
+
+        info('TouchControls: Enabled');
+    }
+
+    /**
+     * Make a button send a key while it is held
+     * @param {HTMLElement} button - Button element
+     * @param {string} key - Key to send
+     */
+    bindKeyButton(button, key) {
+        button.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
+            this.dispatchKey('keydown', key);
+        }, { passive: false });
+
+        const release = () => {
+            button.style.backgroundColor = 'rgba(0, 20, 40, 0.5)';
+            this.dispatchKey('keyup', key);
+        };
+        button.addEventListener('touchend', release);
+        button.addEventListener('touchcancel', release);
+    }
+
+    /**
+     * Dispatch a synthetic key event on document, like gamepad.js does for controller buttons
+     * @param {string} type - 'keydown' or 'keyup'
+     * @param {string} key - Key value
+     */
+    dispatchKey(type, key) {
+        document.dispatchEvent(new KeyboardEvent(type, { key, bubbles: true, cancelable: true }));
+    }
+
+    /**
+     * Start tracking a finger on the joystick
+     * @param {TouchEvent} e - Touch event
+     */
+    handleJoystickStart(e) {
+        e.preventDefault();
+        if (this.joystickTouchId === null) {
+            const touch = e.changedTouches[0];
+            this.joystickTouchId = touch.identifier;
+            this.moveKnob(touch);
+        }
+    }
+
+    /**
+     * Follow the joystick finger
+     * @param {TouchEvent} e - Touch event
+     */
+    handleJoystickMove(e) {
+        e.preventDefault();
+        const touch = Array.from(e.changedTouches).find(t => t.identifier === this.joystickTouchId);
+        if (touch) {
+            this.moveKnob(touch);
+        }
+    }
+
+    /**
+     * Release the joystick when its finger lifts
+     * @param {TouchEvent} e - Touch event
+     */
+    handleJoystickEnd(e) {
+        const touch = Array.from(e.changedTouches).find(t => t.identifier === this.joystickTouchId);
+        if (!touch) {
+            return;
+        }
+
+        this.joystickTouchId = null;
+        this.stick = { x: 0, y: 0 };
+        input.stick = { x: 0, y: 0 };
+        this.joystickKnob.style.transform = '';
+    }
+
+    /**
+     * Move the knob under a finger and update the stick vector
+     * @param {Touch} touch - Joystick touch
+     */
+    moveKnob(touch) {
+        const rect = this.joystickBase.getBoundingClientRect();
+        let dx = touch.clientX - (rect.left + rect.width / 2);
+        let dy = touch.clientY - (rect.top + rect.height / 2);
+
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > JOYSTICK_RADIUS) {
+            dx = (dx / distance) * JOYSTICK_RADIUS;
+            dy = (dy / distance) * JOYSTICK_RADIUS;
+        }
+
+        this.joystickKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+        this.stick = applyDeadzone(dx / JOYSTICK_RADIUS, dy / JOYSTICK_RADIUS);
+    }
+
+    /**
+     * Begin a pinch/pan gesture when a second finger touches the canvas
+     * @param {TouchEvent} e - Touch event
+     */
+    handleCanvasTouchStart(e) {
+        if (e.touches.length !== 2) {
+            return;
+        }
+        e.preventDefault();
+
+        const [a, b] = e.touches;
+        const mid = this.getCanvasPoint((a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2);
+        this.gesture = {
+            startDistance: Math.max(1, Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)),
+            startZoom: this.camera.targetZoom
+        };
+        panState.start(mid.x, mid.y);
+    }
+
+    /**
+     * Zoom by the pinch distance and pan by the fingers' midpoint
+     * @param {TouchEvent} e - Touch event
+     */
+    handleCanvasTouchMove(e) {
+        if (!this.gesture || e.touches.length !== 2) {
+            return;
+        }
+        e.preventDefault();
+
+        const [a, b] = e.touches;
+        const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+        this.camera.setZoom(this.gesture.startZoom * (distance / this.gesture.startDistance));
+
+        const mid = this.getCanvasPoint((a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2);
+        panState.update(mid.x, mid.y);
+    }
+
+    /**
+     * End the gesture once fewer than two fingers remain
+     * @param {TouchEvent} e - Touch event
+     */
+    handleCanvasTouchEnd(e) {
+        if (this.gesture && e.touches.length < 2) {
+            this.gesture = null;
+            panState.stop();
+        }
+    }
+
+    /**
+     * Convert a page position to canvas coordinates
+     * @param {number} clientX - Page X
+     * @param {number} clientY - Page Y
+     * @returns {Object} - Canvas position {x, y}
+     */
+    getCanvasPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    /**
+     * Update the stick, menu navigation and button visibility; call once per frame
+     * @param {number} now - Current time in milliseconds
+     */
+    update(now = performance.now()) {
+        if (!this.enabled) {
+            return;
+        }
+
+        // Embedded arcade games take touches themselves
+        if (gamePlayer.isOpen()) {
+            this.container.style.display = 'none';
+            return;
+        }
+        this.container.style.display = 'block';
+
+        const game = window.game;
+        const inMenu = !!(game && game.isInteractionActive());
+        const paused = !!(game && game.isPaused());
+
+        if (inMenu) {
+            this.updateMenuNavigation(now);
+        } else {
+            this.releaseMenuKey();
+            if (this.joystickTouchId !== null) {
+                input.stick = this.stick;
+            }
+        }
+
+        // Action button: 'OK' in menus, the entity's label next to something interactive
+        const prompted = inMenu ? null : interactionManager.getTarget();
+        const label = inMenu ? 'OK' : interactionManager.getLabel(prompted);
+        this.actionButton.style.display = label && !paused ? 'flex' : 'none';
+        if (label && this.actionButton.textContent !== label) {
+            this.actionButton.textContent = label;
+        }
+
+        this.backButton.style.display = inMenu || paused ? 'flex' : 'none';
+    }
+
+    /**
+     * Turn the joystick into held arrow keys while a menu is open
+     * @param {number} now - Current time in milliseconds
+     */
+    updateMenuNavigation(now) {
+        const { x, y } = this.stick;
+        let key = null;
+        if (Math.abs(x) > 0.5 || Math.abs(y) > 0.5) {
+            if (Math.abs(x) > Math.abs(y)) {
+                key = x > 0 ? 'ArrowRight' : 'ArrowLeft';
+            } else {
+                key = y > 0 ? 'ArrowDown' : 'ArrowUp';
+            }
+        }
+
+        if (key !== this.menuKey) {
+            this.releaseMenuKey();
+            if (key) {
+                this.menuKey = key;
+                this.menuRepeatAt = now + MENU_REPEAT_DELAY;
+                this.dispatchKey('keydown', key);
+            }
+        } else if (key && now >= this.menuRepeatAt) {
+            this.menuRepeatAt = now + MENU_REPEAT_INTERVAL;
+            this.dispatchKey('keydown', key);
+        }
+    }
+
+    /**
+     * Release the arrow key held for menu navigation
+     */
+    releaseMenuKey() {
+        if (this.menuKey) {
+            this.dispatchKey('keyup', this.menuKey);
+            debug(`TouchControls: Released ${this.menuKey}`);
+            this.menuKey = null;
+        }
+    }
+}
+
+// Shared controls driven by the main game loop
+const touchControls = new TouchControls();
+
+export { TouchControls, touchControls };
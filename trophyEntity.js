@@ -5,9 +5,11 @@
 
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
-import { input } from './input.js'; // Corrected to use named import
+import { interactionManager } from './interactionManager.js';
 import { debug } from './utils.js';
 import { getAssetPath } from './pathResolver.js';
+import { saveSession } from './sessionState.js';
+import { audioManager } from './audioManager.js';
 
 export class TrophyEntity extends Entity {
     /**
@@ -46,10 +48,17 @@ export class TrophyEntity extends Entity {
         
         // Interaction state
         this.isPlayerNearby = false;
-        this.showPrompt = false;
+        this.actionLabel = 'VIEW'; // Touch action button label
         this.interactionEnabled = true;
-        this.interactionPromptAlpha = 0; // For fade in/out effect like TV/jukebox
-        this.wasEnterPressed = false;
+        
+        // Enter (or the touch action button) opens the site through the shared interaction pipeline
+        interactionManager.register(this, {
+            radius: this.interactionDistance,
+            label: this.actionLabel,
+            prompt: 'Visit Site',
+            onInteract: () => this.interact(),
+            isEnabled: () => this.interactionEnabled
+        });
         
         // Animation properties
         this.animationTime = 0;
@@ -109,9 +118,6 @@ export class TrophyEntity extends Entity {
         // Update glow effect - explicit call to updateGlowEffect
         this.updateGlowEffect(deltaTime);
         
-        // Check for interaction (Enter key press)
-        this.checkForInteraction();
-        
         // Debug logging every 60 frames
         if (Math.round(this.animationTime * 10) % 60 === 0) {
             console.log(`Trophy update: animTime=${this.animationTime.toFixed(2)}, glow=${this.glowIntensity.toFixed(2)}, isNearby=${this.isPlayerNearby}`);
@@ -132,7 +138,7 @@ export class TrophyEntity extends Entity {
             const wasNearby = this.isPlayerNearby;
             
             // Update proximity state
-            this.isPlayerNearby = distance <= this.interactionDistance;
+            this.isPlayerNearby = interactionManager.isInRange(this, player);
             
             // Log state changes
             if (!wasNearby && this.isPlayerNearby) {
@@ -142,24 +148,9 @@ export class TrophyEntity extends Entity {
             } else if (wasNearby && !this.isPlayerNearby) {
                 console.log(`TrophyEntity: Player left interaction range (${distance.toFixed(2)} units)`);
             }
-            
-            // Handle interaction prompt fade (similar to TV and jukebox)
-            if (this.isPlayerNearby) {
-                // Fade in prompt
-                this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
-                this.showPrompt = true;
-            } else {
-                // Fade out prompt
-                this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - 0.05);
-                if (this.interactionPromptAlpha <= 0) {
-                    this.showPrompt = false;
-                }
-            }
         } else {
             // No player reference, assume not nearby
             this.isPlayerNearby = false;
-            this.showPrompt = false;
-            this.interactionPromptAlpha = 0;
         }
     }
     
@@ -190,226 +181,22 @@ export class TrophyEntity extends Entity {
         }
     }
     
-    /**
-     * Check for user interaction with the trophy
-     */
-    checkForInteraction() {
-        // Only check for interaction if player is nearby and interaction is enabled
-        if (this.isPlayerNearby && this.interactionEnabled) {
-            // Use the enhanced input system with all possible Enter key detection methods
-            const isEnterPressed = input.enterKeyPressed || 
-                                  input.numpadEnterPressed || 
-                                  input.keys['Enter'] || 
-                                  input.keys['NumpadEnter'] || 
-                                  input.isKeyPressed('Enter') || 
-                                  input.isKeyPressed('NumpadEnter');
-            
-            // Specific Enter key press detection (not just held down)
-            const isNewEnterPress = isEnterPressed && !this.wasEnterPressed;
-            
-            // Aggressive logging to debug the issue
-            console.log(`Trophy interaction check:`, {
-                isPlayerNearby: this.isPlayerNearby,
-                isEnterPressed: isEnterPressed,
-                wasEnterPressed: this.wasEnterPressed,
-                isNewEnterPress: isNewEnterPress,
-                enterFlag: input.enterKeyPressed,
-                numpadEnterFlag: input.numpadEnterPressed,
-                enterKey: input.keys['Enter'],
-                numpadEnterKey: input.keys['NumpadEnter'],
-                time: new Date().toISOString(),
-                position: `(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`
-            });
-            
-            // Only detect a new press (not holding)
-            if (isNewEnterPress) {
-                console.log('TrophyEntity: NEW Enter key press detected, navigating to URL!');
-                // Force this to run async to avoid any race conditions
-                setTimeout(() => this.interact(), 50);
-            }
-            
-            // Update previous state
-            this.wasEnterPressed = isEnterPressed;
-        }
-    }
-    
     /**
      * Play a triumphant fanfare sound when player approaches the trophy
      */
     playTriumphantSound() {
         try {
-            // Create audio context
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            // Shared audio context (null until a user gesture unlocks audio)
+            const audioCtx = audioManager.getContext();
+            if (!audioCtx) {
+                return;
+            }
             
             // Duration of our fanfare
             const duration = 2.5; // seconds
             
-            // Create an audio buffer for our fanfare
-            const bufferSize = audioCtx.sampleRate * duration;
-            const buffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
-            const leftChannel = buffer.getChannelData(0);
-            const rightChannel = buffer.getChannelData(1);
-            
-            // Triumphant major-key fanfare with brass-like sound
-            // Define notes for a triumphant C major fanfare sequence
-            const notes = [
-                // Rising major triad
-                { note: 'C4', freq: 261.63, start: 0.0, duration: 0.15, type: 'brass' },
-                { note: 'E4', freq: 329.63, start: 0.15, duration: 0.15, type: 'brass' },
-                { note: 'G4', freq: 392.00, start: 0.3, duration: 0.15, type: 'brass' },
-                
-                // Fifth jump (C to G)
-                { note: 'C5', freq: 523.25, start: 0.45, duration: 0.4, type: 'brass' },
-                { note: 'G5', freq: 783.99, start: 0.85, duration: 0.6, type: 'fanfare' },
-                
-                // Final chord - C major with added high C
-                { note: 'C4', freq: 261.63, start: 1.45, duration: 0.9, type: 'chord' },
-                { note: 'E4', freq: 329.63, start: 1.45, duration: 0.9, type: 'chord' },
-                { note: 'G4', freq: 392.00, start: 1.45, duration: 0.9, type: 'chord' },
-                { note: 'C5', freq: 523.25, start: 1.45, duration: 0.9, type: 'chord' }
-            ];
-            
-            // Add percussion
-            const percussion = [
-                { type: 'cymbal', start: 0.0, duration: 0.1 },
-                { type: 'cymbal', start: 0.45, duration: 0.1 },
-                { type: 'cymbal', start: 1.45, duration: 0.3 }
-            ];
-            
-            // Generate the notes
-            for (const note of notes) {
-                const startSample = Math.floor(note.start * audioCtx.sampleRate);
-                const endSample = Math.floor((note.start + note.duration) * audioCtx.sampleRate);
-                const noteSamples = endSample - startSample;
-                
-                // Generate each sample for this note
-                for (let i = 0; i < noteSamples; i++) {
-                    if (startSample + i >= bufferSize) break;
-                    
-                    const t = i / audioCtx.sampleRate;
-                    let value = 0;
-                    
-                    // Apply envelope - attack, decay, sustain, release (ADSR)
-                    let envelope;
-                    const attack = 0.05;
-                    const decay = 0.1;
-                    const sustain = 0.8;
-                    const release = 0.2;
-                    
-                    // Calculate normalized position in note (0-1)
-                    const notePosition = i / noteSamples;
-                    
-                    // Apply ADSR envelope
-                    if (notePosition < attack / note.duration) {
-                        // Attack phase - quick rise
-                        envelope = notePosition / (attack / note.duration);
-                    } else if (notePosition < (attack + decay) / note.duration) {
-                        // Decay phase - slight reduction to sustain level
-                        const decayPosition = (notePosition - attack / note.duration) / (decay / note.duration);
-                        envelope = 1.0 - (1.0 - sustain) * decayPosition;
-                    } else if (notePosition < 1.0 - release / note.duration) {
-                        // Sustain phase - maintain level
-                        envelope = sustain;
-                    } else {
-                        // Release phase - fade out
-                        const releasePosition = (notePosition - (1.0 - release / note.duration)) / (release / note.duration);
-                        envelope = sustain * (1.0 - releasePosition);
-                    }
-                    
-                    // Different timbres for different note types
-                    if (note.type === 'brass') {
-                        // Brass-like sound with harmonics
-                        value = Math.sin(2 * Math.PI * note.freq * t) * 0.4 +
-                                Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.2 +
-                                Math.sin(2 * Math.PI * note.freq * 3 * t) * 0.1 +
-                                // Add a bit of noise for brass character
-                                (Math.random() * 2 - 1) * 0.05;
-                        
-                        // Add slight pitch bend at start for brass character
-                        if (i < noteSamples * 0.1) {
-                            const bendAmount = 1 - (i / (noteSamples * 0.1)) * 0.05;
-                            value = Math.sin(2 * Math.PI * note.freq * bendAmount * t) * 0.6;
-                        }
-                        
-                    } else if (note.type === 'fanfare') {
-                        // Triumphant fanfare sound with stronger harmonics & vibrato
-                        const vibrato = 1 + Math.sin(2 * Math.PI * 6 * t) * 0.015; // 6 Hz vibrato
-                        value = Math.sin(2 * Math.PI * note.freq * t * vibrato) * 0.4 +
-                                Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.25 +
-                                Math.sin(2 * Math.PI * note.freq * 3 * t) * 0.15 +
-                                Math.sin(2 * Math.PI * note.freq * 4 * t) * 0.1;
-                    } else if (note.type === 'chord') {
-                        // Sustaining final chord
-                        value = Math.sin(2 * Math.PI * note.freq * t) * 0.3 +
-                                Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.15;
-                        
-                        // Add slow tremolo to the final chord
-                        const tremolo = 0.7 + Math.sin(2 * Math.PI * 4 * t) * 0.3;
-                        value *= tremolo;
-                    }
-                    
-                    // Apply envelope
-                    value *= envelope;
-                    
-                    // Apply overall volume adjustment for this type
-                    if (note.type === 'brass') value *= 0.7;
-                    if (note.type === 'fanfare') value *= 0.6;
-                    if (note.type === 'chord') value *= 0.5;
-                    
-                    // Add stereo separation based on note frequency
-                    // Higher notes more to the right, lower notes more to the left
-                    const panPosition = (note.freq - 261.63) / (783.99 - 261.63); // 0-1 based on note range
-                    const leftGain = 1.0 - panPosition * 0.5; // 1.0-0.5
-                    const rightGain = 0.5 + panPosition * 0.5; // 0.5-1.0
-                    
-                    // Mix into buffer with stereo position
-                    leftChannel[startSample + i] += value * leftGain;
-                    rightChannel[startSample + i] += value * rightGain;
-                }
-            }
-            
-            // Add percussion elements
-            for (const perc of percussion) {
-                const startSample = Math.floor(perc.start * audioCtx.sampleRate);
-                const endSample = Math.floor((perc.start + perc.duration) * audioCtx.sampleRate);
-                const percSamples = endSample - startSample;
-                
-                if (perc.type === 'cymbal') {
-                    for (let i = 0; i < percSamples; i++) {
-                        if (startSample + i >= bufferSize) break;
-                        
-                        // White noise filtered for cymbal-like sound
-                        const noise = Math.random() * 2 - 1;
-                        
-                        // Envelope with fast attack and longer decay
-                        const env = Math.exp(-i / percSamples * 10);
-                        
-                        // Add high frequency resonance for cymbal character
-                        const resonance = Math.sin(2 * Math.PI * 8000 * i / audioCtx.sampleRate) * 0.1;
-                        
-                        // Combine and apply envelope
-                        const cymbalSound = (noise * 0.6 + resonance) * env * 0.4;
-                        
-                        // Mix into buffer
-                        leftChannel[startSample + i] += cymbalSound;
-                        rightChannel[startSample + i] += cymbalSound;
-                    }
-                }
-            }
-            
-            // Normalize to prevent clipping
-            let maxSample = 0;
-            for (let i = 0; i < bufferSize; i++) {
-                maxSample = Math.max(maxSample, Math.abs(leftChannel[i]), Math.abs(rightChannel[i]));
-            }
-            
-            if (maxSample > 0.9) {
-                const normalizeFactor = 0.9 / maxSample;
-                for (let i = 0; i < bufferSize; i++) {
-                    leftChannel[i] *= normalizeFactor;
-                    rightChannel[i] *= normalizeFactor;
-                }
-            }
+            // Synthesized once, then reused every time the player approaches
+            const buffer = audioManager.getBuffer('trophy.fanfare', ctx => this.createFanfareBuffer(ctx, duration));
             
             // Set up audio processing chain
             const source = audioCtx.createBufferSource();
@@ -417,23 +204,7 @@ export class TrophyEntity extends Entity {
             
             // Add reverb for spatial quality
             const convolver = audioCtx.createConvolver();
-            
-            // Create impulse response for hall-like reverb
-            const reverbDuration = 1.5; // seconds
-            const decayFactor = 0.01;
-            const impulseLength = audioCtx.sampleRate * reverbDuration;
-            const impulse = audioCtx.createBuffer(2, impulseLength, audioCtx.sampleRate);
-            const impulseL = impulse.getChannelData(0);
-            const impulseR = impulse.getChannelData(1);
-            
-            // Initialize impulse response with decaying noise
-            for (let i = 0; i < impulseLength; i++) {
-                const decay = Math.exp(-i / impulseLength * 10);
-                impulseL[i] = (Math.random() * 2 - 1) * decay * decayFactor;
-                impulseR[i] = (Math.random() * 2 - 1) * decay * decayFactor;
-            }
-            
-            convolver.buffer = impulse;
+            convolver.buffer = audioManager.getBuffer('trophy.reverb', ctx => this.createReverbImpulse(ctx));
             
             // EQ to enhance the triumphant sound
             const lowShelf = audioCtx.createBiquadFilter();
@@ -475,7 +246,7 @@ export class TrophyEntity extends Entity {
             
             dryGain.connect(masterGain);
             wetGain.connect(masterGain);
-            masterGain.connect(audioCtx.destination);
+            masterGain.connect(audioManager.getBus('sfx'));
             
             // Play sound
             source.start();
@@ -484,7 +255,6 @@ export class TrophyEntity extends Entity {
             setTimeout(() => {
                 try {
                     source.stop();
-                    audioCtx.close();
                 } catch (err) {
                     console.warn('Error cleaning up trophy sound:', err);
                 }
@@ -496,6 +266,207 @@ export class TrophyEntity extends Entity {
         }
     }
     
+    /**
+     * Synthesize the fanfare: a rising brass C major line, a final chord and cymbals, normalized to avoid clipping
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @param {number} duration - Length in seconds
+     * @returns {AudioBuffer} - Stereo fanfare
+     */
+    createFanfareBuffer(audioCtx, duration) {
+        // Create an audio buffer for our fanfare
+        const bufferSize = audioCtx.sampleRate * duration;
+        const buffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
+        const leftChannel = buffer.getChannelData(0);
+        const rightChannel = buffer.getChannelData(1);
+        
+        // Triumphant major-key fanfare with brass-like sound
+        // Define notes for a triumphant C major fanfare sequence
+        const notes = [
+            // Rising major triad
+            { note: 'C4', freq: 261.63, start: 0.0, duration: 0.15, type: 'brass' },
+            { note: 'E4', freq: 329.63, start: 0.15, duration: 0.15, type: 'brass' },
+            { note: 'G4', freq: 392.00, start: 0.3, duration: 0.15, type: 'brass' },
+            
+            // Fifth jump (C to G)
+            { note: 'C5', freq: 523.25, start: 0.45, duration: 0.4, type: 'brass' },
+            { note: 'G5', freq: 783.99, start: 0.85, duration: 0.6, type: 'fanfare' },
+            
+            // Final chord - C major with added high C
+            { note: 'C4', freq: 261.63, start: 1.45, duration: 0.9, type: 'chord' },
+            { note: 'E4', freq: 329.63, start: 1.45, duration: 0.9, type: 'chord' },
+            { note: 'G4', freq: 392.00, start: 1.45, duration: 0.9, type: 'chord' },
+            { note: 'C5', freq: 523.25, start: 1.45, duration: 0.9, type: 'chord' }
+        ];
+        
+        // Add percussion
+        const percussion = [
+            { type: 'cymbal', start: 0.0, duration: 0.1 },
+            { type: 'cymbal', start: 0.45, duration: 0.1 },
+            { type: 'cymbal', start: 1.45, duration: 0.3 }
+        ];
+        
+        // Generate the notes
+        for (const note of notes) {
+            const startSample = Math.floor(note.start * audioCtx.sampleRate);
+            const endSample = Math.floor((note.start + note.duration) * audioCtx.sampleRate);
+            const noteSamples = endSample - startSample;
+            
+            // Generate each sample for this note
+            for (let i = 0; i < noteSamples; i++) {
+                if (startSample + i >= bufferSize) break;
+                
+                const t = i / audioCtx.sampleRate;
+                let value = 0;
+                
+                // Apply envelope - attack, decay, sustain, release (ADSR)
+                let envelope;
+                const attack = 0.05;
+                const decay = 0.1;
+                const sustain = 0.8;
+                const release = 0.2;
+                
+                // Calculate normalized position in note (0-1)
+                const notePosition = i / noteSamples;
+                
+                // Apply ADSR envelope
+                if (notePosition < attack / note.duration) {
+                    // Attack phase - quick rise
+                    envelope = notePosition / (attack / note.duration);
+                } else if (notePosition < (attack + decay) / note.duration) {
+                    // Decay phase - slight reduction to sustain level
+                    const decayPosition = (notePosition - attack / note.duration) / (decay / note.duration);
+                    envelope = 1.0 - (1.0 - sustain) * decayPosition;
+                } else if (notePosition < 1.0 - release / note.duration) {
+                    // Sustain phase - maintain level
+                    envelope = sustain;
+                } else {
+                    // Release phase - fade out
+                    const releasePosition = (notePosition - (1.0 - release / note.duration)) / (release / note.duration);
+                    envelope = sustain * (1.0 - releasePosition);
+                }
+                
+                // Different timbres for different note types
+                if (note.type === 'brass') {
+                    // Brass-like sound with harmonics
+                    value = Math.sin(2 * Math.PI * note.freq * t) * 0.4 +
+                            Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.2 +
+                            Math.sin(2 * Math.PI * note.freq * 3 * t) * 0.1 +
+                            // Add a bit of noise for brass character
+                            (Math.random() * 2 - 1) * 0.05;
+                    
+                    // Add slight pitch bend at start for brass character
+                    if (i < noteSamples * 0.1) {
+                        const bendAmount = 1 - (i / (noteSamples * 0.1)) * 0.05;
+                        value = Math.sin(2 * Math.PI * note.freq * bendAmount * t) * 0.6;
+                    }
+                    
+                } else if (note.type === 'fanfare') {
+                    // Triumphant fanfare sound with stronger harmonics & vibrato
+                    const vibrato = 1 + Math.sin(2 * Math.PI * 6 * t) * 0.015; // 6 Hz vibrato
+                    value = Math.sin(2 * Math.PI * note.freq * t * vibrato) * 0.4 +
+                            Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.25 +
+                            Math.sin(2 * Math.PI * note.freq * 3 * t) * 0.15 +
+                            Math.sin(2 * Math.PI * note.freq * 4 * t) * 0.1;
+                } else if (note.type === 'chord') {
+                    // Sustaining final chord
+                    value = Math.sin(2 * Math.PI * note.freq * t) * 0.3 +
+                            Math.sin(2 * Math.PI * note.freq * 2 * t) * 0.15;
+                    
+                    // Add slow tremolo to the final chord
+                    const tremolo = 0.7 + Math.sin(2 * Math.PI * 4 * t) * 0.3;
+                    value *= tremolo;
+                }
+                
+                // Apply envelope
+                value *= envelope;
+                
+                // Apply overall volume adjustment for this type
+                if (note.type === 'brass') value *= 0.7;
+                if (note.type === 'fanfare') value *= 0.6;
+                if (note.type === 'chord') value *= 0.5;
+                
+                // Add stereo separation based on note frequency
+                // Higher notes more to the right, lower notes more to the left
+                const panPosition = (note.freq - 261.63) / (783.99 - 261.63); // 0-1 based on note range
+                const leftGain = 1.0 - panPosition * 0.5; // 1.0-0.5
+                const rightGain = 0.5 + panPosition * 0.5; // 0.5-1.0
+                
+                // Mix into buffer with stereo position
+                leftChannel[startSample + i] += value * leftGain;
+                rightChannel[startSample + i] += value * rightGain;
+            }
+        }
+        
+        // Add percussion elements
+        for (const perc of percussion) {
+            const startSample = Math.floor(perc.start * audioCtx.sampleRate);
+            const endSample = Math.floor((perc.start + perc.duration) * audioCtx.sampleRate);
+            const percSamples = endSample - startSample;
+            
+            if (perc.type === 'cymbal') {
+                for (let i = 0; i < percSamples; i++) {
+                    if (startSample + i >= bufferSize) break;
+                    
+                    // White noise filtered for cymbal-like sound
+                    const noise = Math.random() * 2 - 1;
+                    
+                    // Envelope with fast attack and longer decay
+                    const env = Math.exp(-i / percSamples * 10);
+                    
+                    // Add high frequency resonance for cymbal character
+                    const resonance = Math.sin(2 * Math.PI * 8000 * i / audioCtx.sampleRate) * 0.1;
+                    
+                    // Combine and apply envelope
+                    const cymbalSound = (noise * 0.6 + resonance) * env * 0.4;
+                    
+                    // Mix into buffer
+                    leftChannel[startSample + i] += cymbalSound;
+                    rightChannel[startSample + i] += cymbalSound;
+                }
+            }
+        }
+        
+        // Normalize to prevent clipping
+        let maxSample = 0;
+        for (let i = 0; i < bufferSize; i++) {
+            maxSample = Math.max(maxSample, Math.abs(leftChannel[i]), Math.abs(rightChannel[i]));
+        }
+        
+        if (maxSample > 0.9) {
+            const normalizeFactor = 0.9 / maxSample;
+            for (let i = 0; i < bufferSize; i++) {
+                leftChannel[i] *= normalizeFactor;
+                rightChannel[i] *= normalizeFactor;
+            }
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * Synthesize the hall reverb impulse (decaying stereo noise)
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @returns {AudioBuffer} - Impulse response
+     */
+    createReverbImpulse(audioCtx) {
+        // Create impulse response for hall-like reverb
+        const reverbDuration = 1.5; // seconds
+        const decayFactor = 0.01;
+        const impulseLength = audioCtx.sampleRate * reverbDuration;
+        const impulse = audioCtx.createBuffer(2, impulseLength, audioCtx.sampleRate);
+        const impulseL = impulse.getChannelData(0);
+        const impulseR = impulse.getChannelData(1);
+        
+        // Initialize impulse response with decaying noise
+        for (let i = 0; i < impulseLength; i++) {
+            const decay = Math.exp(-i / impulseLength * 10);
+            impulseL[i] = (Math.random() * 2 - 1) * decay * decayFactor;
+            impulseR[i] = (Math.random() * 2 - 1) * decay * decayFactor;
+        }
+        
+        return impulse;
+    }
+    
     /**
      * Handle trophy interaction (navigate to URL)
      */
@@ -507,6 +478,9 @@ export class TrophyEntity extends Entity {
         // Create a transition effect before opening URL
         this.createTransitionEffect();
         
+        // Save the session in case the visitor closes this tab from the new one
+        saveSession();
+        
         // Open URL in a new tab
         window.open(this.targetUrl, '_blank');
     }
@@ -641,11 +615,6 @@ export class TrophyEntity extends Entity {
         ctx.shadowBlur = 0;
         ctx.shadowColor = 'transparent';
         
-        // Draw interaction prompt if player is nearby
-        if (this.showPrompt) {
-            this.drawInteractionPrompt(ctx, screenX, drawY - height * 4);
-        }
-        
         // Draw debug info if enabled
         if (window.DEBUG_MODE) {
             this.drawDebugInfo(ctx, screenX, drawY, width, height);
@@ -655,50 +624,6 @@ export class TrophyEntity extends Entity {
         ctx.restore();
     }
     
-    /**
-     * Draw interaction prompt above the trophy
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} x - X position for the prompt
-     * @param {number} y - Y position for the prompt
-     */
-    drawInteractionPrompt(ctx, x, y) {
-        ctx.save();
-        
-        // Set up text style with larger font
-        ctx.font = 'bold 18px monospace';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        // Enhanced glow effect
-        ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 15;
-        ctx.fillStyle = `rgba(255, 215, 0, ${this.interactionPromptAlpha})`;
-        
-        // Draw text with background for better visibility
-        const text = 'Press ENTER to Visit Site';
-        const textWidth = ctx.measureText(text).width;
-        
-        // Draw background
-        ctx.fillStyle = `rgba(0, 0, 0, ${this.interactionPromptAlpha * 0.7})`;
-        ctx.fillRect(x - textWidth/2 - 10, y - 30, textWidth + 20, 60);
-        
-        // Draw border
-        ctx.strokeStyle = `rgba(255, 215, 0, ${this.interactionPromptAlpha})`;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x - textWidth/2 - 10, y - 30, textWidth + 20, 60);
-        
-        // Draw text
-        ctx.fillStyle = `rgba(255, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.fillText(text, x, y - 10);
-        
-        // Draw key indicator
-        ctx.font = 'bold 16px monospace';
-        ctx.fillStyle = `rgba(255, 215, 0, ${this.interactionPromptAlpha})`;
-        ctx.fillText('[ ENTER ]', x, y + 15);
-        
-        ctx.restore();
-    }
-    
     /**
      * Draw debug information
      * @param {CanvasRenderingContext2D} ctx - Canvas context
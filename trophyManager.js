@@ -4,6 +4,7 @@
  */
 
 import { TrophyEntity } from './trophyEntity.js';
+import { interactionManager } from './interactionManager.js';
 import { debug } from './utils.js';
 
 export class TrophyManager {
@@ -29,6 +30,7 @@ export class TrophyManager {
         const dummyTrophy = new TrophyEntity(0, 0);
         
         // Remove the dummy trophy (it was just for preloading)
+        interactionManager.unregister(dummyTrophy);
         return Promise.resolve();
     }
     
@@ -6,8 +6,10 @@
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
 import { debug } from './utils.js';
-import { input } from './input.js';
+import { interactionManager } from './interactionManager.js';
+import { overlayManager } from './overlayManager.js';
 import { getAssetPath } from './pathResolver.js';
+import { audioManager } from './audioManager.js';
 
 class TVEntity extends Entity {
     /**
@@ -52,25 +54,22 @@ class TVEntity extends Entity {
         // Interactive properties
         this.interactionDistance = 4;   // Distance within which player can interact with TV (increased for larger entity)
         this.isPlayerNearby = false;      // Tracks if player is close enough to interact
+        this.actionLabel = 'WATCH';       // Touch action button label
         this.isActive = false;            // Tracks if YouTube player is currently active
-        this.wasEnterPressed = false;     // Tracks enter key state to detect press
         this.youtubePlayer = null;        // Will hold the YouTube player element
-        this.interactionPromptAlpha = 0;  // Transparency for interaction prompt
         
         // Add a timeout to prevent rapid toggling
         this.lastToggleTime = 0;
         this.toggleCooldown = 500; // ms
         
-        // Add a direct Enter key event listener
-        this.handleKeyDown = (event) => {
-            if (event.key === 'Enter' && this.isPlayerNearby && !this.isActive) {
-                console.log('TVEntity: Direct Enter key event detected - toggling TV');
-                this.toggleTV();
-            }
-        };
-        
-        // Register the event listener
-        document.addEventListener('keydown', this.handleKeyDown);
+        // Enter opens the TV through the shared interaction pipeline; the open modal handles its own keys
+        interactionManager.register(this, {
+            radius: this.interactionDistance,
+            label: this.actionLabel,
+            prompt: 'Watch TV',
+            onInteract: () => this.toggleTV(),
+            isEnabled: () => !this.isActive
+        });
         
         // Debug console log about TV placement
         console.log(`TVEntity: Final adjusted position: (${this.x}, ${this.y})`);
@@ -92,7 +91,7 @@ class TVEntity extends Entity {
         const randomStartIndex = Math.floor(Math.random() * 29) + 1; // Random starting point from full 29-video playlist
         this.youtubeIframeHTML = `
             <iframe width="560" height="315" 
-                src="https://www.youtube.com/embed/?listType=playlist&amp;list=PLOyT7JwO8QwNdoVK5YDi_tcJ010f7GQ2L&amp;index=${randomStartIndex}&amp;autoplay=1&amp;shuffle=1" 
+                src="https://www.youtube.com/embed/?listType=playlist&amp;list=PLOyT7JwO8QwNdoVK5YDi_tcJ010f7GQ2L&amp;index=${randomStartIndex}&amp;autoplay=1&amp;shuffle=1&amp;enablejsapi=1" 
                 title="YouTube video player" 
                 frameborder="0" 
                 allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share" 
@@ -286,7 +285,7 @@ class TVEntity extends Entity {
             const distance = Math.sqrt(dx * dx + dy * dy);
             
             const wasNearby = this.isPlayerNearby;
-            this.isPlayerNearby = distance <= this.interactionDistance;
+            this.isPlayerNearby = interactionManager.isInRange(this, player);
             
             // Player just entered interaction range
             if (!wasNearby && this.isPlayerNearby) {
@@ -300,39 +299,6 @@ class TVEntity extends Entity {
             if (wasNearby && !this.isPlayerNearby) {
                 console.log(`TVEntity: Player left interaction range (${distance.toFixed(2)} units)`);
             }
-            
-            // Handle interaction prompt fade
-            if (this.isPlayerNearby) {
-                // Only show prompt if TV is inactive
-                if (!this.isActive) {
-                    // Fade in prompt faster
-                    this.interactionPromptAlpha = Math.min(1, this.interactionPromptAlpha + 0.05);
-                } else {
-                    // Keep prompt hidden while active
-                    this.interactionPromptAlpha = 0;
-                }
-            } else {
-                // Fade out prompt when player moves away
-                this.interactionPromptAlpha = Math.max(0, this.interactionPromptAlpha - 0.05);
-            }
-            
-            // Check for Enter key press - only toggle when player is nearby and Enter is newly pressed
-            // We check Input.keys.Enter directly from the input system
-            const isEnterPressed = window.input && window.input.keys && window.input.keys['Enter'];
-            
-            // Only detect a new press (not holding)
-            if (isEnterPressed && !this.wasEnterPressed && this.isPlayerNearby && !this.isActive) {
-                console.log('TVEntity: Enter key newly pressed, toggling TV ON');
-                this.toggleTV();
-            } 
-            // Handle closing with Enter if already active
-            else if (isEnterPressed && !this.wasEnterPressed && this.isActive) {
-                console.log('TVEntity: Enter key newly pressed while active, toggling TV OFF');
-                this.toggleTV();
-            }
-            
-            // Update previous key state
-            this.wasEnterPressed = isEnterPressed;
         }
     }
     
@@ -394,13 +360,6 @@ class TVEntity extends Entity {
             ctx.restore();
         }
         
-        // Draw interaction prompt if player is nearby
-        if (this.interactionPromptAlpha > 0) {
-            const promptY = drawY - height / 2 - 60; // Position the prompt higher above the TV
-            
-            this.drawInteractionPrompt(ctx, screenX, promptY);
-        }
-        
         // Draw debug info
         if (window.DEBUG_MODE) {
             ctx.save();
@@ -438,54 +397,16 @@ class TVEntity extends Entity {
         }
     }
     
-    /**
-     * Draw interaction prompt above the TV
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
-     * @param {number} x - X position for the prompt
-     * @param {number} y - Y position for the prompt
-     */
-    drawInteractionPrompt(ctx, x, y) {
-        ctx.save();
-        
-        // Set up text style with larger font
-        ctx.font = 'bold 18px monospace';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        // Enhanced glow effect
-        ctx.shadowColor = '#00ffff';
-        ctx.shadowBlur = 15;
-        ctx.fillStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        
-        // Draw text with background for better visibility
-        const text = 'Press ENTER to Watch TV';
-        const textWidth = ctx.measureText(text).width;
-        
-        // Draw background
-        ctx.fillStyle = `rgba(0, 0, 0, ${this.interactionPromptAlpha * 0.7})`;
-        ctx.fillRect(x - textWidth/2 - 10, y - 30, textWidth + 20, 60);
-        
-        // Draw border
-        ctx.strokeStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.lineWidth = 2;
-        ctx.strokeRect(x - textWidth/2 - 10, y - 30, textWidth + 20, 60);
-        
-        // Draw text
-        ctx.fillStyle = `rgba(255, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.fillText(text, x, y - 10);
-        
-        // Draw key indicator
-        ctx.font = 'bold 16px monospace';
-        ctx.fillStyle = `rgba(0, 255, 255, ${this.interactionPromptAlpha})`;
-        ctx.fillText('[ ENTER ]', x, y + 15);
-        
-        ctx.restore();
-    }
-    
     /**
      * Toggle the TV modal on/off
      */
     toggleTV() {
+        // Another popup is already showing
+        if (!this.isActive && overlayManager.isOpen()) {
+            debug('TVEntity: Another overlay is open, not opening the TV');
+            return;
+        }
+        
         // Check cooldown
         const now = Date.now();
         if (now - this.lastToggleTime < this.toggleCooldown) {
@@ -502,32 +423,9 @@ class TVEntity extends Entity {
         if (this.isActive) {
             console.log('TVEntity: Creating YouTube modal');
             this.createYoutubeModal();
-            
-            // Temporarily disable the direct Enter key event listener while player is active
-            // This prevents it from immediately closing due to key repeat
-            document.removeEventListener('keydown', this.handleKeyDown);
-            
-            // Reset the wasEnterPressed state to prevent immediate toggling
-            this.wasEnterPressed = true;
-            
-            // Add a slight delay before accepting new Enter key presses
-            setTimeout(() => {
-                this.wasEnterPressed = false;
-            }, 500);
         } else {
             console.log('TVEntity: Removing YouTube modal');
             this.removeYoutubeModal();
-            
-            // Re-enable the direct Enter key event listener after player is closed
-            document.addEventListener('keydown', this.handleKeyDown);
-            
-            // Reset the wasEnterPressed state to prevent immediate toggling
-            this.wasEnterPressed = true;
-            
-            // Add a slight delay before accepting new Enter key presses
-            setTimeout(() => {
-                this.wasEnterPressed = false;
-            }, 500);
         }
     }
     
@@ -544,7 +442,6 @@ class TVEntity extends Entity {
         modalContainer.style.width = '100%';
         modalContainer.style.height = '100%';
         modalContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-        modalContainer.style.zIndex = '1000';
         modalContainer.style.display = 'flex';
         modalContainer.style.justifyContent = 'center';
         modalContainer.style.alignItems = 'center';
@@ -564,6 +461,7 @@ class TVEntity extends Entity {
         // Create close button
         const closeButton = document.createElement('button');
         closeButton.innerHTML = '&times;';
+        closeButton.setAttribute('aria-label', 'Close TV');
         closeButton.style.position = 'absolute';
         closeButton.style.right = '10px';
         closeButton.style.top = '10px';
@@ -585,6 +483,7 @@ class TVEntity extends Entity {
         // Create iframe container to avoid HTML string issues
         const iframeContainer = document.createElement('div');
         iframeContainer.innerHTML = this.youtubeIframeHTML;
+        this.applyMusicVolume(iframeContainer.querySelector('iframe'));
         
         // Create controls container for YouTube
         const controlsContainer = document.createElement('div');
@@ -634,7 +533,7 @@ class TVEntity extends Entity {
                 const randomStartIndex = Math.floor(Math.random() * 29) + 1;
                 const newIframeHTML = `
                     <iframe width="560" height="315" 
-                        src="https://www.youtube.com/embed/?listType=playlist&amp;list=PLOyT7JwO8QwNdoVK5YDi_tcJ010f7GQ2L&amp;index=${randomStartIndex}&amp;autoplay=1&amp;shuffle=1" 
+                        src="https://www.youtube.com/embed/?listType=playlist&amp;list=PLOyT7JwO8QwNdoVK5YDi_tcJ010f7GQ2L&amp;index=${randomStartIndex}&amp;autoplay=1&amp;shuffle=1&amp;enablejsapi=1" 
                         title="YouTube video player" 
                         frameborder="0" 
                         allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share" 
@@ -645,6 +544,7 @@ class TVEntity extends Entity {
                 
                 // Replace the iframe
                 iframeContainer.innerHTML = newIframeHTML;
+                this.applyMusicVolume(iframeContainer.querySelector('iframe'));
                 
                 // Show feedback
                 shuffleButton.textContent = '🔀 Shuffled!';
@@ -668,14 +568,11 @@ class TVEntity extends Entity {
         // Store reference to the modal
         this.youtubePlayer = modalContainer;
         
-        // Add ESC key listener
-        this.handleEscapeKey = (event) => {
-            if (event.key === 'Escape' && this.isActive) {
-                console.log('TVEntity: ESC key pressed while TV modal is active, closing modal');
-                this.toggleTV();
-            }
-        };
-        document.addEventListener('keydown', this.handleEscapeKey);
+        // Pause the world; Escape closes the modal through the overlay stack
+        overlayManager.open('tv', {
+            element: modalContainer,
+            onRequestClose: () => this.toggleTV()
+        });
         
         // Add Enter key listener for re-toggle
         this.handleEnterKeyInModal = (event) => {
@@ -695,86 +592,40 @@ class TVEntity extends Entity {
             document.body.removeChild(this.youtubePlayer);
             this.youtubePlayer = null;
             
-            // Remove ESC key listener
-            document.removeEventListener('keydown', this.handleEscapeKey);
+            // Remove Enter key listener and give input back to the world
             document.removeEventListener('keydown', this.handleEnterKeyInModal);
+            overlayManager.close('tv');
         }
     }
-    
+
+    /**
+     * Play the YouTube player at the music volume once it has loaded
+     * @param {HTMLIFrameElement|null} iframe - YouTube embed (loaded with enablejsapi=1)
+     */
+    applyMusicVolume(iframe) {
+        if (!iframe) return;
+
+        iframe.addEventListener('load', () => {
+            const volume = Math.round(100 * audioManager.getEffectiveVolume('music'));
+            iframe.contentWindow.postMessage(JSON.stringify({ event: 'command', func: 'setVolume', args: [volume] }), '*');
+        });
+    }
+
     /**
      * Play a TV static/electronic sound when player approaches
      */
     playProximitySound() {
         try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            const audioCtx = audioManager.getContext();
+            if (!audioCtx) {
+                return;
+            }
             
             // Duration of the sound effect
             const duration = 2.0; // seconds
-            const sampleRate = audioCtx.sampleRate;
-            const bufferSize = sampleRate * duration;
             
-            // Create audio buffer
-            const staticBuffer = audioCtx.createBuffer(2, bufferSize, sampleRate);
-            const leftChannel = staticBuffer.getChannelData(0);
-            const rightChannel = staticBuffer.getChannelData(1);
-            
-            // Generate TV static sound - mixture of white noise and frequency modulation
-            for (let i = 0; i < bufferSize; i++) {
-                const t = i / sampleRate;
-                
-                // Create envelope - gentle fade in/out
-                let envelope;
-                if (t < 0.2) {
-                    // Fade in
-                    envelope = t / 0.2 * 0.5; // Max volume of 0.7
-                } else if (t > duration - 0.3) {
-                    // Fade out
-                    envelope = (duration - t) / 0.3 * 0.5;
-                } else {
-                    // Sustain
-                    envelope = 0.5;
-                }
-                
-                // Base noise component with slight time-based modulation
-                const noise = Math.random() * 2 - 1;
-                
-                // Add electronic TV whine/hum components
-                // Classic TV horizontal scan sound (15.75 kHz for NTSC)
-                const scanlineFreq = 15750;
-                const scanline = Math.sin(2 * Math.PI * scanlineFreq * t) * 0.03;
-                
-                // Power transformer hum (60Hz with harmonics)
-                const powerHum = (
-                    Math.sin(2 * Math.PI * 60 * t) * 0.05 +
-                    Math.sin(2 * Math.PI * 120 * t) * 0.03 +
-                    Math.sin(2 * Math.PI * 180 * t) * 0.01
-                );
-                
-                // TV tuning sound (frequency variations)
-                const tuningSpeed = 4; // speed of frequency change
-                const tuningFreq = 800 + 400 * Math.sin(2 * Math.PI * tuningSpeed * t / duration);
-                const tuning = Math.sin(2 * Math.PI * tuningFreq * t) * 0.1;
-                
-                // CRT static electricity sound (random crackles)
-                const crackle = (Math.random() > 0.995) ? Math.random() * 0.4 : 0;
-                
-                // Interference patterns
-                const interference = Math.sin(2 * Math.PI * 440 * t + Math.sin(2 * Math.PI * 1 * t) * 10) * 0.1;
-                
-                // Mix all components together
-                const sample = (
-                    (noise * 0.3) +      // 30% white noise
-                    scanline +            // Scanline whine
-                    powerHum +            // Power transformer hum
-                    tuning +              // Tuning sound
-                    crackle +             // Random crackles
-                    interference          // Interference patterns
-                ) * envelope;
-                
-                // Add stereo variation
-                leftChannel[i] = sample * (1 + Math.sin(t * 2) * 0.1);
-                rightChannel[i] = sample * (1 - Math.sin(t * 2) * 0.1);
-            }
+            // Synthesized once, then reused every time the player approaches
+            const staticBuffer = audioManager.getBuffer('tv.static', ctx => this.createStaticBuffer(ctx, duration));
             
             // Create source node
             const staticSource = audioCtx.createBufferSource();
@@ -808,7 +659,7 @@ class TVEntity extends Entity {
             staticSource.connect(bandpass);
             bandpass.connect(waveshaper);
             waveshaper.connect(masterGain);
-            masterGain.connect(audioCtx.destination);
+            masterGain.connect(audioManager.getBus('sfx'));
             
             // Play sound
             staticSource.start();
@@ -817,7 +668,6 @@ class TVEntity extends Entity {
             setTimeout(() => {
                 try {
                     staticSource.stop();
-                    audioCtx.close();
                 } catch (err) {
                     console.warn('Error cleaning up TV static sound:', err);
                 }
@@ -828,6 +678,82 @@ class TVEntity extends Entity {
             console.error(`TVEntity: Error playing proximity sound: ${err.message}`);
         }
     }
+
+    /**
+     * Synthesize the static: noise mixed with scanline whine, transformer hum, tuning sweeps and crackles
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @param {number} duration - Length in seconds
+     * @returns {AudioBuffer} - Stereo static
+     */
+    createStaticBuffer(audioCtx, duration) {
+        const sampleRate = audioCtx.sampleRate;
+        const bufferSize = sampleRate * duration;
+        
+        // Create audio buffer
+        const staticBuffer = audioCtx.createBuffer(2, bufferSize, sampleRate);
+        const leftChannel = staticBuffer.getChannelData(0);
+        const rightChannel = staticBuffer.getChannelData(1);
+        
+        // Generate TV static sound - mixture of white noise and frequency modulation
+        for (let i = 0; i < bufferSize; i++) {
+            const t = i / sampleRate;
+            
+            // Create envelope - gentle fade in/out
+            let envelope;
+            if (t < 0.2) {
+                // Fade in
+                envelope = t / 0.2 * 0.5; // Max volume of 0.7
+            } else if (t > duration - 0.3) {
+                // Fade out
+                envelope = (duration - t) / 0.3 * 0.5;
+            } else {
+                // Sustain
+                envelope = 0.5;
+            }
+            
+            // Base noise component with slight time-based modulation
+            const noise = Math.random() * 2 - 1;
+            
+            // Add electronic TV whine/hum components
+            // Classic TV horizontal scan sound (15.75 kHz for NTSC)
+            const scanlineFreq = 15750;
+            const scanline = Math.sin(2 * Math.PI * scanlineFreq * t) * 0.03;
+            
+            // Power transformer hum (60Hz with harmonics)
+            const powerHum = (
+                Math.sin(2 * Math.PI * 60 * t) * 0.05 +
+                Math.sin(2 * Math.PI * 120 * t) * 0.03 +
+                Math.sin(2 * Math.PI * 180 * t) * 0.01
+            );
+            
+            // TV tuning sound (frequency variations)
+            const tuningSpeed = 4; // speed of frequency change
+            const tuningFreq = 800 + 400 * Math.sin(2 * Math.PI * tuningSpeed * t / duration);
+            const tuning = Math.sin(2 * Math.PI * tuningFreq * t) * 0.1;
+            
+            // CRT static electricity sound (random crackles)
+            const crackle = (Math.random() > 0.995) ? Math.random() * 0.4 : 0;
+            
+            // Interference patterns
+            const interference = Math.sin(2 * Math.PI * 440 * t + Math.sin(2 * Math.PI * 1 * t) * 10) * 0.1;
+            
+            // Mix all components together
+            const sample = (
+                (noise * 0.3) +      // 30% white noise
+                scanline +            // Scanline whine
+                powerHum +            // Power transformer hum
+                tuning +              // Tuning sound
+                crackle +             // Random crackles
+                interference          // Interference patterns
+            ) * envelope;
+            
+            // Add stereo variation
+            leftChannel[i] = sample * (1 + Math.sin(t * 2) * 0.1);
+            rightChannel[i] = sample * (1 - Math.sin(t * 2) * 0.1);
+        }
+        
+        return staticBuffer;
+    }
     
     /**
      * Clean up resources when entity is removed
@@ -835,8 +761,8 @@ class TVEntity extends Entity {
     cleanup() {
         console.log('TVEntity: Cleaning up resources');
         
-        // Remove keydown event listener
-        document.removeEventListener('keydown', this.handleKeyDown);
+        // Stop being an interaction target
+        interactionManager.unregister(this);
         
         // Remove modal and event listeners if active
         if (this.isActive) {
@@ -5,7 +5,11 @@
 
 import { Entity } from './entity.js';
 import assetLoader from './assetLoader.js';
+import { overlayManager } from './overlayManager.js';
 import { debug, info } from './utils.js';
+import { saveSession } from './sessionState.js';
+import { getInboundPortalParams, resolveRefUrl, buildOutboundParams } from './vibeverseParams.js';
+import { audioManager } from './audioManager.js';
 
 export class VibePortalEntity extends Entity {
     /**
@@ -181,33 +185,13 @@ export class VibePortalEntity extends Entity {
         }
         this._lastEntryTime = Date.now();
         
-        // Create URL with parameters
-        const params = new URLSearchParams();
-        params.append('portal', 'true');
+        // Remember where the player was so they come back to the lair, not the start position
+        saveSession({ leaving: true });
         
-        // Add the current domain as the ref parameter for exit portals
-        if (this.portalType === 'exit') {
-            // Use the current domain + path as the ref parameter
-            let refValue;
-            
-            // For GitHub Pages, we need to include the repository name
-            if (window.location.hostname.includes('github.io')) {
-                // Get the first part of the path which should be the repository name
-                const repoName = window.location.pathname.split('/')[1] || '';
-                refValue = window.location.hostname + (repoName ? '/' + repoName : '');
-            } else {
-                // For other sites, just use the hostname
-                refValue = window.location.hostname || 'alchemistslair.local';
-            }
-            
-            params.append('ref', refValue);
-            debug(`VibePortalEntity: Adding ref parameter with value: ${refValue}`);
-        }
-        
-        // Add additional parameters if needed
-        if (window.selfUsername) {
-            params.append('username', window.selfUsername);
-        }
+        // Send portal, ref and the player's profile (username, color, speed, ...) to the next game
+        const player = window.game ? window.game.player : null;
+        const params = buildOutboundParams(player);
+        debug(`VibePortalEntity: Outbound parameters: ${params.toString()}`);
         
         // Build the full URL
         const paramString = params.toString();
@@ -249,8 +233,7 @@ export class VibePortalEntity extends Entity {
                 // Check if we're targeting a GitHub Pages URL and ensure proper formatting
                 if (this.targetUrl.includes('github.io')) {
                     // For GitHub Pages, use the complete repository path in the URL
-                    const fullUrl = 'https://alchemistART.github.io/AIalchemistsLAIR?portal=true&ref=' + 
-                                   encodeURIComponent(window.location.hostname);
+                    const fullUrl = 'https://alchemistART.github.io/AIalchemistsLAIR?' + params.toString();
                     
                     debug(`VibePortalEntity: GitHub Pages destination detected, using URL: ${fullUrl}`);
                     this.showPortalMessage(`Traveling to AIalchemist's Lair...`);
@@ -261,41 +244,15 @@ export class VibePortalEntity extends Entity {
                     window.location.href = nextPage;
                 }
             } else if (this.portalType === 'start') {
-                // Check for ref parameter in URL for start portal
-                const urlParams = new URLSearchParams(window.location.search);
-                const refUrl = urlParams.get('ref');
+                // Send the visitor back to the game they came from
+                const refUrl = getInboundPortalParams().ref;
                 
                 if (refUrl) {
-                    // Format the URL properly
-                    let url = refUrl;
-                    
-                    // Special handling for GitHub Pages refs
-                    if (url.includes('github.io')) {
-                        // Check if it has the repository name
-                        if (!url.includes('/AIalchemistsLAIR')) {
-                            // Add the repository name if it's missing
-                            url = url + '/AIalchemistsLAIR';
-                            debug(`VibePortalEntity: Added missing repository name to GitHub Pages URL: ${url}`);
-                        }
-                    }
-                    
-                    // Add protocol if missing
-                    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-                        url = 'https://' + url;
-                    }
-                    
-                    // Preserve query parameters except 'ref'
-                    const currentParams = new URLSearchParams(window.location.search);
-                    const newParams = new URLSearchParams();
+                    const url = resolveRefUrl(refUrl);
                     
-                    for (const [key, value] of currentParams) {
-                        if (key !== 'ref') {
-                            newParams.append(key, value);
-                        }
-                    }
-                    
-                    const paramString = newParams.toString();
-                    const fullUrl = url + (paramString ? '?' + paramString : '');
+                    // Pass the profile back, but not our ref, so the previous game treats this as a return trip
+                    params.delete('ref');
+                    const fullUrl = url + (url.includes('?') ? '&' : '?') + params.toString();
                     
                     debug(`VibePortalEntity: Navigating to ref URL: ${fullUrl}`);
                     window.location.href = fullUrl;
@@ -378,7 +335,6 @@ export class VibePortalEntity extends Entity {
         messageElement.style.fontFamily = 'Arial, sans-serif';
         messageElement.style.fontSize = '18px';
         messageElement.style.textAlign = 'center';
-        messageElement.style.zIndex = '10000';
         messageElement.style.boxShadow = `0 0 10px ${this.portalColor}`;
         
         // Add a slight glow effect
@@ -386,15 +342,27 @@ export class VibePortalEntity extends Entity {
         
         document.body.appendChild(messageElement);
         
-        // Remove the message after a delay
-        setTimeout(() => {
+        // Fade the message out and take it off the overlay stack
+        const dismiss = () => {
+            if (!overlayManager.isOpen('portalMessage')) return;
+            overlayManager.close('portalMessage');
+            
             messageElement.style.opacity = '0';
             messageElement.style.transition = 'opacity 0.5s ease-in-out';
             
             setTimeout(() => {
-                document.body.removeChild(messageElement);
+                messageElement.remove();
             }, 500);
-        }, 3000);
+        };
+        
+        // Escape dismisses the message early; nothing inside it takes focus
+        if (!overlayManager.open('portalMessage', { element: messageElement, onRequestClose: dismiss, trapFocus: false })) {
+            messageElement.remove();
+            return;
+        }
+        
+        // Remove the message after a delay
+        setTimeout(dismiss, 3000);
     }
     
     /**
@@ -654,44 +622,14 @@ export class VibePortalEntity extends Entity {
      */
     playProximitySound() {
         try {
-            const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-            
-            // Create noise buffer for the whoosh base
-            const bufferSize = audioCtx.sampleRate * 1.3; // Slightly shorter for higher pitch feel (1.3 seconds)
-            const noiseBuffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
-            
-            // Fill buffer with noise
-            const leftChannel = noiseBuffer.getChannelData(0);
-            const rightChannel = noiseBuffer.getChannelData(1);
-            
-            // Create noise with a specific envelope for whoosh effect
-            for(let i = 0; i < bufferSize; i++) {
-                // Position as a normalized value (0 to 1)
-                const position = i / bufferSize;
-                
-                // Envelope shape - start low, build up, then fade - faster curve for higher pitch
-                let envelope;
-                if (position < 0.15) { // Faster initial build (0.15 vs 0.2)
-                    // Initial build up
-                    envelope = position * (1/0.15) * 0.3; // Ramp up to 0.3
-                } else if (position < 0.35) { // Faster peak (0.35 vs 0.4)
-                    // Continue rising
-                    envelope = 0.3 + (position - 0.15) * (1/0.2) * 0.6; // Ramp up to 0.9
-                } else if (position < 0.6) { // Faster descent (0.6 vs 0.7)
-                    // Peak and begin descent
-                    envelope = 0.9 - (position - 0.35) * (0.9 / 0.25) * 0.5; // Drop to 0.4
-                } else {
-                    // Tail off
-                    envelope = 0.4 * (1 - (position - 0.6) / 0.4);
-                }
-                
-                // Add some variation between channels - with higher frequency noise
-                // Higher frequency noise by using more rapid variations
-                const noiseFreq = Math.sin(position * 100) * 0.1; // Add higher frequency components
-                leftChannel[i] = ((Math.random() * 2 - 1) + noiseFreq) * envelope;
-                rightChannel[i] = ((Math.random() * 2 - 1) - noiseFreq) * envelope;
+            const audioCtx = audioManager.getContext();
+            if (!audioCtx) {
+                return;
             }
             
+            // Synthesized once, then reused every time the player approaches
+            const noiseBuffer = audioManager.getBuffer('vibePortal.whoosh', ctx => this.createWhooshBuffer(ctx));
+            
             // Create noise source node
             const noiseSource = audioCtx.createBufferSource();
             noiseSource.buffer = noiseBuffer;
@@ -725,19 +663,7 @@ export class VibePortalEntity extends Entity {
             
             // Add reverb/echo effect - shorter for higher pitch
             const convolver = audioCtx.createConvolver();
-            const reverbLength = audioCtx.sampleRate * 0.8; // Shorter reverb (0.8 vs 1.0)
-            const reverbBuffer = audioCtx.createBuffer(2, reverbLength, audioCtx.sampleRate);
-            const reverbLeftChannel = reverbBuffer.getChannelData(0);
-            const reverbRightChannel = reverbBuffer.getChannelData(1);
-            
-            // Create reverb impulse - faster decay for higher pitch
-            for(let i = 0; i < reverbLength; i++) {
-                const decay = Math.exp(-i / (audioCtx.sampleRate * 0.2)); // Faster decay (0.2 vs 0.3)
-                reverbLeftChannel[i] = (Math.random() * 2 - 1) * decay;
-                reverbRightChannel[i] = (Math.random() * 2 - 1) * decay;
-            }
-            
-            convolver.buffer = reverbBuffer;
+            convolver.buffer = audioManager.getBuffer('vibePortal.reverb', ctx => this.createReverbBuffer(ctx));
             
             // Connect LFO to bandpass frequency
             lfo.connect(lfoGain);
@@ -749,7 +675,7 @@ export class VibePortalEntity extends Entity {
             highpass.connect(convolver);
             convolver.connect(masterGain);
             highpass.connect(masterGain); // Parallel dry signal
-            masterGain.connect(audioCtx.destination);
+            masterGain.connect(audioManager.getBus('sfx'));
             
             // Start sound
             noiseSource.start();
@@ -793,7 +719,6 @@ export class VibePortalEntity extends Entity {
                 try {
                     lfo.stop();
                     noiseSource.stop();
-                    audioCtx.close();
                 } catch (err) {
                     console.warn('Error cleaning up vibeverse portal sound:', err);
                 }
@@ -805,6 +730,72 @@ export class VibePortalEntity extends Entity {
         }
     }
     
+    /**
+     * Synthesize the whoosh: 1.3 seconds of stereo noise with a faster build and higher-frequency variation
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @returns {AudioBuffer} - Stereo noise
+     */
+    createWhooshBuffer(audioCtx) {
+        // Create noise buffer for the whoosh base
+        const bufferSize = audioCtx.sampleRate * 1.3; // Slightly shorter for higher pitch feel (1.3 seconds)
+        const noiseBuffer = audioCtx.createBuffer(2, bufferSize, audioCtx.sampleRate);
+        
+        // Fill buffer with noise
+        const leftChannel = noiseBuffer.getChannelData(0);
+        const rightChannel = noiseBuffer.getChannelData(1);
+        
+        // Create noise with a specific envelope for whoosh effect
+        for(let i = 0; i < bufferSize; i++) {
+            // Position as a normalized value (0 to 1)
+            const position = i / bufferSize;
+            
+            // Envelope shape - start low, build up, then fade - faster curve for higher pitch
+            let envelope;
+            if (position < 0.15) { // Faster initial build (0.15 vs 0.2)
+                // Initial build up
+                envelope = position * (1/0.15) * 0.3; // Ramp up to 0.3
+            } else if (position < 0.35) { // Faster peak (0.35 vs 0.4)
+                // Continue rising
+                envelope = 0.3 + (position - 0.15) * (1/0.2) * 0.6; // Ramp up to 0.9
+            } else if (position < 0.6) { // Faster descent (0.6 vs 0.7)
+                // Peak and begin descent
+                envelope = 0.9 - (position - 0.35) * (0.9 / 0.25) * 0.5; // Drop to 0.4
+            } else {
+                // Tail off
+                envelope = 0.4 * (1 - (position - 0.6) / 0.4);
+            }
+            
+            // Add some variation between channels - with higher frequency noise
+            // Higher frequency noise by using more rapid variations
+            const noiseFreq = Math.sin(position * 100) * 0.1; // Add higher frequency components
+            leftChannel[i] = ((Math.random() * 2 - 1) + noiseFreq) * envelope;
+            rightChannel[i] = ((Math.random() * 2 - 1) - noiseFreq) * envelope;
+        }
+        
+        return noiseBuffer;
+    }
+    
+    /**
+     * Synthesize the reverb impulse (0.8 seconds of quickly decaying noise)
+     * @param {AudioContext} audioCtx - Context the buffer belongs to
+     * @returns {AudioBuffer} - Impulse response
+     */
+    createReverbBuffer(audioCtx) {
+        const reverbLength = audioCtx.sampleRate * 0.8; // Shorter reverb (0.8 vs 1.0)
+        const reverbBuffer = audioCtx.createBuffer(2, reverbLength, audioCtx.sampleRate);
+        const reverbLeftChannel = reverbBuffer.getChannelData(0);
+        const reverbRightChannel = reverbBuffer.getChannelData(1);
+        
+        // Create reverb impulse - faster decay for higher pitch
+        for(let i = 0; i < reverbLength; i++) {
+            const decay = Math.exp(-i / (audioCtx.sampleRate * 0.2)); // Faster decay (0.2 vs 0.3)
+            reverbLeftChannel[i] = (Math.random() * 2 - 1) * decay;
+            reverbRightChannel[i] = (Math.random() * 2 - 1) * decay;
+        }
+        
+        return reverbBuffer;
+    }
+    
     /**
      * Helper method to convert hex color to RGB
      * @param {string} hex - Hex color string
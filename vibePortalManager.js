@@ -5,6 +5,7 @@
 
 import { VibePortalEntity } from './vibePortalEntity.js';
 import { debug, info } from './utils.js';
+import { getInboundPortalParams } from './vibeverseParams.js';
 
 export class VibePortalManager {
     /**
@@ -30,17 +31,12 @@ export class VibePortalManager {
      * @returns {boolean} - Whether the return portal should be shown
      */
     checkPortalVisibility() {
-        // Get URL parameters
-        const urlParams = new URLSearchParams(window.location.search);
-        
-        // Check if portal=true and ref parameter exists
-        const portalParam = urlParams.get('portal');
-        const refParam = urlParams.get('ref');
+        const params = getInboundPortalParams();
         
         // Return portal should only be visible when portal=true and ref exists
-        const isVisible = portalParam === 'true' && refParam !== null;
+        const isVisible = params.arrivedViaPortal && params.ref !== null;
         
-        debug('VibePortalManager: URL parameters -', { portal: portalParam, ref: refParam });
+        debug('VibePortalManager: URL parameters -', { portal: params.arrivedViaPortal, ref: params.ref });
         debug(`VibePortalManager: Return portal visibility determined to be ${isVisible ? 'VISIBLE' : 'HIDDEN'}`);
         
         return isVisible;
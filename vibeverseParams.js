@@ -0,0 +1,149 @@
+/**
+ * Vibeverse Portal Parameters for AI Alchemist's Lair
+ * Reads the standard Vibeverse portal query parameters a visitor arrives with and
+ * builds the parameters sent along when they leave through a portal
+ *
+ * Standard parameters:
+ * - portal=true   the visitor arrived through another game's portal
+ * - ref           URL of the game they came from (the return portal sends them back there)
+ * - username      display name
+ * - color         player color (CSS color name or hex)
+ * - speed         movement speed in the sender's units
+ * - avatar_url    avatar model/image URL
+ * - team          team name
+ * - hp            health points, 1-100
+ */
+
+import { debug } from './utils.js';
+
+// Player speed accepted from other games is clamped to this range (Player default is 14)
+const MIN_PORTAL_SPEED = 7;
+const MAX_PORTAL_SPEED = 28;
+
+// Parsed parameters, read once per page load
+let inboundParams = null;
+
+/**
+ * Check that a color parameter is a hex color or a plain CSS color name
+ * @param {string} color - Color parameter
+ * @returns {boolean} - True if the color is safe to use as a canvas fill
+ */
+function isValidColor(color) {
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) || /^[a-z]{3,20}$/i.test(color);
+}
+
+/**
+ * Parse the Vibeverse parameters from a query string
+ * @param {string} search - Query string (defaults to the current page's)
+ * @returns {Object} - {arrivedViaPortal, ref, username, color, speed, avatarUrl, team, hp}; unknown or invalid values are null
+ */
+function parsePortalParams(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const text = (name, maxLength = 64) => {
+        const value = params.get(name);
+        return value && value.trim() ? value.trim().slice(0, maxLength) : null;
+    };
+    const number = (name, min, max) => {
+        const value = parseFloat(params.get(name));
+        return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : null;
+    };
+
+    const color = text('color', 20);
+    const avatarUrl = text('avatar_url', 512);
+
+    return {
+        arrivedViaPortal: params.get('portal') === 'true',
+        ref: text('ref', 512),
+        username: text('username', 32),
+        color: color && isValidColor(color) ? color : null,
+        speed: number('speed', MIN_PORTAL_SPEED, MAX_PORTAL_SPEED),
+        avatarUrl: avatarUrl && /^https?:\/\//.test(avatarUrl) ? avatarUrl : null,
+        team: text('team', 32),
+        hp: number('hp', 1, 100)
+    };
+}
+
+/**
+ * Get the parameters this page was opened with
+ * @returns {Object} - Parsed parameters (see parsePortalParams)
+ */
+function getInboundPortalParams() {
+    if (!inboundParams) {
+        inboundParams = parsePortalParams();
+        debug('VibeverseParams: Inbound portal parameters', inboundParams);
+    }
+    return inboundParams;
+}
+
+/**
+ * Turn a ref parameter into a full URL
+ * @param {string} ref - Ref parameter (may lack a protocol)
+ * @returns {string} - Absolute URL
+ */
+function resolveRefUrl(ref) {
+    let url = ref;
+
+    // GitHub Pages refs from older portals can be missing the repository name
+    if (url.includes('github.io') && !url.includes('/AIalchemistsLAIR')) {
+        url = url + '/AIalchemistsLAIR';
+        debug(`VibeverseParams: Added missing repository name to GitHub Pages URL: ${url}`);
+    }
+
+    // Add protocol if missing
+    if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        url = 'https://' + url;
+    }
+
+    return url;
+}
+
+/**
+ * Get the ref value identifying this game to the next one
+ * @returns {string} - Host (plus repository path on GitHub Pages)
+ */
+function getOwnRef() {
+    // For GitHub Pages, we need to include the repository name
+    if (window.location.hostname.includes('github.io')) {
+        const repoName = window.location.pathname.split('/')[1] || '';
+        return window.location.hostname + (repoName ? '/' + repoName : '');
+    }
+    return window.location.hostname || 'alchemistslair.local';
+}
+
+/**
+ * Build the parameters sent when the player leaves through a portal
+ * @param {Player} player - Player entity (may be null)
+ * @returns {URLSearchParams} - portal, ref and whatever player parameters are known
+ */
+function buildOutboundParams(player) {
+    const inbound = getInboundPortalParams();
+    const params = new URLSearchParams();
+    params.append('portal', 'true');
+    params.append('ref', getOwnRef());
+
+    const username = (player && player.username) || window.selfUsername || inbound.username;
+    const outbound = {
+        username,
+        color: (player && player.color) || inbound.color,
+        speed: player ? player.speed : inbound.speed,
+        avatar_url: (player && player.avatarUrl) || inbound.avatarUrl,
+        team: (player && player.team) || inbound.team,
+        hp: player && player.hp !== undefined ? player.hp : inbound.hp
+    };
+
+    Object.entries(outbound).forEach(([name, value]) => {
+        if (value !== null && value !== undefined && value !== '') {
+            params.append(name, String(value));
+        }
+    });
+
+    return params;
+}
+
+export {
+    parsePortalParams,
+    getInboundPortalParams,
+    resolveRefUrl,
+    getOwnRef,
+    buildOutboundParams
+};
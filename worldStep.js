@@ -0,0 +1,101 @@
+/**
+ * World Step for AI Alchemist's Lair
+ * Advances the world by one fixed simulation step: room shortcuts and portals, the player's walk
+ * from the held keys, the gamepad stick or a click-to-move path, the clamp to the room's grid,
+ * then physics and collisions against entities and the room's walls (Game.update)
+ *
+ * main.js runs it SIMULATION_STEP seconds at a time (see timing.js) and the headless tests call
+ * it directly, so both move the player the same way. It only reads input through input.keys,
+ * input.stick and ClickToMove, which is everything the InputRecorder captures; that is what lets
+ * a recording replay exactly.
+ */
+
+import { input } from './input.js';
+import { actionMap } from './actionMap.js';
+import { updateScene, getSceneManager } from './sceneIntegration.js';
+import { getRoomGeometry } from './roomGeometry.js';
+
+/**
+ * Get the 8-way direction of the held movement keys
+ * @returns {string} - Direction in the form Player.move takes ('left', 'northright', ...), or '' for none
+ */
+function getHeldDirection() {
+    let dx = 0;
+    let dy = 0;
+
+    // Left movement (decreases X in isometric)
+    if (actionMap.isPressed('moveLeft')) dx -= 1;
+    // Right movement (increases X in isometric)
+    if (actionMap.isPressed('moveRight')) dx += 1;
+    // Up movement (decreases Y in isometric)
+    if (actionMap.isPressed('moveUp')) dy -= 1;
+    // Down movement (increases Y in isometric)
+    if (actionMap.isPressed('moveDown')) dy += 1;
+
+    let direction = '';
+    if (dx < 0) direction = 'left';
+    else if (dx > 0) direction = 'right';
+
+    if (dy < 0) {
+        direction = direction ? 'north' + direction : 'up';
+    } else if (dy > 0) {
+        direction = direction ? 'south' + direction : 'down';
+    }
+    return direction;
+}
+
+/**
+ * Run one simulation step
+ * @param {Object} world - What the step moves
+ * @param {Game} world.game - Game whose player and entities are updated
+ * @param {ClickToMove|null} [world.clickToMove=null] - Click-to-move walk to follow when no key or stick is held
+ * @param {RoomGeometry|null} [world.geometry=null] - Room to walk in instead of the current scene's (the tests' made-up rooms)
+ * @param {number} deltaTime - Step length in seconds (SIMULATION_STEP)
+ */
+function stepWorld({ game, clickToMove = null, geometry = null }, deltaTime) {
+    const player = game.getPlayer();
+    if (!player) {
+        return;
+    }
+
+    // Remember where everything was, for drawing between this step and the next
+    game.storePreviousPositions();
+
+    // Room shortcuts and portal checks for the current scene
+    updateScene(deltaTime, player);
+
+    // Menus and overlays keep the keyboard; the player stays put while one is open
+    const interactionActive = game.isInteractionActive();
+    const direction = interactionActive ? '' : getHeldDirection();
+    const stickMoved = !interactionActive && (input.stick.x !== 0 || input.stick.y !== 0);
+
+    // Manual movement takes over from a click-to-move walk
+    if (clickToMove && (stickMoved || direction || interactionActive)) {
+        clickToMove.cancel();
+    }
+
+    if (stickMoved) {
+        // Gamepad stick: analog speed and direction
+        player.moveVector(input.stick.x, input.stick.y);
+    } else if (direction) {
+        player.move(direction);
+    } else if (clickToMove && clickToMove.isActive()) {
+        clickToMove.steer(deltaTime);
+    } else {
+        player.move('none');
+    }
+
+    // Constrain player within the room's grid; its walls and floorless cells stop the player in Game.update
+    const sceneId = getSceneManager().getCurrentScene()?.id;
+    const room = geometry || (sceneId ? getRoomGeometry(sceneId) : null);
+    if (room) {
+        player.x = Math.max(0, Math.min(room.gridWidth - 1, player.x));
+        player.y = Math.max(0, Math.min(room.gridHeight - 1, player.y));
+    }
+    game.setRoomGeometry(room);
+
+    // Move everything by its velocity and resolve collisions
+    game.update(deltaTime);
+}
+
+export { stepWorld };
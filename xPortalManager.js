@@ -4,6 +4,7 @@
  */
 
 import { PortalEntity } from './portalEntity.js';
+import { interactionManager } from './interactionManager.js';
 import { debug } from './utils.js';
 
 export class XPortalManager {
@@ -29,6 +30,7 @@ export class XPortalManager {
         const dummyPortal = new PortalEntity(0, 0);
         
         // Remove the dummy portal (it was just for preloading)
+        interactionManager.unregister(dummyPortal);
         return Promise.resolve();
     }
     